@@ -35,9 +35,13 @@ import {
     getVoiceById,
     getVoicesWithPendingDMs,
     getArcana,
+    takeMessageSnapshot,
+    findStaleSnapshot,
+    restoreSnapshot,
+    getHeldBackPersonaVoices,
 } from './src/state.js';
 import { initUI, destroyUI, refreshUI } from './src/ui/panel.js';
-import { processMessage, initializeFromPersona, resetVoiceCounter, abortGeneration } from './src/voices/voice-engine.js';
+import { processMessage, processUserMessage, initializeFromPersona, resetVoiceCounter, abortGeneration } from './src/voices/voice-engine.js';
 import {
     renderSidebarCommentary,
     renderCardReading,
@@ -54,6 +58,11 @@ import {
 import { initDirectory, openDirectory } from './src/social/directory.js';
 import { checkOutreach, resetOutreachCooldown } from './src/social/outreach.js';
 import { initCouncil, resetCouncil } from './src/social/council.js';
+import { updateInjection, clearInjection } from './src/voices/injection.js';
+import { resetBudgetAnnouncements } from './src/accounting.js';
+import { registerSlashCommands } from './src/slash-commands.js';
+import { registerMacros, syncVoiceMacros } from './src/macros.js';
+import { validateVoiceTriggers } from './src/voices/taxonomy.js';
 import {
     narrateConsume,
     narrateMerge,
@@ -82,6 +91,7 @@ async function addExtensionSettings() {
                 await initUI();
             } else if (!extensionSettings.enabled && wasEnabled) {
                 destroyUI();
+                clearInjection();
             }
         });
 
@@ -133,6 +143,11 @@ async function addExtensionSettings() {
 function registerEvents() {
     eventSource.on(event_types.CHAT_CHANGED, onChatChanged);
     eventSource.on(event_types.MESSAGE_RECEIVED, onMessageReceived);
+    eventSource.on(event_types.MESSAGE_SENT, onMessageSent);
+    eventSource.on(event_types.GENERATION_STARTED, onGenerationStarted);
+    eventSource.on(event_types.MESSAGE_SWIPED, onHistoryChanged);
+    eventSource.on(event_types.MESSAGE_DELETED, onHistoryChanged);
+    eventSource.on(event_types.MESSAGE_EDITED, onHistoryChanged);
 
     // Manual persona extraction button
     $(document).on('click', '#chorus-btn-extract', handleManualExtract);
@@ -150,9 +165,45 @@ function registerEvents() {
         }
     });
 
+    // Surface failed LLM requests (request service)
+    $(document).on('chorus:requestError', (e, error) => {
+        onRequestError(error);
+    });
+
+    // Budget crossed a degradation step (accounting)
+    $(document).on('chorus:budgetStep', (e, step) => {
+        if (window.toastr) {
+            toastr.info(`Budget at ${Math.round(step.ratio * 100)}% — pausing ${step.label}.`, 'The Chorus', { timeOut: 5000 });
+        }
+    });
+
     console.log(`${LOG_PREFIX} Events registered`);
 }
 
+// One toast per error kind per window — a dead connection fails every call
+const REQUEST_ERROR_TOAST_WINDOW = 30000;
+const lastRequestErrorToast = {};
+
+function onRequestError(error) {
+    if (!error || error.kind === 'abort') return;
+
+    const now = Date.now();
+    if (now - (lastRequestErrorToast[error.kind] || 0) < REQUEST_ERROR_TOAST_WINDOW) return;
+    lastRequestErrorToast[error.kind] = now;
+
+    const messages = {
+        unavailable: 'Connection Manager is not available — voices are silent.',
+        no_profile: 'No connection profile selected — voices are silent.',
+        timeout: error.message,
+        transient: `The API is struggling (${error.message}). Some voices may be silent.`,
+        failed: `A request failed: ${error.message}`,
+    };
+
+    if (window.toastr) {
+        toastr.warning(messages[error.kind] || error.message, 'The Chorus', { timeOut: 4000 });
+    }
+}
+
 async function handleManualExtract() {
     if (!hasActiveChat()) return;
 
@@ -192,6 +243,17 @@ function onChatChanged() {
     // Load per-chat voice state from chat_metadata
     loadChatState();
 
+    // Bound persona voices that couldn't join this chat
+    for (const { name, reason } of getHeldBackPersonaVoices()) {
+        toastr.warning(`${name} stays out of this chat — ${reason}`, 'The Chorus', { timeOut: 5000 });
+    }
+
+    // A branch copies the parent's state — undo messages it cut off
+    reconcileHistory();
+
+    // Flag voices with triggers this chat's themes don't have
+    validateVoiceTriggers();
+
     // Reset outreach cooldown for new chat
     resetOutreachCooldown();
 
@@ -201,6 +263,15 @@ function onChatChanged() {
     // Reset voice commentary counter
     resetVoiceCounter();
 
+    // Drop the previous chat's inner voice block
+    clearInjection();
+
+    // Per-chat budget starts over — re-announce its steps
+    resetBudgetAnnouncements();
+
+    // Point {{chorus_thoughts_*}} macros at this chat's voices
+    syncVoiceMacros();
+
     // Re-render UI with loaded state
     if (extensionSettings.enabled) {
         refreshUI();
@@ -210,6 +281,18 @@ function onChatChanged() {
     console.log(`${LOG_PREFIX} Chat changed — state ${hasActiveChat() ? 'loaded' : 'cleared'}`);
 }
 
+/**
+ * Refresh the inner voice injection right before the main generation
+ * builds its prompt. Quiet generations (other extensions' background
+ * calls) are left alone. Voice macros are synced for every generation,
+ * since the deck may have changed since the last one.
+ */
+function onGenerationStarted(type) {
+    syncVoiceMacros();
+    if (type === 'quiet') return;
+    updateInjection();
+}
+
 /**
  * Update FAB state for pending voice DMs.
  * FAB flips to show mini card with voice glyph + name when DM pending.
@@ -243,10 +326,125 @@ function updateOutreachUI() {
     }
 }
 
+// =============================================================================
+// SWIPES, DELETES, EDITS, BRANCHES
+// =============================================================================
+
+/**
+ * Undo the effects of processed messages that were swiped away, deleted,
+ * edited or cut off by a branch, using the snapshot taken before each.
+ * @returns {number|null} Index of the message rolled back to, or null
+ */
+function reconcileHistory() {
+    if (!hasActiveChat()) return null;
+    if ((extensionSettings.historyMode || 'rollback') === 'off') return null;
+
+    const snapshot = findStaleSnapshot(getContext().chat || []);
+    if (!snapshot) return null;
+
+    abortGeneration();
+    restoreSnapshot(snapshot);
+
+    if (extensionSettings.enabled) {
+        refreshUI();
+        updateEscalationUI(getEscalation());
+        updateOutreachUI();
+    }
+    return snapshot.mesId;
+}
+
+/**
+ * MESSAGE_SWIPED / MESSAGE_DELETED / MESSAGE_EDITED.
+ * Rolls back, then in rerun mode reacts to the message's new text —
+ * unless a fresh swipe is still generating (MESSAGE_RECEIVED covers that).
+ */
+async function onHistoryChanged() {
+    if (!extensionSettings.enabled) return;
+
+    const mesId = reconcileHistory();
+    if (mesId === null || extensionSettings.historyMode !== 'rerun') return;
+
+    const chat = getContext().chat || [];
+    const message = chat[mesId];
+    if (mesId !== chat.length - 1 || !message || message.is_user) return;
+    if (Array.isArray(message.swipes) && message.swipe_id >= message.swipes.length) return;
+
+    console.log(`${LOG_PREFIX} Rerunning message ${mesId} after rollback`);
+    await onMessageReceived();
+}
+
+// =============================================================================
+// USER MESSAGES
+// =============================================================================
+
+// In-flight pass over {{user}}'s message — the reply waits for it
+let pendingUserPass = null;
+
+/**
+ * MESSAGE_SENT — optional pass over {{user}}'s own message.
+ * Voices judge the choice; the last reading's advice is judged by it.
+ */
+function onMessageSent() {
+    if (!hasActiveChat()) return;
+    if (!extensionSettings.enabled || !extensionSettings.processUserMessages) return;
+
+    reconcileHistory();
+
+    const chat = getContext().chat || [];
+    const mesId = chat.length - 1;
+    const message = chat[mesId];
+    if (!message || !message.is_user) return;
+
+    const messageText = message.mes || '';
+    if (messageText.trim().length < 10) return;
+    if (getLivingVoices().length === 0) return;
+
+    if ((extensionSettings.historyMode || 'rollback') !== 'off') {
+        takeMessageSnapshot(mesId, message);
+    }
+
+    // Not awaited — ST waits on MESSAGE_SENT handlers before generating
+    const pass = runUserPass(messageText, mesId);
+    pendingUserPass = pass;
+    pass.finally(() => {
+        if (pendingUserPass === pass) pendingUserPass = null;
+    });
+}
+
+async function runUserPass(messageText, mesId) {
+    try {
+        showSidebarLoading();
+        const result = await processUserMessage(messageText);
+        hideSidebarLoading();
+        if (result.aborted) return;
+
+        if (result.commentary.length > 0) {
+            renderSidebarCommentary(result.commentary, mesId);
+        }
+        refreshUI();
+
+        console.log(`${LOG_PREFIX} User message processed: impact=${result.classification.impact}, ${result.commentary.length} voices`);
+    } catch (e) {
+        hideSidebarLoading();
+        console.error(`${LOG_PREFIX} User message error:`, e);
+    }
+}
+
+// =============================================================================
+// CHARACTER MESSAGES
+// =============================================================================
+
 async function onMessageReceived() {
     if (!hasActiveChat()) return;
     if (!extensionSettings.enabled) return;
 
+    // A regenerate or continue replaces a message we already reacted to
+    reconcileHistory();
+
+    // Let the pass over {{user}}'s message land first, so it isn't
+    // aborted and the reply's snapshot includes it
+    if (pendingUserPass) await pendingUserPass;
+
     // Get the last message text
     const ctx = getContext();
     const chat = ctx.chat || [];
@@ -285,6 +483,11 @@ async function onMessageReceived() {
     }
 
     // ── Normal message processing ──
+    // Remember the state before this message so a swipe can undo it
+    if ((extensionSettings.historyMode || 'rollback') !== 'off') {
+        takeMessageSnapshot(chat.length - 1, lastMsg);
+    }
+
     // Increment draw counter
     incrementMessageCounter();
 
@@ -350,7 +553,8 @@ async function onMessageReceived() {
         const outreach = await checkOutreach(
             result.classification.themes || [],
             result.classification.impact || 'none',
-            result.classification.summary || ''
+            result.classification.summary || '',
+            result.classification.themeDetails || {}
         );
         if (outreach) {
             updateOutreachUI();
@@ -507,6 +711,8 @@ jQuery(async () => {
         initDirectory();
         initCouncil();
         registerEvents();
+        registerSlashCommands();
+        registerMacros();
 
         console.log(`${LOG_PREFIX} \u2705 Loaded successfully`);
 
@@ -0,0 +1,201 @@
+/**
+ * THE CHORUS — Usage Accounting
+ * Approximate token counts for every request the chorus makes.
+ *
+ * Tracked three ways, each broken down by subsystem:
+ *   Per chat    → chat_metadata (via state.js)
+ *   Per session → module memory (resets on page reload)
+ *   Per day     → extension settings (resets at local midnight)
+ *
+ * Also owns the optional budget. Instead of failing once the limit is
+ * hit, features degrade in order as usage climbs:
+ *   ambient narration → sidebar commentary → multi-card spreads
+ * Classification, births and user-initiated chats keep working.
+ */
+
+import { LOG_PREFIX } from './config.js';
+import {
+    extensionSettings,
+    saveSettings,
+    getChatUsage,
+    addChatUsage,
+} from './state.js';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+export const USAGE_SUBSYSTEMS = [
+    'classifier', 'sidebar', 'spread', 'birth',
+    'narrator', 'directory', 'council', 'outreach',
+];
+
+// Fraction of the budget at which each feature is switched off
+const DEGRADE_STEPS = [
+    { feature: 'ambient', at: 0.7, label: 'ambient narration' },
+    { feature: 'sidebar', at: 0.85, label: 'sidebar commentary' },
+    { feature: 'spreads', at: 1.0, label: 'multi-card spreads' },
+];
+
+// Rough chars-per-token for English prose across common tokenizers
+const CHARS_PER_TOKEN = 4;
+
+// Per-message overhead (role markers, separators)
+const MESSAGE_OVERHEAD = 4;
+
+// =============================================================================
+// SESSION STATE
+// =============================================================================
+
+function emptyTotals() {
+    return { requests: 0, prompt: 0, completion: 0, bySubsystem: {} };
+}
+
+let sessionUsage = emptyTotals();
+
+// Steps already announced, so each degradation toasts once per scope
+let announcedSteps = new Set();
+
+// =============================================================================
+// ESTIMATION
+// =============================================================================
+
+export function estimateTokens(text) {
+    if (!text) return 0;
+    return Math.ceil(String(text).length / CHARS_PER_TOKEN);
+}
+
+function estimatePromptTokens(messages) {
+    if (!Array.isArray(messages)) return estimateTokens(messages);
+    return messages.reduce((sum, m) => sum + estimateTokens(m?.content) + MESSAGE_OVERHEAD, 0);
+}
+
+// =============================================================================
+// RECORDING
+// =============================================================================
+
+function addTo(totals, subsystem, prompt, completion) {
+    totals.requests++;
+    totals.prompt += prompt;
+    totals.completion += completion;
+
+    const entry = totals.bySubsystem[subsystem] || { requests: 0, prompt: 0, completion: 0 };
+    entry.requests++;
+    entry.prompt += prompt;
+    entry.completion += completion;
+    totals.bySubsystem[subsystem] = entry;
+}
+
+function todayKey() {
+    const d = new Date();
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Record one completed request.
+ * @param {string} subsystem - One of USAGE_SUBSYSTEMS
+ * @param {Object[]} messages - Prompt messages sent
+ * @param {string} responseText - Text that came back
+ */
+export function recordUsage(subsystem, messages, responseText) {
+    const prompt = estimatePromptTokens(messages);
+    const completion = estimateTokens(responseText);
+
+    addTo(sessionUsage, subsystem, prompt, completion);
+    addChatUsage(subsystem, prompt, completion);
+
+    const daily = getDailyUsage();
+    addTo(daily, subsystem, prompt, completion);
+    extensionSettings.usageDaily = daily;
+    saveSettings();
+
+    checkDegradation();
+    $(document).trigger('chorus:usageUpdated');
+}
+
+// =============================================================================
+// GETTERS
+// =============================================================================
+
+export function getSessionUsage() {
+    return sessionUsage;
+}
+
+/**
+ * Today's totals. Rolls over to a fresh record on a new day.
+ */
+export function getDailyUsage() {
+    const saved = extensionSettings.usageDaily;
+    if (!saved || saved.date !== todayKey()) {
+        return { date: todayKey(), ...emptyTotals() };
+    }
+    return saved;
+}
+
+/**
+ * Totals for a scope.
+ * @param {string} scope - 'chat' | 'session' | 'day'
+ */
+export function getUsage(scope) {
+    if (scope === 'session') return getSessionUsage();
+    if (scope === 'day') return getDailyUsage();
+    return getChatUsage() || emptyTotals();
+}
+
+// =============================================================================
+// BUDGET
+// =============================================================================
+
+/**
+ * Current budget standing.
+ * @returns {Object|null} { scope, limit, used, ratio, throttled: [feature] } or null when off
+ */
+export function getBudgetStatus() {
+    const scope = extensionSettings.budgetMode || 'off';
+    const limit = extensionSettings.budgetTokens || 0;
+    if (scope === 'off' || limit <= 0) return null;
+
+    const totals = getUsage(scope);
+    const used = totals.prompt + totals.completion;
+    const ratio = used / limit;
+    const throttled = DEGRADE_STEPS.filter(step => ratio >= step.at).map(step => step.feature);
+
+    return { scope, limit, used, ratio, throttled };
+}
+
+/**
+ * Whether the budget has switched a feature off.
+ * @param {string} feature - 'ambient' | 'sidebar' | 'spreads'
+ */
+export function isFeatureThrottled(feature) {
+    const status = getBudgetStatus();
+    return !!status && status.throttled.includes(feature);
+}
+
+/**
+ * Announce newly crossed degradation steps (once each per scope).
+ */
+function checkDegradation() {
+    const status = getBudgetStatus();
+    if (!status) return;
+
+    for (const step of DEGRADE_STEPS) {
+        const key = `${status.scope === 'day' ? todayKey() : status.scope}:${step.feature}`;
+        if (status.ratio >= step.at && !announcedSteps.has(key)) {
+            announcedSteps.add(key);
+            console.log(`${LOG_PREFIX} Budget ${Math.round(status.ratio * 100)}% — pausing ${step.label}`);
+            $(document).trigger('chorus:budgetStep', [{ feature: step.feature, label: step.label, ratio: status.ratio }]);
+        }
+    }
+}
+
+/**
+ * Forget announced steps (chat switch, budget change).
+ */
+export function resetBudgetAnnouncements() {
+    announcedSteps = new Set();
+}
+
+export function getDegradeSteps() {
+    return DEGRADE_STEPS.map(step => ({ ...step }));
+}
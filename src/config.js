@@ -16,18 +16,37 @@ export const DEFAULT_SETTINGS = {
 
     // Voice engine
     connectionProfile: 'default',
+    profileOverrides: {},      // { callType: profileId } — per-subsystem override of connectionProfile
+    tokenBudgets: {},          // { callType: maxTokens } — per-subsystem budget (missing = built-in)
+
+    // Usage budget (accounting.js) — degrades ambient → sidebar → spreads
+    budgetMode: 'off',         // 'off' | 'chat' | 'day'
+    budgetTokens: 100000,
+    usageDaily: null,          // { date, requests, prompt, completion, bySubsystem }
     narratorArchetype: 'stage_manager',
+    customNarrators: {},       // { key: archetype } — user narrators (archetypes.js)
     toneAnchor: 'raw',
+    customToneAnchors: {},     // { key: { name, description, examples[], banned[] } } — user anchors (tone.js)
+    pipelineMode: 'separate',  // 'separate' | 'combined' — combined = one call per message
+    historyMode: 'rollback',   // 'off' | 'rollback' | 'rerun' — on swipe/delete/edit of a processed message
+    processUserMessages: false, // Also classify {{user}}'s own messages (choices, advice followed/defied)
+    heuristicPrefilter: true,  // Skip the classifier on messages the local pre-filter calls quiet
+    heuristicThreshold: 80,    // Quiet confidence (%) needed to skip
+    themeTaxonomy: null,       // { group: [themes] } — custom taxonomy for every chat (null = built-in THEMES)
 
     // Deck
     maxVoices: 7,
+    personaVoices: {},         // { personaKey: [voice identity] } — voices bound to a persona (state.js)
+    voiceLibrary: [],          // [{ id, savedAt, voice }] — saved voice templates (voice-library.js)
     fullDeckBehavior: 'block',  // 'block' | 'merge' | 'heal' | 'consume'
+    minorArcana: false,        // Extended deck — surface/accumulation voices take Minor Arcana (up to 78 voices)
     birthSensitivity: 3,
 
     // Readings
     drawMode: 'auto',          // 'auto' | 'manual'
     spreadSeverity: 'medium',  // 'low' | 'medium' | 'high' — when auto upgrades to spread
     reversalChance: 15,
+    spreadConcurrency: 3,      // Spread positions generated at once (1 = one by one)
 
     // Influence
     influenceGainRate: 3,
@@ -40,11 +59,25 @@ export const DEFAULT_SETTINGS = {
     // World Info
     includeWorldInfo: false,   // Include lorebook entries in voice context
     worldInfoMaxEntries: 5,    // Cap entries to limit token cost
+
+    // Inner voice injection (dominant voices → main generation prompt)
+    injectionEnabled: false,
+    injectionPosition: 'in_chat',  // 'in_chat' | 'in_prompt' | 'before_prompt'
+    injectionDepth: 2,             // Messages from the bottom (in_chat only)
+    injectionRole: 'system',       // 'system' | 'user' | 'assistant'
+    injectionMaxVoices: 3,         // Top N voices by influence
+    injectionBudget: 1200,         // Max characters for the whole block (~300 tokens)
+    injectionIncludeInfluence: true,
+    injectionIncludeThoughts: true,
+    injectionIncludeAdvice: true,
+    injectionIncludeCoherence: true,
 };
 
 // =============================================================================
 // TONE ANCHORS
 // =============================================================================
+// Built-in registers. Custom anchors (settings customToneAnchors) are
+// added to or replace these — read through tone.js getToneAnchors().
 
 export const TONE_ANCHORS = {
     gothic:   { name: 'Gothic',   description: 'Literary, dramatic, poetic. Emotions are landscapes. Everything is beautiful and terrible.' },
@@ -62,9 +95,10 @@ export const TONE_ANCHORS = {
 // =============================================================================
 // THEME TAXONOMY
 // =============================================================================
-// Fixed list the classifier tags messages with.
+// Default list the classifier tags messages with.
 // Voice birth picks triggers FROM this list.
 // Matching is mechanical: classifier output ∩ voice triggers.
+// A custom taxonomy can replace it globally or per chat (taxonomy.js).
 
 export const THEMES = {
     emotional: [
@@ -93,6 +127,17 @@ export const ALL_THEMES = [
     ...THEMES.identity,
 ];
 
+// Per-theme intensity (0-1) and valence from the classifier.
+// Consumers weigh a theme by minWeight + intensity: 0.5x for a passing
+// mention up to 1.5x for a defining one. Tag-only answers get the default
+// intensity, which weighs exactly like an unweighted tag (1x).
+export const THEME_INTENSITY = {
+    default: 0.5,
+    minWeight: 0.5,
+};
+
+export const THEME_VALENCES = ['positive', 'negative', 'mixed'];
+
 // =============================================================================
 // IMPACT LEVELS
 // =============================================================================
@@ -174,6 +219,98 @@ export const RELATIONSHIP_CHAT_MODIFIERS = {
     manic: 0.20,
 };
 
+// =============================================================================
+// CHARACTER STANCES (voice → scene character)
+// =============================================================================
+// Score -5..5 per character, shifted by who caused each message's themes.
+// Highest matching `min` wins.
+
+export const CHARACTER_STANCES = {
+    min: -5,
+    max: 5,
+    labels: [
+        { min: 4, label: 'trusting' },
+        { min: 2, label: 'warming' },
+        { min: -1, label: 'unsure' },
+        { min: -3, label: 'wary' },
+        { min: -5, label: 'distrustful' },
+    ],
+};
+
+// =============================================================================
+// VOICE-TO-VOICE BONDS
+// =============================================================================
+// What each voice makes of the others (voice.relationships[otherId]):
+//   { stance, sentiment, opinion, history: [{ timestamp, stance, sentiment, opinion, cause }] }
+// sentiment runs -100 (wants it gone) to 100 (would bleed for it). Each
+// shift pulls sentiment halfway toward its stance's anchor, so a bond
+// hardens over repeated turns. Terms read a stance out of free text —
+// opinions saved before bonds were structured, or dynamics without one.
+
+export const VOICE_BONDS = {
+    min: -100,
+    max: 100,
+    pull: 0.5,             // Share of the gap to the stance anchor closed per shift
+    historyLimit: 12,      // Shifts kept per bond
+    consumeSentiment: -50, // A predator this cold can consume
+    mergeSentiment: 30,    // Two allies/protectors this warm can merge
+    stances: {
+        predator:    { anchor: -80, terms: ['hostile', 'hate', 'suppress', 'devour', 'destroy', 'consum', 'prey', 'hunt', 'crush', 'silenc', 'smother'] },
+        rival:       { anchor: -40, terms: ['distrust', 'mock', 'dismiss', 'annoy', 'resent', 'rival', 'oppos', 'contempt', 'jealous', 'envi', 'envy', 'disagree', 'dislik', 'compet', 'suspic', 'scorn', 'irritat'] },
+        protector:   { anchor: 70,  terms: ['protect', 'defend', 'shield', 'guard', 'shelter', 'look(s|ed)? after'] },
+        ally:        { anchor: 45,  terms: ['allied', 'ally', 'respect', 'agree', 'support', 'understand', 'trust', 'admir', 'likes?\\b', 'lov', 'car(e|es|ed|ing)\\b', 'needs?\\b', 'depend', 'kinship', 'back(s|ed)? (them|him|her|it) up'] },
+        indifferent: { anchor: 0,   terms: ['indifferen', 'ignor', 'bored', 'unmoved', 'curious', 'intrigu', 'neutral'] },
+    },
+};
+
+// =============================================================================
+// VOICE HISTORY
+// =============================================================================
+// Every change to a voice's tracked values, with what caused it and the
+// chat message it happened at (chatState.voiceHistory):
+//   { voiceId, field, from, to, cause, mesId, timestamp, otherId? }
+// Changes from the same cause at the same message fold into one entry.
+
+export const VOICE_HISTORY = {
+    limit: 3000,           // Entries kept per chat, oldest dropped first
+    fields: {
+        influence:    'influence',
+        relationship: 'relationship',
+        bond:         'bond',          // otherId: the voice it's held toward
+        depth:        'depth',
+        progress:     'resolution',
+    },
+    causes: {
+        birth:      'birth',
+        theme:      'theme match',
+        drift:      'drift',
+        advice:     'advice',
+        assessment: 'classifier assessment',
+        fade:       'fading',
+        directory:  'directory assessment',
+        council:    'council dynamics',
+        insight:    'council insight',
+        decay:      'decay',
+        consume:    'consume',
+        resolution: 'resolution',
+        death:      'death',
+        edit:       'edited',
+    },
+};
+
+// =============================================================================
+// EVENT LOG
+// =============================================================================
+// Chronicle events beyond births and deaths (chatState.eventLog):
+//   { type, timestamp, mesId, voiceId?, name?, arcana?, text, voiceIds? }
+// mesId is the chat message the event happened at, for jumping to it.
+
+export const EVENT_LOG = {
+    limit: 500,                       // Events kept per chat, oldest dropped first
+    coherenceTiers: [80, 60, 40, 20], // Narrator degradation steps (narrator.js)
+    outreachIgnoredAfter: 6,          // Messages an unopened DM waits before it counts as ignored
+};
+
 // =============================================================================
 // ACCUMULATION BIRTH
 // =============================================================================
@@ -376,6 +513,134 @@ export const ARCANA = {
                       upright: 'Completion, integration, wholeness', reversed: 'Incompleteness. The finish line that keeps moving. Almost whole but the missing piece is the one you won\'t look at.' },
 };
 
+// =============================================================================
+// MINOR ARCANA (optional extended deck — settings minorArcana)
+// =============================================================================
+//
+// 56 cards: four suits of ace–ten plus page, knight, queen and king.
+// With the extended deck on, surface-depth and accumulation-born voices
+// take a minor card and rooted/core voices keep the majors, so the deck
+// can hold 78. Keys are '<rank>_of_<suit>' (e.g. 'three_of_cups'); every
+// card has the same shape as an ARCANA entry plus suit and rank.
+
+export const MINOR_SUITS = {
+    wands:     { name: 'Wands',     glyph: '\u2021', color: '#8b3a1a', glow: '#e0663a', sigilSides: 3, domain: 'fire — will, drive, ambition, appetite' },
+    cups:      { name: 'Cups',      glyph: '\u222A', color: '#1f5a7a', glow: '#44aadd', sigilSides: 0, domain: 'water — feeling, longing, intimacy, memory' },
+    swords:    { name: 'Swords',    glyph: '\u2020', color: '#4a5666', glow: '#aab8c8', sigilSides: 4, domain: 'air — thought, conflict, truth, cruelty' },
+    pentacles: { name: 'Pentacles', glyph: '\u235F', color: '#5a6b1f', glow: '#a8c844', sigilSides: 5, domain: 'earth — body, money, work, safety' },
+};
+
+/** Ranks in deck order. Court cards are the last four. */
+export const MINOR_RANKS = [
+    { key: 'ace',    numeral: 'A',  name: 'Ace' },
+    { key: 'two',    numeral: '2',  name: 'Two' },
+    { key: 'three',  numeral: '3',  name: 'Three' },
+    { key: 'four',   numeral: '4',  name: 'Four' },
+    { key: 'five',   numeral: '5',  name: 'Five' },
+    { key: 'six',    numeral: '6',  name: 'Six' },
+    { key: 'seven',  numeral: '7',  name: 'Seven' },
+    { key: 'eight',  numeral: '8',  name: 'Eight' },
+    { key: 'nine',   numeral: '9',  name: 'Nine' },
+    { key: 'ten',    numeral: '10', name: 'Ten' },
+    { key: 'page',   numeral: 'P',  name: 'Page',   court: true },
+    { key: 'knight', numeral: 'Kn', name: 'Knight', court: true },
+    { key: 'queen',  numeral: 'Q',  name: 'Queen',  court: true },
+    { key: 'king',   numeral: 'K',  name: 'King',   court: true },
+];
+
+/** [upright, reversed] per suit, in MINOR_RANKS order. */
+const MINOR_MEANINGS = {
+    wands: [
+        ['A spark, raw desire, the urge to begin', 'The spark that never catches. Wanting to want something.'],
+        ['Planning, a choice of horizons', 'Stuck at the map. Plans as a way of never leaving.'],
+        ['Expansion, looking ahead, ships coming in', 'Waiting on a ship that isn\'t coming. Blaming the tide.'],
+        ['Celebration, homecoming, a place to rest', 'The party you can\'t enjoy. Home that doesn\'t feel like it.'],
+        ['Rivalry, friction, testing yourself', 'Fighting for the sake of the noise. Every conversation a brawl.'],
+        ['Victory, recognition, being seen', 'Needing the crowd. Applause as oxygen. Terrified of the quiet after.'],
+        ['Holding ground, defiance under pressure', 'Defending a hill nobody is attacking. Exhausted by imaginary sieges.'],
+        ['Speed, momentum, things in motion', 'Rushing to avoid thinking. Everything at once and nothing finished.'],
+        ['Resilience, the last stand, wounded but standing', 'Paranoia dressed as vigilance. Braced for the blow long after it stopped.'],
+        ['Burden, responsibility, carrying too much', 'Refusing to put anything down. Martyrdom by workload.'],
+        ['Curiosity, a restless messenger, new enthusiasm', 'Enthusiasm that burns out by Tuesday. All beginnings, no middles.'],
+        ['Adventure, impulsive action, charging in', 'Recklessness called bravery. Leaving before anyone can leave you.'],
+        ['Confidence, warmth, magnetic self-possession', 'Jealousy in a warm coat. Needing to be the brightest thing in the room.'],
+        ['Vision, leadership, bold direction', 'Domineering. Everyone else is a tool for the plan.'],
+    ],
+    cups: [
+        ['An open heart, new feeling, overflowing', 'Feelings blocked at the source. Pouring into an empty glass.'],
+        ['Partnership, mutual attraction, a bond', 'Imbalance. Loving someone who loves the idea of you.'],
+        ['Friendship, celebration, community', 'Laughing with people you don\'t trust. Third wheel at every table.'],
+        ['Apathy, contemplation, the offered cup ignored', 'Bored of everything. Refusing gifts because accepting means hoping.'],
+        ['Grief, loss, the spilled cups', 'Only looking at what spilled. Mourning as a place to live.'],
+        ['Nostalgia, innocence, sweet memories', 'Living in a past that never happened the way you remember.'],
+        ['Fantasy, choices, daydreams', 'Lost in maybes. Choosing nothing because every option shimmers.'],
+        ['Walking away, seeking deeper meaning', 'Leaving everything, always. Calling flight a quest.'],
+        ['Contentment, wishes granted, satisfaction', 'Smug comfort. Having it all and feeling nothing.'],
+        ['Harmony, family, emotional fulfillment', 'The perfect family photo over a cracked wall.'],
+        ['Tender intuition, a creative message, openness', 'Emotional immaturity. Moods as weather everyone else must survive.'],
+        ['Romance, charm, following the heart', 'In love with being in love. Promises made for the feeling of making them.'],
+        ['Compassion, emotional depth, care', 'Drowning in everyone\'s feelings but your own. Care as co-dependence.'],
+        ['Emotional balance, diplomacy, calm', 'Calm as a lid on a boiling pot. Manipulating through composure.'],
+    ],
+    swords: [
+        ['Clarity, a breakthrough, cutting truth', 'Truth used as a weapon. Clarity that only ever cuts one way.'],
+        ['A stalemate, a difficult choice, the blindfold', 'Refusing to look. Indecision as a defensive position.'],
+        ['Heartbreak, sorrow, painful truth', 'Replaying the wound on purpose. Grief as a blade you keep sharp.'],
+        ['Rest, recovery, stillness', 'Shutting down. Calling exhaustion rest and avoidance recovery.'],
+        ['Conflict, winning at a cost', 'Winning ugly. Being right is worth any bridge burned.'],
+        ['Transition, moving on, calmer waters', 'Carrying the swords into the new place. Leaving nothing behind.'],
+        ['Strategy, stealth, getting away with it', 'Lying to yourself first. The thief of your own trust.'],
+        ['Restriction, feeling trapped, self-imposed limits', 'Blindfolded in a cage with the door open. Helplessness chosen.'],
+        ['Anxiety, nightmares, the 3 AM mind', 'Worry as a ritual. If you stop fearing, the worst will happen.'],
+        ['Rock bottom, an ending, the worst is over', 'Dramatizing the fall. Refusing to stand because lying down is proof.'],
+        ['Vigilance, curiosity, sharp questions', 'Gossip and surveillance. Knowing things as a way to hold power.'],
+        ['Ambition, decisive action, charging at the problem', 'Cutting first, asking never. Cruelty at speed.'],
+        ['Perception, honesty, independent judgement', 'Bitterness with excellent posture. Coldness as armor.'],
+        ['Intellectual authority, truth, principle', 'Judgement without mercy. Logic used to overrule every feeling.'],
+    ],
+    pentacles: [
+        ['A new opportunity, prosperity, something solid', 'The chance you let pass because it felt too real.'],
+        ['Balance, juggling priorities, adaptability', 'Overcommitted. Dropping everything while insisting you\'re fine.'],
+        ['Craft, teamwork, learning by doing', 'Working alone because no one does it right. Skill without joy.'],
+        ['Security, saving, holding on', 'Hoarding. Holding so tight nothing new can get in.'],
+        ['Hardship, poverty, being left out in the cold', 'Refusing help at the lit window. Scarcity as identity.'],
+        ['Generosity, charity, giving and receiving', 'Gifts with strings. Keeping score of every kindness.'],
+        ['Patience, investment, waiting for growth', 'Waiting forever for a harvest you never planted.'],
+        ['Diligence, mastery through repetition', 'Perfectionism. Polishing the same coin until it\'s worn through.'],
+        ['Self-sufficiency, earned comfort, independence', 'Gilded isolation. Needing no one, trusted by no one.'],
+        ['Legacy, wealth, family foundations', 'Inheritance as a cage. Living the life you were handed.'],
+        ['Study, ambition, a practical new start', 'All plan, no practice. Studying the map of a country you won\'t visit.'],
+        ['Reliability, routine, steady effort', 'Stuck in the rut and calling it discipline. Safe and dying of it.'],
+        ['Nurture, practicality, a safe home', 'Smothering through provision. Worth measured in what you provide.'],
+        ['Abundance, security, material mastery', 'Greed dressed as stability. Owning everything and enjoying none of it.'],
+    ],
+};
+
+function buildMinorArcana() {
+    const cards = {};
+    for (const [suitKey, suit] of Object.entries(MINOR_SUITS)) {
+        MINOR_RANKS.forEach((rank, i) => {
+            const name = `${rank.name} of ${suit.name}`;
+            const [upright, reversed] = MINOR_MEANINGS[suitKey][i];
+            cards[`${rank.key}_of_${suitKey}`] = {
+                numeral: rank.numeral,
+                glyph: suit.glyph,
+                name,
+                label: `${rank.numeral} \u2014 ${name.toUpperCase()}`,
+                color: suit.color,
+                glow: suit.glow,
+                upright,
+                reversed,
+                suit: suitKey,
+                rank: rank.key,
+            };
+        });
+    }
+    return cards;
+}
+
+export const MINOR_ARCANA = buildMinorArcana();
+
 // =============================================================================
 // NARRATOR ARCHETYPES
 // =============================================================================
@@ -386,6 +651,13 @@ export const ARCANA = {
 //
 // Each narrator also has a DEGRADATION STYLE — how it falls apart when
 // coherence drops (deck fills, voices gain power, narrator loses grip).
+//
+// SPEAK CONDITIONS scale speakChance for ambient narration. Each rule
+// multiplies it by `chance` when every clause in `when` holds — below 1
+// holds the narrator back, above 1 makes it speak more. Clause metrics
+// are listed in NARRATOR_METRICS. Custom narrators (settings
+// customNarrators) are added to or replace these — read through
+// archetypes.js getNarratorArchetypes().
 
 export const NARRATOR_ARCHETYPES = {
     stage_manager: {
@@ -409,6 +681,18 @@ You are NOT a narrator of the story. You are the narrator of the narrators. The
             storyEvents: false,
         },
         speakChance: 0.30,
+        // Quiet while the show runs itself: nobody long silent or agitated
+        speakConditions: [
+            {
+                when: [
+                    { metric: 'silentVoices', over: 8, op: '=', value: 0 },
+                    { metric: 'agitatedVoices', op: '=', value: 0 },
+                    { metric: 'voicesAbove', over: 70, op: '=', value: 0 },
+                    { metric: 'commentary', op: '>', value: 0 },
+                ],
+                chance: 0.15,
+            },
+        ],
         degradationStyle: 'loses control of the show — starts announcing things wrong, mixing up names, stage directions that contradict themselves, panic under the composure',
     },
 
@@ -489,6 +773,10 @@ You speak rarely. When you speak, it matters. You do not waste words on things t
             storyEvents: true,
         },
         speakChance: 0.15,
+        // Steps back when the voices are already loud
+        speakConditions: [
+            { when: [{ metric: 'commentary', op: '>', value: 2 }], chance: 0.1 },
+        ],
         degradationStyle: 'moral certainty erodes — starts qualifying, second-guessing, admitting the voices might have a point, the compass needle spins and what was solid becomes questions',
     },
 
@@ -515,6 +803,16 @@ The worst thing that can happen is nothing.`,
             storyEvents: true,
         },
         speakChance: 0.35,
+        // Speaks MORE when nothing is happening (bored/disappointed)
+        speakConditions: [
+            {
+                when: [
+                    { metric: 'commentary', op: '>=', value: 2 },
+                    { metric: 'narratorSilence', op: '<', value: 3 },
+                ],
+                chance: 0.4,
+            },
+        ],
         degradationStyle: 'the need for drama becomes desperate — starts manufacturing conflict from nothing, misreading calm as building tension, narrating excitement that isn\'t there, the director becomes the unreliable narrator who can\'t tell the difference between drama and reality',
     },
 
@@ -569,6 +867,10 @@ The worst thing: being unable to stop what's coming.`,
             storyEvents: false,
         },
         speakChance: 0.30,
+        // Speaks more when influence is high (alarmed)
+        speakConditions: [
+            { when: [{ metric: 'voicesAbove', over: 60, op: '=', value: 0 }], chance: 0.5 },
+        ],
         degradationStyle: 'control slips — security reports become frantic, protocols break down, starts issuing contradictory orders, the warden becomes the thing it was containing, realizes it can\'t stop this',
     },
 
@@ -597,6 +899,26 @@ Sometimes the dots connect. That's the worst part.`,
             storyEvents: true,
         },
         speakChance: 0.30,
+        // Speaks more when voices have relationships (sees patterns)
+        speakConditions: [
+            { when: [{ metric: 'relatedVoices', op: '<', value: 2 }], chance: 0.5 },
+        ],
         degradationStyle: 'the pattern recognition goes haywire — seeing conspiracies in everything, contradicting its own theories, the whispers become screaming, can\'t tell real patterns from noise anymore, the paranoia becomes the only voice left',
     },
 };
+
+// Clause metrics for speak conditions. `over` metrics take a threshold
+// (clause field `over`); the rest are read as they are.
+export const NARRATOR_METRICS = {
+    commentary:      { label: 'voices that spoke this message' },
+    livingVoices:    { label: 'living voices' },
+    voicesAbove:     { label: 'voices with influence over', over: 50 },
+    voicesBelow:     { label: 'voices with influence under', over: 20 },
+    silentVoices:    { label: 'voices silent for more messages than', over: 8 },
+    agitatedVoices:  { label: 'agitated voices' },
+    relatedVoices:   { label: 'voices with opinions of each other' },
+    narratorSilence: { label: 'messages since the narrator spoke' },
+    coherence:       { label: 'narrator coherence' },
+};
+
+export const NARRATOR_OPERATORS = ['<', '<=', '=', '>=', '>'];
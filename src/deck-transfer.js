@@ -0,0 +1,215 @@
+/**
+ * THE CHORUS — Deck Transfer
+ * Export a chat's deck to a versioned JSON file and import it into
+ * another chat, so a grown deck survives branches and new chats.
+ *
+ * Export carries voices (personality, thoughts, relationships,
+ * resolution, directory history), narrator state and logs.
+ *
+ * Import modes:
+ *   replace — the file's deck replaces this chat's deck
+ *   carry   — selected voices join this chat's deck (free slots only)
+ *
+ * Every imported voice gets a fresh ID. Inter-voice relationships,
+ * narrator opinions and log entries are remapped to the new IDs;
+ * references to voices that weren't imported are dropped.
+ */
+
+import { getContext } from '../../../../extensions.js';
+import { LOG_PREFIX } from './config.js';
+import {
+    extensionSettings,
+    getLivingVoices,
+    getTakenArcana,
+    getFreeArcana,
+    generateVoiceId,
+    getDeckSnapshot,
+    replaceDeck,
+    appendDeck,
+} from './state.js';
+
+export const DECK_FORMAT = 'the-chorus-deck';
+export const DECK_VERSION = 1;
+
+// =============================================================================
+// EXPORT
+// =============================================================================
+
+/**
+ * Build the export object for the current chat.
+ * @returns {Object|null} null if no chat is active
+ */
+export function buildDeckExport() {
+    const snapshot = getDeckSnapshot();
+    if (!snapshot) return null;
+
+    const ctx = getContext();
+    return {
+        format: DECK_FORMAT,
+        version: DECK_VERSION,
+        exportedAt: new Date().toISOString(),
+        source: {
+            persona: ctx.name1 || '',
+            character: ctx.name2 || '',
+            chatId: ctx.chatId || '',
+        },
+        ...snapshot,
+    };
+}
+
+/**
+ * Suggested file name: chorus-deck-<persona>-<date>.json
+ */
+export function getDeckFileName(data) {
+    const persona = (data?.source?.persona || 'deck').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+    const date = (data?.exportedAt || new Date().toISOString()).slice(0, 10);
+    return `chorus-deck-${persona || 'deck'}-${date}.json`;
+}
+
+// =============================================================================
+// PARSE
+// =============================================================================
+
+/**
+ * Parse and validate an exported deck file.
+ * @param {string} text - File contents
+ * @returns {Object} Deck data
+ * @throws {Error} With a user-facing message if the file isn't a usable deck
+ */
+export function parseDeckFile(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw new Error('Not a JSON file');
+    }
+
+    if (!data || data.format !== DECK_FORMAT) {
+        throw new Error('Not a Chorus deck export');
+    }
+    if (typeof data.version !== 'number') {
+        throw new Error('Deck export has no version');
+    }
+    if (data.version > DECK_VERSION) {
+        throw new Error(`Deck version ${data.version} is newer than this extension supports (${DECK_VERSION})`);
+    }
+    if (!Array.isArray(data.voices)) {
+        throw new Error('Deck has no voices');
+    }
+
+    data.voices = data.voices.filter(v => v && typeof v === 'object' && v.id && v.name);
+    return data;
+}
+
+// =============================================================================
+// IMPORT
+// =============================================================================
+
+/**
+ * Rewrite a voice for this chat: new ID, remapped relationship keys.
+ */
+function remapVoice(voice, idMap) {
+    const relationships = {};
+    for (const [otherId, bond] of Object.entries(voice.relationships || {})) {
+        if (idMap.has(otherId)) relationships[idMap.get(otherId)] = bond;
+    }
+
+    return {
+        ...voice,
+        id: idMap.get(voice.id),
+        relationships,
+        birthMessageId: null, // Message index from the source chat
+        boundTo: null,        // Imported copies don't carry a persona binding
+    };
+}
+
+function remapKeys(obj, idMap) {
+    const out = {};
+    for (const [id, value] of Object.entries(obj || {})) {
+        if (idMap.has(id)) out[idMap.get(id)] = value;
+    }
+    return out;
+}
+
+/**
+ * Remap voiceId on log-style entries.
+ * Entries for voices that weren't imported are dropped, or kept unlinked
+ * (voiceId null) with keepUnknown — a replaced deck keeps its full history.
+ * Message links (mesId) point into the source chat, so they're dropped.
+ */
+function remapEntries(entries, idMap, { keepUnknown = false } = {}) {
+    return (Array.isArray(entries) ? entries : [])
+        .filter(entry => entry && (keepUnknown || !entry.voiceId || idMap.has(entry.voiceId)))
+        .map(entry => {
+            const copy = entry.voiceId ? { ...entry, voiceId: idMap.get(entry.voiceId) || null } : { ...entry };
+            delete copy.mesId;
+            return copy;
+        });
+}
+
+/**
+ * Import a parsed deck into the current chat.
+ * @param {Object} data - From parseDeckFile
+ * @param {Object} [options]
+ * @param {string} [options.mode] - 'replace' | 'carry'
+ * @param {string[]} [options.voiceIds] - Voices to carry over (source IDs; carry mode)
+ * @returns {Object} { imported: voice[], skipped: number }
+ */
+export function importDeck(data, { mode = 'replace', voiceIds = [] } = {}) {
+    let selected = mode === 'replace'
+        ? data.voices
+        : data.voices.filter(v => voiceIds.includes(v.id));
+    let skipped = 0;
+
+    // Carried living voices only fill free slots, one voice per arcana —
+    // a voice whose card is held moves to a free one, or stays behind
+    if (mode === 'carry') {
+        let free = (extensionSettings.maxVoices || 7) - getLivingVoices().length;
+        const taken = new Set(getTakenArcana());
+        selected = selected.flatMap(v => {
+            if (v.state === 'dead') return [v];
+            if (free <= 0) {
+                skipped++;
+                return [];
+            }
+
+            const arcana = taken.has(v.arcana)
+                ? getFreeArcana(v.depth, v.birthType).find(k => !taken.has(k))
+                : v.arcana;
+            if (!arcana) {
+                skipped++;
+                return [];
+            }
+
+            free--;
+            taken.add(arcana);
+            return [arcana === v.arcana ? v : { ...v, arcana }];
+        });
+    }
+
+    const idMap = new Map(selected.map(v => [v.id, generateVoiceId()]));
+    const voices = selected.map(v => remapVoice(v, idMap));
+
+    if (mode === 'replace') {
+        replaceDeck({
+            voices,
+            narrator: {
+                ...(data.narrator || {}),
+                voiceOpinions: remapKeys(data.narrator?.voiceOpinions, idMap),
+            },
+            birthLog: remapEntries(data.birthLog, idMap, { keepUnknown: true }),
+            deathLog: remapEntries(data.deathLog, idMap, { keepUnknown: true }),
+            councilHistory: remapEntries(data.councilHistory, idMap, { keepUnknown: true }),
+        });
+    } else {
+        appendDeck({
+            voices,
+            voiceOpinions: remapKeys(data.narrator?.voiceOpinions, idMap),
+            birthLog: remapEntries(data.birthLog, idMap),
+            deathLog: remapEntries(data.deathLog, idMap),
+        });
+    }
+
+    console.log(`${LOG_PREFIX} Deck import (${mode}): ${voices.length} voices${skipped ? `, ${skipped} skipped (no free slot or card)` : ''}`);
+    return { imported: voices, skipped };
+}
@@ -0,0 +1,166 @@
+/**
+ * THE CHORUS — Macros
+ * {{chorus_...}} macros so character cards, author's notes and world info
+ * can reference the chorus.
+ *
+ *   {{chorus_voices}}           — living voice names, comma-separated
+ *   {{chorus_dominant}}         — name of the most influential voice
+ *   {{chorus_dominant_line}}    — that voice's latest line
+ *   {{chorus_escalation}}       — calm | rising | elevated | crisis
+ *   {{chorus_reading}}          — last reading, one "Name (Position): text" per card
+ *   {{chorus_coherence}}        — narrator coherence, 0-100
+ *   {{chorus_narrator}}         — narrator archetype name
+ *   {{chorus_thoughts_<name>}}  — a voice's current thoughts, one per line
+ *                                 (<name> is the voice name without "The",
+ *                                  lowercase, non-letters as underscores:
+ *                                  "The Burnt Letter" → chorus_thoughts_burnt_letter)
+ *
+ * Values are read at substitution time. Per-voice macros follow the deck —
+ * call syncVoiceMacros() when the chat changes or before a generation.
+ */
+
+import { getContext } from '../../../../extensions.js';
+import { LOG_PREFIX } from './config.js';
+import {
+    extensionSettings,
+    hasActiveChat,
+    getLivingVoices,
+    getVoiceById,
+    getEscalation,
+    getLastReading,
+} from './state.js';
+import { getCoherence, getArchetypeInfo } from './voices/narrator.js';
+
+// Per-voice macro keys currently registered → voice id
+let voiceMacros = new Map();
+
+// =============================================================================
+// VALUES
+// =============================================================================
+
+/**
+ * Macro values are empty when the extension is off or no chat is open.
+ */
+function available() {
+    return extensionSettings.enabled && hasActiveChat();
+}
+
+function getDominantVoice() {
+    const living = getLivingVoices();
+    if (living.length === 0) return null;
+    return living.reduce((top, v) => (v.influence > top.influence ? v : top), living[0]);
+}
+
+function formatReading(reading) {
+    if (!reading?.cards?.length) return '';
+    return reading.cards.map(card => {
+        const position = card.positionName ? ` (${card.positionName}${card.reversed ? ', reversed' : ''})` : '';
+        return `${card.name}${position}: ${card.text}`;
+    }).join('\n');
+}
+
+function formatThoughts(voice) {
+    if (!voice?.thoughts) return '';
+    return Object.values(voice.thoughts).filter(Boolean).join('\n');
+}
+
+const STATIC_MACROS = {
+    chorus_voices: {
+        description: 'Living Chorus voice names, comma-separated',
+        value: () => getLivingVoices().map(v => v.name).join(', '),
+    },
+    chorus_dominant: {
+        description: 'Name of the most influential Chorus voice',
+        value: () => getDominantVoice()?.name || '',
+    },
+    chorus_dominant_line: {
+        description: 'Latest line from the most influential Chorus voice',
+        value: () => getDominantVoice()?.lastCommentary || '',
+    },
+    chorus_escalation: {
+        description: 'Chorus escalation level (calm, rising, elevated, crisis)',
+        value: () => getEscalation(),
+    },
+    chorus_reading: {
+        description: 'Text of the last Chorus card reading',
+        value: () => formatReading(getLastReading()),
+    },
+    chorus_coherence: {
+        description: 'Chorus narrator coherence (0-100)',
+        value: () => String(getCoherence()),
+    },
+    chorus_narrator: {
+        description: 'Chorus narrator archetype name',
+        value: () => getArchetypeInfo().name,
+    },
+};
+
+// =============================================================================
+// REGISTRATION
+// =============================================================================
+
+/**
+ * Macro key for a voice's thoughts.
+ * @param {string} name - Voice name ("The Burnt Letter")
+ * @returns {string} "chorus_thoughts_burnt_letter"
+ */
+function voiceMacroKey(name) {
+    const slug = String(name || '')
+        .toLowerCase()
+        .replace(/^the\s+/, '')
+        .replace(/[^a-z0-9]+/g, '_')
+        .replace(/^_+|_+$/g, '');
+    return slug ? `chorus_thoughts_${slug}` : '';
+}
+
+/**
+ * Register the fixed macros (call once on init).
+ */
+export function registerMacros() {
+    const ctx = getContext();
+    if (typeof ctx.registerMacro !== 'function') {
+        console.warn(`${LOG_PREFIX} Macro API not available`);
+        return;
+    }
+
+    for (const [key, macro] of Object.entries(STATIC_MACROS)) {
+        ctx.registerMacro(key, () => (available() ? macro.value() : ''), macro.description);
+    }
+
+    syncVoiceMacros();
+    console.log(`${LOG_PREFIX} Registered ${Object.keys(STATIC_MACROS).length} macros`);
+}
+
+/**
+ * Bring the per-voice thought macros in line with the living deck:
+ * register new voices, drop dissolved ones and other chats' voices.
+ */
+export function syncVoiceMacros() {
+    const ctx = getContext();
+    if (typeof ctx.registerMacro !== 'function') return;
+
+    const wanted = new Map();
+    if (available()) {
+        for (const voice of getLivingVoices()) {
+            const key = voiceMacroKey(voice.name);
+            if (key && !wanted.has(key)) wanted.set(key, voice.id);
+        }
+    }
+
+    for (const [key, voiceId] of voiceMacros) {
+        if (wanted.get(key) === voiceId) continue;
+        if (typeof ctx.unregisterMacro === 'function') {
+            ctx.unregisterMacro(key);
+        } else {
+            // Older ST can't unregister — leave the key returning nothing
+            ctx.registerMacro(key, '');
+        }
+    }
+
+    for (const [key, voiceId] of wanted) {
+        if (voiceMacros.get(key) === voiceId) continue;
+        ctx.registerMacro(key, () => (available() ? formatThoughts(getVoiceById(voiceId)) : ''), `Current thoughts of the Chorus voice ${getVoiceById(voiceId)?.name || key}`);
+    }
+
+    voiceMacros = wanted;
+}
@@ -0,0 +1,299 @@
+/**
+ * THE CHORUS — Request Service
+ * Every LLM call in the extension goes through here.
+ *
+ * Handles:
+ *   - Connection profile resolution (main profile + per-subsystem overrides)
+ *   - Per-subsystem max-token budgets
+ *   - Abort signals (chat switch / new message cancels in-flight calls)
+ *   - Per-call-type timeouts
+ *   - Retry with exponential backoff on transient failures (rate limits, 5xx, network)
+ *   - One error shape: ChorusRequestError with a `kind` the UI can branch on
+ *   - Usage accounting — every completed call is recorded under its subsystem
+ *
+ * Failures (except aborts) are announced with a `chorus:requestError`
+ * document event so the UI can surface them in one place.
+ */
+
+import { getContext } from '../../../../extensions.js';
+import { LOG_PREFIX } from './config.js';
+import { extensionSettings } from './state.js';
+import { recordUsage } from './accounting.js';
+
+// =============================================================================
+// CALL TYPES
+// =============================================================================
+
+/**
+ * Per-subsystem request behavior.
+ *   timeout      — ms before a single attempt is abandoned
+ *   retries      — extra attempts on transient failures / timeouts
+ *   maxTokens    — built-in budget for the subsystem's main call
+ *   settingsFrom — use another call type's profile + budget settings
+ */
+export const CALL_TYPES = {
+    classifier: { label: 'Classifier', timeout: 30000,  retries: 2, maxTokens: 400 },
+    sidebar:    { label: 'Sidebar',    timeout: 60000,  retries: 1, maxTokens: 600 },
+    combined:   { label: 'Combined',   timeout: 90000,  retries: 1, maxTokens: 900, settingsFrom: 'sidebar' },
+    spread:     { label: 'Spreads',    timeout: 60000,  retries: 1, maxTokens: 300 },
+    birth:      { label: 'Births',     timeout: 120000, retries: 1, maxTokens: 800 },
+    narrator:   { label: 'Narrator',   timeout: 45000,  retries: 1, maxTokens: 150 },
+    directory:  { label: 'Directory',  timeout: 90000,  retries: 1, maxTokens: 600 },
+    council:    { label: 'Council',    timeout: 90000,  retries: 1, maxTokens: 600 },
+    outreach:   { label: 'Outreach',   timeout: 45000,  retries: 1, maxTokens: 200 },
+};
+
+const DEFAULT_CALL_TYPE = { label: 'Request', timeout: 60000, retries: 1, maxTokens: 500 };
+
+// Backoff: 1s, 2s, 4s … plus a little jitter
+const BACKOFF_BASE_MS = 1000;
+const BACKOFF_JITTER_MS = 400;
+
+// Messages that look like rate limits, overload or network trouble
+const TRANSIENT_PATTERN = /\b(408|429|500|502|503|504|529)\b|rate.?limit|overloaded|too many requests|temporarily|network|failed to fetch|ECONNRESET|ETIMEDOUT|socket hang up/i;
+const TRANSIENT_STATUS = [408, 429, 500, 502, 503, 504, 529];
+
+// =============================================================================
+// ERRORS
+// =============================================================================
+
+/**
+ * Build a ChorusRequestError.
+ * @param {string} kind - 'abort' | 'timeout' | 'unavailable' | 'no_profile' | 'transient' | 'failed'
+ * @param {string} message - Human-readable message
+ * @param {Object} [details] - { callType, attempts, cause }
+ * @returns {Error}
+ */
+export function createRequestError(kind, message, { callType = null, attempts = 0, cause = null } = {}) {
+    const error = new Error(message);
+    error.name = 'ChorusRequestError';
+    error.kind = kind;
+    error.callType = callType;
+    error.attempts = attempts;
+    if (cause) error.cause = cause;
+    return error;
+}
+
+export function isRequestError(e) {
+    return e?.name === 'ChorusRequestError';
+}
+
+/**
+ * True for our own aborts and raw AbortErrors alike.
+ */
+export function isAbortError(e) {
+    return e?.kind === 'abort' || e?.name === 'AbortError';
+}
+
+/**
+ * Wrap whatever the connection manager threw into a ChorusRequestError.
+ */
+function toRequestError(e, callType, attempts) {
+    if (isRequestError(e)) {
+        e.attempts = attempts;
+        return e;
+    }
+
+    if (e?.name === 'AbortError') {
+        return createRequestError('abort', 'Request aborted', { callType, attempts, cause: e });
+    }
+
+    const message = e?.message || String(e);
+    const status = e?.status ?? e?.response?.status;
+    const transient = TRANSIENT_STATUS.includes(status) || TRANSIENT_PATTERN.test(message);
+
+    return createRequestError(transient ? 'transient' : 'failed', message, { callType, attempts, cause: e });
+}
+
+// =============================================================================
+// PROFILE RESOLUTION
+// =============================================================================
+
+/**
+ * Resolve the connection profile ID for a call type.
+ * Per-subsystem override first, then the main connection setting.
+ * Settings may hold a profile ID or (older saves) a profile name.
+ */
+function resolveProfileId(callType) {
+    const ctx = getContext();
+    const connectionManager = ctx.extensionSettings?.connectionManager;
+    if (!connectionManager) return null;
+
+    const overrideKey = CALL_TYPES[callType]?.settingsFrom || callType;
+    const override = extensionSettings.profileOverrides?.[overrideKey];
+    const profileName = override || extensionSettings.connectionProfile || 'current';
+
+    if (profileName === 'current' || profileName === 'default') {
+        return connectionManager.selectedProfile;
+    }
+
+    const profile = connectionManager.profiles?.find(p => p.id === profileName || p.name === profileName);
+    return profile ? profile.id : connectionManager.selectedProfile;
+}
+
+// =============================================================================
+// TOKEN BUDGETS
+// =============================================================================
+
+/**
+ * Resolve max tokens for a call.
+ * Call sites pass their built-in size; a subsystem budget setting rescales
+ * it relative to the subsystem's main call, so a birth budget of 1600
+ * doubles both single births (800) and persona extraction (4500).
+ */
+function resolveMaxTokens(callType, requested) {
+    const key = CALL_TYPES[callType]?.settingsFrom || callType;
+    const budget = extensionSettings.tokenBudgets?.[key];
+    const reference = CALL_TYPES[key]?.maxTokens;
+    if (!budget || !reference) return requested;
+
+    return Math.max(32, Math.round(requested * (budget / reference)));
+}
+
+// =============================================================================
+// SEND
+// =============================================================================
+
+function throwIfAborted(signal, callType, attempts) {
+    if (signal?.aborted) {
+        throw createRequestError('abort', 'Request aborted', { callType, attempts });
+    }
+}
+
+/**
+ * Wait out a backoff delay, bailing early if the caller aborts.
+ */
+function backoff(ms, signal) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(new DOMException('Aborted', 'AbortError'));
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * One attempt, raced against the timeout and the caller's signal.
+ * The connection manager gets its own signal so it can cancel the fetch;
+ * the race covers backends that ignore it.
+ */
+async function attemptOnce(ctx, profileId, messages, maxTokens, timeout, signal, callType) {
+    const controller = new AbortController();
+    let timedOut = false;
+
+    const timer = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+    }, timeout);
+    const onAbort = () => controller.abort();
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    const aborted = new Promise((_, reject) => {
+        controller.signal.addEventListener('abort', () => {
+            reject(new DOMException('Aborted', 'AbortError'));
+        }, { once: true });
+    });
+
+    try {
+        const request = ctx.ConnectionManagerRequestService.sendRequest(
+            profileId,
+            messages,
+            maxTokens,
+            {
+                extractData: true,
+                includePreset: false,
+                includeInstruct: false,
+                signal: controller.signal,
+            },
+            {},
+        );
+
+        return await Promise.race([request, aborted]);
+    } catch (e) {
+        if (timedOut) {
+            throw createRequestError('timeout', `${CALL_TYPES[callType]?.label || callType} request timed out after ${Math.round(timeout / 1000)}s`, { callType, cause: e });
+        }
+        throw e;
+    } finally {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+    }
+}
+
+/**
+ * Announce a final failure so the UI can react (toast, status, etc).
+ */
+function announceFailure(error) {
+    if (error.kind === 'abort') return;
+    $(document).trigger('chorus:requestError', [error]);
+}
+
+/**
+ * Send a request through the connection manager.
+ * @param {string} callType - Key of CALL_TYPES (classifier, sidebar, spread, …)
+ * @param {Object[]} messages - Chat-completion style messages
+ * @param {number} [maxTokens] - Built-in response cap (defaults to the call type's; scaled by budget settings)
+ * @param {Object} [options] - { signal: AbortSignal }
+ * @returns {Promise<string>} Response text ('' if the model returned nothing)
+ * @throws {Error} ChorusRequestError
+ */
+export async function sendChorusRequest(callType, messages, maxTokens = null, { signal = null } = {}) {
+    const ctx = getContext();
+    const def = CALL_TYPES[callType] || DEFAULT_CALL_TYPE;
+    const tokens = resolveMaxTokens(callType, maxTokens || def.maxTokens);
+
+    if (!ctx.ConnectionManagerRequestService) {
+        const error = createRequestError('unavailable', 'ConnectionManagerRequestService not available', { callType });
+        announceFailure(error);
+        throw error;
+    }
+
+    const profileId = resolveProfileId(callType);
+    if (!profileId) {
+        const error = createRequestError('no_profile', 'No connection profile available', { callType });
+        announceFailure(error);
+        throw error;
+    }
+
+    let attempt = 0;
+    while (true) {
+        attempt++;
+        try {
+            throwIfAborted(signal, callType, attempt);
+
+            const response = await attemptOnce(ctx, profileId, messages, tokens, def.timeout, signal, callType);
+
+            // Finished, but the caller moved on while it was in flight
+            throwIfAborted(signal, callType, attempt);
+
+            const text = typeof response === 'string' ? response : response?.content || '';
+            recordUsage(CALL_TYPES[callType]?.settingsFrom || callType, messages, text);
+            return text;
+        } catch (e) {
+            const error = toRequestError(e, callType, attempt);
+            const retryable = error.kind === 'transient' || error.kind === 'timeout';
+
+            if (!retryable || attempt > def.retries) {
+                if (error.kind !== 'abort') {
+                    console.error(`${LOG_PREFIX} ${def.label} request failed (${error.kind}, ${attempt} attempt${attempt > 1 ? 's' : ''}):`, error.message);
+                }
+                announceFailure(error);
+                throw error;
+            }
+
+            const delay = BACKOFF_BASE_MS * 2 ** (attempt - 1) + Math.random() * BACKOFF_JITTER_MS;
+            console.warn(`${LOG_PREFIX} ${def.label} request ${error.kind} — retry ${attempt}/${def.retries} in ${Math.round(delay)}ms`);
+
+            try {
+                await backoff(delay, signal);
+            } catch (abortErr) {
+                throw toRequestError(abortErr, callType, attempt);
+            }
+        }
+    }
+}
@@ -0,0 +1,280 @@
+/**
+ * THE CHORUS — Slash Commands
+ * Drive the chorus from the chat input, STscript and Quick Replies.
+ *
+ *   /chorus-draw [single|three|cross]   — draw a reading, returns the card text
+ *   /chorus-dm <voice>                  — open a voice's directory
+ *   /chorus-council <text>              — speak into the council, returns the replies
+ *   /chorus-tone [key]                  — set or get the tone anchor
+ *   /chorus-narrator [key]              — set or get the narrator archetype
+ *   /chorus-deck                        — list the living voices
+ *   /chorus-dissolve <voice>            — dissolve a voice
+ *   /chorus-extract                     — extract voices from the persona into free slots
+ *
+ * Voices are matched by name, case-insensitive, with or without "The".
+ * Every command returns text (empty string on failure) so it can be piped.
+ */
+
+import { getContext } from '../../../../extensions.js';
+import { LOG_PREFIX } from './config.js';
+import {
+    extensionSettings,
+    saveSettings,
+    hasActiveChat,
+    getLivingVoices,
+    getArcana,
+} from './state.js';
+import { initializeFromPersona } from './voices/voice-engine.js';
+import { drawReading } from './ui/reading.js';
+import { dissolveVoice } from './ui/deck.js';
+import { playAwakening } from './ui/animations.js';
+import { refreshUI } from './ui/panel.js';
+import { openDirectory } from './social/directory.js';
+import { sendCouncilMessage } from './social/council.js';
+import { getToneAnchors } from './voices/tone.js';
+import { getNarratorArchetypes } from './voices/archetypes.js';
+
+const SPREAD_TYPES = ['single', 'three', 'cross'];
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+function warn(message) {
+    toastr.warning(message, 'The Chorus', { timeOut: 2500 });
+    return '';
+}
+
+/**
+ * Commands need the extension running and a chat open.
+ */
+function isReady() {
+    if (!extensionSettings.enabled) {
+        warn('The Chorus is disabled');
+        return false;
+    }
+    if (!hasActiveChat()) {
+        warn('No active chat');
+        return false;
+    }
+    return true;
+}
+
+function normalizeName(name) {
+    return String(name || '').trim().toLowerCase().replace(/^the\s+/, '');
+}
+
+/**
+ * Find a living voice by name ("The Archivist", "archivist", …).
+ * Exact match first, then a unique prefix.
+ */
+function findVoiceByName(name) {
+    const wanted = normalizeName(name);
+    if (!wanted) return null;
+
+    const voices = getLivingVoices();
+    const exact = voices.find(v => normalizeName(v.name) === wanted);
+    if (exact) return exact;
+
+    const partial = voices.filter(v => normalizeName(v.name).startsWith(wanted));
+    return partial.length === 1 ? partial[0] : null;
+}
+
+function formatCard(card) {
+    const position = card.positionName ? ` (${card.positionName}${card.reversed ? ', reversed' : ''})` : '';
+    return `${card.name}${position}: ${card.text}`;
+}
+
+// =============================================================================
+// COMMANDS
+// =============================================================================
+
+async function cmdDraw(args, value) {
+    if (!isReady()) return '';
+
+    const spreadType = String(value || '').trim().toLowerCase() || 'single';
+    if (!SPREAD_TYPES.includes(spreadType)) {
+        return warn(`Unknown spread "${spreadType}" — use ${SPREAD_TYPES.join(', ')}`);
+    }
+    if (getLivingVoices().length === 0) return warn('No voices available to draw');
+
+    try {
+        const result = await drawReading(spreadType);
+        if (!result) return warn('Draw returned no result');
+
+        const cards = result.cards || [result];
+        return cards.filter(c => !c.silent && c.text).map(formatCard).join('\n');
+    } catch (e) {
+        console.error(`${LOG_PREFIX} /chorus-draw failed:`, e);
+        return warn(`Draw failed: ${e.message}`);
+    }
+}
+
+function cmdDirectory(args, value) {
+    if (!isReady()) return '';
+
+    const voice = findVoiceByName(value);
+    if (!voice) return warn(`No living voice named "${value}"`);
+
+    openDirectory(voice.id);
+    return voice.name;
+}
+
+async function cmdCouncil(args, value) {
+    if (!isReady()) return '';
+    if (!value || !String(value).trim()) return warn('Say something to the council');
+    if (getLivingVoices().length === 0) return warn('No voices to hear you');
+
+    const replies = await sendCouncilMessage(String(value));
+    return replies.map(m => `${m.name}: ${m.content}`).join('\n');
+}
+
+function cmdTone(args, value) {
+    const key = String(value || '').trim().toLowerCase();
+    if (!key) return extensionSettings.toneAnchor || 'raw';
+
+    const anchors = getToneAnchors();
+    if (!anchors[key]) {
+        return warn(`Unknown tone "${key}" — use ${Object.keys(anchors).join(', ')}`);
+    }
+
+    extensionSettings.toneAnchor = key;
+    saveSettings();
+    $('#chorus-setting-tone').val(key);
+    console.log(`${LOG_PREFIX} Tone anchor: ${key}`);
+    return key;
+}
+
+function cmdNarrator(args, value) {
+    const key = String(value || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+    if (!key) return extensionSettings.narratorArchetype || 'stage_manager';
+
+    const archetypes = getNarratorArchetypes();
+    if (!archetypes[key]) {
+        return warn(`Unknown narrator "${key}" — use ${Object.keys(archetypes).join(', ')}`);
+    }
+
+    extensionSettings.narratorArchetype = key;
+    saveSettings();
+    $('#chorus-setting-narrator').val(key);
+    return key;
+}
+
+function cmdDeck() {
+    if (!isReady()) return '';
+
+    return getLivingVoices()
+        .map(v => `${v.name} — ${getArcana(v.arcana).name}${v.reversed ? ' (reversed)' : ''}, ${v.relationship || 'curious'}, influence ${v.influence}`)
+        .join('\n');
+}
+
+async function cmdDissolve(args, value) {
+    if (!isReady()) return '';
+
+    const voice = findVoiceByName(value);
+    if (!voice) return warn(`No living voice named "${value}"`);
+
+    const dissolved = await dissolveVoice(voice.id);
+    return dissolved ? voice.name : '';
+}
+
+async function cmdExtract() {
+    if (!isReady()) return '';
+
+    const born = await initializeFromPersona({ force: true });
+    if (born.length === 0) return warn('Nothing extracted — deck full or no persona data');
+
+    for (const voice of born) {
+        await playAwakening(voice);
+        await new Promise(r => setTimeout(r, 400));
+    }
+    refreshUI();
+
+    return born.map(v => v.name).join('\n');
+}
+
+// =============================================================================
+// REGISTRATION
+// =============================================================================
+
+/**
+ * Register all /chorus-* commands (call once on init).
+ */
+export function registerSlashCommands() {
+    const ctx = getContext();
+    const { SlashCommandParser, SlashCommand, SlashCommandArgument, SlashCommandEnumValue, ARGUMENT_TYPE } = ctx;
+    if (!SlashCommandParser || !SlashCommand || !SlashCommandArgument) {
+        console.warn(`${LOG_PREFIX} Slash command API not available`);
+        return;
+    }
+
+    // enumProvider is read on every autocomplete, so lists that grow
+    // (custom tones, built narrators) stay current
+    const arg = (description, { required = false, enumList, enumProvider } = {}) => SlashCommandArgument.fromProps({
+        description,
+        typeList: [ARGUMENT_TYPE.STRING],
+        isRequired: required,
+        ...(enumList ? { enumList } : {}),
+        ...(enumProvider ? {
+            enumProvider: () => enumProvider().map(value => (SlashCommandEnumValue ? new SlashCommandEnumValue(value) : value)),
+        } : {}),
+    });
+
+    const commands = [
+        {
+            name: 'chorus-draw',
+            callback: cmdDraw,
+            unnamedArgumentList: [arg('spread type', { enumList: SPREAD_TYPES })],
+            helpString: 'Draw a Chorus reading (single, three or cross). Returns one line per card.',
+        },
+        {
+            name: 'chorus-dm',
+            callback: cmdDirectory,
+            unnamedArgumentList: [arg('voice name', { required: true })],
+            helpString: 'Open a voice\'s directory by name. Returns the voice name.',
+        },
+        {
+            name: 'chorus-council',
+            callback: cmdCouncil,
+            unnamedArgumentList: [arg('message', { required: true })],
+            helpString: 'Speak into the council. Returns the voices\' replies, one per line.',
+        },
+        {
+            name: 'chorus-tone',
+            callback: cmdTone,
+            unnamedArgumentList: [arg('tone anchor', { enumProvider: () => Object.keys(getToneAnchors()) })],
+            helpString: 'Set the Chorus tone anchor. Without an argument, returns the current one.',
+        },
+        {
+            name: 'chorus-narrator',
+            callback: cmdNarrator,
+            unnamedArgumentList: [arg('narrator archetype', { enumProvider: () => Object.keys(getNarratorArchetypes()) })],
+            helpString: 'Set the narrator archetype. Without an argument, returns the current one.',
+        },
+        {
+            name: 'chorus-deck',
+            callback: cmdDeck,
+            helpString: 'List the living voices — name, arcana, relationship, influence — one per line.',
+        },
+        {
+            name: 'chorus-dissolve',
+            callback: cmdDissolve,
+            unnamedArgumentList: [arg('voice name', { required: true })],
+            helpString: 'Dissolve a voice by name. Returns the voice name.',
+        },
+        {
+            name: 'chorus-extract',
+            callback: cmdExtract,
+            helpString: 'Extract voices from the persona card into free deck slots. Returns the new voice names.',
+        },
+    ];
+
+    for (const command of commands) {
+        SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+            ...command,
+            returns: 'text',
+        }));
+    }
+
+    console.log(`${LOG_PREFIX} Registered ${commands.length} slash commands`);
+}
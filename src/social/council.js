@@ -16,7 +16,7 @@
  *   - User types → all voices get fresh reaction, timer resets
  *   - Idle awareness: voices notice extended silence
  *   - Voice-to-voice relationships emerge from hidden dynamics
- *   - Only generates when council tab is active
+ *   - Only generates when council tab is active (or on /chorus-council)
  *
  * Context scope:
  *   - All voices' full personas
@@ -27,8 +27,10 @@
 
 import { getContext } from '../../../../../extensions.js';
 import {
-    TONE_ANCHORS, LOG_PREFIX,
+    LOG_PREFIX,
+    VOICE_BONDS,
 } from '../config.js';
+import { sendChorusRequest } from '../request-service.js';
 import {
     extensionSettings,
     getLivingVoices,
@@ -42,7 +44,11 @@ import {
     adjustInfluence,
     saveChatState,
     serializeThoughts,
+    logEvent,
 } from '../state.js';
+import { getMessageSpeaker, formatBirthCast, formatCharacterStances } from '../voices/scene.js';
+import { getToneDescription, getVoiceToneLine } from '../voices/tone.js';
+import { formatRelationship } from '../voices/relationships.js';
 
 // =============================================================================
 // STATE
@@ -55,54 +61,10 @@ let silentTurns = 0;           // Turns since user last spoke
 let totalTurns = 0;            // Total auto-generated turns this session
 let hasHadInitialBurst = false; // Whether we've done the opening burst
 
-// =============================================================================
-// CONNECTION (same pattern as directory/outreach)
-// =============================================================================
-
-function getProfileId() {
-    const ctx = getContext();
-    const connectionManager = ctx.extensionSettings?.connectionManager;
-    if (!connectionManager) return null;
-
-    const profileName = extensionSettings.connectionProfile || 'current';
-    if (profileName === 'current' || profileName === 'default') {
-        return connectionManager.selectedProfile;
-    }
-
-    const profile = connectionManager.profiles?.find(p => p.name === profileName);
-    return profile ? profile.id : connectionManager.selectedProfile;
-}
-
-async function sendRequest(messages, maxTokens = 800) {
-    const ctx = getContext();
-    if (!ctx.ConnectionManagerRequestService) {
-        throw new Error('ConnectionManagerRequestService not available');
-    }
-
-    const profileId = getProfileId();
-    if (!profileId) throw new Error('No connection profile available');
-
-    const response = await ctx.ConnectionManagerRequestService.sendRequest(
-        profileId,
-        messages,
-        maxTokens,
-        { extractData: true, includePreset: false, includeInstruct: false },
-        {},
-    );
-
-    return response?.content || response || '';
-}
-
 // =============================================================================
 // CONTEXT BUILDERS
 // =============================================================================
 
-function getToneDescription() {
-    const key = extensionSettings.toneAnchor || 'raw';
-    const tone = TONE_ANCHORS[key];
-    return tone ? `${tone.name}: ${tone.description}` : 'Raw: Conversational, profane, blunt.';
-}
-
 function getPersonaExcerpt() {
     try {
         const ctx = getContext();
@@ -117,10 +79,7 @@ function getRecentScene() {
     try {
         const ctx = getContext();
         const chat = ctx.chat || [];
-        return chat.slice(-3).map(m => {
-            const who = m.is_user ? '{{user}}' : '{{char}}';
-            return `${who}: ${(m.mes || '').substring(0, 250)}`;
-        }).join('\n');
+        return chat.slice(-3).map(m => `${getMessageSpeaker(m)}: ${(m.mes || '').substring(0, 250)}`).join('\n');
     } catch { return ''; }
 }
 
@@ -132,12 +91,14 @@ function buildVoiceRoster(voices) {
         const arc = getArcana(v.arcana);
         const voiceRelationships = v.relationships || {};
         const relLines = Object.entries(voiceRelationships)
-            .map(([otherId, opinion]) => {
+            .map(([otherId, bond]) => {
                 const other = getVoiceById(otherId);
-                return other ? `  → ${other.name}: ${opinion}` : null;
+                return other && other.state !== 'dead' ? `  → ${other.name}: ${formatRelationship(bond)}` : null;
             })
             .filter(Boolean)
             .join('\n');
+        const birthCast = formatBirthCast(v);
+        const stances = formatCharacterStances(v);
 
         return `---
 VOICE: ${v.name} (${arc.name})
@@ -150,6 +111,9 @@ Thinks In Terms Of: ${v.metaphorDomain || 'general'}
 Verbal Tic: ${v.verbalTic || 'N/A'}
 Relationship with {{user}}: ${v.relationship} | Influence: ${v.influence}/100
 Self-Awareness: ${v.selfAwareness || 'N/A'}
+${getVoiceToneLine(v)}
+${birthCast ? `Born With: ${birthCast}` : ''}
+${stances ? `Stance toward people in the scene:\n${stances}` : ''}
 ${(() => {
     const thoughtBlock = serializeThoughts(v.id);
     return thoughtBlock ? `Current Preoccupations:\n${thoughtBlock}` : '';
@@ -245,7 +209,8 @@ FORMAT:
 
 After all voice messages, on a NEW line, output voice-to-voice dynamics:
 [COUNCIL_DYNAMICS]
-voice_name → other_voice_name: brief_opinion_shift (e.g. "hostile — mocked their advice", "allied — backed them up", "dismissive — ignored them", "curious — intrigued by their point", "protective — defended them")
+voice_name → other_voice_name: stance — brief opinion (e.g. "predator — wants it gone, mocked its advice", "ally — backed them up", "rival — scoffed at their point", "indifferent — barely heard them", "protector — defended them")
+Stance is exactly one of: ${Object.keys(VOICE_BONDS.stances).join(', ')}. Separate dynamics with semicolons.
 
 Only include dynamics that actually changed this turn. If nothing shifted, write: [COUNCIL_DYNAMICS] none
 
@@ -263,7 +228,7 @@ Only include insights that are REAL and EARNED. Most turns have none. Write: [CO
         },
     ];
 
-    const response = await sendRequest(messages, 600);
+    const response = await sendChorusRequest('council', messages, 600);
     if (!response) return null;
 
     return parseCouncilResponse(response, voices);
@@ -275,14 +240,14 @@ Only include insights that are REAL and EARNED. Most turns have none. Write: [CO
 function parseCouncilResponse(raw, voices) {
     const lines = raw.split('\n').map(l => l.trim()).filter(Boolean);
     const voiceMessages = [];
-    let dynamicsRaw = '';
+    const dynamicsLines = [];
     let insightsRaw = '';
     let section = 'messages'; // messages | dynamics | insights
 
     for (const line of lines) {
         if (line.startsWith('[COUNCIL_DYNAMICS]')) {
             section = 'dynamics';
-            dynamicsRaw = line.replace('[COUNCIL_DYNAMICS]', '').trim();
+            dynamicsLines.push(line.replace('[COUNCIL_DYNAMICS]', '').trim());
             continue;
         }
         if (line.startsWith('[COUNCIL_INSIGHTS]')) {
@@ -292,7 +257,7 @@ function parseCouncilResponse(raw, voices) {
         }
 
         if (section === 'dynamics') {
-            dynamicsRaw += ' ' + line;
+            dynamicsLines.push(line); // One dynamic per line
             continue;
         }
         if (section === 'insights') {
@@ -325,7 +290,7 @@ function parseCouncilResponse(raw, voices) {
     }
 
     // Parse dynamics
-    const dynamics = parseDynamics(dynamicsRaw, voices);
+    const dynamics = parseDynamics(dynamicsLines, voices);
 
     // Parse insights
     const insights = parseInsights(insightsRaw, voices);
@@ -334,14 +299,16 @@ function parseCouncilResponse(raw, voices) {
 }
 
 /**
- * Parse [COUNCIL_DYNAMICS] block into relationship updates.
+ * Parse [COUNCIL_DYNAMICS] block lines into relationship updates.
  */
-function parseDynamics(raw, voices) {
-    if (!raw || raw === 'none') return [];
-
+function parseDynamics(lines, voices) {
     const updates = [];
-    // Match patterns like: voice_name → other_voice: opinion
-    const segments = raw.split(/[,;]/);
+    // Match patterns like: voice_name → other_voice: stance — opinion
+    // (older replies put several on one line, comma-separated, and may skip
+    // the stance). Each line splits on its own.
+    const segments = lines
+        .filter(line => line && line.toLowerCase() !== 'none')
+        .flatMap(line => (line.includes(';') ? line.split(';') : line.split(/,(?=[^,]*(?:→|->))/)));
 
     for (const seg of segments) {
         const match = seg.match(/(.+?)\s*(?:→|->)+\s*(.+?):\s*(.+)/);
@@ -349,7 +316,18 @@ function parseDynamics(raw, voices) {
 
         const fromName = match[1].trim();
         const toName = match[2].trim();
-        const opinion = match[3].trim();
+
+        // A leading stance word; without one the opinion's words are read (state.js readStance)
+        let stance = null;
+        let opinion = match[3].trim();
+        const lead = opinion.match(/^([a-z]+)\s*(?:—|–|-|:|\|)\s*(.*)$/i);
+        if (lead && VOICE_BONDS.stances[lead[1].toLowerCase()]) {
+            stance = lead[1].toLowerCase();
+            opinion = lead[2].trim();
+        } else if (VOICE_BONDS.stances[opinion.toLowerCase()]) {
+            stance = opinion.toLowerCase();
+            opinion = '';
+        }
 
         const fromVoice = voices.find(v =>
             v.name.toLowerCase().includes(fromName.toLowerCase()) ||
@@ -365,7 +343,8 @@ function parseDynamics(raw, voices) {
                 fromId: fromVoice.id,
                 toId: toVoice.id,
                 toName: toVoice.name,
-                opinion: opinion.substring(0, 60),
+                stance,
+                opinion: opinion.substring(0, 80),
             });
         }
     }
@@ -414,20 +393,25 @@ function parseInsights(raw, voices) {
 
 /**
  * Process a council turn — generate, store, render, update relationships + resolution.
+ * @returns {Promise<Object[]>} Messages spoken this turn ({ voiceId, name, content })
  */
 async function processCouncilTurn(userMessage = null) {
-    if (isGenerating || !isActive) return;
+    // User messages (e.g. /chorus-council) may arrive while the tab is closed
+    if (isGenerating || (!isActive && !userMessage)) return [];
     isGenerating = true;
 
     showThinking();
 
+    let spoken = [];
+
     try {
         const result = await generateCouncilMessages(userMessage);
         if (!result || result.messages.length === 0) {
             isGenerating = false;
             hideThinking();
-            return;
+            return [];
         }
+        spoken = result.messages;
 
         // Store messages in history
         const historyEntries = result.messages.map(m => ({
@@ -451,9 +435,10 @@ async function processCouncilTurn(userMessage = null) {
         // Apply dynamics (voice-to-voice relationships)
         if (result.dynamics && result.dynamics.length > 0) {
             for (const d of result.dynamics) {
-                updateVoiceRelationships(d.fromId, { [d.toId]: d.opinion });
+                updateVoiceRelationships(d.fromId, { [d.toId]: { stance: d.stance, opinion: d.opinion } });
             }
-            console.log(`${LOG_PREFIX} Council dynamics:`, result.dynamics.map(d => `${d.fromId} → ${d.toName}: ${d.opinion}`));
+            console.log(`${LOG_PREFIX} Council dynamics:`, result.dynamics.map(d => `${d.fromId} → ${d.toName}: ${d.stance || '?'} — ${d.opinion}`));
+            $(document).trigger('chorus:relationshipsChanged', [result.dynamics]);
         }
 
         // Apply insights (resolution progress from council breakthroughs)
@@ -471,9 +456,10 @@ async function processCouncilTurn(userMessage = null) {
                 const oldProgress = voice.resolution.progress || 0;
                 const newProgress = Math.min(100, oldProgress + progress);
 
+                logEvent('breakthrough', { voiceId: voice.id, name: voice.name, arcana: voice.arcana, text: ins.insight });
                 updateVoice(ins.voiceId, {
                     resolution: { ...voice.resolution, progress: newProgress },
-                });
+                }, 'insight');
 
                 console.log(`${LOG_PREFIX} Council insight: ${voice.name} resolution ${oldProgress} → ${newProgress} ("${ins.insight}")`);
             }
@@ -491,6 +477,7 @@ async function processCouncilTurn(userMessage = null) {
 
     hideThinking();
     isGenerating = false;
+    return spoken;
 }
 
 // =============================================================================
@@ -623,9 +610,11 @@ export function resetCouncil() {
 
 /**
  * Handle user sending a message to the council.
+ * @param {string} text
+ * @returns {Promise<Object[]>} Voice replies ({ voiceId, name, content })
  */
 export async function sendCouncilMessage(text) {
-    if (!text || !text.trim()) return;
+    if (!text || !text.trim()) return [];
 
     const cleaned = text.trim();
 
@@ -646,10 +635,12 @@ export async function sendCouncilMessage(text) {
     stopAutoTimer();
 
     // Generate voice reactions
-    await processCouncilTurn(cleaned);
+    const replies = await processCouncilTurn(cleaned);
 
-    // Resume auto-continue
-    startAutoTimer();
+    // Resume auto-continue (only while the tab is open)
+    if (isActive) startAutoTimer();
+
+    return replies;
 }
 
 // =============================================================================
@@ -20,10 +20,10 @@
 
 import { getContext } from '../../../../../extensions.js';
 import {
-    TONE_ANCHORS, LOG_PREFIX,
+    LOG_PREFIX,
 } from '../config.js';
+import { sendChorusRequest } from '../request-service.js';
 import {
-    extensionSettings,
     getVoiceById,
     getArcana,
     updateVoice,
@@ -31,7 +31,10 @@ import {
     clearPendingDM,
     saveChatState,
     serializeThoughts,
+    logEvent,
 } from '../state.js';
+import { getMessageSpeaker, formatBirthCast, formatCharacterStances } from '../voices/scene.js';
+import { getToneDescription } from '../voices/tone.js';
 
 // =============================================================================
 // STATE
@@ -41,62 +44,18 @@ let activeVoiceId = null;
 let isOpen = false;
 let isSending = false;
 
-// =============================================================================
-// CONNECTION
-// =============================================================================
-
-function getProfileId() {
-    const ctx = getContext();
-    const connectionManager = ctx.extensionSettings?.connectionManager;
-    if (!connectionManager) return null;
-
-    const profileName = extensionSettings.connectionProfile || 'current';
-    if (profileName === 'current' || profileName === 'default') {
-        return connectionManager.selectedProfile;
-    }
-
-    const profile = connectionManager.profiles?.find(p => p.name === profileName);
-    return profile ? profile.id : connectionManager.selectedProfile;
-}
-
-async function sendRequest(messages, maxTokens = 600) {
-    const ctx = getContext();
-    if (!ctx.ConnectionManagerRequestService) {
-        throw new Error('ConnectionManagerRequestService not available');
-    }
-
-    const profileId = getProfileId();
-    if (!profileId) throw new Error('No connection profile available');
-
-    const response = await ctx.ConnectionManagerRequestService.sendRequest(
-        profileId,
-        messages,
-        maxTokens,
-        { extractData: true, includePreset: false, includeInstruct: false },
-        {},
-    );
-
-    return response?.content || response || '';
-}
+/** The open session, for the chronicle: { exchanges, relationship, influence } at open */
+let session = null;
 
 // =============================================================================
 // CONTEXT
 // =============================================================================
 
-function getToneDescription() {
-    const key = extensionSettings.toneAnchor || 'raw';
-    const tone = TONE_ANCHORS[key];
-    return tone ? `${tone.name}: ${tone.description}` : 'Raw: Conversational, profane, blunt.';
-}
-
 function getRecentScene() {
     const ctx = getContext();
     const chat = ctx.chat || [];
     const recent = chat.slice(-3);
-    return recent.map(msg => {
-        const speaker = msg.is_user ? '{{user}}' : (msg.name || '{{char}}');
-        return `${speaker}: ${(msg.mes || '').substring(0, 300)}`;
-    }).join('\n\n');
+    return recent.map(msg => `${getMessageSpeaker(msg)}: ${(msg.mes || '').substring(0, 300)}`).join('\n\n');
 }
 
 function getPersonaExcerpt() {
@@ -116,14 +75,14 @@ function getPersonaExcerpt() {
  */
 function buildSystemPrompt(voice) {
     const arc = getArcana(voice.arcana);
-    const toneDesc = getToneDescription();
+    const toneDesc = getToneDescription(voice);
     const recentScene = getRecentScene();
     const persona = getPersonaExcerpt();
     const isConfront = voice.resolution?.type === 'confront';
 
     return `You are ${voice.name}, a fragment of {{user}}'s psyche. You are not a whole person — you are a piece of someone, born from a specific moment, carrying that weight ever since.
 
-CHAT TONE: ${toneDesc}
+TONE: ${toneDesc}
 Express yourself through this tone.
 
 YOUR IDENTITY:
@@ -143,6 +102,14 @@ Influence: ${voice.influence}/100
 
 BIRTH MEMORY — the moment that created you:
 ${voice.birthMoment || '(Unknown origin)'}
+${(() => {
+    const birthCast = formatBirthCast(voice);
+    const stances = formatCharacterStances(voice);
+    return [
+        birthCast ? `Who was there: ${birthCast}` : '',
+        stances ? `\nWHERE YOU STAND WITH THE PEOPLE IN THE STORY:\n${stances}` : '',
+    ].filter(Boolean).join('\n');
+})()}
 ${(() => {
     const thoughtBlock = serializeThoughts(voice.id);
     return thoughtBlock
@@ -281,7 +248,7 @@ function applyAssessment(voiceId, assessment) {
         if (driftOptions) {
             const newRel = driftOptions[assessment.relationshipShift];
             if (newRel && newRel !== current) {
-                updateVoice(voiceId, { relationship: newRel });
+                updateVoice(voiceId, { relationship: newRel }, 'directory');
                 console.log(`${LOG_PREFIX} Directory: ${voice.name} relationship ${current} → ${newRel} (${assessment.reason || ''})`);
             }
         }
@@ -290,7 +257,7 @@ function applyAssessment(voiceId, assessment) {
     // Influence shift
     if (assessment.influenceDelta) {
         const clamped = Math.max(-8, Math.min(8, assessment.influenceDelta));
-        adjustInfluence(voiceId, clamped);
+        adjustInfluence(voiceId, clamped, 'directory');
     }
 
     // Confront resolution progress
@@ -300,7 +267,7 @@ function applyAssessment(voiceId, assessment) {
             const newProgress = Math.min(100, oldProgress + assessment.confrontProgress);
             updateVoice(voiceId, {
                 resolution: { ...voice.resolution, progress: newProgress },
-            });
+            }, 'directory');
             console.log(`${LOG_PREFIX} Directory: ${voice.name} confront progress ${oldProgress} → ${newProgress}`);
         }
     }
@@ -323,7 +290,7 @@ async function sendToVoice(userMessage) {
 
     // Build and send
     const messages = buildMessages(voice, userMessage);
-    const responseText = await sendRequest(messages, 600);
+    const responseText = await sendChorusRequest('directory', messages, 600);
 
     // Parse
     const { text, assessment } = parseResponse(responseText);
@@ -339,6 +306,7 @@ async function sendToVoice(userMessage) {
     }
 
     updateVoice(activeVoiceId, { directoryHistory: history });
+    if (session) session.exchanges++;
 
     // Apply effects
     applyAssessment(activeVoiceId, assessment);
@@ -362,6 +330,7 @@ export function openDirectory(voiceId) {
 
     activeVoiceId = voiceId;
     isOpen = true;
+    session = { exchanges: 0, relationship: voice.relationship, influence: voice.influence };
 
     const arc = getArcana(voice.arcana);
     const $overlay = $('#chorus-directory-overlay');
@@ -401,6 +370,7 @@ export function openDirectory(voiceId) {
  * Close the directory chat.
  */
 export function closeDirectory() {
+    logSession();
     activeVoiceId = null;
     isOpen = false;
     // Blur input to dismiss mobile keyboard
@@ -412,6 +382,25 @@ export function closeDirectory() {
     $(document).trigger('chorus:directoryClose');
 }
 
+/**
+ * Log the closing session in the chronicle, if anything was said.
+ */
+function logSession() {
+    const voice = getVoiceById(activeVoiceId);
+    if (!voice || !session || session.exchanges === 0) {
+        session = null;
+        return;
+    }
+
+    const parts = [`${session.exchanges} exchange${session.exchanges === 1 ? '' : 's'}`];
+    if (voice.relationship !== session.relationship) parts.push(`${session.relationship} → ${voice.relationship}`);
+    if (voice.influence !== session.influence) parts.push(`influence ${session.influence} → ${voice.influence}`);
+
+    logEvent('directory', { voiceId: voice.id, name: voice.name, arcana: voice.arcana, text: parts.join(' · ') });
+    saveChatState();
+    session = null;
+}
+
 /**
  * Check if directory is open.
  */
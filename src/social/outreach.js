@@ -21,49 +21,18 @@
 
 import { getContext } from '../../../../../extensions.js';
 import {
-    extensionSettings,
     getLivingVoices,
     getArcana,
     setPendingDM,
     getVoicesWithPendingDMs,
+    markIgnoredDMs,
     saveChatState,
 } from '../state.js';
-import { TONE_ANCHORS, LOG_PREFIX } from '../config.js';
-
-// =============================================================================
-// PROFILE + API (shared pattern)
-// =============================================================================
-
-function getProfileId() {
-    const ctx = getContext();
-    const connectionManager = ctx.extensionSettings?.connectionManager;
-    if (!connectionManager) return null;
-
-    const profileName = extensionSettings.connectionProfile || 'current';
-    if (profileName === 'current' || profileName === 'default') {
-        return connectionManager.selectedProfile;
-    }
-
-    const profile = connectionManager.profiles?.find(p => p.name === profileName);
-    return profile ? profile.id : connectionManager.selectedProfile;
-}
-
-async function sendRequest(messages, maxTokens = 200) {
-    const ctx = getContext();
-    if (!ctx.ConnectionManagerRequestService) {
-        throw new Error('ConnectionManagerRequestService not available');
-    }
-
-    const profileId = getProfileId();
-    if (!profileId) throw new Error('No connection profile available');
-
-    const response = await ctx.ConnectionManagerRequestService.sendRequest(
-        profileId,
-        { messages, max_tokens: maxTokens }
-    );
-
-    return typeof response === 'string' ? response : response?.content || '';
-}
+import { LOG_PREFIX } from '../config.js';
+import { getMessageSpeaker, formatBirthCast } from '../voices/scene.js';
+import { themeWeight } from '../voices/participation.js';
+import { sendChorusRequest } from '../request-service.js';
+import { getToneDescription } from '../voices/tone.js';
 
 // =============================================================================
 // OUTREACH SCORING
@@ -77,7 +46,7 @@ let messagesSinceLastOutreach = 0;
  * Score a voice's desire to reach out.
  * Returns 0-100. Higher = more likely to DM.
  */
-function scoreOutreach(voice, themes = [], impact = 'none') {
+function scoreOutreach(voice, themes = [], impact = 'none', themeDetails = {}) {
     // Skip dead, dormant, or already-has-DM voices
     if (voice.state === 'dead' || voice.state === 'dormant') return 0;
     if (voice.pendingDM) return 0;
@@ -98,11 +67,13 @@ function scoreOutreach(voice, themes = [], impact = 'none') {
     else if (voice.influence >= 50) score += 15;
     else if (voice.influence >= 30) score += 5;
 
-    // ── Relevance to current themes ──
+    // ── Relevance to current themes (weighted by intensity) ──
+    // 10 per full-weight match, capped at 20 — a passing mention counts less
     const raises = voice.influenceTriggers?.raises || [];
-    const matchCount = themes.filter(t => raises.includes(t)).length;
-    if (matchCount >= 2) score += 20;
-    else if (matchCount >= 1) score += 10;
+    const matchWeight = themes
+        .filter(t => raises.includes(t))
+        .reduce((sum, t) => sum + themeWeight(themeDetails, t), 0);
+    score += Math.round(Math.min(20, matchWeight * 10));
 
     // ── Impact urgency ──
     if (impact === 'critical') score += 15;
@@ -139,9 +110,13 @@ function scoreOutreach(voice, themes = [], impact = 'none') {
  * @param {string[]} themes - Detected themes from classifier
  * @param {string} impact - Impact level from classifier
  * @param {string} summary - Event summary (if significant+)
+ * @param {Object} [themeDetails] - Per-theme intensity/valence from classifier
  * @returns {Object|null} { voiceId, name } if outreach triggered, null otherwise
  */
-export async function checkOutreach(themes = [], impact = 'none', summary = '') {
+export async function checkOutreach(themes = [], impact = 'none', summary = '', themeDetails = {}) {
+    // DMs left unopened long enough count as ignored
+    markIgnoredDMs();
+
     // Respect cooldown
     messagesSinceLastOutreach++;
     if (messagesSinceLastOutreach < OUTREACH_COOLDOWN) return null;
@@ -156,7 +131,7 @@ export async function checkOutreach(themes = [], impact = 'none', summary = '')
     // Score all voices
     const scored = living.map(v => ({
         voice: v,
-        score: scoreOutreach(v, themes, impact),
+        score: scoreOutreach(v, themes, impact, themeDetails),
     })).filter(s => s.score > 0);
 
     if (scored.length === 0) return null;
@@ -212,20 +187,11 @@ function describeOutreachTrigger(voice, themes, impact) {
 // OUTREACH MESSAGE GENERATION
 // =============================================================================
 
-function getToneDescription() {
-    const key = extensionSettings.toneAnchor || 'raw';
-    const tone = TONE_ANCHORS[key];
-    return tone ? `${tone.name}: ${tone.description}` : 'Raw: Conversational, profane, blunt.';
-}
-
 function getRecentScene() {
     try {
         const ctx = getContext();
         const chat = ctx.chat || [];
-        return chat.slice(-3).map(m => {
-            const who = m.is_user ? '{{user}}' : '{{char}}';
-            return `${who}: ${(m.mes || '').substring(0, 200)}`;
-        }).join('\n');
+        return chat.slice(-3).map(m => `${getMessageSpeaker(m)}: ${(m.mes || '').substring(0, 200)}`).join('\n');
     } catch { return ''; }
 }
 
@@ -244,7 +210,7 @@ function getPersonaExcerpt() {
  */
 async function generateOutreachMessage(voice, themes, impact, summary) {
     const arc = getArcana(voice.arcana);
-    const toneDesc = getToneDescription();
+    const toneDesc = getToneDescription(voice);
     const recentScene = getRecentScene();
     const persona = getPersonaExcerpt();
 
@@ -256,7 +222,7 @@ async function generateOutreachMessage(voice, themes, impact, summary) {
             role: 'system',
             content: `You are ${voice.name}, a fragment of {{user}}'s psyche. You are reaching out to {{user}} unprompted — they did NOT start this conversation. You have something to say and you're not waiting for permission.
 
-CHAT TONE: ${toneDesc}
+TONE: ${toneDesc}
 
 YOUR IDENTITY:
 Name: ${voice.name}
@@ -272,7 +238,7 @@ Relationship: ${voice.relationship}
 Influence: ${voice.influence}/100
 
 BIRTH MEMORY:
-${voice.birthMoment || '(Unknown)'}
+${voice.birthMoment || '(Unknown)'}${formatBirthCast(voice) ? `\nWho was there: ${formatBirthCast(voice)}` : ''}
 
 {{user}}'s PERSONA:
 ${persona}
@@ -297,7 +263,7 @@ RULES:
         },
     ];
 
-    const text = await sendRequest(messages, 200);
+    const text = await sendChorusRequest('outreach', messages, 200);
     if (!text || text.trim().length < 5) return null;
 
     // Clean up — remove any accidental labels or formatting
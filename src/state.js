@@ -2,8 +2,9 @@
  * THE CHORUS — State Management
  * Per-chat voice state, global settings, voice CRUD, persistence.
  *
- * Two layers:
+ * Three layers:
  *   Global settings  → extension_settings[EXTENSION_NAME]  (survives all chats)
+ *   Per-persona      → extensionSettings.personaVoices      (bound voices, per ST persona)
  *   Per-chat state   → chat_metadata[EXTENSION_NAME]       (per conversation)
  */
 
@@ -13,7 +14,12 @@ import {
     chat_metadata,
     saveChatDebounced,
 } from '../../../../../script.js';
-import { EXTENSION_NAME, LOG_PREFIX, DEFAULT_SETTINGS, ARCANA } from './config.js';
+// Namespace import: user_avatar has moved between ST modules over versions
+import * as personas from '../../../../personas.js';
+import {
+    EXTENSION_NAME, LOG_PREFIX, DEFAULT_SETTINGS, ARCANA, MINOR_ARCANA,
+    VOICE_DEPTH, CHARACTER_STANCES, VOICE_BONDS, VOICE_HISTORY, EVENT_LOG,
+} from './config.js';
 
 // =============================================================================
 // DEFAULT PER-CHAT STATE
@@ -50,6 +56,9 @@ const DEFAULT_CHAT_STATE = {
     // { theme: { count: 0, messages: 0 } } — count = weighted score, messages = unique message count
     themeAccumulator: {},
 
+    // This chat's own theme taxonomy { group: [themes] }, or null for the global one (taxonomy.js)
+    themeTaxonomy: null,
+
     // Escalation level (driven by accumulators)
     escalation: 'calm',
 
@@ -57,11 +66,29 @@ const DEFAULT_CHAT_STATE = {
     birthLog: [],
     deathLog: [],
 
+    // Influence, relationship, bond, depth and resolution changes, oldest first (VOICE_HISTORY)
+    voiceHistory: [],
+
+    // Escalation, readings, outreach, directory sessions, breakthroughs, coherence (EVENT_LOG)
+    eventLog: [],
+
     // Council conversation history (persisted per-chat)
     councilHistory: [],
 
     // Message counter (for draw frequency)
     messagesSinceLastDraw: 0,
+
+    // State before each processed AI message, newest last (rollback on swipe/delete/edit)
+    // [{ mesId, sendDate, swipeId, hash, state }]
+    snapshots: [],
+
+    // Most recent card reading (auto or manual), for macros
+    // { type: 'single'|'three'|'cross', cards: [{ voiceId, name, positionName, reversed, text }], timestamp }
+    lastReading: null,
+
+    // Approximate token usage for this chat (request service accounting)
+    // { requests, prompt, completion, bySubsystem: { subsystem: { requests, prompt, completion } } }
+    usage: { requests: 0, prompt: 0, completion: 0, bySubsystem: {} },
 };
 
 // =============================================================================
@@ -165,10 +192,15 @@ function sanitizeChatState(state) {
     if (!state.themeAccumulator || typeof state.themeAccumulator !== 'object') {
         state.themeAccumulator = {};
     }
+    if (state.themeTaxonomy && typeof state.themeTaxonomy !== 'object') {
+        state.themeTaxonomy = null;
+    }
 
     // Ensure arrays
     if (!Array.isArray(state.birthLog)) state.birthLog = [];
     if (!Array.isArray(state.deathLog)) state.deathLog = [];
+    if (!Array.isArray(state.voiceHistory)) state.voiceHistory = [];
+    if (!Array.isArray(state.eventLog)) state.eventLog = [];
 
     // Ensure escalation is valid
     const validEscalations = ['calm', 'rising', 'elevated', 'crisis'];
@@ -181,13 +213,21 @@ function sanitizeChatState(state) {
         state.messagesSinceLastDraw = 0;
     }
 
+    // Ensure snapshots
+    if (!Array.isArray(state.snapshots)) state.snapshots = [];
+
+    // Ensure usage totals
+    if (!state.usage || typeof state.usage !== 'object' || typeof state.usage.bySubsystem !== 'object') {
+        state.usage = deepClone(DEFAULT_CHAT_STATE.usage);
+    }
+
     return state;
 }
 
 /**
  * Ensure a voice object has all required fields.
  */
-function sanitizeVoice(voice) {
+export function sanitizeVoice(voice) {
     const defaults = {
         id: '',
         name: 'Unknown Voice',
@@ -196,10 +236,12 @@ function sanitizeVoice(voice) {
         speakingStyle: '',
         birthMoment: '',
         birthMessageId: null,
+        birthCast: [],             // [{ name, themes[] }] — who in the scene caused the birth
         influence: 0,
         state: 'dormant',
         relationship: 'curious',
-        relationships: {},
+        relationships: {},         // { voiceId: bond } — what it makes of other voices (VOICE_BONDS)
+        characterStances: {},      // { characterName: -5..5 } — stance toward scene characters
         influenceTriggers: { raises: [], lowers: [] },
         directoryHistory: [],
         created: Date.now(),
@@ -226,7 +268,7 @@ function sanitizeVoice(voice) {
         // Depth & lifecycle
         depth: 'rooted',           // 'surface' | 'rooted' | 'core'
         reversed: false,           // Born from shadow aspect of arcana
-        birthType: 'event',        // 'event' | 'persona' | 'accumulation' | 'transform' | 'merge'
+        birthType: 'event',        // 'event' | 'persona' | 'accumulation' | 'transform' | 'merge' | 'authored'
         resolution: {
             type: 'endure',
             condition: '',         // Natural language (hidden from user)
@@ -235,6 +277,12 @@ function sanitizeVoice(voice) {
             transformsInto: null,  // For transform type: { hint, suggestedArcana, depth }
         },
         resolvedAt: null,          // Timestamp if resolved/transformed
+
+        // Persona binding
+        boundTo: null,             // Persona key if this voice follows the persona across chats
+
+        // Tone
+        toneOverride: null,        // Tone anchor key this voice speaks in instead of the chat tone (tone.js)
     };
 
     const sanitized = { ...defaults, ...voice };
@@ -288,6 +336,15 @@ function sanitizeVoice(voice) {
         sanitized.maxThoughts = 5;
     }
 
+    // Ensure scene cast structures
+    if (!Array.isArray(sanitized.birthCast)) sanitized.birthCast = [];
+    if (!sanitized.characterStances || typeof sanitized.characterStances !== 'object') {
+        sanitized.characterStances = {};
+    }
+
+    // Structured voice-to-voice bonds (older chats stored plain opinion strings)
+    sanitized.relationships = sanitizeRelationships(sanitized.relationships);
+
     return sanitized;
 }
 
@@ -311,9 +368,14 @@ export function loadChatState() {
     } else {
         // Fresh chat — empty deck, voices born from persona extraction + story events
         chatState = deepClone(DEFAULT_CHAT_STATE);
-        saveChatState();
         console.log(`${LOG_PREFIX} New chat — empty deck (extract from persona to seed voices)`);
     }
+
+    // Voices bound to the active persona join every chat
+    const joined = applyPersonaVoices();
+    if (!saved || joined) {
+        saveChatState();
+    }
 }
 
 /**
@@ -326,6 +388,7 @@ export function saveChatState() {
 
     chat_metadata[EXTENSION_NAME] = deepClone(chatState);
     saveChatDebounced();
+    syncPersonaVoices();
 }
 
 /**
@@ -375,6 +438,52 @@ export function getTakenArcana() {
     return getLivingVoices().map(v => v.arcana);
 }
 
+/**
+ * Every card a new voice can take: the 22 Major Arcana, plus the 56
+ * Minor Arcana when the extended deck is on.
+ * @returns {string[]}
+ */
+export function getDeckArcana() {
+    const majors = Object.keys(ARCANA);
+    return extensionSettings.minorArcana ? [...majors, ...Object.keys(MINOR_ARCANA)] : majors;
+}
+
+/**
+ * Absolute voice cap — one voice per card in the deck.
+ */
+export function getDeckSize() {
+    return getDeckArcana().length;
+}
+
+/**
+ * Cards a voice of this kind is dealt from. With the extended deck on,
+ * surface and accumulation-born voices take Minor Arcana; everything
+ * else takes a Major.
+ * @param {string} [depth]
+ * @param {string} [birthType]
+ * @returns {string[]}
+ */
+export function getArcanaPool(depth, birthType) {
+    if (extensionSettings.minorArcana && (depth === 'surface' || birthType === 'accumulation')) {
+        return Object.keys(MINOR_ARCANA);
+    }
+    return Object.keys(ARCANA);
+}
+
+/**
+ * Untaken cards for a new voice — its own pool first, the rest of the
+ * deck once that pool is used up.
+ * @param {string} [depth]
+ * @param {string} [birthType]
+ * @returns {string[]}
+ */
+export function getFreeArcana(depth, birthType) {
+    const taken = getTakenArcana();
+    const free = getArcanaPool(depth, birthType).filter(k => !taken.includes(k));
+    if (free.length > 0) return free;
+    return getDeckArcana().filter(k => !taken.includes(k));
+}
+
 /**
  * Get the weakest living voice (lowest influence, not core depth).
  * Used for full-deck heal/consume behavior.
@@ -439,13 +548,23 @@ export function getNarratorOpinion(voiceId) {
 }
 
 /**
- * Adjust narrator coherence.
+ * Adjust narrator coherence. Crossing a degradation step is logged.
  * @param {number} delta - Amount to change (negative = degradation)
  */
 export function adjustNarratorCoherence(delta) {
     if (!chatState) return;
     const n = chatState.narrator;
-    n.coherence = Math.max(0, Math.min(100, (n.coherence ?? 100) + delta));
+    const old = n.coherence ?? 100;
+    n.coherence = Math.max(0, Math.min(100, old + delta));
+
+    const tier = EVENT_LOG.coherenceTiers.find(t => (old >= t) !== (n.coherence >= t));
+    if (tier !== undefined) {
+        logEvent('coherence', {
+            text: n.coherence < tier
+                ? `Coherence fell below ${tier} (${old} → ${n.coherence})`
+                : `Coherence recovered to ${tier} (${old} → ${n.coherence})`,
+        });
+    }
 }
 
 /**
@@ -514,21 +633,22 @@ export function getThemeAccumulator() {
  * Update theme accumulator — increment themes from this message, decay others.
  * @param {string[]} themes - Themes present in this message
  * @param {number} decayRate - How fast absent themes decay
+ * @param {Object} [weights] - theme → weight (intensity); missing themes count 1
  * @returns {Object[]} Array of { theme, count, messages } for themes that crossed threshold
  */
-export function updateThemeAccumulator(themes = [], decayRate = 0.3) {
+export function updateThemeAccumulator(themes = [], decayRate = 0.3, weights = {}) {
     if (!chatState) return [];
     if (!chatState.themeAccumulator) chatState.themeAccumulator = {};
 
     const acc = chatState.themeAccumulator;
     const peaked = [];
 
-    // Increment present themes
+    // Increment present themes — a heavy theme builds the pattern faster
     for (const theme of themes) {
         if (!acc[theme]) {
             acc[theme] = { count: 0, messages: 0 };
         }
-        acc[theme].count += 1;
+        acc[theme].count += weights[theme] ?? 1;
         acc[theme].messages += 1;
     }
 
@@ -560,19 +680,41 @@ export function clearThemeAccumulation(theme) {
  * Get logs.
  */
 export function getLogs() {
-    if (!chatState) return { births: [], deaths: [] };
+    if (!chatState) return { births: [], deaths: [], events: [] };
     return {
         births: chatState.birthLog,
         deaths: chatState.deathLog,
+        events: chatState.eventLog,
     };
 }
 
+/**
+ * Index of the latest chat message — what logged events link to.
+ */
+function currentMesId() {
+    return Math.max(0, (getContext().chat?.length || 0) - 1);
+}
+
+/**
+ * Add an event to the chronicle (EVENT_LOG). Doesn't save — callers do.
+ * @param {string} type - 'escalation' | 'reading' | 'outreach' | 'outreach_ignored' | 'directory' | 'breakthrough' | 'coherence'
+ * @param {Object} data - { voiceId?, name?, arcana?, text, voiceIds? }
+ */
+export function logEvent(type, data = {}) {
+    if (!chatState) return;
+
+    chatState.eventLog.push({ type, timestamp: Date.now(), mesId: currentMesId(), ...data });
+    if (chatState.eventLog.length > EVENT_LOG.limit) {
+        chatState.eventLog.splice(0, chatState.eventLog.length - EVENT_LOG.limit);
+    }
+}
+
 // =============================================================================
 // VOICE MUTATIONS
 // =============================================================================
 
 /** Generate a unique voice ID. */
-function generateVoiceId() {
+export function generateVoiceId() {
     const ts = Date.now().toString(36);
     const rand = Math.random().toString(36).substring(2, 6);
     return `voice_${ts}_${rand}`;
@@ -605,8 +747,11 @@ export function addVoice(voiceData) {
         name: voice.name,
         arcana: voice.arcana,
         birthMoment: voice.birthMoment,
+        birthType: voice.birthType,
+        mesId: currentMesId(),
         timestamp: Date.now(),
     });
+    recordVoiceChange(voice.id, 'influence', null, voice.influence, 'birth');
 
     saveChatState();
     console.log(`${LOG_PREFIX} Voice born: ${voice.name} (${voice.arcana})`);
@@ -623,6 +768,7 @@ export function killVoice(voiceId) {
     const voice = getVoiceById(voiceId);
     if (!voice || voice.state === 'dead') return false;
 
+    recordVoiceChange(voice.id, 'influence', voice.influence, 0, 'death');
     voice.state = 'dead';
     voice.influence = 0;
 
@@ -633,6 +779,7 @@ export function killVoice(voiceId) {
         arcana: voice.arcana,
         relationship: voice.relationship,
         influence: voice.influence,
+        mesId: currentMesId(),
         timestamp: Date.now(),
     });
 
@@ -665,6 +812,8 @@ export function resolveVoice(voiceId, reason = 'resolved') {
     const voice = getVoiceById(voiceId);
     if (!voice || voice.state === 'dead') return false;
 
+    recordVoiceChange(voice.id, 'influence', voice.influence, 0,
+        String(reason).startsWith('consumed') ? 'consume' : 'resolution');
     voice.state = 'dead';
     voice.influence = 0;
     voice.resolvedAt = Date.now();
@@ -678,6 +827,7 @@ export function resolveVoice(voiceId, reason = 'resolved') {
         influence: voice.influence,
         reason,
         resolutionType: voice.resolution?.type || 'unknown',
+        mesId: currentMesId(),
         timestamp: Date.now(),
     });
 
@@ -700,6 +850,7 @@ export function transformVoice(voiceId) {
     if (!transformData) return null;
 
     // Kill the old voice
+    recordVoiceChange(voice.id, 'influence', voice.influence, 0, 'resolution');
     voice.state = 'dead';
     voice.influence = 0;
     voice.resolvedAt = Date.now();
@@ -714,6 +865,7 @@ export function transformVoice(voiceId) {
         reason: 'transformed',
         resolutionType: 'transform',
         transformHint: transformData.hint,
+        mesId: currentMesId(),
         timestamp: Date.now(),
     });
 
@@ -726,29 +878,97 @@ export function transformVoice(voiceId) {
         suggestedArcana: transformData.suggestedArcana,
         depth: transformData.depth || 'rooted',
         birthMoment: voice.birthMoment, // Carries memory
+        birthCast: voice.birthCast || [],
     };
 }
 
 /**
  * Update voice fields. Merges provided fields into existing voice.
+ * Changes to tracked values (VOICE_HISTORY) are recorded with the cause.
  * Auto-saves.
+ * @param {string} voiceId
+ * @param {Object} updates
+ * @param {string} [cause] - A VOICE_HISTORY cause
  */
-export function updateVoice(voiceId, updates) {
+export function updateVoice(voiceId, updates, cause = 'edit') {
     if (!chatState) return false;
 
     const voice = getVoiceById(voiceId);
     if (!voice) return false;
 
+    const before = trackedValues(voice);
+
     // Merge fields (shallow — deep fields like influenceTriggers need full replace)
     Object.assign(voice, updates);
 
     // Re-clamp influence
     voice.influence = Math.max(0, Math.min(100, voice.influence));
 
+    const after = trackedValues(voice);
+    for (const field of Object.keys(after)) {
+        if (before[field] !== after[field]) recordVoiceChange(voice.id, field, before[field], after[field], cause);
+    }
+
     saveChatState();
     return true;
 }
 
+// =============================================================================
+// VOICE HISTORY
+// =============================================================================
+
+/** The values updateVoice watches for changes. */
+function trackedValues(voice) {
+    return {
+        influence: voice.influence,
+        relationship: voice.relationship,
+        depth: voice.depth,
+        progress: voice.resolution?.progress ?? null,
+    };
+}
+
+/**
+ * Record a change to one of a voice's tracked values, at the latest chat
+ * message. A change with the same cause at the same message as an earlier
+ * one folds into it. Doesn't save — callers do.
+ * @param {string} voiceId
+ * @param {string} field - A VOICE_HISTORY field
+ * @param {*} from - Value before (null at birth)
+ * @param {*} to - Value after
+ * @param {string} cause - A VOICE_HISTORY cause
+ * @param {string} [otherId] - For bonds: the voice it's held toward
+ */
+export function recordVoiceChange(voiceId, field, from, to, cause, otherId = null) {
+    if (!chatState || from === to) return;
+
+    const mesId = currentMesId();
+    const history = chatState.voiceHistory;
+
+    const last = history.findLast(e => e.voiceId === voiceId && e.field === field && e.otherId === otherId);
+    if (last && last.mesId === mesId && last.cause === cause) {
+        last.to = to;
+        last.timestamp = Date.now();
+        return;
+    }
+
+    history.push({ voiceId, field, from, to, cause, mesId, timestamp: Date.now(), otherId });
+    if (history.length > VOICE_HISTORY.limit) {
+        history.splice(0, history.length - VOICE_HISTORY.limit);
+    }
+}
+
+/**
+ * Recorded changes, oldest first.
+ * @param {string} [voiceId] - Only this voice's (omit for the whole deck)
+ * @returns {Object[]}
+ */
+export function getVoiceHistory(voiceId = null) {
+    if (!chatState) return [];
+    return voiceId
+        ? chatState.voiceHistory.filter(e => e.voiceId === voiceId)
+        : chatState.voiceHistory;
+}
+
 // =============================================================================
 // VOICE THOUGHTS (Brain Engine pattern)
 // =============================================================================
@@ -821,6 +1041,144 @@ export function serializeThoughts(voiceId) {
         .join('\n');
 }
 
+// =============================================================================
+// CHARACTER STANCES
+// =============================================================================
+
+/**
+ * Shift a voice's stance toward a scene character. Clamps to the
+ * CHARACTER_STANCES range; a stance that returns to 0 is forgotten.
+ * @param {string} voiceId
+ * @param {string} name - Character name
+ * @param {number} delta - Positive = warmer, negative = colder
+ * @returns {number|null} New score, or null if nothing changed
+ */
+export function adjustCharacterStance(voiceId, name, delta) {
+    const voice = getVoiceById(voiceId);
+    if (!voice || voice.state === 'dead' || !name || !delta) return null;
+
+    if (!voice.characterStances || typeof voice.characterStances !== 'object') {
+        voice.characterStances = {};
+    }
+
+    const old = voice.characterStances[name] || 0;
+    const score = Math.max(CHARACTER_STANCES.min, Math.min(CHARACTER_STANCES.max, old + delta));
+    if (score === old) return null;
+
+    if (score === 0) {
+        delete voice.characterStances[name];
+    } else {
+        voice.characterStances[name] = score;
+    }
+    saveChatState();
+    return score;
+}
+
+/**
+ * Label for a stance score ("distrustful", "wary", … "trusting").
+ */
+export function getStanceLabel(score) {
+    const match = CHARACTER_STANCES.labels.find(l => score >= l.min);
+    return match ? match.label : CHARACTER_STANCES.labels[CHARACTER_STANCES.labels.length - 1].label;
+}
+
+// =============================================================================
+// VOICE-TO-VOICE BONDS
+// =============================================================================
+
+// Stems match at the start of a word: 'agree' isn't 'disagree', 'trust' isn't 'distrust'
+const STANCE_PATTERNS = Object.entries(VOICE_BONDS.stances)
+    .map(([stance, def]) => [stance, new RegExp(`\\b(${def.terms.join('|')})`, 'i')]);
+
+function clampSentiment(value) {
+    return Math.round(Math.max(VOICE_BONDS.min, Math.min(VOICE_BONDS.max, Number(value) || 0)));
+}
+
+/**
+ * Read a stance out of free text ("resents her softness" → rival).
+ * @param {string} text
+ * @returns {string|null} A VOICE_BONDS stance, null if nothing reads
+ */
+export function readStance(text) {
+    const match = STANCE_PATTERNS.find(([, pattern]) => pattern.test(String(text || '')));
+    return match ? match[0] : null;
+}
+
+/**
+ * Normalize a relationships map. Plain opinion strings (older chats)
+ * become bonds with the stance their words read as.
+ */
+function sanitizeRelationships(relationships) {
+    const clean = {};
+    if (!relationships || typeof relationships !== 'object') return clean;
+
+    for (const [otherId, value] of Object.entries(relationships)) {
+        if (typeof value === 'string') {
+            if (!value.trim()) continue;
+            const stance = readStance(value) || 'indifferent';
+            clean[otherId] = {
+                stance,
+                sentiment: VOICE_BONDS.stances[stance].anchor,
+                opinion: value,
+                history: [],
+            };
+        } else if (value && typeof value === 'object') {
+            const stance = VOICE_BONDS.stances[value.stance] ? value.stance : (readStance(value.opinion) || 'indifferent');
+            clean[otherId] = {
+                stance,
+                sentiment: clampSentiment(value.sentiment ?? VOICE_BONDS.stances[stance].anchor),
+                opinion: String(value.opinion || ''),
+                history: Array.isArray(value.history) ? value.history.slice(-VOICE_BONDS.historyLimit) : [],
+            };
+        }
+    }
+    return clean;
+}
+
+/**
+ * What one voice makes of another.
+ * @param {Object} voice
+ * @param {string} otherId
+ * @returns {Object|null} { stance, sentiment, opinion, history }
+ */
+export function getVoiceRelationship(voice, otherId) {
+    return voice?.relationships?.[otherId] || null;
+}
+
+/**
+ * Shift a voice's bond with another. Sentiment moves part-way toward the
+ * stance's anchor; the shift is kept in the bond's history.
+ * @param {string} voiceId
+ * @param {string} otherId
+ * @param {Object} shift
+ * @param {string} [shift.stance] - A VOICE_BONDS stance; read from the opinion if missing
+ * @param {string} [shift.opinion] - Flavour text
+ * @param {string} [shift.cause] - What moved it ('council', …)
+ * @returns {Object|null} The updated bond
+ */
+export function shiftVoiceRelationship(voiceId, otherId, { stance = null, opinion = '', cause = 'council' } = {}) {
+    const voice = getVoiceById(voiceId);
+    if (!voice || voiceId === otherId) return null;
+    if (!voice.relationships || typeof voice.relationships !== 'object') voice.relationships = {};
+
+    const old = voice.relationships[otherId] || null;
+    const next = VOICE_BONDS.stances[stance] ? stance : (readStance(opinion) || old?.stance || 'indifferent');
+    const from = old ? old.sentiment : 0;
+    const sentiment = clampSentiment(from + (VOICE_BONDS.stances[next].anchor - from) * VOICE_BONDS.pull);
+    const text = String(opinion || old?.opinion || '').substring(0, 120);
+
+    recordVoiceChange(voiceId, 'bond', old ? old.sentiment : null, sentiment, cause, otherId);
+    const history = [...(old?.history || []), { timestamp: Date.now(), stance: next, sentiment, opinion: text, cause }];
+    voice.relationships[otherId] = {
+        stance: next,
+        sentiment,
+        opinion: text,
+        history: history.slice(-VOICE_BONDS.historyLimit),
+    };
+    saveChatState();
+    return voice.relationships[otherId];
+}
+
 // =============================================================================
 // INFLUENCE HELPERS
 // =============================================================================
@@ -829,13 +1187,17 @@ export function serializeThoughts(voiceId) {
  * Adjust a voice's influence by delta. Clamps 0-100.
  * Positive = gain, negative = loss.
  * Auto-updates voice state based on new level.
+ * @param {string} voiceId
+ * @param {number} delta
+ * @param {string} [cause] - A VOICE_HISTORY cause
  */
-export function adjustInfluence(voiceId, delta) {
+export function adjustInfluence(voiceId, delta, cause = 'theme') {
     const voice = getVoiceById(voiceId);
     if (!voice || voice.state === 'dead') return;
 
     const oldInfluence = voice.influence;
     voice.influence = Math.max(0, Math.min(100, voice.influence + delta));
+    recordVoiceChange(voice.id, 'influence', oldInfluence, voice.influence, cause);
 
     // Auto-update state based on influence thresholds
     if (voice.influence >= 70) {
@@ -866,8 +1228,10 @@ export function setPendingDM(voiceId, text, trigger) {
     voice.pendingDM = {
         text,
         trigger,
+        mesId: currentMesId(),
         timestamp: Date.now(),
     };
+    logEvent('outreach', { voiceId: voice.id, name: voice.name, arcana: voice.arcana, text: `Reached out (${trigger}): "${text}"` });
     saveChatState();
     return true;
 }
@@ -892,6 +1256,26 @@ export function getVoicesWithPendingDMs() {
     return getLivingVoices().filter(v => v.pendingDM !== null);
 }
 
+/**
+ * Log DMs left unopened for EVENT_LOG.outreachIgnoredAfter messages as
+ * ignored — once each. The DM stays until it's opened.
+ */
+export function markIgnoredDMs() {
+    if (!chatState) return;
+
+    let changed = false;
+    for (const voice of getVoicesWithPendingDMs()) {
+        const dm = voice.pendingDM;
+        if (dm.ignored || typeof dm.mesId !== 'number') continue;
+        if (currentMesId() - dm.mesId < EVENT_LOG.outreachIgnoredAfter) continue;
+
+        dm.ignored = true;
+        logEvent('outreach_ignored', { voiceId: voice.id, name: voice.name, arcana: voice.arcana, text: `Left unread for ${currentMesId() - dm.mesId} messages` });
+        changed = true;
+    }
+    if (changed) saveChatState();
+}
+
 // =============================================================================
 // COUNCIL HISTORY HELPERS
 // =============================================================================
@@ -929,15 +1313,16 @@ export function clearCouncilHistory() {
 }
 
 /**
- * Update a voice's relationships map from council dynamics.
+ * Update a voice's bonds from council dynamics.
+ * @param {string} voiceId
+ * @param {Object} relationshipUpdates - { otherId: { stance, opinion } | opinion string }
+ * @param {string} [cause]
  */
-export function updateVoiceRelationships(voiceId, relationshipUpdates) {
-    const voice = getVoiceById(voiceId);
-    if (!voice) return;
-
-    if (!voice.relationships) voice.relationships = {};
-    Object.assign(voice.relationships, relationshipUpdates);
-    saveChatState();
+export function updateVoiceRelationships(voiceId, relationshipUpdates, cause = 'council') {
+    for (const [otherId, update] of Object.entries(relationshipUpdates || {})) {
+        const shift = typeof update === 'string' ? { opinion: update } : update;
+        shiftVoiceRelationship(voiceId, otherId, { ...shift, cause });
+    }
 }
 
 /**
@@ -951,7 +1336,9 @@ export function decayAllInfluence(amount = 1) {
     for (const voice of chatState.voices) {
         if (voice.state === 'dead') continue;
         if (voice.influence > 0) {
+            const oldInfluence = voice.influence;
             voice.influence = Math.max(0, voice.influence - amount);
+            recordVoiceChange(voice.id, 'influence', oldInfluence, voice.influence, 'decay');
             changed = true;
         }
     }
@@ -979,6 +1366,9 @@ export function setEscalation(level) {
     if (!chatState) return;
     const valid = ['calm', 'rising', 'elevated', 'crisis'];
     if (!valid.includes(level)) return;
+    if (level !== chatState.escalation) {
+        logEvent('escalation', { text: `${chatState.escalation} → ${level}` });
+    }
     chatState.escalation = level;
     saveChatState();
 }
@@ -1006,6 +1396,451 @@ export function resetMessageCounter() {
     saveChatState();
 }
 
+// =============================================================================
+// MESSAGE SNAPSHOTS
+// =============================================================================
+
+// Messages back that can still be rolled back
+const MAX_SNAPSHOTS = 10;
+
+// Survive a rollback — spend, conversations and settings aren't undone by a swipe
+const ROLLBACK_KEEP_KEYS = ['usage', 'councilHistory', 'themeTaxonomy'];
+
+// Logged events that survive a rollback along with their conversations
+const ROLLBACK_KEEP_EVENTS = ['directory', 'breakthrough'];
+
+/** Cheap string hash (djb2) — detects edited message text. */
+function hashText(text) {
+    let hash = 5381;
+    const str = String(text || '');
+    for (let i = 0; i < str.length; i++) {
+        hash = ((hash << 5) + hash + str.charCodeAt(i)) | 0;
+    }
+    return hash;
+}
+
+function fingerprint(message) {
+    return {
+        sendDate: message?.send_date ?? null,
+        swipeId: message?.swipe_id ?? 0,
+        hash: hashText(message?.mes),
+    };
+}
+
+/**
+ * Record the state before a message is processed.
+ * @param {number} mesId - Chat index of the message
+ * @param {Object} message - The ST chat message
+ */
+export function takeMessageSnapshot(mesId, message) {
+    if (!chatState) return;
+
+    // History and events aren't copied — a rollback trims them by message instead.
+    // Neither is anything it keeps from the current state.
+    const { snapshots, voiceHistory, eventLog, ...state } = chatState;
+    for (const key of ROLLBACK_KEEP_KEYS) delete state[key];
+    state.voices = state.voices.map(({ directoryHistory, ...voice }) => voice);
+    if (state.narrator) {
+        const { directoryHistory, ...narrator } = state.narrator;
+        state.narrator = narrator;
+    }
+
+    chatState.snapshots = snapshots.filter(snap => snap.mesId < mesId);
+    chatState.snapshots.push({ mesId, ...fingerprint(message), state: deepClone(state) });
+
+    if (chatState.snapshots.length > MAX_SNAPSHOTS) {
+        chatState.snapshots = chatState.snapshots.slice(-MAX_SNAPSHOTS);
+    }
+    saveChatState();
+}
+
+/**
+ * Earliest snapshot whose message is gone or no longer the one that was
+ * processed (swiped, edited, deleted, or cut off by a branch).
+ * @param {Object[]} chat - ST chat array
+ * @returns {Object|null} Snapshot to roll back to
+ */
+export function findStaleSnapshot(chat) {
+    if (!chatState) return null;
+
+    return chatState.snapshots.find(snap => {
+        const current = fingerprint(chat[snap.mesId]);
+        return !chat[snap.mesId]
+            || current.sendDate !== snap.sendDate
+            || current.swipeId !== snap.swipeId
+            || current.hash !== snap.hash;
+    }) || null;
+}
+
+/**
+ * Roll chat state back to a snapshot, dropping it and every later one.
+ * Usage and council history are kept; so are directory conversations
+ * with voices that exist on both sides of the rollback.
+ * @param {Object} snapshot - From findStaleSnapshot
+ */
+export function restoreSnapshot(snapshot) {
+    if (!chatState || !snapshot) return;
+
+    const current = chatState;
+    const restored = sanitizeChatState(deepClone(snapshot.state));
+
+    for (const key of ROLLBACK_KEEP_KEYS) {
+        restored[key] = current[key];
+    }
+    restored.narrator.directoryHistory = current.narrator?.directoryHistory || [];
+    for (const voice of restored.voices) {
+        const live = current.voices.find(v => v.id === voice.id);
+        if (live) voice.directoryHistory = live.directoryHistory;
+    }
+
+    restored.voiceHistory = current.voiceHistory.filter(e => e.mesId < snapshot.mesId);
+    restored.eventLog = current.eventLog.filter(e => e.mesId < snapshot.mesId || ROLLBACK_KEEP_EVENTS.includes(e.type));
+    restored.snapshots = current.snapshots.filter(snap => snap.mesId < snapshot.mesId);
+    chatState = restored;
+    applyPersonaVoices();
+    saveChatState();
+
+    console.log(`${LOG_PREFIX} Rolled back to before message ${snapshot.mesId}`);
+}
+
+// =============================================================================
+// PERSONA-BOUND VOICES
+// =============================================================================
+
+/**
+ * Identity of a bound voice — shared by every chat with the persona and
+ * written back as it evolves. Everything else (influence, state,
+ * relationships, directory history, pending DMs) is a per-chat overlay.
+ */
+const PERSONA_VOICE_FIELDS = [
+    'id', 'name', 'arcana', 'personality', 'speakingStyle',
+    'birthMoment', 'birthCast', 'birthType', 'created', 'depth', 'reversed',
+    'obsession', 'opinion', 'blindSpot', 'selfAwareness',
+    'metaphorDomain', 'verbalTic', 'chattiness',
+    'thoughts', 'maxThoughts', 'influenceTriggers', 'resolution', 'toneOverride',
+];
+
+/** Bound voices the last apply couldn't bring in: [{ name, reason }] */
+let heldBackPersonaVoices = [];
+
+function pickPersonaFields(voice) {
+    const core = {};
+    for (const key of PERSONA_VOICE_FIELDS) {
+        if (voice[key] !== undefined) core[key] = deepClone(voice[key]);
+    }
+    return core;
+}
+
+/**
+ * Key for the active SillyTavern persona (avatar file, else display name).
+ */
+export function getPersonaKey() {
+    return personas.user_avatar || getContext().name1 || null;
+}
+
+/**
+ * Bound voice cores for a persona.
+ * @param {string} [key] - Persona key (defaults to the active persona)
+ */
+export function getPersonaVoices(key = getPersonaKey()) {
+    if (!key) return [];
+    return extensionSettings.personaVoices?.[key] || [];
+}
+
+function setPersonaVoices(key, cores) {
+    const all = { ...(extensionSettings.personaVoices || {}) };
+    if (cores.length > 0) {
+        all[key] = cores;
+    } else {
+        delete all[key];
+    }
+    extensionSettings.personaVoices = all;
+    saveGlobalSettings();
+}
+
+/**
+ * Bring this chat in line with the active persona's bound voices:
+ * add missing ones, refresh identity fields on present ones, and release
+ * voices whose binding was removed elsewhere. Dead copies stay dead —
+ * a dissolve only holds for the chat it happened in.
+ *
+ * Missing voices join through addVoice, so the deck limit holds. One
+ * whose arcana another voice here holds is left out rather than moved —
+ * its card is part of the identity every chat shares. Left-out voices
+ * are listed by getHeldBackPersonaVoices and retried on the next load.
+ * @returns {boolean} Whether the chat's deck changed
+ */
+function applyPersonaVoices() {
+    heldBackPersonaVoices = [];
+    if (!chatState) return false;
+
+    const key = getPersonaKey();
+    const cores = getPersonaVoices(key);
+    const coreIds = new Set(cores.map(c => c.id));
+
+    let changed = false;
+
+    for (const voice of chatState.voices) {
+        if (voice.boundTo === key && !coreIds.has(voice.id)) {
+            voice.boundTo = null;
+            changed = true;
+        }
+    }
+
+    for (const core of cores) {
+        const existing = chatState.voices.find(v => v.id === core.id);
+        if (existing) {
+            if (existing.boundTo !== key || JSON.stringify(pickPersonaFields(existing)) !== JSON.stringify(core)) {
+                Object.assign(existing, deepClone(core), { boundTo: key });
+                changed = true;
+            }
+            continue;
+        }
+
+        const holder = getLivingVoices().find(v => v.arcana === core.arcana);
+        if (holder) {
+            heldBackPersonaVoices.push({ name: core.name, reason: `${holder.name} holds ${getArcana(core.arcana).name}` });
+            console.log(`${LOG_PREFIX} Persona voice held back: ${core.name} (${core.arcana} is ${holder.name}'s)`);
+            continue;
+        }
+
+        const voice = addVoice({
+            ...deepClone(core),
+            boundTo: key,
+            influence: VOICE_DEPTH[core.depth]?.defaultInfluence ?? 30,
+            state: 'active',
+        });
+        if (!voice) {
+            heldBackPersonaVoices.push({ name: core.name, reason: 'the deck is full' });
+            continue;
+        }
+        changed = true;
+        console.log(`${LOG_PREFIX} Persona voice joined: ${core.name}`);
+    }
+
+    return changed;
+}
+
+/**
+ * Bound voices the last chat load couldn't bring in, and why.
+ * @returns {{ name: string, reason: string }[]}
+ */
+export function getHeldBackPersonaVoices() {
+    return heldBackPersonaVoices;
+}
+
+/**
+ * Write bound voices' identity back to the persona (called on save).
+ */
+function syncPersonaVoices() {
+    if (!chatState) return;
+
+    const key = getPersonaKey();
+    const cores = getPersonaVoices(key);
+    if (cores.length === 0) return;
+
+    let changed = false;
+    const updated = cores.map(core => {
+        const voice = chatState.voices.find(v => v.id === core.id && v.boundTo === key);
+        if (!voice) return core;
+
+        const next = pickPersonaFields(voice);
+        if (JSON.stringify(next) === JSON.stringify(core)) return core;
+        changed = true;
+        return next;
+    });
+
+    if (changed) setPersonaVoices(key, updated);
+}
+
+/**
+ * Bind a living voice to the active persona.
+ * @returns {boolean} False if there's no persona or the voice can't be bound
+ */
+export function bindVoiceToPersona(voiceId) {
+    const voice = getVoiceById(voiceId);
+    const key = getPersonaKey();
+    if (!voice || voice.state === 'dead' || !key) return false;
+
+    voice.boundTo = key;
+    const cores = getPersonaVoices(key).filter(c => c.id !== voice.id);
+    setPersonaVoices(key, [...cores, pickPersonaFields(voice)]);
+    saveChatState();
+    console.log(`${LOG_PREFIX} ${voice.name} bound to persona ${key}`);
+    return true;
+}
+
+/**
+ * Release a voice from its persona. It stays in this chat as a regular voice;
+ * other chats release their copies when next loaded.
+ */
+export function unbindVoice(voiceId) {
+    const voice = getVoiceById(voiceId);
+    if (!voice?.boundTo) return false;
+
+    const key = voice.boundTo;
+    setPersonaVoices(key, getPersonaVoices(key).filter(c => c.id !== voice.id));
+    voice.boundTo = null;
+    saveChatState();
+    console.log(`${LOG_PREFIX} ${voice.name} released from persona ${key}`);
+    return true;
+}
+
+// =============================================================================
+// DECK TRANSFER
+// =============================================================================
+
+/**
+ * Portable part of the chat state: voices, narrator and logs.
+ * Scene state (escalation, accumulators, usage, voice history) stays with the chat.
+ * @returns {Object|null} Deep copy { voices, narrator, birthLog, deathLog, councilHistory }
+ */
+export function getDeckSnapshot() {
+    if (!chatState) return null;
+    return deepClone({
+        voices: chatState.voices,
+        narrator: chatState.narrator,
+        birthLog: chatState.birthLog,
+        deathLog: chatState.deathLog,
+        councilHistory: chatState.councilHistory,
+    });
+}
+
+/**
+ * Swap this chat's deck for an imported one. Auto-saves.
+ * @param {Object} deck - { voices, narrator, birthLog, deathLog, councilHistory } (IDs already remapped)
+ */
+export function replaceDeck(deck) {
+    if (!chatState || !deck) return;
+
+    chatState.voices = (deck.voices || []).map(v => sanitizeVoice(v));
+    chatState.narrator = { ...deepClone(DEFAULT_CHAT_STATE.narrator), ...(deck.narrator || {}) };
+    chatState.birthLog = Array.isArray(deck.birthLog) ? deck.birthLog : [];
+    chatState.deathLog = Array.isArray(deck.deathLog) ? deck.deathLog : [];
+    chatState.councilHistory = Array.isArray(deck.councilHistory) ? deck.councilHistory : [];
+    chatState.voiceHistory = []; // Charted against this chat's messages, which the imported voices never saw
+    chatState.eventLog = [];
+    chatState.snapshots = []; // A swipe shouldn't undo the import
+    applyPersonaVoices();
+
+    saveChatState();
+    console.log(`${LOG_PREFIX} Deck replaced (${chatState.voices.length} voices)`);
+}
+
+/**
+ * Add imported voices alongside the current deck. Auto-saves.
+ * @param {Object} deck - { voices, voiceOpinions, birthLog, deathLog } (IDs already remapped)
+ */
+export function appendDeck(deck) {
+    if (!chatState || !deck) return;
+
+    chatState.voices.push(...(deck.voices || []).map(v => sanitizeVoice(v)));
+    Object.assign(getNarrator().voiceOpinions, deck.voiceOpinions || {});
+    chatState.birthLog.push(...(deck.birthLog || []));
+    chatState.deathLog.push(...(deck.deathLog || []));
+    chatState.snapshots = []; // A swipe shouldn't undo the import
+
+    saveChatState();
+    console.log(`${LOG_PREFIX} ${deck.voices?.length || 0} voices carried over`);
+}
+
+// =============================================================================
+// THEME TAXONOMY
+// =============================================================================
+
+/**
+ * This chat's own theme taxonomy, or null if it uses the global one.
+ */
+export function getChatThemeTaxonomy() {
+    return chatState?.themeTaxonomy || null;
+}
+
+/**
+ * Set (or clear, with null) this chat's theme taxonomy. Auto-saves.
+ */
+export function setChatThemeTaxonomy(taxonomy) {
+    if (!chatState) return;
+    chatState.themeTaxonomy = taxonomy || null;
+    saveChatState();
+}
+
+// =============================================================================
+// LAST READING
+// =============================================================================
+
+/**
+ * Get the most recent card reading, or null.
+ */
+export function getLastReading() {
+    return chatState?.lastReading || null;
+}
+
+const READING_LABELS = { single: 'Single card', three: 'Three-card spread', cross: 'Cross spread' };
+
+/**
+ * Remember a card reading (single card or spread). Silent cards are dropped.
+ * Auto-saves.
+ * @param {Object} cardReading - Engine output: a card, or { type, cards[] }
+ */
+export function setLastReading(cardReading) {
+    if (!chatState || !cardReading) return;
+
+    const cards = Array.isArray(cardReading.cards) ? cardReading.cards : [cardReading];
+    chatState.lastReading = {
+        type: cardReading.type || 'single',
+        cards: cards.filter(card => !card.silent && card.text).map(card => ({
+            voiceId: card.voiceId,
+            name: card.name,
+            positionName: card.positionName || '',
+            reversed: !!card.reversed,
+            text: card.text,
+        })),
+        timestamp: Date.now(),
+    };
+
+    const { cards: drawn, type } = chatState.lastReading;
+    if (drawn.length > 0) {
+        logEvent('reading', {
+            voiceId: drawn.length === 1 ? drawn[0].voiceId : null,
+            name: drawn.length === 1 ? drawn[0].name : null,
+            text: `${READING_LABELS[type] || type}: ${drawn.map(c => `${c.name}${c.reversed ? ' (reversed)' : ''}`).join(', ')}`,
+            voiceIds: drawn.map(c => c.voiceId),
+        });
+    }
+    saveChatState();
+}
+
+// =============================================================================
+// USAGE
+// =============================================================================
+
+/**
+ * Get this chat's token usage totals.
+ */
+export function getChatUsage() {
+    return chatState?.usage || null;
+}
+
+/**
+ * Add one request's approximate tokens to this chat's totals. Auto-saves.
+ */
+export function addChatUsage(subsystem, prompt, completion) {
+    if (!chatState) return;
+
+    const usage = chatState.usage;
+    usage.requests++;
+    usage.prompt += prompt;
+    usage.completion += completion;
+
+    const entry = usage.bySubsystem[subsystem] || { requests: 0, prompt: 0, completion: 0 };
+    entry.requests++;
+    entry.prompt += prompt;
+    entry.completion += completion;
+    usage.bySubsystem[subsystem] = entry;
+
+    saveChatState();
+}
+
 // =============================================================================
 // ACCUMULATOR MUTATIONS
 // =============================================================================
@@ -1062,10 +1897,18 @@ export function decayAccumulators(amount = 2) {
 // =============================================================================
 
 /**
- * Look up arcana definition by key.
+ * Look up arcana definition by key (Major or Minor).
  */
 export function getArcana(arcanaKey) {
-    return ARCANA[arcanaKey] || ARCANA.fool;
+    return ARCANA[arcanaKey] || MINOR_ARCANA[arcanaKey] || ARCANA.fool;
+}
+
+/**
+ * Whether a key names a card in either arcana. Minor cards stay known
+ * with the extended deck off, so their voices keep their cards.
+ */
+export function isKnownArcana(arcanaKey) {
+    return !!(ARCANA[arcanaKey] || MINOR_ARCANA[arcanaKey]);
 }
 
 /**
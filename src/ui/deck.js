@@ -3,9 +3,33 @@
  * Full tarot card rendering with animated arcana glyphs.
  */
 
-import { getVoices, getArcana, hexToRgb, extensionSettings, getVoiceById, resolveVoice, saveChatState } from '../state.js';
+import { LOG_PREFIX, MINOR_SUITS, MINOR_RANKS } from '../config.js';
+import {
+    getVoices,
+    getLivingVoices,
+    getArcana,
+    hexToRgb,
+    extensionSettings,
+    getVoiceById,
+    resolveVoice,
+    saveChatState,
+    hasActiveChat,
+    bindVoiceToPersona,
+    unbindVoice,
+    updateVoice,
+} from '../state.js';
 import { openDirectory } from '../social/directory.js';
 import { playDissolution } from './animations.js';
+import { formatBirthCast, formatCharacterStances } from '../voices/scene.js';
+import { buildDeckExport, getDeckFileName, parseDeckFile, importDeck } from '../deck-transfer.js';
+import { buildToneOptions } from './tones.js';
+import {
+    buildVoiceTemplate,
+    buildVoiceCardData,
+    embedVoiceCard,
+    getVoiceCardFileName,
+    saveVoiceToLibrary,
+} from '../voice-library.js';
 
 // =============================================================================
 // INK BLEED (deck cards)
@@ -92,12 +116,20 @@ function buildTarotCard(voice) {
     const reversedIndicator = isReversed
         ? `<div class="chorus-tarot__reversed-mark">⟲ REVERSED</div>` : '';
 
-    // Birth type badge
-    const birthTypeBadge = voice.birthType === 'accumulation'
-        ? `<div class="chorus-tarot__birth-type">⧖ PATTERN</div>`
-        : voice.birthType === 'merge'
-            ? `<div class="chorus-tarot__birth-type">⧉ MERGED</div>`
-            : '';
+    // Birth type badge (persona binding takes the same slot)
+    const birthTypeBadge = voice.boundTo
+        ? `<div class="chorus-tarot__birth-type chorus-tarot__birth-type--bound">⚭ PERSONA</div>`
+        : voice.birthType === 'accumulation'
+            ? `<div class="chorus-tarot__birth-type">⧖ PATTERN</div>`
+            : voice.birthType === 'merge'
+                ? `<div class="chorus-tarot__birth-type">⧉ MERGED</div>`
+                : voice.birthType === 'authored'
+                    ? `<div class="chorus-tarot__birth-type">✎ WRITTEN</div>`
+                    : '';
+
+    // Who was there at birth, and where the voice stands with them now
+    const birthCast = formatBirthCast(voice);
+    const stances = formatCharacterStances(voice).split('\n').filter(Boolean).join(' · ');
 
     const stateClass = voice.state ? ` chorus-tarot--${voice.state}` : '';
 
@@ -134,11 +166,26 @@ function buildTarotCard(voice) {
                     <div class="chorus-tarot__back-divider"></div>
                     <div class="chorus-tarot__back-label">BIRTH MEMORY</div>
                     <div class="chorus-tarot__back-memory">${voice.birthMoment}</div>
+                    ${birthCast ? `<div class="chorus-tarot__back-cast">${birthCast}</div>` : ''}
+                    ${stances ? `
+                        <div class="chorus-tarot__back-label">STANCES</div>
+                        <div class="chorus-tarot__back-memory">${stances}</div>
+                    ` : ''}
                     ${!isDead ? `
+                        <div class="chorus-tarot__back-label">TONE</div>
+                        <select class="chorus-select chorus-tarot__tone" title="Speak in this tone instead of the chat tone">
+                            ${buildToneOptions(voice.toneOverride, 'Chat tone')}
+                        </select>
                         <div class="chorus-tarot__back-buttons">
                             <button class="chorus-tarot__btn chorus-tarot__btn--talk">TALK</button>
+                            <button class="chorus-tarot__btn chorus-tarot__btn--edit" title="Edit this voice">EDIT</button>
+                            <button class="chorus-tarot__btn chorus-tarot__btn--bind${voice.boundTo ? ' chorus-tarot__btn--bound' : ''}" title="${voice.boundTo ? 'Release from persona' : 'Follow this persona into every chat'}">${voice.boundTo ? 'BOUND' : 'BIND'}</button>
                             <button class="chorus-tarot__btn chorus-tarot__btn--dissolve">DISSOLVE</button>
                         </div>
+                        <div class="chorus-tarot__back-buttons">
+                            <button class="chorus-tarot__btn chorus-tarot__btn--template" title="Save to the voice library">TEMPLATE</button>
+                            <button class="chorus-tarot__btn chorus-tarot__btn--card" title="Save this card as a PNG with the voice inside">PNG</button>
+                        </div>
                     ` : ''}
                 </div>
                 <div class="chorus-tarot__scanlines"></div>
@@ -179,12 +226,16 @@ function hashId(str) {
     return Math.abs(h);
 }
 
-function initSigil(voice) {
-    const canvas = document.getElementById(`sigil-${voice.id}`);
-    if (!canvas) return;
-    const ctx = canvas.getContext('2d');
-    const w = canvas.width, h = canvas.height;
-    const cx = w / 2, cy = h / 2;
+/**
+ * Draw one frame of a voice's sigil centred on (cx, cy).
+ * The pattern is seeded by the voice, so a card always gets the same one.
+ * Minor Arcana sigils take their inner shape from the suit and carry
+ * the rank as pips (ace–ten) or a doubled ring (court cards).
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Object} voice
+ * @param {number} frame - Animation frame (0 for a still)
+ */
+function drawSigil(ctx, voice, frame, cx, cy) {
     const arc = getArcana(voice.arcana);
     const { r, g, b } = hexToRgb(arc.color);
 
@@ -192,7 +243,9 @@ function initSigil(voice) {
     const seed = hashId(voice.id + voice.name);
     const rings = 2 + (seed % 3);           // 2-4 concentric rings
     const spokes = 4 + (seed % 5) * 2;      // 4, 6, 8, 10, or 12
-    const innerPoly = 3 + (seed % 4);       // 3-6 sided inner polygon
+    const suit = arc.suit ? MINOR_SUITS[arc.suit] : null;
+    const rank = arc.rank ? MINOR_RANKS.find(r => r.key === arc.rank) : null;
+    const innerPoly = suit ? suit.sigilSides : 3 + (seed % 4); // 3-6 sided (0 = circle)
     const hasOrbit = (seed % 3) !== 0;       // 2/3 chance of orbiting dot
     const rotDir = (seed % 2) ? 1 : -1;     // rotation direction
 
@@ -200,52 +253,46 @@ function initSigil(voice) {
     const outerR = 58;
     const innerR = 16;
 
-    let frame = 0;
-    let running = true;
-
-    function draw() {
-        if (!running) return;
-        frame++;
-        const t = frame * 0.008;
-
-        ctx.clearRect(0, 0, w, h);
-
-        const baseAlpha = 0.7;
+    const t = frame * 0.008;
+    const baseAlpha = 0.7;
 
-        ctx.save();
-        ctx.translate(cx, cy);
-        ctx.rotate(t * 0.15 * rotDir);
+    ctx.save();
+    ctx.translate(cx, cy);
+    ctx.rotate(t * 0.15 * rotDir);
 
-        // Concentric rings — evenly distributed from inner to outer
-        for (let i = 0; i < rings; i++) {
-            const frac = rings === 1 ? 1 : i / (rings - 1);
-            const radius = innerR + frac * (outerR - innerR);
-            const alpha = baseAlpha * (1 - i * 0.12);
-            ctx.strokeStyle = `rgba(${r},${g},${b},${alpha})`;
-            ctx.lineWidth = 1.2;
-            ctx.beginPath();
-            ctx.arc(0, 0, radius, 0, Math.PI * 2);
-            ctx.stroke();
-        }
-
-        // Spokes from center to outer ring
-        for (let i = 0; i < spokes; i++) {
-            const a = (i / spokes) * Math.PI * 2;
-            ctx.strokeStyle = `rgba(${r},${g},${b},${baseAlpha * 0.6})`;
-            ctx.lineWidth = 0.8;
-            ctx.beginPath();
-            ctx.moveTo(0, 0);
-            ctx.lineTo(Math.cos(a) * outerR, Math.sin(a) * outerR);
-            ctx.stroke();
-        }
+    // Concentric rings — evenly distributed from inner to outer
+    for (let i = 0; i < rings; i++) {
+        const frac = rings === 1 ? 1 : i / (rings - 1);
+        const radius = innerR + frac * (outerR - innerR);
+        const alpha = baseAlpha * (1 - i * 0.12);
+        ctx.strokeStyle = `rgba(${r},${g},${b},${alpha})`;
+        ctx.lineWidth = 1.2;
+        ctx.beginPath();
+        ctx.arc(0, 0, radius, 0, Math.PI * 2);
+        ctx.stroke();
+    }
 
-        // Inner polygon (slowly counter-rotates)
-        ctx.save();
-        ctx.rotate(-t * 0.3 * rotDir);
-        const polyR = innerR + (outerR - innerR) * 0.4 + (seed % 6);
-        ctx.strokeStyle = `rgba(${r},${g},${b},${baseAlpha * 0.8})`;
-        ctx.lineWidth = 1;
+    // Spokes from center to outer ring
+    for (let i = 0; i < spokes; i++) {
+        const a = (i / spokes) * Math.PI * 2;
+        ctx.strokeStyle = `rgba(${r},${g},${b},${baseAlpha * 0.6})`;
+        ctx.lineWidth = 0.8;
         ctx.beginPath();
+        ctx.moveTo(0, 0);
+        ctx.lineTo(Math.cos(a) * outerR, Math.sin(a) * outerR);
+        ctx.stroke();
+    }
+
+    // Inner polygon (slowly counter-rotates)
+    ctx.save();
+    ctx.rotate(-t * 0.3 * rotDir);
+    const polyR = innerR + (outerR - innerR) * 0.4 + (seed % 6);
+    ctx.strokeStyle = `rgba(${r},${g},${b},${baseAlpha * 0.8})`;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    if (innerPoly === 0) {
+        ctx.arc(0, 0, polyR, 0, Math.PI * 2);
+    } else {
         for (let i = 0; i <= innerPoly; i++) {
             const a = (i / innerPoly) * Math.PI * 2 - Math.PI / 2;
             const x = Math.cos(a) * polyR;
@@ -253,29 +300,64 @@ function initSigil(voice) {
             i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y);
         }
         ctx.closePath();
+    }
+    ctx.stroke();
+    ctx.restore();
+
+    // Minor Arcana rank — pips between outer ring and polygon, or a court ring
+    if (rank?.court) {
+        ctx.strokeStyle = `rgba(${r},${g},${b},${baseAlpha * 0.9})`;
+        ctx.lineWidth = 1.6;
+        ctx.beginPath();
+        ctx.arc(0, 0, outerR - 4, 0, Math.PI * 2);
         ctx.stroke();
-        ctx.restore();
-
-        // Orbiting dot
-        if (hasOrbit) {
-            const orbitR = outerR - 6;
-            const orbitA = t * 0.5 * -rotDir;
-            const ox = Math.cos(orbitA) * orbitR;
-            const oy = Math.sin(orbitA) * orbitR;
-            ctx.fillStyle = `rgba(${r},${g},${b},${baseAlpha})`;
+    } else if (rank) {
+        const pips = MINOR_RANKS.indexOf(rank) + 1;
+        const pipR = (polyR + outerR) / 2;
+        ctx.fillStyle = `rgba(${r},${g},${b},${baseAlpha})`;
+        for (let i = 0; i < pips; i++) {
+            const a = (i / pips) * Math.PI * 2 - Math.PI / 2;
             ctx.beginPath();
-            ctx.arc(ox, oy, 2.5, 0, Math.PI * 2);
+            ctx.arc(Math.cos(a) * pipR, Math.sin(a) * pipR, 2, 0, Math.PI * 2);
             ctx.fill();
         }
+    }
 
-        // Center dot
-        ctx.fillStyle = `rgba(${r},${g},${b},${baseAlpha * 0.7})`;
+    // Orbiting dot
+    if (hasOrbit) {
+        const orbitR = outerR - 6;
+        const orbitA = t * 0.5 * -rotDir;
+        const ox = Math.cos(orbitA) * orbitR;
+        const oy = Math.sin(orbitA) * orbitR;
+        ctx.fillStyle = `rgba(${r},${g},${b},${baseAlpha})`;
         ctx.beginPath();
-        ctx.arc(0, 0, 2, 0, Math.PI * 2);
+        ctx.arc(ox, oy, 2.5, 0, Math.PI * 2);
         ctx.fill();
+    }
+
+    // Center dot
+    ctx.fillStyle = `rgba(${r},${g},${b},${baseAlpha * 0.7})`;
+    ctx.beginPath();
+    ctx.arc(0, 0, 2, 0, Math.PI * 2);
+    ctx.fill();
+
+    ctx.restore();
+}
+
+function initSigil(voice) {
+    const canvas = document.getElementById(`sigil-${voice.id}`);
+    if (!canvas) return;
+    const ctx = canvas.getContext('2d');
+    const w = canvas.width, h = canvas.height;
 
-        ctx.restore();
+    let frame = 0;
+    let running = true;
 
+    function draw() {
+        if (!running) return;
+        frame++;
+        ctx.clearRect(0, 0, w, h);
+        drawSigil(ctx, voice, frame, w / 2, h / 2);
         requestAnimationFrame(draw);
     }
     draw();
@@ -344,10 +426,16 @@ export function renderDeck() {
 
     // Card flips
     $spread.find('.chorus-tarot').on('click', function (e) {
-        if ($(e.target).hasClass('chorus-tarot__btn')) return;
+        if ($(e.target).is('.chorus-tarot__btn, .chorus-tarot__tone, .chorus-tarot__tone *')) return;
         $(this).toggleClass('flipped');
     });
 
+    // Per-voice tone override
+    $spread.find('.chorus-tarot__tone').on('change', function () {
+        const voiceId = $(this).closest('.chorus-tarot').data('voice-id');
+        updateVoice(voiceId, { toneOverride: $(this).val() || null });
+    });
+
     // TALK buttons
     $spread.find('.chorus-tarot__btn--talk').on('click', function (e) {
         e.stopPropagation();
@@ -355,23 +443,364 @@ export function renderDeck() {
         openDirectory(voiceId);
     });
 
-    // DISSOLVE buttons
-    $spread.find('.chorus-tarot__btn--dissolve').on('click', async function (e) {
+    // EDIT buttons — open the voice editor
+    $spread.find('.chorus-tarot__btn--edit').on('click', function (e) {
         e.stopPropagation();
         const voiceId = $(this).closest('.chorus-tarot').data('voice-id');
-        const voice = getVoiceById(voiceId);
-        if (!voice || voice.state === 'dead') return;
+        $(document).trigger('chorus:editVoice', { voiceId });
+    });
 
-        // Play dissolution animation
-        await playDissolution(voice, voice.resolution?.type || 'fade');
+    // TEMPLATE buttons — save to the voice library
+    $spread.find('.chorus-tarot__btn--template').on('click', function (e) {
+        e.stopPropagation();
+        const voice = getVoiceById($(this).closest('.chorus-tarot').data('voice-id'));
+        if (voice && saveVoiceToLibrary(voice)) {
+            toastr.info(`${voice.name} saved to the library`, 'The Chorus', { timeOut: 2000 });
+            $(document).trigger('chorus:libraryChanged');
+        }
+    });
 
-        // Kill the voice in state
-        resolveVoice(voiceId, 'manual dissolution');
-        saveChatState();
+    // PNG buttons — export as a voice card
+    $spread.find('.chorus-tarot__btn--card').on('click', function (e) {
+        e.stopPropagation();
+        const voice = getVoiceById($(this).closest('.chorus-tarot').data('voice-id'));
+        if (voice) exportVoiceCard(buildVoiceTemplate(voice));
+    });
 
-        // Re-render deck
+    // BIND buttons — toggle persona binding
+    $spread.find('.chorus-tarot__btn--bind').on('click', function (e) {
+        e.stopPropagation();
+        const voiceId = $(this).closest('.chorus-tarot').data('voice-id');
+        const voice = getVoiceById(voiceId);
+        if (!voice) return;
+
+        if (voice.boundTo) {
+            unbindVoice(voiceId);
+            toastr.info(`${voice.name} released — stays in this chat only`, 'The Chorus', { timeOut: 2500 });
+        } else if (bindVoiceToPersona(voiceId)) {
+            toastr.info(`${voice.name} will follow this persona into every chat`, 'The Chorus', { timeOut: 2500 });
+        } else {
+            toastr.warning('No active persona to bind to', 'The Chorus', { timeOut: 2000 });
+        }
         renderDeck();
     });
 
+    // DISSOLVE buttons
+    $spread.find('.chorus-tarot__btn--dissolve').on('click', async function (e) {
+        e.stopPropagation();
+        const voiceId = $(this).closest('.chorus-tarot').data('voice-id');
+        await dissolveVoice(voiceId);
+    });
+
     updateDeckStats(voices);
 }
+
+// =============================================================================
+// DISSOLVE (export)
+// =============================================================================
+
+/**
+ * Manually dissolve a voice: animation, then resolve in state.
+ * Used by the DISSOLVE button and /chorus-dissolve.
+ * @param {string} voiceId
+ * @returns {Promise<boolean>} False if the voice is missing or already dead
+ */
+export async function dissolveVoice(voiceId) {
+    const voice = getVoiceById(voiceId);
+    if (!voice || voice.state === 'dead') return false;
+
+    // Play dissolution animation
+    await playDissolution(voice, voice.resolution?.type || 'fade');
+
+    // Kill the voice in state
+    resolveVoice(voiceId, 'manual dissolution');
+    saveChatState();
+
+    // Re-render deck
+    renderDeck();
+    return true;
+}
+
+// =============================================================================
+// VOICE CARD IMAGE (export)
+// =============================================================================
+
+const CARD_WIDTH = 170;
+const CARD_HEIGHT = 275;
+const CARD_ART_HEIGHT = 148;
+
+function fitText(ctx, text, maxWidth, size, minSize, family) {
+    let px = size;
+    ctx.font = `${px}px ${family}`;
+    while (px > minSize && ctx.measureText(text).width > maxWidth) {
+        px -= 1;
+        ctx.font = `${px}px ${family}`;
+    }
+}
+
+/**
+ * Draw a voice's card front — frame, ink, sigil, glyph and labels —
+ * onto a canvas, the way the deck shows it.
+ * @param {Object} voice - A voice or a template
+ * @param {number} [scale] - Pixel density
+ * @returns {HTMLCanvasElement}
+ */
+export function renderCardImage(voice, scale = 3) {
+    const canvas = document.createElement('canvas');
+    canvas.width = CARD_WIDTH * scale;
+    canvas.height = CARD_HEIGHT * scale;
+    const ctx = canvas.getContext('2d');
+    ctx.scale(scale, scale);
+
+    const arc = getArcana(voice.arcana);
+    const { r, g, b } = hexToRgb(arc.color);
+    const isReversed = !!voice.reversed;
+    const inf = voice.influence ?? 35;
+    const artTop = isReversed ? CARD_HEIGHT - 12 - CARD_ART_HEIGHT : 12;
+
+    // Face
+    ctx.fillStyle = '#0d0816';
+    ctx.beginPath();
+    ctx.roundRect(0, 0, CARD_WIDTH, CARD_HEIGHT, 8);
+    ctx.fill();
+    ctx.save();
+    ctx.clip();
+
+    // Ink — rises from the bottom, or bleeds down when reversed
+    const inkHeight = CARD_HEIGHT * inf / 100;
+    const inkTop = isReversed ? 0 : CARD_HEIGHT - inkHeight;
+    const ink = ctx.createLinearGradient(0, isReversed ? 0 : CARD_HEIGHT, 0, isReversed ? inkHeight : inkTop);
+    ink.addColorStop(0, `rgba(${r},${g},${b},0.7)`);
+    ink.addColorStop(0.6, `rgba(${r},${g},${b},0.4)`);
+    ink.addColorStop(1, `rgba(${r},${g},${b},0.15)`);
+    ctx.fillStyle = ink;
+    ctx.fillRect(0, inkTop, CARD_WIDTH, inkHeight);
+
+    // Art: sigil and glyph
+    drawSigil(ctx, voice, 0, CARD_WIDTH / 2, artTop + CARD_ART_HEIGHT / 2);
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillStyle = arc.glow;
+    ctx.shadowColor = arc.glow;
+    ctx.shadowBlur = 12;
+    ctx.font = '80px serif';
+    ctx.fillText(arc.glyph, CARD_WIDTH / 2, artTop + CARD_ART_HEIGHT / 2);
+    ctx.shadowBlur = 0;
+    ctx.restore();
+
+    // Labels
+    const labelY = isReversed ? 18 : 168;
+    ctx.textBaseline = 'middle';
+    ctx.fillStyle = 'rgba(201, 168, 76, 0.5)';
+    ctx.font = '7px Cinzel, serif';
+    ctx.fillText(arc.label, CARD_WIDTH / 2, labelY);
+
+    ctx.fillStyle = '#e8d5b0';
+    ctx.shadowColor = `${arc.glow}44`;
+    ctx.shadowBlur = 10;
+    fitText(ctx, voice.name, CARD_WIDTH - 24, 13, 8, '"Cinzel Decorative", Cinzel, serif');
+    ctx.fillText(voice.name, CARD_WIDTH / 2, labelY + 16);
+    ctx.shadowBlur = 0;
+
+    if (isReversed) {
+        ctx.fillStyle = 'rgba(180, 80, 80, 0.7)';
+        ctx.font = '7px "Courier Prime", monospace';
+        ctx.fillText('⟲ REVERSED', CARD_WIDTH / 2, labelY + 32);
+    }
+
+    ctx.fillStyle = 'rgba(201, 168, 76, 0.4)';
+    ctx.font = '9px "Courier Prime", monospace';
+    ctx.fillText((voice.depth || 'rooted').toUpperCase(), CARD_WIDTH / 2, isReversed ? 100 : CARD_HEIGHT - 17);
+
+    // Double frame and border
+    ctx.strokeStyle = 'rgba(201, 168, 76, 0.2)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.roundRect(5.5, 5.5, CARD_WIDTH - 11, CARD_HEIGHT - 11, 4);
+    ctx.stroke();
+    ctx.strokeStyle = 'rgba(201, 168, 76, 0.1)';
+    ctx.beginPath();
+    ctx.roundRect(9.5, 9.5, CARD_WIDTH - 19, CARD_HEIGHT - 19, 2);
+    ctx.stroke();
+    ctx.strokeStyle = `${arc.color}88`;
+    ctx.beginPath();
+    ctx.roundRect(0.5, 0.5, CARD_WIDTH - 1, CARD_HEIGHT - 1, 8);
+    ctx.stroke();
+
+    return canvas;
+}
+
+/**
+ * Save a voice template as a PNG card with the voice embedded.
+ * @param {Object} template - From buildVoiceTemplate
+ */
+export async function exportVoiceCard(template) {
+    try {
+        const canvas = renderCardImage(template);
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+        const png = embedVoiceCard(new Uint8Array(await blob.arrayBuffer()), buildVoiceCardData(template));
+
+        const url = URL.createObjectURL(new Blob([png], { type: 'image/png' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = getVoiceCardFileName(template);
+        link.click();
+        URL.revokeObjectURL(url);
+
+        toastr.info(`Saved ${template.name}'s card`, 'The Chorus', { timeOut: 2000 });
+    } catch (e) {
+        console.error(`${LOG_PREFIX} Voice card export failed:`, e);
+        toastr.error('Couldn\'t save the card image', 'The Chorus', { timeOut: 3000 });
+    }
+}
+
+// =============================================================================
+// EXPORT / IMPORT
+// =============================================================================
+
+let pendingImport = null;   // Parsed deck file waiting for confirmation
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+function exportDeck() {
+    const data = buildDeckExport();
+    if (!data) return;
+
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = getDeckFileName(data);
+    link.click();
+    URL.revokeObjectURL(url);
+
+    toastr.info(`Exported ${data.voices.length} voice${data.voices.length === 1 ? '' : 's'}`, 'The Chorus', { timeOut: 2000 });
+}
+
+async function onImportFile(file) {
+    try {
+        pendingImport = parseDeckFile(await file.text());
+    } catch (e) {
+        toastr.error(`Import failed: ${e.message}`, 'The Chorus', { timeOut: 3000 });
+        return;
+    }
+
+    if (pendingImport.voices.length === 0) {
+        pendingImport = null;
+        toastr.warning('That deck has no voices', 'The Chorus', { timeOut: 2000 });
+        return;
+    }
+
+    renderImportSheet('replace');
+}
+
+/**
+ * Confirmation sheet under the deck actions: mode + voice picks.
+ * @param {string} mode - 'replace' | 'carry'
+ */
+function renderImportSheet(mode) {
+    const $sheet = $('#chorus-deck-import');
+    if (!pendingImport) {
+        $sheet.removeClass('open').empty();
+        return;
+    }
+
+    const voices = pendingImport.voices;
+    const living = voices.filter(v => v.state !== 'dead');
+    const source = [
+        pendingImport.source?.persona,
+        `${voices.length} voice${voices.length === 1 ? '' : 's'}`,
+        (pendingImport.exportedAt || '').slice(0, 10),
+    ].filter(Boolean).join(' · ');
+
+    const free = Math.max(0, (extensionSettings.maxVoices || 7) - getLivingVoices().length);
+    const note = mode === 'replace'
+        ? `Replaces this chat's ${getVoices().length} voice${getVoices().length === 1 ? '' : 's'}, narrator and logs`
+        : `${free} free slot${free === 1 ? '' : 's'} — living voices beyond that, or with no free card, are skipped`;
+
+    const rows = voices.map(v => {
+        const arc = getArcana(v.arcana);
+        const isDead = v.state === 'dead';
+        // Carry over: preselect living voices that fit
+        const checked = mode === 'replace' || (!isDead && living.indexOf(v) < free);
+        return `
+            <label class="chorus-deck-import__voice${isDead ? ' chorus-deck-import__voice--dead' : ''}">
+                <input type="checkbox" value="${escapeHtml(v.id)}"${checked ? ' checked' : ''}${mode === 'replace' ? ' disabled' : ''}>
+                <span class="chorus-deck-import__glyph" style="color:${arc.glow}">${arc.glyph}</span>
+                <span class="chorus-deck-import__name">${escapeHtml(v.name)}</span>
+                <span class="chorus-deck-import__meta">${isDead ? 'SILENCED' : `INF ${v.influence || 0}`}</span>
+            </label>
+        `;
+    }).join('');
+
+    $sheet.html(`
+        <div class="chorus-deck-import__head">
+            <span class="chorus-deck-import__title">IMPORT DECK</span>
+            <span class="chorus-deck-import__source">${escapeHtml(source)}</span>
+        </div>
+        <div class="chorus-picker chorus-deck-import__mode">
+            <button class="chorus-picker__opt${mode === 'replace' ? ' active' : ''}" data-value="replace">REPLACE</button>
+            <button class="chorus-picker__opt${mode === 'carry' ? ' active' : ''}" data-value="carry">CARRY OVER</button>
+        </div>
+        <div class="chorus-deck-import__note">${note}</div>
+        <div class="chorus-deck-import__list">${rows}</div>
+        <div class="chorus-deck-import__buttons">
+            <button class="chorus-deck-action" data-action="confirm">IMPORT</button>
+            <button class="chorus-deck-action" data-action="cancel">CANCEL</button>
+        </div>
+    `).addClass('open');
+
+    $sheet.find('.chorus-picker__opt').on('click', function () {
+        renderImportSheet($(this).data('value'));
+    });
+    $sheet.find('[data-action="cancel"]').on('click', () => {
+        pendingImport = null;
+        renderImportSheet(mode);
+    });
+    $sheet.find('[data-action="confirm"]').on('click', () => confirmImport(mode));
+}
+
+function confirmImport(mode) {
+    if (!pendingImport || !hasActiveChat()) return;
+
+    const voiceIds = $('#chorus-deck-import input[type="checkbox"]:checked')
+        .map(function () { return $(this).val(); })
+        .get();
+    if (mode === 'carry' && voiceIds.length === 0) {
+        toastr.warning('Pick at least one voice to carry over', 'The Chorus', { timeOut: 2000 });
+        return;
+    }
+
+    const { imported, skipped } = importDeck(pendingImport, { mode, voiceIds });
+    pendingImport = null;
+    renderImportSheet(mode);
+    renderDeck();
+
+    const verb = mode === 'replace' ? 'Deck replaced' : 'Carried over';
+    const extra = skipped > 0 ? ` (${skipped} skipped — no free slot or card)` : '';
+    toastr.success(`${verb}: ${imported.length} voice${imported.length === 1 ? '' : 's'}${extra}`, 'The Chorus', { timeOut: 3000 });
+}
+
+/**
+ * Wire the EXPORT / IMPORT deck actions (call once on panel init).
+ */
+export function initDeckTransfer() {
+    $('#chorus-btn-export-deck').on('click', () => {
+        if (!hasActiveChat()) return;
+        exportDeck();
+    });
+
+    $('#chorus-btn-import-deck').on('click', () => {
+        if (!hasActiveChat()) return;
+        $('#chorus-deck-import-file').val('').trigger('click');
+    });
+
+    $('#chorus-deck-import-file').on('change', function () {
+        const file = this.files?.[0];
+        if (file) onImportFile(file);
+    });
+}
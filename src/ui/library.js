@@ -0,0 +1,186 @@
+/**
+ * THE CHORUS — Voice Library
+ *
+ * Sheet on the Deck tab listing saved voice templates: insert one into
+ * this chat's deck (choosing a free arcana when its own is held), save
+ * it as a PNG card, or remove it. Voice cards (PNG or JSON) import here.
+ */
+
+import { LOG_PREFIX } from '../config.js';
+import { extensionSettings, hasActiveChat, getArcana, getLivingVoices } from '../state.js';
+import {
+    getVoiceLibrary,
+    getLibraryEntry,
+    addToVoiceLibrary,
+    removeFromVoiceLibrary,
+    getArcanaConflict,
+    insertVoiceTemplate,
+    parseVoiceCard,
+} from '../voice-library.js';
+import { exportVoiceCard } from './deck.js';
+import { playAwakening } from './animations.js';
+
+let isOpen = false;
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+// =============================================================================
+// RENDER
+// =============================================================================
+
+function buildEntry(entry) {
+    const voice = entry.voice;
+    const arc = getArcana(voice.arcana);
+
+    // Only a chat can hold the arcana already
+    let conflict = '';
+    if (hasActiveChat()) {
+        const { holder, free } = getArcanaConflict(voice);
+        if (holder) {
+            conflict = free.length === 0
+                ? '<div class="chorus-library__conflict">Every arcana is held</div>'
+                : `
+                    <div class="chorus-library__conflict">
+                        ${escapeHtml(arc.name)} belongs to ${escapeHtml(holder.name)} — insert as
+                        <select class="chorus-select" data-part="arcana">
+                            ${free.map(k => `<option value="${k}">${escapeHtml(getArcana(k).label)}</option>`).join('')}
+                        </select>
+                    </div>
+                `;
+        }
+    }
+
+    return `
+        <div class="chorus-library__entry" data-entry="${escapeHtml(entry.id)}">
+            <div class="chorus-library__row">
+                <span class="chorus-deck-import__glyph" style="color:${arc.glow}">${arc.glyph}</span>
+                <span class="chorus-deck-import__name">${escapeHtml(voice.name)}${voice.reversed ? ' ⟲' : ''}</span>
+                <span class="chorus-deck-import__meta">${escapeHtml(arc.name)} · ${escapeHtml((voice.depth || 'rooted').toUpperCase())}</span>
+            </div>
+            <div class="chorus-library__personality">${escapeHtml(String(voice.personality || '').substring(0, 140))}</div>
+            ${conflict}
+            <div class="chorus-library__row chorus-library__actions">
+                <button class="chorus-deck-action" data-action="insert"${hasActiveChat() ? '' : ' disabled'}>INSERT</button>
+                <button class="chorus-deck-action" data-action="card">PNG</button>
+                <button class="chorus-themes__remove" data-action="remove" title="Remove from library">&#x2715;</button>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Render the library sheet (closed unless opened from the Deck tab).
+ */
+export function renderVoiceLibrary() {
+    const $sheet = $('#chorus-voice-library');
+    $('#chorus-btn-library').toggleClass('active', isOpen);
+    if (!isOpen) {
+        $sheet.removeClass('open').empty();
+        return;
+    }
+
+    const entries = getVoiceLibrary();
+    const list = entries.length > 0
+        ? entries.map(buildEntry).join('')
+        : '<div class="chorus-deck-import__note">No saved voices yet — flip a card and press TEMPLATE, or import a card</div>';
+
+    $sheet.html(`
+        <div class="chorus-deck-import__head">
+            <span class="chorus-deck-import__title">VOICE LIBRARY</span>
+            <span class="chorus-deck-import__source">${entries.length} saved</span>
+        </div>
+        <div class="chorus-deck-import__list">${list}</div>
+        <div class="chorus-deck-import__buttons">
+            <button class="chorus-deck-action" data-action="import">IMPORT CARD</button>
+            <button class="chorus-deck-action" data-action="close">CLOSE</button>
+        </div>
+    `).addClass('open');
+}
+
+// =============================================================================
+// ACTIONS
+// =============================================================================
+
+async function onInsert(entryId, arcana) {
+    const entry = getLibraryEntry(entryId);
+    if (!entry || !hasActiveChat()) return;
+
+    if (getLivingVoices().length >= extensionSettings.maxVoices) {
+        toastr.warning('The deck is full', 'The Chorus', { timeOut: 2000 });
+        return;
+    }
+
+    const { voice, errors } = insertVoiceTemplate(entry.voice, arcana);
+    if (!voice) {
+        toastr.warning(errors.join('\n'), 'The Chorus', { timeOut: 4000 });
+        return;
+    }
+
+    renderVoiceLibrary();
+    await playAwakening(voice);
+    $(document).trigger('chorus:voicesChanged');
+}
+
+async function onImportFile(file) {
+    try {
+        const template = parseVoiceCard(await file.arrayBuffer());
+        addToVoiceLibrary([template]);
+        isOpen = true;
+        renderVoiceLibrary();
+        toastr.success(`${template.name} added to the library`, 'The Chorus', { timeOut: 2000 });
+    } catch (e) {
+        toastr.error(e.message, 'The Chorus', { timeOut: 4000 });
+    }
+}
+
+// =============================================================================
+// INIT
+// =============================================================================
+
+/**
+ * Wire the LIBRARY deck action and the library sheet (call once on panel init).
+ */
+export function initVoiceLibrary() {
+    $('#chorus-btn-library').on('click', () => {
+        isOpen = !isOpen;
+        renderVoiceLibrary();
+    });
+
+    $('#chorus-voice-card-file').on('change', function () {
+        const file = this.files?.[0];
+        if (file) onImportFile(file);
+    });
+
+    $(document).off('chorus:libraryChanged.library').on('chorus:libraryChanged.library', renderVoiceLibrary);
+
+    const $sheet = $('#chorus-voice-library');
+    $sheet.on('click', '[data-action="insert"]', function () {
+        const $entry = $(this).closest('.chorus-library__entry');
+        onInsert($entry.data('entry'), $entry.find('[data-part="arcana"]').val() || null);
+    });
+    $sheet.on('click', '[data-action="card"]', function () {
+        const entry = getLibraryEntry($(this).closest('.chorus-library__entry').data('entry'));
+        if (entry) exportVoiceCard(entry.voice);
+    });
+    $sheet.on('click', '[data-action="remove"]', function () {
+        removeFromVoiceLibrary($(this).closest('.chorus-library__entry').data('entry'));
+        renderVoiceLibrary();
+    });
+    $sheet.on('click', '[data-action="import"]', () => {
+        $('#chorus-voice-card-file').val('').trigger('click');
+    });
+    $sheet.on('click', '[data-action="close"]', () => {
+        isOpen = false;
+        renderVoiceLibrary();
+    });
+
+    console.log(`${LOG_PREFIX} Voice library initialized`);
+}
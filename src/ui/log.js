@@ -1,19 +1,30 @@
 /**
  * THE CHORUS — Log Tab (Chronicle)
  *
- * Unified timeline of voice births, deaths, and transformations.
- * Per-chat history rendered as a scrolling chronicle.
+ * Unified timeline of everything significant the chorus went through:
+ * births and merges, deaths, resolutions, transformations and consumes
+ * (birth and death logs), plus escalation changes, readings, outreach
+ * sent or ignored, directory sessions, council breakthroughs and
+ * narrator coherence crossings (the event log).
  *
  * Each entry is a "card" with arcana glyph, voice name, event
- * type, relative timestamp, and contextual details.
+ * type, relative timestamp, and contextual details. Entries filter by
+ * voice, type and day, search by text, and tap through to the chat
+ * message they happened at. The influence charts above it come from
+ * timeline.js.
  */
 
+import { getContext } from '../../../../../extensions.js';
 import {
     getLogs,
     getArcana,
     getVoiceById,
 } from '../state.js';
 import { LOG_PREFIX } from '../config.js';
+import { renderTimeline } from './timeline.js';
+
+/** Current filters: voice ID, event type, day (Date.toDateString), search text. */
+const filters = { voice: '', type: '', day: '', query: '' };
 
 // =============================================================================
 // EVENT TYPE CONFIG
@@ -25,6 +36,11 @@ const EVENT_TYPES = {
         icon: '✦',
         cssClass: 'chorus-log-entry--birth',
     },
+    merge: {
+        label: 'MERGED',
+        icon: '⊕',
+        cssClass: 'chorus-log-entry--birth',
+    },
     death: {
         label: 'SILENCED',
         icon: '⸸',
@@ -40,6 +56,46 @@ const EVENT_TYPES = {
         icon: '↻',
         cssClass: 'chorus-log-entry--transformed',
     },
+    consumed: {
+        label: 'CONSUMED',
+        icon: '⨯',
+        cssClass: 'chorus-log-entry--death',
+    },
+    escalation: {
+        label: 'ESCALATION',
+        icon: '▲',
+        cssClass: 'chorus-log-entry--escalation',
+    },
+    reading: {
+        label: 'READING',
+        icon: '🂠',
+        cssClass: 'chorus-log-entry--reading',
+    },
+    outreach: {
+        label: 'REACHED OUT',
+        icon: '✉',
+        cssClass: 'chorus-log-entry--outreach',
+    },
+    outreach_ignored: {
+        label: 'IGNORED',
+        icon: '✉',
+        cssClass: 'chorus-log-entry--resolved',
+    },
+    directory: {
+        label: 'DIRECTORY',
+        icon: '☍',
+        cssClass: 'chorus-log-entry--outreach',
+    },
+    breakthrough: {
+        label: 'BREAKTHROUGH',
+        icon: '✧',
+        cssClass: 'chorus-log-entry--transformed',
+    },
+    coherence: {
+        label: 'COHERENCE',
+        icon: '◐',
+        cssClass: 'chorus-log-entry--escalation',
+    },
 };
 
 // Resolution type → display label
@@ -58,29 +114,33 @@ const RESOLUTION_LABELS = {
 
 /**
  * Merge all logs into a single sorted timeline.
- * Returns array of { type, timestamp, ...data }.
+ * Returns array of { type, timestamp, mesId, voiceIds, ...data }.
  */
 function buildTimeline() {
-    const { births, deaths } = getLogs();
+    const { births, deaths, events } = getLogs();
     const entries = [];
 
-    // Births
+    // Births (a merge is a birth from two voices)
     for (const b of births) {
         entries.push({
-            type: 'birth',
+            type: b.birthType === 'merge' ? 'merge' : 'birth',
             timestamp: b.timestamp,
+            mesId: b.mesId,
             voiceId: b.voiceId,
+            voiceIds: [b.voiceId],
             name: b.name,
             arcana: b.arcana,
             detail: b.birthMoment || '',
         });
     }
 
-    // Deaths (distinguish kill/resolve/transform)
+    // Deaths (distinguish kill/resolve/transform/consume)
     for (const d of deaths) {
         let type = 'death';
         if (d.reason === 'transformed') {
             type = 'transformed';
+        } else if (String(d.reason || '').startsWith('consumed')) {
+            type = 'consumed';
         } else if (d.reason && d.reason !== 'ego death') {
             type = 'resolved';
         }
@@ -88,7 +148,9 @@ function buildTimeline() {
         entries.push({
             type,
             timestamp: d.timestamp,
+            mesId: d.mesId,
             voiceId: d.voiceId,
+            voiceIds: [d.voiceId],
             name: d.name,
             arcana: d.arcana,
             relationship: d.relationship,
@@ -96,9 +158,25 @@ function buildTimeline() {
             transformHint: d.transformHint,
             detail: type === 'transformed'
                 ? `Became: ${d.transformHint || 'something new'}`
-                : type === 'resolved'
-                    ? RESOLUTION_LABELS[d.resolutionType] || d.reason
-                    : '',
+                : type === 'consumed'
+                    ? `${d.reason.charAt(0).toUpperCase()}${d.reason.slice(1)}`
+                    : type === 'resolved'
+                        ? RESOLUTION_LABELS[d.resolutionType] || d.reason
+                        : '',
+        });
+    }
+
+    // Everything else
+    for (const e of events) {
+        entries.push({
+            type: e.type,
+            timestamp: e.timestamp,
+            mesId: e.mesId,
+            voiceId: e.voiceId || null,
+            voiceIds: e.voiceIds || (e.voiceId ? [e.voiceId] : []),
+            name: e.name || '',
+            arcana: e.arcana || null,
+            detail: e.text || '',
         });
     }
 
@@ -108,6 +186,25 @@ function buildTimeline() {
     return entries;
 }
 
+/**
+ * Entries that pass the current filters.
+ */
+function applyFilters(entries) {
+    const query = filters.query.trim().toLowerCase();
+
+    return entries.filter(e => {
+        if (filters.voice && !e.voiceIds.includes(filters.voice)) return false;
+        if (filters.type && e.type !== filters.type) return false;
+        if (filters.day && new Date(e.timestamp).toDateString() !== filters.day) return false;
+        if (query) {
+            const label = (EVENT_TYPES[e.type] || EVENT_TYPES.birth).label;
+            const text = `${label} ${e.name} ${getArcana(e.arcana)?.name || ''} ${e.detail}`.toLowerCase();
+            if (!text.includes(query)) return false;
+        }
+        return true;
+    });
+}
+
 // =============================================================================
 // TIME FORMATTING
 // =============================================================================
@@ -135,43 +232,76 @@ function formatRelativeTime(timestamp) {
 // RENDER
 // =============================================================================
 
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
 function buildLogEntry(entry) {
     const evtConfig = EVENT_TYPES[entry.type] || EVENT_TYPES.birth;
-    const arcana = getArcana(entry.arcana);
-    const glyph = arcana?.glyph || '🂠';
-    const arcanaName = arcana?.name || entry.arcana || '???';
+    const arcana = entry.arcana ? getArcana(entry.arcana) : null;
+    const glyph = arcana?.glyph || evtConfig.icon;
+    const arcanaName = arcana?.name || entry.arcana || '';
     const timeStr = formatRelativeTime(entry.timestamp);
-
-    // Check if voice still exists (for status)
-    const voice = getVoiceById(entry.voiceId);
-    const isAlive = voice && voice.state !== 'dead';
+    const linked = typeof entry.mesId === 'number';
 
     return `
-        <div class="chorus-log-entry ${evtConfig.cssClass}">
+        <div class="chorus-log-entry ${evtConfig.cssClass}${linked ? ' chorus-log-entry--linked' : ''}"${linked ? ` data-mesid="${entry.mesId}"` : ''}>
             <div class="chorus-log-entry__glyph">${glyph}</div>
             <div class="chorus-log-entry__body">
                 <div class="chorus-log-entry__header">
                     <span class="chorus-log-entry__icon">${evtConfig.icon}</span>
                     <span class="chorus-log-entry__label">${evtConfig.label}</span>
-                    <span class="chorus-log-entry__time">${timeStr}</span>
+                    <span class="chorus-log-entry__time">${linked ? `#${entry.mesId} · ` : ''}${timeStr}</span>
                 </div>
-                <div class="chorus-log-entry__name">${entry.name}</div>
-                <div class="chorus-log-entry__arcana">${arcanaName}</div>
-                ${entry.detail ? `<div class="chorus-log-entry__detail">${entry.detail}</div>` : ''}
+                ${entry.name ? `<div class="chorus-log-entry__name">${escapeHtml(entry.name)}</div>` : ''}
+                ${arcanaName ? `<div class="chorus-log-entry__arcana">${escapeHtml(arcanaName)}</div>` : ''}
+                ${entry.detail ? `<div class="chorus-log-entry__detail">${escapeHtml(entry.detail)}</div>` : ''}
             </div>
         </div>
     `;
 }
 
 /**
- * Render the full log tab.
- * Call this when switching to the log tab or when state changes.
+ * Fill a filter select, keeping its choice while that's still offered.
  */
-export function renderLog() {
-    const $container = $('#chorus-log-entries');
-    if (!$container.length) return;
+function fillSelect($select, key, allLabel, options) {
+    if (!options.some(o => o.value === filters[key])) filters[key] = '';
+    $select.html([{ value: '', label: allLabel }, ...options]
+        .map(o => `<option value="${escapeHtml(o.value)}">${escapeHtml(o.label)}</option>`)
+        .join(''));
+    $select.val(filters[key]);
+}
 
-    const timeline = buildTimeline();
+/**
+ * Offer the voices, types and days that appear in the chronicle.
+ */
+function renderFilters(timeline) {
+    const voiceIds = new Set(timeline.flatMap(e => e.voiceIds));
+    const names = new Map(timeline.filter(e => e.voiceId && e.name).map(e => [e.voiceId, e.name]));
+    fillSelect($('#chorus-log-voice'), 'voice', 'ALL VOICES', [...voiceIds]
+        .map(id => ({ value: id, label: getVoiceById(id)?.name || names.get(id) || 'Lost voice' }))
+        .sort((a, b) => a.label.localeCompare(b.label)));
+
+    const types = new Set(timeline.map(e => e.type));
+    fillSelect($('#chorus-log-type'), 'type', 'ALL EVENTS', Object.entries(EVENT_TYPES)
+        .filter(([type]) => types.has(type))
+        .map(([type, config]) => ({ value: type, label: config.label })));
+
+    const days = new Map();
+    for (const e of timeline) {
+        const d = new Date(e.timestamp);
+        days.set(d.toDateString(), `${d.toLocaleString('default', { month: 'short' })} ${d.getDate()}`.toUpperCase());
+    }
+    fillSelect($('#chorus-log-day'), 'day', 'ANY DAY', [...days].map(([value, label]) => ({ value, label })));
+}
+
+/**
+ * Render the entries that pass the filters.
+ */
+function renderEntries(timeline) {
+    const $container = $('#chorus-log-entries');
 
     if (timeline.length === 0) {
         $container.html(`
@@ -185,7 +315,7 @@ export function renderLog() {
     }
 
     // Summary stats at top
-    const { births, deaths } = getLogs();
+    const { births, deaths, events } = getLogs();
     const statsHtml = `
         <div class="chorus-log-stats">
             <div class="chorus-log-stat">
@@ -196,20 +326,93 @@ export function renderLog() {
                 <span class="chorus-log-stat__val">${deaths.length}</span>
                 <span class="chorus-log-stat__label">silenced</span>
             </div>
+            <div class="chorus-log-stat">
+                <span class="chorus-log-stat__val">${events.length}</span>
+                <span class="chorus-log-stat__label">events</span>
+            </div>
         </div>
     `;
 
-    const entriesHtml = timeline.map(e => buildLogEntry(e)).join('');
+    const shown = applyFilters(timeline);
+    const entriesHtml = shown.length > 0
+        ? shown.map(e => buildLogEntry(e)).join('')
+        : '<div class="chorus-log-empty__sub chorus-log-empty__sub--filtered">Nothing matches these filters</div>';
 
     $container.html(statsHtml + entriesHtml);
+}
+
+/**
+ * Render the full log tab.
+ * Call this when switching to the log tab or when state changes.
+ */
+export function renderLog() {
+    const $container = $('#chorus-log-entries');
+    if (!$container.length) return;
+
+    renderTimeline();
+
+    const timeline = buildTimeline();
+    $('#chorus-log-filters').toggle(timeline.length > 0);
+    renderFilters(timeline);
+    renderEntries(timeline);
 
     console.log(`${LOG_PREFIX} Log rendered: ${timeline.length} entries`);
 }
 
+// =============================================================================
+// MESSAGE LINKS
+// =============================================================================
+
+/**
+ * Scroll the chat to the message an entry happened at. Messages ST
+ * hasn't loaded yet are reached with /chat-jump where it exists.
+ */
+async function jumpToMessage(mesId) {
+    const chat = getContext().chat || [];
+    if (mesId >= chat.length) {
+        toastr.info(`Message #${mesId} is no longer in this chat`, 'The Chorus', { timeOut: 2500 });
+        return;
+    }
+
+    const $mes = $(`#chat .mes[mesid="${mesId}"]`);
+    if ($mes.length > 0) {
+        $mes[0].scrollIntoView({ behavior: 'smooth', block: 'center' });
+        $mes.addClass('chorus-log-flash');
+        setTimeout(() => $mes.removeClass('chorus-log-flash'), 2000);
+        return;
+    }
+
+    const ctx = getContext();
+    if (typeof ctx.executeSlashCommandsWithOptions === 'function') {
+        await ctx.executeSlashCommandsWithOptions(`/chat-jump ${mesId}`);
+        return;
+    }
+    toastr.info(`Message #${mesId} isn't loaded — scroll up the chat to load it`, 'The Chorus', { timeOut: 3000 });
+}
+
+// =============================================================================
+// INIT
+// =============================================================================
+
 /**
- * Initialize log tab (call once on extension load).
+ * Wire the filters and message links (call once on panel init).
  */
 export function initLog() {
-    // Log renders on demand when tab is switched
+    $('#chorus-log-search').on('input', function () {
+        filters.query = String($(this).val() || '');
+        renderEntries(buildTimeline());
+    });
+
+    for (const key of ['voice', 'type', 'day']) {
+        $(`#chorus-log-${key}`).on('change', function () {
+            filters[key] = String($(this).val() || '');
+            renderEntries(buildTimeline());
+        });
+    }
+
+    $('#chorus-log-entries').on('click', '.chorus-log-entry--linked', function () {
+        jumpToMessage(Number($(this).data('mesid')));
+    });
+
     console.log(`${LOG_PREFIX} Log tab initialized`);
 }
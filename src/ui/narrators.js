@@ -0,0 +1,332 @@
+/**
+ * THE CHORUS — Narrator Builder
+ *
+ * Narrator dropdown plus create / edit / import / export of narrator
+ * archetypes (settings): persona, agenda, triggers, speak chance,
+ * degradation style and declarative speak conditions.
+ */
+
+import { LOG_PREFIX, NARRATOR_METRICS, NARRATOR_OPERATORS } from '../config.js';
+import { extensionSettings, saveSettings } from '../state.js';
+import {
+    getNarratorArchetypes,
+    isBuiltInNarrator,
+    isCustomNarrator,
+    describeSpeakCondition,
+    saveNarratorArchetype,
+    deleteNarratorArchetype,
+    buildNarratorExport,
+    parseNarratorFile,
+    importNarratorArchetypes,
+} from '../voices/archetypes.js';
+
+const TRIGGER_LABELS = {
+    birth: 'Births',
+    death: 'Deaths',
+    voiceDrama: 'Voice drama',
+    escalation: 'Escalation',
+    silences: 'Silences',
+    storyEvents: 'Story events',
+};
+
+let editingKey = null;   // Narrator open in the builder ('' = new, null = closed)
+let draft = null;        // Builder contents while open
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+function renderNarratorSelect() {
+    const selected = extensionSettings.narratorArchetype || 'stage_manager';
+    $('#chorus-setting-narrator').html(Object.entries(getNarratorArchetypes()).map(([key, arch]) => {
+        const blurb = arch.description ? ` — ${arch.description.split(/[.!?]/)[0].toLowerCase()}` : '';
+        return `<option value="${escapeHtml(key)}"${key === selected ? ' selected' : ''}>${escapeHtml(arch.name + blurb)}${isCustomNarrator(key) ? ' ✎' : ''}</option>`;
+    }).join(''));
+}
+
+function newClause() {
+    return { metric: 'voicesAbove', over: NARRATOR_METRICS.voicesAbove.over, op: '>=', value: 1 };
+}
+
+function blankDraft() {
+    return {
+        name: '',
+        short: '',
+        description: '',
+        agenda: '',
+        persona: '',
+        triggers: { birth: true, death: true, voiceDrama: true, escalation: true, silences: false, storyEvents: false },
+        speakChance: 0.25,
+        degradationStyle: '',
+        speakConditions: [],
+    };
+}
+
+// =============================================================================
+// BUILDER SHEET
+// =============================================================================
+
+function buildClause(clause, ruleIndex, clauseIndex) {
+    const meta = NARRATOR_METRICS[clause.metric];
+    const metricOptions = Object.entries(NARRATOR_METRICS).map(([key, m]) =>
+        `<option value="${key}"${key === clause.metric ? ' selected' : ''}>${escapeHtml(m.label)}</option>`,
+    ).join('');
+    const opOptions = NARRATOR_OPERATORS.map(op =>
+        `<option value="${op}"${op === clause.op ? ' selected' : ''}>${escapeHtml(op)}</option>`,
+    ).join('');
+
+    return `
+        <div class="chorus-narrator-editor__clause" data-rule="${ruleIndex}" data-clause="${clauseIndex}">
+            <select class="chorus-select" data-part="metric">${metricOptions}</select>
+            ${meta?.over !== undefined ? `<input class="chorus-narrator-editor__num" type="number" min="0" max="100" data-part="over" value="${clause.over}">` : ''}
+            <select class="chorus-select" data-part="op">${opOptions}</select>
+            <input class="chorus-narrator-editor__num" type="number" min="0" max="100" data-part="value" value="${clause.value}">
+            <button class="chorus-themes__remove" data-action="remove-clause" title="Remove clause">&#x2715;</button>
+        </div>
+    `;
+}
+
+function buildRules(rules) {
+    return rules.map((rule, i) => `
+        <div class="chorus-narrator-editor__rule" data-rule="${i}">
+            ${rule.when.map((clause, j) => buildClause(clause, i, j)).join('<div class="chorus-narrator-editor__and">AND</div>')}
+            <div class="chorus-narrator-editor__rule-foot">
+                <button class="chorus-deck-action" data-action="add-clause">+ AND</button>
+                <label>SPEAK ×<input class="chorus-narrator-editor__num" type="number" min="0" max="3" step="0.05" data-part="chance" value="${rule.chance}"></label>
+                <button class="chorus-themes__remove" data-action="remove-rule" title="Remove condition">&#x2715;</button>
+            </div>
+            ${rule.when.length ? `<div class="chorus-themes__note">${escapeHtml(describeSpeakCondition(rule))}</div>` : ''}
+        </div>
+    `).join('');
+}
+
+function renderEditor() {
+    const $sheet = $('#chorus-narrator-editor');
+    if (editingKey === null) {
+        $sheet.removeClass('open').empty();
+        return;
+    }
+
+    const removeLabel = editingKey && isCustomNarrator(editingKey)
+        ? (isBuiltInNarrator(editingKey) ? 'RESTORE' : 'DELETE')
+        : '';
+    const triggers = Object.entries(TRIGGER_LABELS).map(([key, label]) => `
+        <label class="chorus-narrator-editor__trigger">
+            <input type="checkbox" data-trigger="${key}"${draft.triggers[key] ? ' checked' : ''}> ${escapeHtml(label)}
+        </label>
+    `).join('');
+
+    $sheet.html(`
+        <div class="chorus-tone-editor__title">${editingKey ? `EDIT ${escapeHtml(draft.name.toUpperCase())}` : 'NEW NARRATOR'}</div>
+        <input class="chorus-tone-editor__field" data-field="name" placeholder="Name" maxlength="32" value="${escapeHtml(draft.name)}">
+        <input class="chorus-tone-editor__field" data-field="short" placeholder="Short label (e.g. STAGE)" maxlength="10" value="${escapeHtml(draft.short)}">
+        <textarea class="chorus-tone-editor__field" data-field="description" rows="2" maxlength="300" placeholder="One line — what it is">${escapeHtml(draft.description)}</textarea>
+        <textarea class="chorus-tone-editor__field" data-field="agenda" rows="3" maxlength="600" placeholder="Agenda — what it wants from the voices">${escapeHtml(draft.agenda)}</textarea>
+        <textarea class="chorus-tone-editor__field" data-field="persona" rows="6" maxlength="4000" placeholder="Persona — who it is, written to it (&quot;You are…&quot;)">${escapeHtml(draft.persona)}</textarea>
+        <textarea class="chorus-tone-editor__field" data-field="degradationStyle" rows="2" maxlength="400" placeholder="How it falls apart as coherence drops">${escapeHtml(draft.degradationStyle)}</textarea>
+
+        <div class="chorus-themes__note">SPEAKS ON</div>
+        <div class="chorus-narrator-editor__triggers">${triggers}</div>
+
+        <label class="chorus-themes__note">AMBIENT SPEAK CHANCE
+            <input class="chorus-narrator-editor__num" type="number" min="0" max="100" data-field="speakChance" value="${Math.round(draft.speakChance * 100)}">%
+        </label>
+
+        <div class="chorus-themes__note">SPEAK CONDITIONS — multiply the chance when every clause holds</div>
+        ${buildRules(draft.speakConditions)}
+        <button class="chorus-deck-action" data-action="add-rule">+ CONDITION</button>
+
+        <div class="chorus-deck-import__buttons">
+            <button class="chorus-deck-action" data-action="save">SAVE</button>
+            ${removeLabel ? `<button class="chorus-deck-action" data-action="remove">${removeLabel}</button>` : ''}
+            <button class="chorus-deck-action" data-action="cancel">CANCEL</button>
+        </div>
+    `).addClass('open');
+}
+
+/**
+ * Copy the builder's inputs into the draft (before a re-render or save).
+ */
+function readEditor() {
+    const $sheet = $('#chorus-narrator-editor');
+    const field = name => $sheet.find(`[data-field="${name}"]`).val() || '';
+
+    draft.name = field('name');
+    draft.short = field('short');
+    draft.description = field('description');
+    draft.agenda = field('agenda');
+    draft.persona = field('persona');
+    draft.degradationStyle = field('degradationStyle');
+    draft.speakChance = (Number(field('speakChance')) || 0) / 100;
+
+    $sheet.find('[data-trigger]').each(function () {
+        draft.triggers[$(this).data('trigger')] = this.checked;
+    });
+
+    $sheet.find('.chorus-narrator-editor__rule').each(function () {
+        const rule = draft.speakConditions[$(this).data('rule')];
+        if (!rule) return;
+        rule.chance = Number($(this).find('[data-part="chance"]').val()) || 0;
+        $(this).find('.chorus-narrator-editor__clause').each(function () {
+            const clause = rule.when[$(this).data('clause')];
+            const metric = $(this).find('[data-part="metric"]').val();
+            const over = $(this).find('[data-part="over"]');
+            clause.metric = metric;
+            clause.op = $(this).find('[data-part="op"]').val();
+            clause.value = Number($(this).find('[data-part="value"]').val()) || 0;
+            if (NARRATOR_METRICS[metric]?.over !== undefined) {
+                clause.over = over.length ? Number(over.val()) || 0 : NARRATOR_METRICS[metric].over;
+            } else {
+                delete clause.over;
+            }
+        });
+    });
+}
+
+/**
+ * Change the draft's structure and redraw the builder.
+ * @param {Function} mutate - Changes the draft in place
+ */
+function editDraft(mutate) {
+    readEditor();
+    mutate(draft);
+    renderEditor();
+}
+
+function openEditor(key) {
+    editingKey = key;
+    const archetype = key ? getNarratorArchetypes()[key] : null;
+    draft = archetype ? JSON.parse(JSON.stringify({ ...blankDraft(), ...archetype })) : blankDraft();
+    renderEditor();
+}
+
+function closeEditor() {
+    editingKey = null;
+    draft = null;
+    renderEditor();
+}
+
+function onSave() {
+    readEditor();
+    const key = saveNarratorArchetype(editingKey || null, draft);
+    if (!key) {
+        toastr.warning('A narrator needs a name, an agenda and a persona', 'The Chorus', { timeOut: 2000 });
+        return;
+    }
+
+    // A new narrator takes over — that's why it was built
+    if (!editingKey) {
+        extensionSettings.narratorArchetype = key;
+        saveSettings();
+    }
+
+    closeEditor();
+    renderNarratorSelect();
+}
+
+function onRemove() {
+    deleteNarratorArchetype(editingKey);
+    closeEditor();
+    renderNarratorSelect();
+}
+
+// =============================================================================
+// EXPORT / IMPORT
+// =============================================================================
+
+function exportNarrator() {
+    const key = extensionSettings.narratorArchetype || 'stage_manager';
+    const data = buildNarratorExport(key);
+    if (Object.keys(data.narrators).length === 0) return;
+
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `chorus-narrator-${key}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+
+    toastr.info(`Exported ${data.narrators[key].name}`, 'The Chorus', { timeOut: 2000 });
+}
+
+async function onImportFile(file) {
+    try {
+        const keys = importNarratorArchetypes(parseNarratorFile(await file.text()));
+
+        // A single shared narrator is there to be used
+        if (keys.length === 1) {
+            extensionSettings.narratorArchetype = keys[0];
+            saveSettings();
+        }
+        renderNarratorSelect();
+        toastr.success(`Imported ${keys.length} narrator${keys.length === 1 ? '' : 's'}`, 'The Chorus', { timeOut: 2000 });
+    } catch (e) {
+        toastr.error(e.message, 'The Chorus', { timeOut: 4000 });
+    }
+}
+
+// =============================================================================
+// INIT
+// =============================================================================
+
+/**
+ * Fill the narrator dropdown and wire the builder (call once on panel init).
+ */
+export function initNarratorBuilder() {
+    renderNarratorSelect();
+
+    $('#chorus-setting-narrator').on('change', function () {
+        extensionSettings.narratorArchetype = $(this).val();
+        saveSettings();
+        console.log(`${LOG_PREFIX} Narrator: ${extensionSettings.narratorArchetype}`);
+    });
+
+    $('#chorus-btn-narrator-new').on('click', () => openEditor(''));
+    $('#chorus-btn-narrator-edit').on('click', () => {
+        openEditor(extensionSettings.narratorArchetype || 'stage_manager');
+    });
+    $('#chorus-btn-narrator-export').on('click', exportNarrator);
+    $('#chorus-btn-narrator-import').on('click', () => {
+        $('#chorus-narrator-import-file').val('').trigger('click');
+    });
+    $('#chorus-narrator-import-file').on('change', function () {
+        const file = this.files?.[0];
+        if (file) onImportFile(file);
+    });
+
+    const $sheet = $('#chorus-narrator-editor');
+    $sheet.on('click', '[data-action="add-rule"]', () => {
+        editDraft(d => d.speakConditions.push({ when: [newClause()], chance: 1.5 }));
+    });
+    $sheet.on('click', '[data-action="remove-rule"]', function () {
+        const i = $(this).closest('.chorus-narrator-editor__rule').data('rule');
+        editDraft(d => d.speakConditions.splice(i, 1));
+    });
+    $sheet.on('click', '[data-action="add-clause"]', function () {
+        const i = $(this).closest('.chorus-narrator-editor__rule').data('rule');
+        editDraft(d => d.speakConditions[i].when.push(newClause()));
+    });
+    $sheet.on('click', '[data-action="remove-clause"]', function () {
+        const $clause = $(this).closest('.chorus-narrator-editor__clause');
+        const i = $clause.data('rule');
+        editDraft(d => {
+            d.speakConditions[i].when.splice($clause.data('clause'), 1);
+            if (d.speakConditions[i].when.length === 0) d.speakConditions.splice(i, 1);
+        });
+    });
+    // Metric changes show or hide the threshold input; other edits only update the summary
+    $sheet.on('change', '.chorus-narrator-editor__rule select, .chorus-narrator-editor__rule input', () => {
+        editDraft(() => {});
+    });
+
+    $sheet.on('click', '[data-action="save"]', onSave);
+    $sheet.on('click', '[data-action="remove"]', onRemove);
+    $sheet.on('click', '[data-action="cancel"]', closeEditor);
+}
@@ -5,11 +5,22 @@
 
 import { renderExtensionTemplateAsync, getContext } from '../../../../../extensions.js';
 import { EXTENSION_NAME, LOG_PREFIX, TONE_ANCHORS } from '../config.js';
-import { extensionSettings, getContainer, panelOpen, setPanelOpen, saveSettings, resetChatState } from '../state.js';
-import { renderDeck, cleanupCanvases } from './deck.js';
+import { extensionSettings, getContainer, panelOpen, setPanelOpen, saveSettings, resetChatState, getDeckSize } from '../state.js';
+import { renderDeck, cleanupCanvases, initDeckTransfer } from './deck.js';
 import { initReadingTab, clearSidebar } from './reading.js';
 import { activateCouncil, deactivateCouncil } from '../social/council.js';
-import { renderLog } from './log.js';
+import { initLog, renderLog } from './log.js';
+import { initWeb, renderWeb, stopWeb } from './web.js';
+import { initTimeline } from './timeline.js';
+import { renderUsage, initUsageTab } from './usage.js';
+import { initThemeEditor, renderThemeEditor } from './themes.js';
+import { initToneEditor } from './tones.js';
+import { initNarratorBuilder } from './narrators.js';
+import { initVoiceEditor } from './voice-editor.js';
+import { initVoiceLibrary, renderVoiceLibrary } from './library.js';
+import { resetBudgetAnnouncements } from '../accounting.js';
+import { updateInjection } from '../voices/injection.js';
+import { CALL_TYPES } from '../request-service.js';
 
 // =============================================================================
 // PANEL TOGGLE
@@ -44,6 +55,9 @@ function switchTab(tabName) {
     if (currentTab === 'council') {
         deactivateCouncil();
     }
+    if (currentTab === 'web') {
+        stopWeb();
+    }
 
     $('.chorus-tabs__btn').removeClass('active');
     $(`.chorus-tabs__btn[data-tab="${tabName}"]`).addClass('active');
@@ -58,12 +72,18 @@ function switchTab(tabName) {
     if (tabName === 'council') {
         activateCouncil();
     }
+    if (tabName === 'web') {
+        renderWeb();
+    }
     if (tabName === 'log') {
         renderLog();
     }
     if (tabName === 'deck') {
         renderDeck();
     }
+    if (tabName === 'usage') {
+        renderUsage();
+    }
 }
 
 // =============================================================================
@@ -185,26 +205,26 @@ function setupDraggableFab() {
 // CONNECTION PROFILE POPULATION
 // =============================================================================
 
+function getConnectionProfiles() {
+    try {
+        const ctx = getContext();
+        const profiles = ctx.extensionSettings?.connectionManager?.profiles || [];
+        return profiles.filter(p => p.name && p.id);
+    } catch (e) {
+        console.warn(`${LOG_PREFIX} Could not load connection profiles:`, e);
+        return [];
+    }
+}
+
 function populateConnectionProfiles() {
+    const profiles = getConnectionProfiles();
     const $select = $('#chorus-setting-connection');
     $select.empty();
 
     // Always have "Current Profile" option
     $select.append('<option value="current">Current Profile</option>');
-
-    try {
-        const ctx = getContext();
-        const connectionManager = ctx.extensionSettings?.connectionManager;
-
-        if (connectionManager?.profiles?.length) {
-            for (const profile of connectionManager.profiles) {
-                if (profile.name && profile.id) {
-                    $select.append(`<option value="${profile.id}">${profile.name}</option>`);
-                }
-            }
-        }
-    } catch (e) {
-        console.warn(`${LOG_PREFIX} Could not load connection profiles:`, e);
+    for (const profile of profiles) {
+        $select.append(`<option value="${profile.id}">${profile.name}</option>`);
     }
 
     // Set current value
@@ -216,6 +236,61 @@ function populateConnectionProfiles() {
         $select.val('current');
         extensionSettings.connectionProfile = 'current';
     }
+
+    populateRouteProfiles(profiles);
+}
+
+// Budget choices per subsystem ('' = built-in AUTO)
+const TOKEN_BUDGET_OPTIONS = [150, 300, 600, 1000, 1500, 2500, 4000];
+
+/**
+ * Fill the per-subsystem profile selects in the Routing group.
+ * An override pointing at a deleted profile falls back to MAIN.
+ */
+function populateRouteProfiles(profiles) {
+    const overrides = extensionSettings.profileOverrides || {};
+
+    $('.chorus-route__profile').each(function () {
+        const $select = $(this);
+        const callType = $select.data('call-type');
+        $select.empty();
+        $select.append('<option value="">MAIN</option>');
+        $select.append('<option value="current">Current Profile</option>');
+        for (const profile of profiles) {
+            $select.append(`<option value="${profile.id}">${profile.name}</option>`);
+        }
+
+        const saved = overrides[callType] || '';
+        $select.val(saved);
+        if ($select.val() !== saved) {
+            $select.val('');
+            delete overrides[callType];
+        }
+    });
+}
+
+/**
+ * Fill the per-subsystem budget selects. AUTO shows the built-in size.
+ */
+function populateRouteBudgets() {
+    const budgets = extensionSettings.tokenBudgets || {};
+
+    $('.chorus-route__budget').each(function () {
+        const $select = $(this);
+        const callType = $select.data('call-type');
+        const builtIn = CALL_TYPES[callType]?.maxTokens;
+        $select.empty();
+        $select.append(`<option value="">AUTO ${builtIn || ''}</option>`);
+        for (const value of TOKEN_BUDGET_OPTIONS) {
+            $select.append(`<option value="${value}">${value}</option>`);
+        }
+
+        const saved = budgets[callType];
+        if (saved && !TOKEN_BUDGET_OPTIONS.includes(saved)) {
+            $select.append(`<option value="${saved}">${saved}</option>`);
+        }
+        $select.val(saved ? String(saved) : '');
+    });
 }
 
 // =============================================================================
@@ -273,6 +348,21 @@ export async function initUI() {
             extensionSettings.maxVoices = parseInt(this.value);
             saveSettings();
         });
+
+        // ── Minor Arcana — the slider reaches 78 while the extended deck is on ──
+        const syncMaxVoices = () => {
+            $('#chorus-setting-max-voices').attr('max', getDeckSize()).val(extensionSettings.maxVoices);
+            $('#chorus-max-voices-val').text(extensionSettings.maxVoices);
+        };
+        syncMaxVoices();
+        $('#chorus-setting-minor-arcana')
+            .toggleClass('on', !!extensionSettings.minorArcana)
+            .on('click', function () {
+                extensionSettings.minorArcana = $(this).hasClass('on');
+                extensionSettings.maxVoices = Math.min(extensionSettings.maxVoices, getDeckSize());
+                saveSettings();
+                syncMaxVoices();
+            });
         $('#chorus-setting-birth-sensitivity').on('input', function () {
             const labels = ['HAIR', 'LOW', 'MED', 'HIGH', 'EXTREME'];
             $('#chorus-birth-sensitivity-val').text(labels[this.value - 1]);
@@ -284,6 +374,13 @@ export async function initUI() {
             extensionSettings.reversalChance = parseInt(this.value);
             saveSettings();
         });
+        $('#chorus-setting-spread-concurrency').val(extensionSettings.spreadConcurrency || 3);
+        $('#chorus-spread-concurrency-val').text(extensionSettings.spreadConcurrency || 3);
+        $('#chorus-setting-spread-concurrency').on('input', function () {
+            $('#chorus-spread-concurrency-val').text(this.value);
+            extensionSettings.spreadConcurrency = parseInt(this.value);
+            saveSettings();
+        });
         $('#chorus-setting-gain-rate').on('input', function () {
             const labels = ['SLOW', 'LOW', 'MED', 'FAST', 'RAPID'];
             $('#chorus-gain-rate-val').text(labels[this.value - 1]);
@@ -299,12 +396,81 @@ export async function initUI() {
             console.log(`${LOG_PREFIX} Connection profile: ${extensionSettings.connectionProfile}`);
         });
 
-        // ── Tone anchor dropdown ──
-        $('#chorus-setting-tone').val(extensionSettings.toneAnchor || 'raw');
-        $('#chorus-setting-tone').on('change', function () {
-            extensionSettings.toneAnchor = $(this).val();
+        // ── Per-subsystem routing (profile + budget) ──
+        populateRouteBudgets();
+        $('.chorus-route__profile').on('change', function () {
+            const callType = $(this).data('call-type');
+            const overrides = { ...(extensionSettings.profileOverrides || {}) };
+            if ($(this).val()) {
+                overrides[callType] = $(this).val();
+            } else {
+                delete overrides[callType];
+            }
+            extensionSettings.profileOverrides = overrides;
+            saveSettings();
+        });
+        $('.chorus-route__budget').on('change', function () {
+            const callType = $(this).data('call-type');
+            const budgets = { ...(extensionSettings.tokenBudgets || {}) };
+            const value = parseInt($(this).val());
+            if (value) {
+                budgets[callType] = value;
+            } else {
+                delete budgets[callType];
+            }
+            extensionSettings.tokenBudgets = budgets;
+            saveSettings();
+        });
+
+        // ── Tone anchor dropdown + editor ──
+        initToneEditor();
+        // Card backs list the anchors for per-voice tone
+        $(document).off('chorus:tonesChanged.panel').on('chorus:tonesChanged.panel', () => renderDeck());
+
+        // ── Pipeline mode picker ──
+        const $pipeline = $('#chorus-setting-pipeline');
+        $pipeline.find('.chorus-picker__opt').removeClass('active');
+        $pipeline.find(`[data-value="${extensionSettings.pipelineMode || 'separate'}"]`).addClass('active');
+        $pipeline.find('.chorus-picker__opt').on('click', function () {
+            $(this).siblings().removeClass('active');
+            $(this).addClass('active');
+            extensionSettings.pipelineMode = $(this).data('value');
+            saveSettings();
+        });
+
+        // ── Swipe / edit history picker ──
+        const $history = $('#chorus-setting-history');
+        $history.find('.chorus-picker__opt').removeClass('active');
+        $history.find(`[data-value="${extensionSettings.historyMode || 'rollback'}"]`).addClass('active');
+        $history.find('.chorus-picker__opt').on('click', function () {
+            $(this).siblings().removeClass('active');
+            $(this).addClass('active');
+            extensionSettings.historyMode = $(this).data('value');
+            saveSettings();
+        });
+
+        // ── User message processing toggle ──
+        // (generic .chorus-toggle handler above already flipped the class)
+        $('#chorus-setting-user-messages')
+            .toggleClass('on', !!extensionSettings.processUserMessages)
+            .on('click', function () {
+                extensionSettings.processUserMessages = $(this).hasClass('on');
+                saveSettings();
+            });
+
+        // ── Local pre-filter ──
+        $('#chorus-setting-prefilter')
+            .toggleClass('on', extensionSettings.heuristicPrefilter !== false)
+            .on('click', function () {
+                extensionSettings.heuristicPrefilter = $(this).hasClass('on');
+                saveSettings();
+            });
+        $('#chorus-setting-prefilter-threshold').val(extensionSettings.heuristicThreshold ?? 80);
+        $('#chorus-prefilter-threshold-val').text((extensionSettings.heuristicThreshold ?? 80) + '%');
+        $('#chorus-setting-prefilter-threshold').on('input', function () {
+            $('#chorus-prefilter-threshold-val').text(this.value + '%');
+            extensionSettings.heuristicThreshold = parseInt(this.value);
             saveSettings();
-            console.log(`${LOG_PREFIX} Tone anchor: ${extensionSettings.toneAnchor}`);
         });
 
         // ── Draw mode picker ──
@@ -318,16 +484,8 @@ export async function initUI() {
             saveSettings();
         });
 
-        // ── Narrator archetype picker ──
-        const $narratorPicker = $('#chorus-setting-narrator');
-        $narratorPicker.find('.chorus-picker__opt').removeClass('active');
-        $narratorPicker.find(`[data-value="${extensionSettings.narratorArchetype || 'stage_manager'}"]`).addClass('active');
-        $narratorPicker.find('.chorus-picker__opt').on('click', function () {
-            $(this).siblings().removeClass('active');
-            $(this).addClass('active');
-            extensionSettings.narratorArchetype = $(this).data('value');
-            saveSettings();
-        });
+        // ── Narrator archetype dropdown + builder ──
+        initNarratorBuilder();
 
         // ── Spread severity picker ──
         const $spreadSev = $('#chorus-setting-spread-severity');
@@ -351,6 +509,24 @@ export async function initUI() {
             saveSettings();
         });
 
+        // ── Budget ──
+        const $budgetMode = $('#chorus-setting-budget-mode');
+        $budgetMode.find('.chorus-picker__opt').removeClass('active');
+        $budgetMode.find(`[data-value="${extensionSettings.budgetMode || 'off'}"]`).addClass('active');
+        $budgetMode.find('.chorus-picker__opt').on('click', function () {
+            $(this).siblings().removeClass('active');
+            $(this).addClass('active');
+            extensionSettings.budgetMode = $(this).data('value');
+            resetBudgetAnnouncements();
+            saveSettings();
+        });
+        $('#chorus-setting-budget-tokens').val(String(extensionSettings.budgetTokens || 100000));
+        $('#chorus-setting-budget-tokens').on('change', function () {
+            extensionSettings.budgetTokens = parseInt($(this).val());
+            resetBudgetAnnouncements();
+            saveSettings();
+        });
+
         // ── Council speed picker ──
         const $councilSpeed = $('#chorus-setting-council-speed');
         $councilSpeed.find('.chorus-picker__opt').removeClass('active');
@@ -375,6 +551,69 @@ export async function initUI() {
             saveSettings();
         });
 
+        // ── Inner voice injection ──
+        // (generic .chorus-toggle handler above already flipped the class)
+        const injectionToggles = {
+            '#chorus-setting-injection': 'injectionEnabled',
+            '#chorus-setting-injection-influence': 'injectionIncludeInfluence',
+            '#chorus-setting-injection-thoughts': 'injectionIncludeThoughts',
+            '#chorus-setting-injection-advice': 'injectionIncludeAdvice',
+            '#chorus-setting-injection-coherence': 'injectionIncludeCoherence',
+        };
+        for (const [selector, key] of Object.entries(injectionToggles)) {
+            $(selector).toggleClass('on', !!extensionSettings[key]);
+            $(selector).on('click', function () {
+                extensionSettings[key] = $(this).hasClass('on');
+                saveSettings();
+                updateInjection();
+            });
+        }
+
+        const $injectionPos = $('#chorus-setting-injection-position');
+        $injectionPos.find('.chorus-picker__opt').removeClass('active');
+        $injectionPos.find(`[data-value="${extensionSettings.injectionPosition || 'in_chat'}"]`).addClass('active');
+        $injectionPos.find('.chorus-picker__opt').on('click', function () {
+            $(this).siblings().removeClass('active');
+            $(this).addClass('active');
+            extensionSettings.injectionPosition = $(this).data('value');
+            saveSettings();
+            updateInjection();
+        });
+
+        $('#chorus-setting-injection-role').val(extensionSettings.injectionRole || 'system');
+        $('#chorus-setting-injection-role').on('change', function () {
+            extensionSettings.injectionRole = $(this).val();
+            saveSettings();
+            updateInjection();
+        });
+
+        $('#chorus-setting-injection-depth').val(extensionSettings.injectionDepth ?? 2);
+        $('#chorus-injection-depth-val').text(extensionSettings.injectionDepth ?? 2);
+        $('#chorus-setting-injection-depth').on('input', function () {
+            $('#chorus-injection-depth-val').text(this.value);
+            extensionSettings.injectionDepth = parseInt(this.value);
+            saveSettings();
+            updateInjection();
+        });
+
+        $('#chorus-setting-injection-voices').val(extensionSettings.injectionMaxVoices || 3);
+        $('#chorus-injection-voices-val').text(extensionSettings.injectionMaxVoices || 3);
+        $('#chorus-setting-injection-voices').on('input', function () {
+            $('#chorus-injection-voices-val').text(this.value);
+            extensionSettings.injectionMaxVoices = parseInt(this.value);
+            saveSettings();
+            updateInjection();
+        });
+
+        $('#chorus-setting-injection-budget').val(extensionSettings.injectionBudget || 1200);
+        $('#chorus-injection-budget-val').text(extensionSettings.injectionBudget || 1200);
+        $('#chorus-setting-injection-budget').on('input', function () {
+            $('#chorus-injection-budget-val').text(this.value);
+            extensionSettings.injectionBudget = parseInt(this.value);
+            saveSettings();
+            updateInjection();
+        });
+
         // ── Reset button (danger zone) ──
         $('#chorus-btn-reset').on('click', function () {
             // First click: arm it
@@ -395,6 +634,24 @@ export async function initUI() {
         // Render tabs
         renderDeck();
         initReadingTab();
+        initDeckTransfer();
+        initUsageTab();
+        initThemeEditor();
+        initVoiceEditor();
+        initVoiceLibrary();
+        initWeb();
+        initLog();
+        initTimeline();
+        $(document).off('chorus:voicesChanged.panel').on('chorus:voicesChanged.panel', () => {
+            renderDeck();
+            if (currentTab === 'web') renderWeb();
+            if (currentTab === 'log') renderLog();
+        });
+
+        // Keep the usage tab live while it's open
+        $(document).off('chorus:usageUpdated.panel').on('chorus:usageUpdated.panel', () => {
+            if (currentTab === 'usage') renderUsage();
+        });
 
         console.log(`${LOG_PREFIX} UI initialized`);
     } catch (error) {
@@ -406,6 +663,7 @@ export async function initUI() {
 
 export function destroyUI() {
     cleanupCanvases();
+    stopWeb();
 
     $('#chorus-panel').remove();
     $('#chorus-fab-wrapper').remove();
@@ -440,5 +698,14 @@ export function refreshUI() {
     // Re-populate connection profiles (may have changed)
     populateConnectionProfiles();
 
+    // This chat may have its own themes
+    renderThemeEditor();
+
+    // Arcana conflicts are per chat
+    renderVoiceLibrary();
+
+    if (currentTab === 'web') renderWeb();
+    if (currentTab === 'log') renderLog();
+
     console.log('[The Chorus] UI refreshed');
 }
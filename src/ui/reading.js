@@ -5,6 +5,9 @@
  * Public API (called from index.js):
  *   renderSidebarCommentary(commentary[])  — voice reactions per message
  *   renderCardReading(cardReading)         — single card or spread
+ *                                            (spreads also stream in card by card
+ *                                             via the engine's spread listener)
+ *   drawReading(spreadType)                — manual draw (button + /chorus-draw)
  *   updateEscalationUI(level)              — escalation bar
  *   showSidebarLoading() / hideSidebarLoading()
  *   clearSidebar()                         — reset on chat switch
@@ -16,6 +19,7 @@ import {
     manualSingleDraw,
     manualSpreadDraw,
     setDrawLock,
+    setSpreadListener,
 } from '../voices/voice-engine.js';
 
 // =============================================================================
@@ -68,15 +72,19 @@ let isDrawing = false;  // Shared mutex — blocks auto-draws during manual draw
  */
 /**
  * Render voice commentary as inline reactions in the main ST chat.
- * Injects a compact voice block after the last AI message.
+ * Injects a compact voice block after the last message, or after a
+ * given message (reactions to {{user}}'s own message).
  * These are visual-only — not stored in chat history.
+ * @param {number|null} [targetMesId] - Message to attach to (default: last)
  */
-export function renderSidebarCommentary(commentary) {
+export function renderSidebarCommentary(commentary, targetMesId = null) {
     if (!commentary || commentary.length === 0) return;
 
-    // Find the last AI message in the chat
+    // Find the target message (last one by default)
     const $chat = $('#chat');
-    const $lastMes = $chat.find('.mes').last();
+    const $lastMes = targetMesId === null
+        ? $chat.find('.mes').last()
+        : $chat.find(`.mes[mesid="${targetMesId}"]`);
     if ($lastMes.length === 0) return;
 
     const mesId = $lastMes.attr('mesid');
@@ -185,16 +193,15 @@ export function isManualDrawing() {
 export function renderCardReading(cardReading) {
     if (!cardReading) return;
 
+    // Spread already streamed in card by card — keep the dealt cards
+    let streamed = false;
+
     if (cardReading.type && Array.isArray(cardReading.cards)) {
         // Multi-card spread
+        streamed = !!currentReading?.streaming && currentReading.spread === cardReading.type;
         currentReading = {
             spread: cardReading.type,
-            slots: cardReading.cards.map(card => ({
-                position: { key: card.position || 'present', label: (card.positionName || 'READING').toUpperCase() },
-                voice: buildVoiceForRender(card),
-                reversed: card.reversed,
-                text: card.text,
-            })),
+            slots: cardReading.cards.map(card => buildSlotFromCard(card, 'READING')),
             timestamp: Date.now(),
         };
         currentSpread = cardReading.type;
@@ -202,12 +209,7 @@ export function renderCardReading(cardReading) {
         // Single card
         currentReading = {
             spread: 'single',
-            slots: [{
-                position: { key: cardReading.position || 'present', label: (cardReading.positionName || 'PRESENT').toUpperCase() },
-                voice: buildVoiceForRender(cardReading),
-                reversed: cardReading.reversed,
-                text: cardReading.text,
-            }],
+            slots: [buildSlotFromCard(cardReading)],
             timestamp: Date.now(),
         };
         currentSpread = 'single';
@@ -221,10 +223,23 @@ export function renderCardReading(cardReading) {
     $(`.chorus-spread-pill[data-spread="${currentSpread}"]`).addClass('active');
 
     // Render
-    renderFilledSpread(currentReading);
+    const reading = currentReading;
+    if (!streamed) {
+        renderFilledSpread(reading);
+    }
     setTimeout(() => {
-        renderCommentary(currentReading);
-    }, currentReading.slots.length * 200 + 200);
+        renderCommentary(reading);
+    }, streamed ? 200 : reading.slots.length * 200 + 200);
+}
+
+function buildSlotFromCard(card, fallbackLabel = 'PRESENT') {
+    return {
+        position: { key: card.position || 'present', label: (card.positionName || fallbackLabel).toUpperCase() },
+        voice: buildVoiceForRender(card),
+        reversed: card.reversed,
+        text: card.text,
+        silent: !!card.silent,
+    };
 }
 
 function buildVoiceForRender(card) {
@@ -238,6 +253,73 @@ function buildVoiceForRender(card) {
     };
 }
 
+// =============================================================================
+// SPREAD STREAMING (engine → reading tab)
+// =============================================================================
+
+/**
+ * A spread started generating — deal out pending slots so each card
+ * can drop in as soon as its position comes back.
+ * @param {string} spreadType - 'three' or 'cross'
+ * @param {string[]} positionKeys - Positions being generated, in order
+ */
+function onSpreadStart(spreadType, positionKeys) {
+    const defs = SPREAD_DEFS[spreadType] || [];
+    currentReading = {
+        spread: spreadType,
+        slots: positionKeys.map(key => ({
+            position: { key, label: defs.find(d => d.key === key)?.label || key.toUpperCase() },
+            pending: true,
+        })),
+        timestamp: Date.now(),
+        streaming: true,
+    };
+    currentSpread = spreadType;
+
+    $('.chorus-spread-pill').removeClass('active escalated');
+    $(`.chorus-spread-pill[data-spread="${currentSpread}"]`).addClass('active');
+
+    renderFilledSpread(currentReading);
+    $('#chorus-commentary-area').empty();
+}
+
+/**
+ * One spread position finished (or went silent) — fill its slot.
+ * @param {Object} card - Card object from generateSpread
+ */
+function onSpreadCard(card) {
+    if (!currentReading?.streaming) return;
+
+    const idx = currentReading.slots.findIndex(s => s.position.key === card.position);
+    if (idx === -1) return;
+
+    const label = currentReading.slots[idx].position.label;
+    currentReading.slots[idx] = buildSlotFromCard(card, label);
+    renderFilledSpread(currentReading, card.position);
+}
+
+/**
+ * A spread finished generating. One where nobody spoke never reaches
+ * renderCardReading, so the stream ends here instead: an all-silent
+ * spread stays dealt, an aborted one (slots still pending) is cleared.
+ * @param {string} spreadType
+ * @param {number} spoken - Cards that weren't silent (0 when aborted)
+ */
+function onSpreadEnd(spreadType, spoken) {
+    if (spoken > 0 || !currentReading?.streaming || currentReading.spread !== spreadType) return;
+
+    if (currentReading.slots.some(slot => slot.pending)) {
+        currentReading = null;
+        renderEmptySpread(spreadType);
+        $('#chorus-commentary-area').empty();
+        return;
+    }
+
+    currentReading.streaming = false;
+    renderFilledSpread(currentReading);
+    renderCommentary(currentReading);
+}
+
 // =============================================================================
 // ESCALATION (public)
 // =============================================================================
@@ -307,28 +389,81 @@ function buildSpreadInkBleed(voice, arc) {
     </div>`;
 }
 
-function renderFilledSpread(reading) {
+/**
+ * Render the spread area from a reading.
+ * Slots may be pending (still generating) or silent (position failed).
+ * @param {Object} reading - currentReading shape
+ * @param {string} [onlyKey] - Re-render just this position (streaming)
+ */
+function renderFilledSpread(reading, onlyKey = null) {
     const $area = $('#chorus-spread-area');
+
+    if (onlyKey) {
+        const slot = reading.slots.find(s => s.position.key === onlyKey);
+        const $existing = $area.find(`.chorus-slot[data-position="${onlyKey}"]`);
+        if (slot && $existing.length > 0) {
+            $existing.replaceWith(buildSlotHtml(slot, reading.spread));
+            return;
+        }
+    }
+
     $area.empty();
     $area.removeClass('chorus-spread--single chorus-spread--three chorus-spread--cross');
     $area.addClass(`chorus-spread--${reading.spread}`);
 
     reading.slots.forEach(slot => {
-        const posClass = reading.spread === 'cross' ? ` chorus-slot--${slot.position.key}` : '';
-        const arc = getArcana(slot.voice.arcana);
-        const reversedClass = slot.reversed ? ' chorus-spread-card--reversed' : '';
-        const stateClass = slot.voice.state === 'dormant' ? ' chorus-spread-card--dormant' : '';
-
-        const borderStyle = slot.voice.state === 'agitated'
-            ? `1px solid ${arc.glow}55` : `1px solid rgba(201,168,76,0.2)`;
-        const shadow = slot.voice.state === 'agitated'
-            ? `0 0 12px ${arc.glow}33, inset 0 0 8px ${arc.glow}15`
-            : `0 0 6px ${arc.glow}18`;
-        const pulse = slot.voice.state === 'agitated'
-            ? `<div class="chorus-spread-card__pulse" style="border-color:${arc.glow}"></div>` : '';
-        const relColor = RELATIONSHIP_COLORS[slot.voice.relationship] || '#888888';
+        $area.append(buildSlotHtml(slot, reading.spread));
+    });
+}
 
-        $area.append(`
+function buildSlotHtml(slot, spread) {
+    const posClass = spread === 'cross' ? ` chorus-slot--${slot.position.key}` : '';
+
+    if (slot.pending) {
+        return `
+            <div class="chorus-slot${posClass}" data-position="${slot.position.key}">
+                <div class="chorus-slot__empty chorus-slot__empty--drawing">
+                    <div class="chorus-slot__empty-glyph">?</div>
+                </div>
+                <div class="chorus-slot__label">${slot.position.label}</div>
+            </div>
+        `;
+    }
+
+    const arc = getArcana(slot.voice.arcana);
+
+    if (slot.silent) {
+        return `
+            <div class="chorus-slot${posClass}" data-position="${slot.position.key}">
+                <div class="chorus-spread-card chorus-spread-card--silent" data-voice-id="${slot.voice.id}">
+                    <div class="chorus-spread-card__frame-outer"></div>
+                    <div class="chorus-spread-card__frame-inner"></div>
+                    <div class="chorus-spread-card__art" style="background:radial-gradient(circle at 50% 50%, ${arc.color}08 0%, #0a0612 70%)">
+                        <div class="chorus-spread-card__glyph">${arc.glyph}</div>
+                    </div>
+                    <div class="chorus-spread-card__name">${slot.voice.name}</div>
+                    <div class="chorus-spread-card__arcana">${arc.numeral}</div>
+                    <div class="chorus-spread-card__silent-tag">SILENT</div>
+                    <div class="chorus-spread-card__scanlines"></div>
+                </div>
+                <div class="chorus-slot__label">${slot.position.label}</div>
+            </div>
+        `;
+    }
+
+    const reversedClass = slot.reversed ? ' chorus-spread-card--reversed' : '';
+    const stateClass = slot.voice.state === 'dormant' ? ' chorus-spread-card--dormant' : '';
+
+    const borderStyle = slot.voice.state === 'agitated'
+        ? `1px solid ${arc.glow}55` : `1px solid rgba(201,168,76,0.2)`;
+    const shadow = slot.voice.state === 'agitated'
+        ? `0 0 12px ${arc.glow}33, inset 0 0 8px ${arc.glow}15`
+        : `0 0 6px ${arc.glow}18`;
+    const pulse = slot.voice.state === 'agitated'
+        ? `<div class="chorus-spread-card__pulse" style="border-color:${arc.glow}"></div>` : '';
+    const relColor = RELATIONSHIP_COLORS[slot.voice.relationship] || '#888888';
+
+    return `
             <div class="chorus-slot${posClass}" data-position="${slot.position.key}">
                 <div class="chorus-spread-card${reversedClass}${stateClass}" data-voice-id="${slot.voice.id}" style="border:${borderStyle};box-shadow:${shadow}">
                     <div class="chorus-spread-card__frame-outer"></div>
@@ -347,8 +482,7 @@ function renderFilledSpread(reading) {
                 </div>
                 <div class="chorus-slot__label">${slot.position.label}</div>
             </div>
-        `);
-    });
+        `;
 }
 
 /**
@@ -359,11 +493,14 @@ function renderCommentary(reading) {
     $area.empty();
 
     reading.slots.forEach(slot => {
+        if (slot.pending) return;
+
         const arc = getArcana(slot.voice.arcana);
-        const text = slot.text || '\u2026';
+        const text = slot.silent ? '\u2026the card stays silent.' : (slot.text || '\u2026');
         const reversedTag = slot.reversed
             ? `<div class="chorus-commentary__pip-rev">REVERSED</div>` : '';
-        const reversedClass = slot.reversed ? ' chorus-commentary--reversed' : '';
+        const reversedClass = slot.silent ? ' chorus-commentary--silent'
+            : slot.reversed ? ' chorus-commentary--reversed' : '';
 
         $area.append(`
             <div class="chorus-commentary${reversedClass}">
@@ -409,14 +546,14 @@ function switchSpread(spreadType, fromEscalation = false) {
 // MANUAL DRAW (button press → calls engine)
 // =============================================================================
 
-async function executeManualDraw() {
-    if (isDrawing) return;
-
-    const voices = getVoices().filter(v => v.state !== 'dead');
-    if (voices.length === 0) {
-        toastr.warning('No voices available to draw', 'The Chorus', { timeOut: 2000 });
-        return;
-    }
+/**
+ * Run a draw through the engine and render it.
+ * Shared by the DRAW button and /chorus-draw.
+ * @param {string} [spreadType] - 'single' | 'three' | 'cross' (defaults to the selected pill)
+ * @returns {Promise<Object|null>} Engine result, or null if a draw is already running or nothing came back
+ */
+export async function drawReading(spreadType = currentSpread) {
+    if (isDrawing) return null;
 
     isDrawing = true;
     setDrawLock(true);
@@ -424,21 +561,14 @@ async function executeManualDraw() {
     $btn.text('DRAWING\u2026').prop('disabled', true);
 
     try {
-        let result;
-        if (currentSpread === 'single') {
-            result = await manualSingleDraw();
-        } else {
-            result = await manualSpreadDraw(currentSpread);
-        }
+        const result = spreadType === 'single'
+            ? await manualSingleDraw()
+            : await manualSpreadDraw(spreadType);
 
         if (result) {
             renderCardReading(result);
-        } else {
-            toastr.warning('Draw returned no result', 'The Chorus', { timeOut: 2000 });
         }
-    } catch (e) {
-        console.error('[The Chorus] Manual draw failed:', e);
-        toastr.error(`Draw failed: ${e.message}`, 'The Chorus', { timeOut: 3000 });
+        return result || null;
     } finally {
         isDrawing = false;
         setDrawLock(false);
@@ -446,6 +576,26 @@ async function executeManualDraw() {
     }
 }
 
+async function executeManualDraw() {
+    if (isDrawing) return;
+
+    const voices = getVoices().filter(v => v.state !== 'dead');
+    if (voices.length === 0) {
+        toastr.warning('No voices available to draw', 'The Chorus', { timeOut: 2000 });
+        return;
+    }
+
+    try {
+        const result = await drawReading();
+        if (!result) {
+            toastr.warning('Draw returned no result', 'The Chorus', { timeOut: 2000 });
+        }
+    } catch (e) {
+        console.error('[The Chorus] Manual draw failed:', e);
+        toastr.error(`Draw failed: ${e.message}`, 'The Chorus', { timeOut: 3000 });
+    }
+}
+
 // =============================================================================
 // ESCALATION CYCLE (long-press for testing)
 // =============================================================================
@@ -495,6 +645,9 @@ export function initReadingTab() {
         clearTimeout(longPressTimer);
     });
 
+    // Stream spread cards in as the engine generates them
+    setSpreadListener({ onStart: onSpreadStart, onCard: onSpreadCard, onEnd: onSpreadEnd });
+
     // Initial state
     renderEmptySpread(currentSpread);
     updateEscalationUI(getEscalation());
@@ -0,0 +1,212 @@
+/**
+ * THE CHORUS — Theme Editor
+ *
+ * Settings card for the theme taxonomy: add, remove and group themes,
+ * globally or for this chat only. Voices whose triggers fall outside
+ * the active taxonomy are listed with an option to prune them.
+ */
+
+import { LOG_PREFIX, THEMES } from '../config.js';
+import { extensionSettings, hasActiveChat, getChatThemeTaxonomy } from '../state.js';
+import {
+    getTaxonomySource,
+    normalizeThemeName,
+    saveThemeTaxonomy,
+    findOrphanTriggers,
+    pruneOrphanTriggers,
+} from '../voices/taxonomy.js';
+
+let editScope = 'global';
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+/**
+ * The taxonomy the editor shows for the current scope. A chat without
+ * its own shows the global one — the first edit copies it to the chat.
+ */
+function getEditedTaxonomy() {
+    const global = extensionSettings.themeTaxonomy || THEMES;
+    const taxonomy = editScope === 'chat' ? (getChatThemeTaxonomy() || global) : global;
+    return JSON.parse(JSON.stringify(taxonomy));
+}
+
+function countThemes(taxonomy) {
+    return Object.values(taxonomy).flat().length;
+}
+
+function describeScope() {
+    const source = getTaxonomySource();
+    if (editScope === 'global') {
+        const own = extensionSettings.themeTaxonomy ? 'Custom' : 'Built-in';
+        const note = source === 'chat' ? ' — this chat uses its own' : '';
+        return `${own} · used by every chat${note}`;
+    }
+    return source === 'chat'
+        ? 'This chat\'s own themes'
+        : 'Showing the global themes — editing gives this chat its own copy';
+}
+
+/**
+ * Apply an edit to the shown taxonomy and save it to the current scope.
+ * @param {Function} mutate - Changes the taxonomy in place; return false to cancel
+ */
+function editTaxonomy(mutate) {
+    const taxonomy = getEditedTaxonomy();
+    if (mutate(taxonomy) === false) return;
+
+    if (countThemes(taxonomy) === 0) {
+        toastr.warning('Keep at least one theme', 'The Chorus', { timeOut: 2000 });
+        return;
+    }
+
+    saveThemeTaxonomy(editScope, taxonomy);
+    renderThemeEditor();
+}
+
+// =============================================================================
+// RENDER
+// =============================================================================
+
+function buildGroups(taxonomy) {
+    return Object.entries(taxonomy).map(([group, themes]) => `
+        <div class="chorus-themes__group" data-group="${escapeHtml(group)}">
+            <div class="chorus-themes__group-head">
+                <span>${escapeHtml(group.replace(/_/g, ' ').toUpperCase())} · ${themes.length}</span>
+                <button class="chorus-themes__remove" data-action="remove-group" title="Remove group">&#x2715;</button>
+            </div>
+            <div class="chorus-themes__chips">
+                ${themes.map(theme => `
+                    <span class="chorus-themes__chip">
+                        ${escapeHtml(theme)}
+                        <button class="chorus-themes__remove" data-action="remove-theme" data-theme="${escapeHtml(theme)}" title="Remove theme">&#x2715;</button>
+                    </span>
+                `).join('')}
+                <input class="chorus-themes__input" data-action="add-theme" placeholder="+ theme" maxlength="32">
+            </div>
+        </div>
+    `).join('');
+}
+
+function buildOrphans() {
+    const orphaned = findOrphanTriggers();
+    if (orphaned.length === 0) return '';
+
+    const rows = orphaned.map(({ voice, orphans }) => `
+        <div class="chorus-themes__orphan">${escapeHtml(voice.name)}: ${escapeHtml(orphans.join(', '))}</div>
+    `).join('');
+
+    return `
+        <div class="chorus-themes__orphans">
+            <div class="chorus-themes__note">Triggers outside these themes never fire:</div>
+            ${rows}
+            <button class="chorus-deck-action" data-action="prune">REMOVE UNKNOWN TRIGGERS</button>
+        </div>
+    `;
+}
+
+/**
+ * Render the theme editor for the selected scope.
+ */
+export function renderThemeEditor() {
+    const $editor = $('#chorus-themes');
+    if (!$editor.length) return;
+
+    $('#chorus-theme-scope .chorus-picker__opt').removeClass('active')
+        .filter(`[data-value="${editScope}"]`).addClass('active');
+
+    if (editScope === 'chat' && !hasActiveChat()) {
+        $editor.html('<div class="chorus-themes__note">No chat open</div>');
+        return;
+    }
+
+    const taxonomy = getEditedTaxonomy();
+    const custom = editScope === 'chat' ? !!getChatThemeTaxonomy() : !!extensionSettings.themeTaxonomy;
+
+    $editor.html(`
+        <div class="chorus-themes__note">${escapeHtml(describeScope())} · ${countThemes(taxonomy)} themes</div>
+        ${buildGroups(taxonomy)}
+        <div class="chorus-themes__footer">
+            <input class="chorus-themes__input" data-action="add-group" placeholder="+ group" maxlength="24">
+            ${custom ? `<button class="chorus-deck-action" data-action="reset">${editScope === 'chat' ? 'USE GLOBAL' : 'RESET TO BUILT-IN'}</button>` : ''}
+        </div>
+        ${buildOrphans()}
+    `);
+}
+
+// =============================================================================
+// INIT
+// =============================================================================
+
+/**
+ * Wire the scope picker and editor actions (call once on panel init).
+ */
+export function initThemeEditor() {
+    $('#chorus-theme-scope .chorus-picker__opt').on('click', function () {
+        editScope = $(this).data('value');
+        renderThemeEditor();
+    });
+
+    const $editor = $('#chorus-themes');
+
+    $editor.on('click', '[data-action="remove-theme"]', function () {
+        const group = $(this).closest('.chorus-themes__group').data('group');
+        const theme = $(this).data('theme');
+        editTaxonomy(taxonomy => {
+            taxonomy[group] = (taxonomy[group] || []).filter(t => t !== theme);
+        });
+    });
+
+    $editor.on('click', '[data-action="remove-group"]', function () {
+        const group = $(this).closest('.chorus-themes__group').data('group');
+        editTaxonomy(taxonomy => {
+            delete taxonomy[group];
+        });
+    });
+
+    $editor.on('keydown', '[data-action="add-theme"]', function (e) {
+        if (e.key !== 'Enter') return;
+        const group = $(this).closest('.chorus-themes__group').data('group');
+        const theme = normalizeThemeName($(this).val());
+        if (!theme) return;
+        editTaxonomy(taxonomy => {
+            if (Object.values(taxonomy).flat().includes(theme)) {
+                toastr.info(`"${theme}" is already a theme`, 'The Chorus', { timeOut: 2000 });
+                return false;
+            }
+            taxonomy[group] = [...(taxonomy[group] || []), theme];
+        });
+        $editor.find(`[data-group="${group}"] [data-action="add-theme"]`).trigger('focus');
+    });
+
+    $editor.on('keydown', '[data-action="add-group"]', function (e) {
+        if (e.key !== 'Enter') return;
+        const group = normalizeThemeName($(this).val());
+        if (!group) return;
+        editTaxonomy(taxonomy => {
+            if (taxonomy[group]) return false;
+            taxonomy[group] = [];
+        });
+    });
+
+    $editor.on('click', '[data-action="reset"]', () => {
+        saveThemeTaxonomy(editScope, null);
+        renderThemeEditor();
+    });
+
+    $editor.on('click', '[data-action="prune"]', () => {
+        const removed = pruneOrphanTriggers();
+        toastr.info(`Removed ${removed} trigger${removed === 1 ? '' : 's'}`, 'The Chorus', { timeOut: 2000 });
+        renderThemeEditor();
+    });
+
+    renderThemeEditor();
+    console.log(`${LOG_PREFIX} Theme editor initialized`);
+}
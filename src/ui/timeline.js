@@ -0,0 +1,233 @@
+/**
+ * THE CHORUS — Log Tab Timeline
+ *
+ * Charts at the top of the Log tab, from the recorded voice history
+ * (voices/history.js):
+ *   - "Who was loudest when" — every voice's influence stacked by
+ *     message, so a takeover shows as one colour swallowing the rest.
+ *     Hover to read a message's voices, loudest first.
+ *   - A sparkline per voice. Tap a row for its recent changes and
+ *     what caused each.
+ *
+ * Resolution progress stays hidden while a voice lives; the change
+ * list only shows it once the voice is gone.
+ */
+
+import { LOG_PREFIX } from '../config.js';
+import { getArcana, getVoiceHistory } from '../state.js';
+import { getInfluenceTimeline, describeVoiceChange, getCauseLabel } from '../voices/history.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const WIDTH = 320;
+const HEIGHT = 120;
+const SPARK_WIDTH = 120;
+const SPARK_HEIGHT = 22;
+const CHANGES_SHOWN = 12;
+
+/** Voice rows expanded to show their changes. */
+const expanded = new Set();
+
+let timeline = null;
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+function svg(tag, attrs = {}) {
+    const el = document.createElementNS(SVG_NS, tag);
+    for (const [key, value] of Object.entries(attrs)) el.setAttribute(key, value);
+    return el;
+}
+
+function xAt(i, count, width) {
+    return count > 1 ? (i / (count - 1)) * width : width / 2;
+}
+
+// =============================================================================
+// STACKED AREA
+// =============================================================================
+
+/**
+ * Stacked influence areas, first-born voice at the bottom.
+ */
+function buildStack({ columns, series }) {
+    const count = columns.length;
+    const totals = columns.map((_, i) => series.reduce((sum, s) => sum + s.values[i], 0));
+    const scale = HEIGHT / Math.max(100, ...totals);
+
+    const root = svg('svg', { viewBox: `0 0 ${WIDTH} ${HEIGHT}`, class: 'chorus-timeline__svg', preserveAspectRatio: 'none' });
+    const base = columns.map(() => 0);
+
+    for (const s of series) {
+        const arc = getArcana(s.voice.arcana);
+        const top = s.values.map((v, i) => base[i] + v);
+        const upper = top.map((v, i) => `${xAt(i, count, WIDTH).toFixed(1)},${(HEIGHT - v * scale).toFixed(1)}`);
+        const lower = base.map((v, i) => `${xAt(i, count, WIDTH).toFixed(1)},${(HEIGHT - v * scale).toFixed(1)}`).reverse();
+
+        const area = svg('polygon', {
+            class: 'chorus-timeline__area',
+            points: [...upper, ...lower].join(' '),
+            fill: `${arc.color}99`,
+            stroke: arc.glow,
+        });
+        const title = svg('title');
+        title.textContent = s.voice.name;
+        area.appendChild(title);
+        root.appendChild(area);
+
+        top.forEach((v, i) => { base[i] = v; });
+    }
+
+    root.appendChild(svg('line', { class: 'chorus-timeline__cursor', x1: -1, x2: -1, y1: 0, y2: HEIGHT }));
+    return root;
+}
+
+/**
+ * "Message 42 — Teeth 64 · Ash 30": a sampled message's voices, loudest first.
+ */
+function readoutAt(i) {
+    const loudest = timeline.series
+        .map(s => ({ name: s.voice.name, value: s.values[i] }))
+        .filter(s => s.value > 0)
+        .sort((a, b) => b.value - a.value)
+        .slice(0, 4)
+        .map(s => `${escapeHtml(s.name)} <b>${s.value}</b>`);
+
+    return `MESSAGE #${timeline.columns[i]} — ${loudest.length > 0 ? loudest.join(' · ') : 'silence'}`;
+}
+
+function onStackHover(ev) {
+    const box = ev.currentTarget.getBoundingClientRect();
+    const count = timeline.columns.length;
+    const i = Math.max(0, Math.min(count - 1, Math.round(((ev.clientX - box.left) / box.width) * (count - 1))));
+    const x = xAt(i, count, WIDTH).toFixed(1);
+
+    $(ev.currentTarget).find('.chorus-timeline__cursor').attr({ x1: x, x2: x });
+    $('#chorus-timeline-readout').html(readoutAt(i));
+}
+
+function onStackLeave(ev) {
+    $(ev.currentTarget).find('.chorus-timeline__cursor').attr({ x1: -1, x2: -1 });
+    $('#chorus-timeline-readout').html(readoutAt(timeline.columns.length - 1));
+}
+
+// =============================================================================
+// PER-VOICE ROWS
+// =============================================================================
+
+function buildSparkline(values, color) {
+    const count = values.length;
+    const points = values.map((v, i) =>
+        `${xAt(i, count, SPARK_WIDTH).toFixed(1)},${(SPARK_HEIGHT - 1 - (v / 100) * (SPARK_HEIGHT - 2)).toFixed(1)}`);
+
+    return `
+        <svg class="chorus-timeline__spark" viewBox="0 0 ${SPARK_WIDTH} ${SPARK_HEIGHT}" preserveAspectRatio="none">
+            <polyline points="${points.join(' ')}" stroke="${color}" />
+        </svg>
+    `;
+}
+
+function buildChanges(voice) {
+    const dead = voice.state === 'dead';
+    const changes = getVoiceHistory(voice.id)
+        .filter(e => dead || e.field !== 'progress')
+        .slice(-CHANGES_SHOWN)
+        .reverse();
+
+    if (changes.length === 0) {
+        return '<div class="chorus-timeline__changes"><div class="chorus-timeline__change">No recorded changes</div></div>';
+    }
+
+    return `
+        <div class="chorus-timeline__changes">
+            ${changes.map(e => `
+                <div class="chorus-timeline__change">
+                    <span class="chorus-timeline__change-mes">#${e.mesId}</span>
+                    ${escapeHtml(describeVoiceChange(e))}
+                    <span class="chorus-timeline__change-cause">${escapeHtml(getCauseLabel(e.cause))}</span>
+                </div>
+            `).join('')}
+        </div>
+    `;
+}
+
+function buildVoiceRow({ voice, values }) {
+    const arc = getArcana(voice.arcana);
+    const open = expanded.has(voice.id);
+
+    return `
+        <div class="chorus-timeline__row${voice.state === 'dead' ? ' chorus-timeline__row--dead' : ''}" data-voice="${escapeHtml(voice.id)}">
+            <div class="chorus-timeline__row-head">
+                <span class="chorus-timeline__glyph" style="color:${arc.glow}">${arc.glyph}</span>
+                <span class="chorus-timeline__name">${escapeHtml(voice.name)}</span>
+                ${buildSparkline(values, arc.glow)}
+                <span class="chorus-timeline__value">${values[values.length - 1]}</span>
+            </div>
+            ${open ? buildChanges(voice) : ''}
+        </div>
+    `;
+}
+
+// =============================================================================
+// RENDER
+// =============================================================================
+
+/**
+ * Render the timeline charts (part of the Log tab).
+ */
+export function renderTimeline() {
+    const $container = $('#chorus-log-charts');
+    if (!$container.length) return;
+
+    timeline = getInfluenceTimeline();
+
+    if (timeline.series.length === 0) {
+        $container.html('<div class="chorus-timeline__empty">No influence recorded yet</div>');
+        return;
+    }
+
+    const { columns, series } = timeline;
+    const living = series.filter(s => s.voice.state !== 'dead');
+    const dead = series.filter(s => s.voice.state === 'dead');
+
+    $container.html(`
+        <div class="chorus-timeline__title">WHO WAS LOUDEST WHEN</div>
+        <div class="chorus-timeline__stack"></div>
+        <div class="chorus-timeline__axis">
+            <span>#${columns[0]}</span>
+            <span>#${columns[columns.length - 1]}</span>
+        </div>
+        <div class="chorus-timeline__readout" id="chorus-timeline-readout">${readoutAt(columns.length - 1)}</div>
+        <div class="chorus-timeline__rows">
+            ${[...living, ...dead].map(buildVoiceRow).join('')}
+        </div>
+    `);
+
+    const stack = buildStack(timeline);
+    $(stack).on('mousemove', onStackHover).on('mouseleave', onStackLeave);
+    $container.find('.chorus-timeline__stack').append(stack);
+}
+
+// =============================================================================
+// INIT
+// =============================================================================
+
+/**
+ * Wire the per-voice rows (call once on panel init).
+ */
+export function initTimeline() {
+    $('#chorus-log-charts').on('click', '.chorus-timeline__row-head', function () {
+        const voiceId = $(this).closest('.chorus-timeline__row').data('voice');
+        if (expanded.has(voiceId)) expanded.delete(voiceId);
+        else expanded.add(voiceId);
+        renderTimeline();
+    });
+
+    console.log(`${LOG_PREFIX} Timeline initialized`);
+}
@@ -0,0 +1,194 @@
+/**
+ * THE CHORUS — Tone Editor
+ *
+ * Tone dropdown plus create / edit / import / export of tone anchors
+ * (settings), and the per-voice tone picker on each card's back.
+ */
+
+import { LOG_PREFIX } from '../config.js';
+import { extensionSettings, saveSettings } from '../state.js';
+import {
+    getToneAnchors,
+    isBuiltInTone,
+    isCustomTone,
+    saveToneAnchor,
+    deleteToneAnchor,
+    buildToneExport,
+    parseToneFile,
+    importToneAnchors,
+} from '../voices/tone.js';
+
+let editingKey = null;   // Anchor open in the editor ('' = new, null = closed)
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+/**
+ * <option>s for every anchor.
+ * @param {string} selected - Key to preselect
+ * @param {string} [emptyLabel] - Adds a first option with value '' (per-voice "chat tone")
+ */
+export function buildToneOptions(selected, emptyLabel = null) {
+    const empty = emptyLabel !== null
+        ? `<option value=""${!selected ? ' selected' : ''}>${escapeHtml(emptyLabel)}</option>`
+        : '';
+    return empty + Object.entries(getToneAnchors()).map(([key, tone]) =>
+        `<option value="${escapeHtml(key)}"${key === selected ? ' selected' : ''}>${escapeHtml(tone.name)}${isCustomTone(key) ? ' ✎' : ''}</option>`,
+    ).join('');
+}
+
+function renderToneSelect() {
+    $('#chorus-setting-tone').html(buildToneOptions(extensionSettings.toneAnchor || 'raw'));
+}
+
+// =============================================================================
+// EDITOR SHEET
+// =============================================================================
+
+function renderEditor() {
+    const $sheet = $('#chorus-tone-editor');
+    if (editingKey === null) {
+        $sheet.removeClass('open').empty();
+        return;
+    }
+
+    const tone = editingKey ? getToneAnchors()[editingKey] : null;
+    const removeLabel = editingKey && isCustomTone(editingKey)
+        ? (isBuiltInTone(editingKey) ? 'RESTORE' : 'DELETE')
+        : '';
+
+    $sheet.html(`
+        <div class="chorus-tone-editor__title">${tone ? `EDIT ${escapeHtml(tone.name.toUpperCase())}` : 'NEW TONE'}</div>
+        <input class="chorus-tone-editor__field" data-field="name" placeholder="Name" maxlength="32" value="${escapeHtml(tone?.name || '')}">
+        <textarea class="chorus-tone-editor__field" data-field="description" rows="3" maxlength="400" placeholder="How the voices sound — register, rhythm, attitude">${escapeHtml(tone?.description || '')}</textarea>
+        <textarea class="chorus-tone-editor__field" data-field="examples" rows="3" placeholder="Example lines, one per line">${escapeHtml((tone?.examples || []).join('\n'))}</textarea>
+        <textarea class="chorus-tone-editor__field" data-field="banned" rows="2" placeholder="Banned words or styles, one per line">${escapeHtml((tone?.banned || []).join('\n'))}</textarea>
+        <div class="chorus-deck-import__buttons">
+            <button class="chorus-deck-action" data-action="save">SAVE</button>
+            ${removeLabel ? `<button class="chorus-deck-action" data-action="remove">${removeLabel}</button>` : ''}
+            <button class="chorus-deck-action" data-action="cancel">CANCEL</button>
+        </div>
+    `).addClass('open');
+}
+
+function readEditor() {
+    const $sheet = $('#chorus-tone-editor');
+    const field = name => $sheet.find(`[data-field="${name}"]`).val();
+    return {
+        name: field('name'),
+        description: field('description'),
+        examples: field('examples'),
+        banned: field('banned'),
+    };
+}
+
+function onSave() {
+    const key = saveToneAnchor(editingKey || null, readEditor());
+    if (!key) {
+        toastr.warning('A tone needs a name and a description', 'The Chorus', { timeOut: 2000 });
+        return;
+    }
+
+    // A new tone becomes the chat tone — that's why it was made
+    if (!editingKey) {
+        extensionSettings.toneAnchor = key;
+        saveSettings();
+    }
+
+    editingKey = null;
+    renderEditor();
+    renderToneSelect();
+    $(document).trigger('chorus:tonesChanged');
+}
+
+function onRemove() {
+    deleteToneAnchor(editingKey);
+    editingKey = null;
+    renderEditor();
+    renderToneSelect();
+    $(document).trigger('chorus:tonesChanged');
+}
+
+// =============================================================================
+// EXPORT / IMPORT
+// =============================================================================
+
+function exportTones() {
+    const data = buildToneExport();
+    const count = Object.keys(data.anchors).length;
+    if (count === 0) {
+        toastr.info('No custom tones to export', 'The Chorus', { timeOut: 2000 });
+        return;
+    }
+
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `chorus-tones-${data.exportedAt.slice(0, 10)}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+
+    toastr.info(`Exported ${count} tone${count === 1 ? '' : 's'}`, 'The Chorus', { timeOut: 2000 });
+}
+
+async function onImportFile(file) {
+    try {
+        const anchors = parseToneFile(await file.text());
+        const count = importToneAnchors(anchors);
+        renderToneSelect();
+        $(document).trigger('chorus:tonesChanged');
+        toastr.success(`Imported ${count} tone${count === 1 ? '' : 's'}`, 'The Chorus', { timeOut: 2000 });
+    } catch (e) {
+        toastr.error(e.message, 'The Chorus', { timeOut: 4000 });
+    }
+}
+
+// =============================================================================
+// INIT
+// =============================================================================
+
+/**
+ * Fill the tone dropdown and wire the editor (call once on panel init).
+ */
+export function initToneEditor() {
+    renderToneSelect();
+
+    $('#chorus-setting-tone').on('change', function () {
+        extensionSettings.toneAnchor = $(this).val();
+        saveSettings();
+        console.log(`${LOG_PREFIX} Tone anchor: ${extensionSettings.toneAnchor}`);
+    });
+
+    $('#chorus-btn-tone-new').on('click', () => {
+        editingKey = '';
+        renderEditor();
+    });
+    $('#chorus-btn-tone-edit').on('click', () => {
+        editingKey = extensionSettings.toneAnchor || 'raw';
+        renderEditor();
+    });
+    $('#chorus-btn-tone-export').on('click', exportTones);
+    $('#chorus-btn-tone-import').on('click', () => {
+        $('#chorus-tone-import-file').val('').trigger('click');
+    });
+    $('#chorus-tone-import-file').on('change', function () {
+        const file = this.files?.[0];
+        if (file) onImportFile(file);
+    });
+
+    const $sheet = $('#chorus-tone-editor');
+    $sheet.on('click', '[data-action="save"]', onSave);
+    $sheet.on('click', '[data-action="remove"]', onRemove);
+    $sheet.on('click', '[data-action="cancel"]', () => {
+        editingKey = null;
+        renderEditor();
+    });
+}
@@ -0,0 +1,205 @@
+/**
+ * THE CHORUS — Usage Tab
+ *
+ * Approximate token spend per subsystem for this chat, this session,
+ * or today, plus the budget bar and which features it has paused.
+ * Below that, the local pre-filter's recent decisions and why.
+ */
+
+import { LOG_PREFIX } from '../config.js';
+import {
+    USAGE_SUBSYSTEMS,
+    getUsage,
+    getBudgetStatus,
+    getDegradeSteps,
+} from '../accounting.js';
+import { CALL_TYPES } from '../request-service.js';
+import { getPreFilterLog } from '../voices/heuristics.js';
+import { extensionSettings } from '../state.js';
+
+let currentScope = 'chat';
+
+const SCOPE_LABELS = {
+    chat: 'this chat',
+    session: 'this session',
+    day: 'today',
+};
+
+// =============================================================================
+// FORMATTING
+// =============================================================================
+
+function formatTokens(n) {
+    if (n >= 1000000) return `${(n / 1000000).toFixed(1)}M`;
+    if (n >= 10000) return `${Math.round(n / 1000)}K`;
+    if (n >= 1000) return `${(n / 1000).toFixed(1)}K`;
+    return String(n);
+}
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+// =============================================================================
+// SECTIONS
+// =============================================================================
+
+function buildStats(totals) {
+    return `
+        <div class="chorus-log-stats">
+            <div class="chorus-log-stat">
+                <span class="chorus-log-stat__val">${totals.requests}</span>
+                <span class="chorus-log-stat__label">calls</span>
+            </div>
+            <div class="chorus-log-stat">
+                <span class="chorus-log-stat__val">${formatTokens(totals.prompt)}</span>
+                <span class="chorus-log-stat__label">prompt</span>
+            </div>
+            <div class="chorus-log-stat">
+                <span class="chorus-log-stat__val">${formatTokens(totals.completion)}</span>
+                <span class="chorus-log-stat__label">completion</span>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Budget bar — only for the scope the budget is measured in.
+ */
+function buildBudget(status) {
+    if (!status || status.scope !== currentScope) return '';
+
+    const pct = Math.min(100, Math.round(status.ratio * 100));
+    const stateClass = status.ratio >= 1 ? ' chorus-usage-budget--over'
+        : status.throttled.length > 0 ? ' chorus-usage-budget--warn' : '';
+
+    const paused = getDegradeSteps()
+        .filter(step => status.throttled.includes(step.feature))
+        .map(step => step.label);
+    const note = paused.length > 0
+        ? `<div class="chorus-usage-budget__note">Paused to save budget: ${paused.join(', ')}</div>`
+        : '';
+
+    return `
+        <div class="chorus-usage-budget${stateClass}">
+            <div class="chorus-usage-budget__head">
+                <span>BUDGET</span>
+                <span>${formatTokens(status.used)} / ${formatTokens(status.limit)} · ${pct}%</span>
+            </div>
+            <div class="chorus-usage-budget__bar">
+                <div class="chorus-usage-budget__fill" style="width:${pct}%"></div>
+            </div>
+            ${note}
+        </div>
+    `;
+}
+
+function buildRows(totals) {
+    const max = Math.max(1, ...USAGE_SUBSYSTEMS.map(key => {
+        const entry = totals.bySubsystem[key];
+        return entry ? entry.prompt + entry.completion : 0;
+    }));
+
+    return USAGE_SUBSYSTEMS.map(key => {
+        const entry = totals.bySubsystem[key] || { requests: 0, prompt: 0, completion: 0 };
+        const promptPct = (entry.prompt / max) * 100;
+        const completionPct = (entry.completion / max) * 100;
+
+        return `
+            <div class="chorus-usage-row">
+                <div class="chorus-usage-row__name">${(CALL_TYPES[key]?.label || key).toUpperCase()}</div>
+                <div class="chorus-usage-row__bar">
+                    <div class="chorus-usage-row__prompt" style="width:${promptPct}%"></div>
+                    <div class="chorus-usage-row__completion" style="width:${completionPct}%"></div>
+                </div>
+                <div class="chorus-usage-row__val">
+                    ${formatTokens(entry.prompt + entry.completion)}
+                    <span class="chorus-usage-row__calls">${entry.requests} call${entry.requests === 1 ? '' : 's'}</span>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Pre-filter debug view — this session's decisions, newest first.
+ */
+function buildPreFilter() {
+    if (!extensionSettings.heuristicPrefilter) return '';
+
+    const { skipped, decisions } = getPreFilterLog();
+    if (decisions.length === 0) return '';
+
+    const rows = decisions.map(d => `
+        <div class="chorus-prefilter-row${d.skip ? ' chorus-prefilter-row--skip' : ''}">
+            <div class="chorus-prefilter-row__head">
+                <span>${d.skip ? 'SKIPPED' : 'CLASSIFIED'}${d.kind === 'user' ? ' · YOU' : ''}</span>
+                <span>quiet ${Math.round(d.confidence * 100)}% / ${Math.round(d.threshold * 100)}%</span>
+            </div>
+            <div class="chorus-prefilter-row__excerpt">${escapeHtml(d.excerpt)}</div>
+            <div class="chorus-prefilter-row__reasons">${escapeHtml(d.reasons.join(' · '))}</div>
+        </div>
+    `).join('');
+
+    return `
+        <div class="chorus-prefilter">
+            <div class="chorus-prefilter__head">
+                <span>PRE-FILTER</span>
+                <span>${skipped} call${skipped === 1 ? '' : 's'} skipped this session</span>
+            </div>
+            ${rows}
+        </div>
+    `;
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Render the usage tab for the selected scope.
+ */
+export function renderUsage() {
+    const $container = $('#chorus-usage-content');
+    if (!$container.length) return;
+
+    const totals = getUsage(currentScope);
+
+    if (totals.requests === 0) {
+        $container.html(`
+            ${buildBudget(getBudgetStatus())}
+            <div class="chorus-log-empty">
+                <div class="chorus-log-empty__icon">⊘</div>
+                <div class="chorus-log-empty__text">No requests ${SCOPE_LABELS[currentScope]}</div>
+                <div class="chorus-log-empty__sub">Token estimates appear as the voices start talking</div>
+            </div>
+            ${buildPreFilter()}
+        `);
+        return;
+    }
+
+    $container.html(`
+        ${buildStats(totals)}
+        ${buildBudget(getBudgetStatus())}
+        ${buildRows(totals)}
+        <div class="chorus-usage-legend">
+            <span><span class="chorus-usage-legend__swatch chorus-usage-row__prompt"></span>PROMPT</span>
+            <span><span class="chorus-usage-legend__swatch chorus-usage-row__completion"></span>COMPLETION</span>
+        </div>
+        ${buildPreFilter()}
+    `);
+}
+
+/**
+ * Wire the scope picker (call once on panel init).
+ */
+export function initUsageTab() {
+    $('#chorus-usage-scope .chorus-picker__opt').on('click', function () {
+        currentScope = $(this).data('value');
+        renderUsage();
+    });
+
+    console.log(`${LOG_PREFIX} Usage tab initialized`);
+}
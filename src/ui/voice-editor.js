@@ -0,0 +1,331 @@
+/**
+ * THE CHORUS — Voice Editor
+ *
+ * Sheet on the Deck tab for writing a voice by hand or editing any
+ * field of a living one. Each written field can be re-rolled by the
+ * LLM; saving validates the whole voice first (authoring.js).
+ */
+
+import { VOICE_DEPTH, RESOLUTION_TYPES, METAPHOR_DOMAINS, LOG_PREFIX } from '../config.js';
+import {
+    extensionSettings,
+    hasActiveChat,
+    getVoiceById,
+    getLivingVoices,
+    getArcana,
+    getDeckArcana,
+} from '../state.js';
+import {
+    VOICE_FIELD_GUIDE,
+    buildVoiceDraft,
+    createAuthoredVoice,
+    saveVoiceEdits,
+    rerollVoiceField,
+    getRelationshipOptions,
+} from '../voices/authoring.js';
+import { playAwakening } from './animations.js';
+
+const TEXT_FIELDS = [
+    { key: 'personality', label: 'PERSONALITY', rows: 3 },
+    { key: 'speakingStyle', label: 'SPEAKING STYLE', rows: 2 },
+    { key: 'verbalTic', label: 'VERBAL TIC', rows: 2 },
+    { key: 'obsession', label: 'OBSESSION', rows: 2 },
+    { key: 'opinion', label: 'OPINION', rows: 2 },
+    { key: 'blindSpot', label: 'BLIND SPOT', rows: 2 },
+    { key: 'selfAwareness', label: 'SELF-AWARENESS', rows: 2 },
+    { key: 'birthMoment', label: 'BIRTH MEMORY', rows: 2 },
+];
+
+let editingId = null;    // Voice open in the editor ('' = new, null = closed)
+let draft = null;        // Editor contents while open
+let errors = [];         // Last failed save
+const rolling = new Set(); // Fields waiting on a re-roll
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+function options(values, selected, label = v => v) {
+    return values.map(v =>
+        `<option value="${escapeHtml(v)}"${v === selected ? ' selected' : ''}>${escapeHtml(label(v))}</option>`,
+    ).join('');
+}
+
+function rerollButton(field) {
+    const busy = rolling.has(field);
+    return `<button class="chorus-voice-editor__reroll${busy ? ' rolling' : ''}" data-reroll="${field}" title="Re-roll with the LLM"${busy ? ' disabled' : ''}>&#x21BB;</button>`;
+}
+
+function fieldLabel(field, label) {
+    return `
+        <div class="chorus-voice-editor__label" title="${escapeHtml(VOICE_FIELD_GUIDE[field] || '')}">
+            <span>${label}</span>
+            ${rerollButton(field)}
+        </div>
+    `;
+}
+
+// =============================================================================
+// RENDER
+// =============================================================================
+
+function buildArcanaOptions() {
+    const holders = {};
+    for (const v of getLivingVoices()) {
+        if (v.id !== editingId) holders[v.arcana] = v.name;
+    }
+
+    // The voice's own card stays listed even if the Minor Arcana are off
+    const keys = getDeckArcana();
+    if (!keys.includes(draft.arcana)) keys.push(draft.arcana);
+
+    const option = key => {
+        const arc = getArcana(key);
+        const taken = holders[key] ? ` — ${holders[key]}` : '';
+        return `<option value="${key}"${key === draft.arcana ? ' selected' : ''}${taken ? ' disabled' : ''}>${escapeHtml(arc.label + taken)}</option>`;
+    };
+    const majors = keys.filter(k => !getArcana(k).suit);
+    const minors = keys.filter(k => getArcana(k).suit);
+    if (minors.length === 0) return majors.map(option).join('');
+
+    return `
+        <optgroup label="MAJOR ARCANA">${majors.map(option).join('')}</optgroup>
+        <optgroup label="MINOR ARCANA">${minors.map(option).join('')}</optgroup>
+    `;
+}
+
+function buildResolution() {
+    const res = draft.resolution;
+    const typeDef = RESOLUTION_TYPES[res.type];
+    const types = Object.keys(RESOLUTION_TYPES)
+        .filter(k => RESOLUTION_TYPES[k].depthAllowed.includes(draft.depth) || k === res.type);
+
+    return `
+        ${fieldLabel('resolution', 'RESOLUTION')}
+        <div class="chorus-voice-editor__row">
+            <select class="chorus-select" data-field="resolution.type">${options(types, res.type, k => RESOLUTION_TYPES[k].name)}</select>
+            ${typeDef?.threshold !== null ? `
+                <label class="chorus-voice-editor__num-label">AT
+                    <input class="chorus-narrator-editor__num" type="number" min="1" max="100" data-field="resolution.threshold" value="${res.threshold ?? typeDef?.threshold ?? 60}">
+                </label>
+            ` : ''}
+        </div>
+        <div class="chorus-themes__note">${escapeHtml(typeDef?.description || '')}</div>
+        ${res.type !== 'endure' ? `
+            <textarea class="chorus-tone-editor__field" data-field="resolution.condition" rows="2" maxlength="400" placeholder="What resolves it (hidden from play)">${escapeHtml(res.condition)}</textarea>
+        ` : ''}
+        ${res.type === 'transform' ? `
+            <input class="chorus-tone-editor__field" data-field="resolution.hint" maxlength="300" placeholder="What it becomes" value="${escapeHtml(res.transformsInto?.hint || '')}">
+        ` : ''}
+    `;
+}
+
+function renderEditor() {
+    const $sheet = $('#chorus-voice-editor');
+    if (editingId === null) {
+        $sheet.removeClass('open').empty();
+        return;
+    }
+
+    const depths = Object.keys(VOICE_DEPTH);
+    const textFields = TEXT_FIELDS.map(({ key, label, rows }) => `
+        ${fieldLabel(key, label)}
+        <textarea class="chorus-tone-editor__field" data-field="${key}" rows="${rows}" placeholder="${escapeHtml(VOICE_FIELD_GUIDE[key])}">${escapeHtml(draft[key])}</textarea>
+    `).join('');
+
+    $sheet.html(`
+        <div class="chorus-deck-import__head">
+            <span class="chorus-deck-import__title">${editingId ? `EDIT ${escapeHtml(draft.name.toUpperCase())}` : 'WRITE A VOICE'}</span>
+        </div>
+
+        ${fieldLabel('name', 'NAME')}
+        <input class="chorus-tone-editor__field" data-field="name" maxlength="48" placeholder="${escapeHtml(VOICE_FIELD_GUIDE.name)}" value="${escapeHtml(draft.name)}">
+
+        <div class="chorus-voice-editor__row">
+            <select class="chorus-select" data-field="arcana">${buildArcanaOptions()}</select>
+            <label class="chorus-narrator-editor__trigger"><input type="checkbox" data-field="reversed"${draft.reversed ? ' checked' : ''}> REVERSED</label>
+        </div>
+        <div class="chorus-voice-editor__row">
+            <select class="chorus-select" data-field="depth" title="Depth">${options(depths, draft.depth, d => VOICE_DEPTH[d].name)}</select>
+            <select class="chorus-select" data-field="relationship" title="Relationship to you">${options(getRelationshipOptions(), draft.relationship)}</select>
+        </div>
+        <div class="chorus-voice-editor__row">
+            <label class="chorus-voice-editor__num-label">INFLUENCE
+                <input class="chorus-narrator-editor__num" type="number" min="0" max="100" data-field="influence" value="${draft.influence}">
+            </label>
+            <label class="chorus-voice-editor__num-label">CHATTINESS
+                <input class="chorus-narrator-editor__num" type="number" min="1" max="5" data-field="chattiness" value="${draft.chattiness}">
+            </label>
+        </div>
+
+        ${textFields}
+
+        ${fieldLabel('metaphorDomain', 'METAPHOR DOMAIN')}
+        <input class="chorus-tone-editor__field" data-field="metaphorDomain" list="chorus-voice-editor-domains" maxlength="40" placeholder="${escapeHtml(VOICE_FIELD_GUIDE.metaphorDomain)}" value="${escapeHtml(draft.metaphorDomain)}">
+        <datalist id="chorus-voice-editor-domains">${METAPHOR_DOMAINS.map(d => `<option value="${escapeHtml(d)}">`).join('')}</datalist>
+
+        ${fieldLabel('influenceTriggers', 'TRIGGERS')}
+        <input class="chorus-tone-editor__field" data-field="raises" placeholder="Raised by — themes, comma separated" value="${escapeHtml(draft.influenceTriggers.raises.join(', '))}">
+        <input class="chorus-tone-editor__field" data-field="lowers" placeholder="Lowered by — themes, comma separated" value="${escapeHtml(draft.influenceTriggers.lowers.join(', '))}">
+
+        ${buildResolution()}
+
+        ${errors.length ? `<div class="chorus-voice-editor__errors">${errors.map(e => `<div>${escapeHtml(e)}</div>`).join('')}</div>` : ''}
+
+        <div class="chorus-deck-import__buttons">
+            <button class="chorus-deck-action" data-action="save">${editingId ? 'SAVE' : 'ADD TO DECK'}</button>
+            <button class="chorus-deck-action" data-action="cancel">CANCEL</button>
+        </div>
+    `).addClass('open');
+}
+
+/**
+ * Copy the editor's inputs into the draft (before a re-render, re-roll or save).
+ */
+function readEditor() {
+    const $sheet = $('#chorus-voice-editor');
+    const $field = name => $sheet.find(`[data-field="${name}"]`);
+    const val = name => $field(name).val() ?? '';
+
+    for (const key of ['name', 'arcana', 'depth', 'relationship', 'metaphorDomain', ...TEXT_FIELDS.map(f => f.key)]) {
+        if ($field(key).length) draft[key] = val(key);
+    }
+    draft.reversed = $field('reversed').is(':checked');
+    draft.influence = Number(val('influence'));
+    draft.chattiness = Number(val('chattiness'));
+    const themes = name => val(name).split(',').map(t => t.trim()).filter(Boolean);
+    draft.influenceTriggers = { raises: themes('raises'), lowers: themes('lowers') };
+
+    const res = draft.resolution;
+    res.type = val('resolution.type') || res.type;
+    if ($field('resolution.threshold').length) res.threshold = Number(val('resolution.threshold'));
+    if ($field('resolution.condition').length) res.condition = val('resolution.condition');
+    if ($field('resolution.hint').length) {
+        res.transformsInto = { ...(res.transformsInto || {}), hint: val('resolution.hint') };
+    }
+}
+
+// =============================================================================
+// ACTIONS
+// =============================================================================
+
+/**
+ * Open the editor for a living voice, or a blank one.
+ * @param {string|null} voiceId
+ */
+export function openVoiceEditor(voiceId = null) {
+    if (!hasActiveChat()) return;
+    const voice = voiceId ? getVoiceById(voiceId) : null;
+    if (voiceId && (!voice || voice.state === 'dead')) return;
+
+    editingId = voiceId || '';
+    draft = buildVoiceDraft(voice);
+    errors = [];
+    rolling.clear();
+    renderEditor();
+    document.getElementById('chorus-voice-editor')?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+function closeEditor() {
+    editingId = null;
+    draft = null;
+    errors = [];
+    rolling.clear();
+    renderEditor();
+}
+
+async function onReroll(field) {
+    if (rolling.has(field)) return;
+    readEditor();
+    rolling.add(field);
+    renderEditor();
+
+    const openFor = editingId;
+    const value = await rerollVoiceField({ ...draft }, field);
+    rolling.delete(field);
+
+    // Editor closed or moved to another voice while waiting
+    if (editingId !== openFor || !draft) return;
+
+    readEditor();
+    if (value === null) {
+        toastr.warning(`Couldn't re-roll ${field}`, 'The Chorus', { timeOut: 2000 });
+    } else {
+        draft[field] = value;
+    }
+    renderEditor();
+}
+
+async function onSave() {
+    readEditor();
+
+    if (editingId) {
+        const result = saveVoiceEdits(editingId, draft);
+        errors = result.errors;
+        if (!result.voice) {
+            renderEditor();
+            return;
+        }
+        toastr.info(`${result.voice.name} rewritten`, 'The Chorus', { timeOut: 2000 });
+        closeEditor();
+        $(document).trigger('chorus:voicesChanged');
+        return;
+    }
+
+    const result = createAuthoredVoice(draft);
+    errors = result.errors;
+    if (!result.voice) {
+        renderEditor();
+        return;
+    }
+    closeEditor();
+    await playAwakening(result.voice);
+    $(document).trigger('chorus:voicesChanged');
+}
+
+// =============================================================================
+// INIT
+// =============================================================================
+
+/**
+ * Wire the WRITE A VOICE action and the editor sheet (call once on panel init).
+ */
+export function initVoiceEditor() {
+    $('#chorus-btn-write-voice').on('click', () => {
+        if (!hasActiveChat()) return;
+        if (getLivingVoices().length >= extensionSettings.maxVoices) {
+            toastr.warning('The deck is full', 'The Chorus', { timeOut: 2000 });
+            return;
+        }
+        openVoiceEditor(null);
+    });
+
+    $(document).off('chorus:editVoice.editor').on('chorus:editVoice.editor', (e, data) => {
+        openVoiceEditor(data?.voiceId);
+    });
+
+    const $sheet = $('#chorus-voice-editor');
+    $sheet.on('click', '[data-reroll]', function () {
+        onReroll($(this).data('reroll'));
+    });
+    // Depth and resolution type change which options and inputs are shown
+    $sheet.on('change', '[data-field="depth"], [data-field="resolution.type"]', () => {
+        const previousType = draft.resolution.type;
+        readEditor();
+        const allowed = Object.keys(RESOLUTION_TYPES).filter(k => RESOLUTION_TYPES[k].depthAllowed.includes(draft.depth));
+        if (!allowed.includes(draft.resolution.type)) draft.resolution.type = allowed[0];
+        // A new type starts from its own threshold
+        if (draft.resolution.type !== previousType) draft.resolution.threshold = null;
+        renderEditor();
+    });
+    $sheet.on('click', '[data-action="save"]', onSave);
+    $sheet.on('click', '[data-action="cancel"]', closeEditor);
+
+    console.log(`${LOG_PREFIX} Voice editor initialized`);
+}
@@ -0,0 +1,337 @@
+/**
+ * THE CHORUS — Web Tab
+ *
+ * The voices as a graph: a node per living voice, sized by influence and
+ * coloured by arcana, and an arrow per bond, coloured by its stance and
+ * thickened by how strongly it's felt. Hover an arrow to see the opinion
+ * and its last shifts.
+ *
+ * A small force layout places the nodes. It keeps their positions
+ * between renders and re-heats when council dynamics change an opinion,
+ * so the web drifts into its new shape and the changed arrows pulse.
+ */
+
+import { LOG_PREFIX } from '../config.js';
+import { getArcana } from '../state.js';
+import { getRelationshipWeb } from '../voices/relationships.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const WIDTH = 320;
+const HEIGHT = 300;
+const FRESH_MS = 6000;
+
+const BOND_STYLES = {
+    protector:   { label: 'PROTECTOR',   color: '#66aadd' },
+    ally:        { label: 'ALLY',        color: '#66cc88' },
+    indifferent: { label: 'INDIFFERENT', color: '#776655' },
+    rival:       { label: 'RIVAL',       color: '#ddaa44' },
+    predator:    { label: 'PREDATOR',    color: '#ff4466' },
+};
+
+let isVisible = false;
+let frameId = null;
+let heat = 0;
+
+/** Node positions by voice ID — kept between renders so the web moves, not jumps. */
+const positions = new Map();
+
+/** Edge key ('from>to') → when council dynamics last changed it. */
+const freshEdges = new Map();
+
+let nodes = [];
+let edges = [];
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+function svg(tag, attrs = {}) {
+    const el = document.createElementNS(SVG_NS, tag);
+    for (const [key, value] of Object.entries(attrs)) el.setAttribute(key, value);
+    return el;
+}
+
+function nodeRadius(voice) {
+    return 9 + Math.round((Math.max(0, Math.min(100, voice.influence || 0)) / 100) * 13);
+}
+
+function edgeKey(fromId, toId) {
+    return `${fromId}>${toId}`;
+}
+
+// =============================================================================
+// LAYOUT
+// =============================================================================
+
+/**
+ * One step of the force layout: nodes push apart, opinions pull their
+ * voices together, everything drifts toward the centre.
+ */
+function stepLayout() {
+    for (const a of nodes) {
+        for (const b of nodes) {
+            if (a === b) continue;
+            const dx = a.x - b.x;
+            const dy = a.y - b.y;
+            const d2 = Math.max(dx * dx + dy * dy, 100);
+            const push = 1800 / d2;
+            a.vx += (dx / Math.sqrt(d2)) * push;
+            a.vy += (dy / Math.sqrt(d2)) * push;
+        }
+    }
+
+    for (const edge of edges) {
+        const dx = edge.to.x - edge.from.x;
+        const dy = edge.to.y - edge.from.y;
+        const dist = Math.max(1, Math.sqrt(dx * dx + dy * dy));
+        const pull = (dist - 110) * 0.01;
+        edge.from.vx += (dx / dist) * pull;
+        edge.from.vy += (dy / dist) * pull;
+        edge.to.vx -= (dx / dist) * pull;
+        edge.to.vy -= (dy / dist) * pull;
+    }
+
+    for (const n of nodes) {
+        n.vx += (WIDTH / 2 - n.x) * 0.01;
+        n.vy += (HEIGHT / 2 - n.y) * 0.01;
+        n.vx *= 0.8;
+        n.vy *= 0.8;
+        n.x = Math.max(n.r + 4, Math.min(WIDTH - n.r - 4, n.x + n.vx * heat));
+        n.y = Math.max(n.r + 4, Math.min(HEIGHT - n.r - 16, n.y + n.vy * heat));
+        positions.set(n.voice.id, { x: n.x, y: n.y });
+    }
+}
+
+/**
+ * Curved arrow from one node to another. Bends to one side, so two
+ * voices' opinions of each other don't overlap.
+ */
+function edgePath(edge) {
+    const { from, to } = edge;
+    const dx = to.x - from.x;
+    const dy = to.y - from.y;
+    const dist = Math.max(1, Math.sqrt(dx * dx + dy * dy));
+    const ux = dx / dist;
+    const uy = dy / dist;
+
+    const sx = from.x + ux * from.r;
+    const sy = from.y + uy * from.r;
+    const ex = to.x - ux * (to.r + 4);
+    const ey = to.y - uy * (to.r + 4);
+    const cx = (sx + ex) / 2 - uy * 16;
+    const cy = (sy + ey) / 2 + ux * 16;
+
+    return `M${sx.toFixed(1)},${sy.toFixed(1)} Q${cx.toFixed(1)},${cy.toFixed(1)} ${ex.toFixed(1)},${ey.toFixed(1)}`;
+}
+
+function draw() {
+    for (const n of nodes) {
+        n.el.setAttribute('transform', `translate(${n.x.toFixed(1)},${n.y.toFixed(1)})`);
+    }
+    for (const edge of edges) {
+        const d = edgePath(edge);
+        edge.line.setAttribute('d', d);
+        edge.hit.setAttribute('d', d);
+    }
+}
+
+function tick() {
+    frameId = null;
+    if (!isVisible) return;
+
+    stepLayout();
+    draw();
+
+    heat *= 0.97;
+    if (heat > 0.02) frameId = requestAnimationFrame(tick);
+}
+
+function reheat() {
+    heat = 1;
+    if (frameId === null) frameId = requestAnimationFrame(tick);
+}
+
+// =============================================================================
+// RENDER
+// =============================================================================
+
+function buildDefs() {
+    const defs = svg('defs');
+    for (const [bond, style] of Object.entries(BOND_STYLES)) {
+        const marker = svg('marker', {
+            id: `chorus-web-arrow-${bond}`,
+            viewBox: '0 0 10 10',
+            refX: '8',
+            refY: '5',
+            markerWidth: '6',
+            markerHeight: '6',
+            orient: 'auto-start-reverse',
+        });
+        marker.appendChild(svg('path', { d: 'M0,0 L10,5 L0,10 z', fill: style.color }));
+        defs.appendChild(marker);
+    }
+    return defs;
+}
+
+function buildLegend() {
+    return Object.values(BOND_STYLES).map(style => `
+        <span class="chorus-web__legend-item">
+            <span class="chorus-web__swatch" style="background:${style.color}"></span>${style.label}
+        </span>
+    `).join('');
+}
+
+/**
+ * Render the Web tab from the current deck.
+ */
+export function renderWeb() {
+    isVisible = true;
+
+    const $graph = $('#chorus-web-graph');
+    const $meta = $('#chorus-web-meta');
+    $('#chorus-web-legend').html(buildLegend());
+    hideTip();
+
+    const web = getRelationshipWeb();
+    const living = new Set(web.voices.map(v => v.id));
+    for (const id of positions.keys()) {
+        if (!living.has(id)) positions.delete(id);
+    }
+
+    if (web.voices.length < 2) {
+        $graph.empty();
+        nodes = [];
+        edges = [];
+        $meta.text('');
+        $('#chorus-web-empty').text(web.voices.length === 0
+            ? 'No voices yet'
+            : 'One voice, no one to have opinions of').show();
+        return;
+    }
+    $('#chorus-web-empty').toggle(web.edges.length === 0)
+        .text('No opinions yet — they form in the council');
+    $meta.text(`${web.voices.length} voices · ${web.edges.length} bonds`);
+
+    const root = svg('svg', { viewBox: `0 0 ${WIDTH} ${HEIGHT}`, class: 'chorus-web__svg' });
+    root.appendChild(buildDefs());
+    const edgeLayer = svg('g');
+    const nodeLayer = svg('g');
+    root.append(edgeLayer, nodeLayer);
+
+    // Nodes — new voices start near the centre on a small circle
+    nodes = web.voices.map((voice, i) => {
+        const arc = getArcana(voice.arcana);
+        const angle = (i / web.voices.length) * Math.PI * 2;
+        const pos = positions.get(voice.id) || {
+            x: WIDTH / 2 + Math.cos(angle) * 60,
+            y: HEIGHT / 2 + Math.sin(angle) * 60,
+        };
+        const r = nodeRadius(voice);
+
+        const el = svg('g', { class: `chorus-web__node chorus-web__node--${voice.state || 'active'}` });
+        el.appendChild(svg('circle', { r, fill: `${arc.color}66`, stroke: arc.glow, 'stroke-width': '1.5' }));
+        const glyph = svg('text', { class: 'chorus-web__glyph', 'text-anchor': 'middle', 'dominant-baseline': 'central', fill: arc.glow });
+        glyph.textContent = arc.glyph;
+        const name = svg('text', { class: 'chorus-web__name', 'text-anchor': 'middle', y: r + 10 });
+        name.textContent = voice.name;
+        const title = svg('title');
+        title.textContent = `${voice.name} — ${arc.name}, influence ${voice.influence}`;
+        el.append(glyph, name, title);
+        nodeLayer.appendChild(el);
+
+        return { voice, el, r, x: pos.x, y: pos.y, vx: 0, vy: 0 };
+    });
+
+    // Edges — a visible arrow plus a wide invisible path to hover
+    const byId = new Map(nodes.map(n => [n.voice.id, n]));
+    const now = Date.now();
+    edges = web.edges.map(e => {
+        const style = BOND_STYLES[e.stance] || BOND_STYLES.indifferent;
+        const fresh = now - (freshEdges.get(edgeKey(e.fromId, e.toId)) || 0) < FRESH_MS;
+
+        const line = svg('path', {
+            class: `chorus-web__edge${fresh ? ' chorus-web__edge--fresh' : ''}`,
+            stroke: style.color,
+            style: `--chorus-web-width:${(1 + Math.abs(e.sentiment || 0) / 40).toFixed(1)}px`,
+            'marker-end': `url(#chorus-web-arrow-${BOND_STYLES[e.stance] ? e.stance : 'indifferent'})`,
+        });
+        const hit = svg('path', { class: 'chorus-web__hit' });
+        edgeLayer.append(line, hit);
+
+        const edge = { ...e, from: byId.get(e.fromId), to: byId.get(e.toId), line, hit };
+        $(hit).on('mouseenter mousemove', ev => showTip(edge, ev))
+            .on('mouseleave', hideTip);
+        return edge;
+    });
+
+    $graph.empty().append(root);
+    draw();
+    reheat();
+}
+
+/**
+ * Stop the layout (tab hidden or panel closed).
+ */
+export function stopWeb() {
+    isVisible = false;
+    if (frameId !== null) cancelAnimationFrame(frameId);
+    frameId = null;
+    hideTip();
+}
+
+// =============================================================================
+// TOOLTIP
+// =============================================================================
+
+function showTip(edge, ev) {
+    const $tip = $('#chorus-web-tip');
+    const style = BOND_STYLES[edge.stance] || BOND_STYLES.indifferent;
+    const box = document.getElementById('chorus-web-graph').getBoundingClientRect();
+    const score = edge.sentiment > 0 ? `+${edge.sentiment}` : `${edge.sentiment}`;
+
+    // Last few shifts, oldest first
+    const shifts = (edge.history || []).slice(-4, -1)
+        .map(h => `<span style="color:${(BOND_STYLES[h.stance] || style).color}">${h.sentiment > 0 ? '+' : ''}${h.sentiment}</span>`)
+        .join(' &rarr; ');
+
+    $tip.html(`
+        <div class="chorus-web__tip-head">
+            ${escapeHtml(edge.from.voice.name)} &rarr; ${escapeHtml(edge.to.voice.name)}
+            <span style="color:${style.color}">${style.label} ${score}</span>
+        </div>
+        ${edge.opinion ? `<div class="chorus-web__tip-text">&ldquo;${escapeHtml(edge.opinion)}&rdquo;</div>` : ''}
+        ${shifts ? `<div class="chorus-web__tip-history">was ${shifts}</div>` : ''}
+    `).css({
+        left: Math.min(ev.clientX - box.left + 10, box.width - 180),
+        top: ev.clientY - box.top + 12,
+    }).show();
+    $(edge.line).addClass('chorus-web__edge--hover');
+}
+
+function hideTip() {
+    $('#chorus-web-tip').hide();
+    $('.chorus-web__edge--hover').removeClass('chorus-web__edge--hover');
+}
+
+// =============================================================================
+// INIT
+// =============================================================================
+
+/**
+ * Follow council dynamics (call once on panel init).
+ */
+export function initWeb() {
+    $(document).off('chorus:relationshipsChanged.web').on('chorus:relationshipsChanged.web', (_e, updates = []) => {
+        const now = Date.now();
+        for (const u of updates) freshEdges.set(edgeKey(u.fromId, u.toId), now);
+        if (isVisible) renderWeb();
+    });
+
+    console.log(`${LOG_PREFIX} Web tab initialized`);
+}
@@ -0,0 +1,331 @@
+/**
+ * THE CHORUS — Voice Library
+ * Reusable voices: a global template library in extension settings,
+ * and single-voice cards that travel as PNG images.
+ *
+ * A template is a voice's identity — name, arcana, personality, style,
+ * triggers, resolution — without its life in any one chat (influence,
+ * thoughts, relationships, history).
+ *
+ * A voice card is the tarot card rendered to PNG with the template
+ * embedded as a tEXt chunk, so the image itself is the file. The same
+ * data also imports from plain JSON.
+ *
+ * Inserting a template into the deck goes through the hand-written
+ * voice rules (authoring.js). Its arcana may already be held — one voice
+ * per arcana — so the caller picks a free one.
+ */
+
+import { LOG_PREFIX } from './config.js';
+import {
+    extensionSettings,
+    saveSettings,
+    getLivingVoices,
+    getFreeArcana,
+    isKnownArcana,
+    addVoice,
+} from './state.js';
+import { buildVoiceDraft, validateVoiceDraft } from './voices/authoring.js';
+import { isActiveTheme } from './voices/taxonomy.js';
+
+export const VOICE_CARD_FORMAT = 'the-chorus-voice';
+export const VOICE_CARD_VERSION = 1;
+
+const PNG_KEYWORD = 'chorus_voice';
+const MAX_LIBRARY = 100;
+
+/** Identity fields kept in a template. */
+const TEMPLATE_FIELDS = [
+    'id', 'name', 'arcana', 'reversed', 'depth', 'relationship', 'chattiness',
+    'personality', 'speakingStyle', 'birthMoment', 'birthType',
+    'obsession', 'opinion', 'blindSpot', 'selfAwareness',
+    'metaphorDomain', 'verbalTic', 'influenceTriggers', 'resolution', 'toneOverride',
+];
+
+// =============================================================================
+// TEMPLATES
+// =============================================================================
+
+/**
+ * A voice's identity as a template. Resolution progress starts over.
+ * @param {Object} voice
+ * @returns {Object}
+ */
+export function buildVoiceTemplate(voice) {
+    const template = {};
+    for (const key of TEMPLATE_FIELDS) {
+        if (voice[key] !== undefined) template[key] = JSON.parse(JSON.stringify(voice[key]));
+    }
+    if (template.resolution) template.resolution.progress = 0;
+    return template;
+}
+
+/**
+ * Validate a template from a file or the library.
+ * @returns {Object|null} null without name, personality or a known arcana
+ */
+export function normalizeVoiceTemplate(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    const template = buildVoiceTemplate(raw);
+
+    if (!String(template.name || '').trim() || !String(template.personality || '').trim()) return null;
+    if (!isKnownArcana(template.arcana)) return null;
+
+    template.influenceTriggers = {
+        raises: Array.isArray(template.influenceTriggers?.raises) ? template.influenceTriggers.raises.map(String) : [],
+        lowers: Array.isArray(template.influenceTriggers?.lowers) ? template.influenceTriggers.lowers.map(String) : [],
+    };
+    return template;
+}
+
+// =============================================================================
+// LIBRARY
+// =============================================================================
+
+/**
+ * Saved templates, newest first.
+ * @returns {Object[]} [{ id, savedAt, voice }]
+ */
+export function getVoiceLibrary() {
+    return extensionSettings.voiceLibrary || [];
+}
+
+export function getLibraryEntry(entryId) {
+    return getVoiceLibrary().find(e => e.id === entryId) || null;
+}
+
+function setVoiceLibrary(entries) {
+    extensionSettings.voiceLibrary = entries.slice(0, MAX_LIBRARY);
+    saveSettings();
+}
+
+/**
+ * Add templates to the library. A template saved from the same voice
+ * replaces its earlier copy.
+ * @param {Object[]} templates
+ * @returns {number} Templates added
+ */
+export function addToVoiceLibrary(templates) {
+    const ids = new Set(templates.map(t => t.id).filter(Boolean));
+    const kept = getVoiceLibrary().filter(e => !ids.has(e.voice.id));
+
+    const added = templates.map(voice => ({
+        id: `tpl_${Date.now().toString(36)}_${Math.random().toString(36).substring(2, 6)}`,
+        savedAt: Date.now(),
+        voice,
+    }));
+
+    setVoiceLibrary([...added, ...kept]);
+    console.log(`${LOG_PREFIX} Voice library: +${added.length} (${added.map(e => e.voice.name).join(', ')})`);
+    return added.length;
+}
+
+/**
+ * Save a voice from the deck as a template.
+ * @returns {boolean}
+ */
+export function saveVoiceToLibrary(voice) {
+    const template = normalizeVoiceTemplate(voice);
+    if (!template) return false;
+    addToVoiceLibrary([template]);
+    return true;
+}
+
+export function removeFromVoiceLibrary(entryId) {
+    setVoiceLibrary(getVoiceLibrary().filter(e => e.id !== entryId));
+}
+
+// =============================================================================
+// INSERT INTO DECK
+// =============================================================================
+
+/**
+ * Whether a template's arcana is free in this chat, and which cards
+ * are — from the template's own pool while it has any (getFreeArcana).
+ * @returns {{ holder: Object|null, free: string[] }}
+ */
+export function getArcanaConflict(template) {
+    return {
+        holder: getLivingVoices().find(v => v.arcana === template.arcana) || null,
+        free: getFreeArcana(template.depth, template.birthType),
+    };
+}
+
+/**
+ * Add a template to the current deck as a new voice.
+ * Triggers outside the active theme taxonomy are dropped.
+ * @param {Object} template
+ * @param {string} [arcana] - Arcana to use instead of the template's (for conflicts)
+ * @returns {{ voice: Object|null, errors: string[] }}
+ */
+export function insertVoiceTemplate(template, arcana = null) {
+    const draft = buildVoiceDraft(template);
+    if (arcana) draft.arcana = arcana;
+    draft.influenceTriggers = {
+        raises: draft.influenceTriggers.raises.filter(t => isActiveTheme(t)),
+        lowers: draft.influenceTriggers.lowers.filter(t => isActiveTheme(t)),
+    };
+
+    const { fields, errors } = validateVoiceDraft(draft);
+    if (!fields) return { voice: null, errors };
+
+    const voice = addVoice({
+        ...fields,
+        state: 'active',
+        birthType: template.birthType || 'authored',
+        toneOverride: template.toneOverride || null,
+    });
+    if (!voice) return { voice: null, errors: ['The deck is full'] };
+
+    console.log(`${LOG_PREFIX} Voice inserted from template: ${voice.name} (${voice.arcana})`);
+    return { voice, errors: [] };
+}
+
+// =============================================================================
+// VOICE CARDS
+// =============================================================================
+
+/**
+ * Card payload for one template.
+ */
+export function buildVoiceCardData(template) {
+    return {
+        format: VOICE_CARD_FORMAT,
+        version: VOICE_CARD_VERSION,
+        exportedAt: new Date().toISOString(),
+        voice: template,
+    };
+}
+
+/**
+ * Suggested file name: chorus-voice-<name>.<ext>
+ */
+export function getVoiceCardFileName(template, ext = 'png') {
+    const name = String(template?.name || 'voice').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+    return `chorus-voice-${name || 'voice'}.${ext}`;
+}
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = (c & 1) ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function toBase64(text) {
+    const bytes = new TextEncoder().encode(text);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+    return btoa(binary);
+}
+
+function fromBase64(b64) {
+    const binary = atob(b64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return new TextDecoder().decode(bytes);
+}
+
+function isPng(bytes) {
+    const signature = [137, 80, 78, 71, 13, 10, 26, 10];
+    return bytes.length > 8 && signature.every((b, i) => bytes[i] === b);
+}
+
+/**
+ * Embed card data in a PNG as a tEXt chunk, just before IEND.
+ * @param {Uint8Array} png - Image bytes
+ * @param {Object} data - From buildVoiceCardData
+ * @returns {Uint8Array}
+ */
+export function embedVoiceCard(png, data) {
+    const text = `${PNG_KEYWORD}\0${toBase64(JSON.stringify(data))}`;
+    const body = new Uint8Array(4 + text.length);
+    body.set([0x74, 0x45, 0x58, 0x74]); // 'tEXt'
+    for (let i = 0; i < text.length; i++) body[4 + i] = text.charCodeAt(i);
+
+    const chunk = new Uint8Array(12 + text.length);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, text.length);
+    chunk.set(body, 4);
+    view.setUint32(8 + text.length, crc32(body));
+
+    const iend = png.length - 12;
+    const out = new Uint8Array(png.length + chunk.length);
+    out.set(png.subarray(0, iend), 0);
+    out.set(chunk, iend);
+    out.set(png.subarray(iend), iend + chunk.length);
+    return out;
+}
+
+/**
+ * Find embedded card data in a PNG.
+ * @param {Uint8Array} png
+ * @returns {string|null} The card JSON, null if the image has none
+ */
+function extractVoiceCard(png) {
+    const view = new DataView(png.buffer, png.byteOffset, png.byteLength);
+    let offset = 8;
+
+    while (offset + 12 <= png.length) {
+        const length = view.getUint32(offset);
+        const type = String.fromCharCode(...png.subarray(offset + 4, offset + 8));
+        if (type === 'IEND') break;
+
+        if (type === 'tEXt') {
+            const data = png.subarray(offset + 8, offset + 8 + length);
+            const sep = data.indexOf(0);
+            const keyword = String.fromCharCode(...data.subarray(0, sep));
+            if (sep > 0 && keyword === PNG_KEYWORD) {
+                let b64 = '';
+                for (let i = sep + 1; i < data.length; i++) b64 += String.fromCharCode(data[i]);
+                return fromBase64(b64);
+            }
+        }
+        offset += 12 + length;
+    }
+    return null;
+}
+
+/**
+ * Parse and validate a voice card — a PNG with embedded data, or its JSON.
+ * @param {ArrayBuffer} buffer - File contents
+ * @returns {Object} The template
+ * @throws {Error} With a user-facing message if the file isn't a usable card
+ */
+export function parseVoiceCard(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let text;
+    if (isPng(bytes)) {
+        text = extractVoiceCard(bytes);
+        if (text === null) throw new Error('That image has no Chorus voice in it');
+    } else {
+        text = new TextDecoder().decode(bytes);
+    }
+
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw new Error('Not a voice card');
+    }
+
+    if (!data || data.format !== VOICE_CARD_FORMAT) {
+        throw new Error('Not a Chorus voice card');
+    }
+    if (typeof data.version !== 'number' || data.version > VOICE_CARD_VERSION) {
+        throw new Error(`Voice card version ${data.version} isn't supported (${VOICE_CARD_VERSION})`);
+    }
+
+    const template = normalizeVoiceTemplate(data.voice);
+    if (!template) throw new Error('The card\'s voice is incomplete');
+    return template;
+}
@@ -0,0 +1,337 @@
+/**
+ * THE CHORUS — Narrator Archetypes
+ * Who narrates the inner world, and when they choose to speak.
+ *
+ * Built-in narrators live in config.js NARRATOR_ARCHETYPES. Custom ones
+ * — persona, agenda, triggers, speak chance, degradation style and
+ * speak conditions — are kept in extension settings; one with a
+ * built-in's key replaces it.
+ *
+ * Speak conditions are declarative rules read against the deck
+ * (NARRATOR_METRICS): when every clause holds, the rule's chance
+ * multiplies the ambient speak chance.
+ *
+ * Narrators export to / import from a versioned JSON file.
+ */
+
+import {
+    LOG_PREFIX,
+    NARRATOR_ARCHETYPES,
+    NARRATOR_METRICS,
+    NARRATOR_OPERATORS,
+} from '../config.js';
+import {
+    extensionSettings,
+    saveSettings,
+    getLivingVoices,
+    getNarrator,
+} from '../state.js';
+
+export const NARRATOR_FORMAT = 'the-chorus-narrators';
+export const NARRATOR_VERSION = 1;
+
+const DEFAULT_NARRATOR = 'stage_manager';
+const TRIGGER_KEYS = ['birth', 'death', 'voiceDrama', 'escalation', 'silences', 'storyEvents'];
+const MAX_RULES = 6;
+const MAX_CLAUSES = 4;
+const MAX_RULE_CHANCE = 3;
+
+// =============================================================================
+// LOOKUP
+// =============================================================================
+
+/**
+ * Every narrator: built-ins, then custom ones (which may replace a built-in).
+ * @returns {Object} { key: archetype }
+ */
+export function getNarratorArchetypes() {
+    return { ...NARRATOR_ARCHETYPES, ...(extensionSettings.customNarrators || {}) };
+}
+
+/**
+ * The selected narrator, falling back to the Stage Manager.
+ */
+export function getNarratorArchetype() {
+    const archetypes = getNarratorArchetypes();
+    return archetypes[extensionSettings.narratorArchetype || DEFAULT_NARRATOR]
+        || archetypes[DEFAULT_NARRATOR];
+}
+
+export function isBuiltInNarrator(key) {
+    return !!NARRATOR_ARCHETYPES[key];
+}
+
+/** True if the narrator is user-made or a user edit of a built-in. */
+export function isCustomNarrator(key) {
+    return !!extensionSettings.customNarrators?.[key];
+}
+
+// =============================================================================
+// SPEAK CONDITIONS
+// =============================================================================
+
+/**
+ * Read one metric from the deck.
+ * @param {string} metric - NARRATOR_METRICS key
+ * @param {number} over - Threshold for `over` metrics
+ * @param {Object[]} voiceCommentary - This message's sidebar commentary
+ * @returns {number}
+ */
+function measure(metric, over, voiceCommentary) {
+    const living = getLivingVoices();
+    const narrator = getNarrator();
+
+    switch (metric) {
+        case 'commentary':      return voiceCommentary.length;
+        case 'livingVoices':    return living.length;
+        case 'voicesAbove':     return living.filter(v => (v.influence || 0) > over).length;
+        case 'voicesBelow':     return living.filter(v => (v.influence || 0) < over).length;
+        case 'silentVoices':    return living.filter(v => (v.silentStreak || 0) > over).length;
+        case 'agitatedVoices':  return living.filter(v => v.state === 'agitated').length;
+        case 'relatedVoices':   return living.filter(v =>
+            v.relationships && Object.keys(v.relationships).length > 0,
+        ).length;
+        case 'narratorSilence': return narrator.silentStreak || 0;
+        case 'coherence':       return narrator.coherence ?? 100;
+        default:                return 0;
+    }
+}
+
+function compare(actual, op, value) {
+    switch (op) {
+        case '<':  return actual < value;
+        case '<=': return actual <= value;
+        case '=':  return actual === value;
+        case '>=': return actual >= value;
+        case '>':  return actual > value;
+        default:   return false;
+    }
+}
+
+function ruleHolds(rule, voiceCommentary) {
+    return rule.when.every(clause =>
+        compare(measure(clause.metric, clause.over, voiceCommentary), clause.op, clause.value),
+    );
+}
+
+/**
+ * Multiplier on the speak chance from the rules that hold right now.
+ * @param {Object} archetype
+ * @param {Object[]} voiceCommentary - This message's sidebar commentary
+ * @returns {number} 1 when no rule applies
+ */
+export function getSpeakMultiplier(archetype, voiceCommentary = []) {
+    return (archetype.speakConditions || [])
+        .filter(rule => ruleHolds(rule, voiceCommentary))
+        .reduce((mult, rule) => mult * rule.chance, 1);
+}
+
+/**
+ * The largest multiplier the rules could reach. The ambient roll is made
+ * against this before the voices speak; the rest of the odds are applied
+ * once the real multiplier is known.
+ * @returns {number} 1 for narrators whose rules only hold them back
+ */
+export function getSpeakBoostCap(archetype) {
+    return (archetype.speakConditions || [])
+        .filter(rule => rule.chance > 1)
+        .reduce((mult, rule) => mult * rule.chance, 1);
+}
+
+/**
+ * One rule as a sentence, for the builder.
+ * @returns {string} e.g. "×0.5 when voices with influence over 60 = 0"
+ */
+export function describeSpeakCondition(rule) {
+    const clauses = rule.when.map(clause => {
+        const meta = NARRATOR_METRICS[clause.metric];
+        const label = meta?.label || clause.metric;
+        return meta?.over !== undefined
+            ? `${label} ${clause.over} ${clause.op} ${clause.value}`
+            : `${label} ${clause.op} ${clause.value}`;
+    });
+    return `×${rule.chance} when ${clauses.join(' and ')}`;
+}
+
+// =============================================================================
+// EDITING
+// =============================================================================
+
+function clampNumber(value, min, max, fallback) {
+    const n = Number(value);
+    if (!Number.isFinite(n)) return fallback;
+    return Math.min(max, Math.max(min, n));
+}
+
+function normalizeClause(raw) {
+    const meta = NARRATOR_METRICS[raw?.metric];
+    if (!meta || !NARRATOR_OPERATORS.includes(raw.op)) return null;
+
+    const clause = {
+        metric: raw.metric,
+        op: raw.op,
+        value: clampNumber(raw.value, 0, 100, 0),
+    };
+    if (meta.over !== undefined) clause.over = clampNumber(raw.over, 0, 100, meta.over);
+    return clause;
+}
+
+function normalizeRule(raw) {
+    const when = (Array.isArray(raw?.when) ? raw.when : [])
+        .map(normalizeClause)
+        .filter(Boolean)
+        .slice(0, MAX_CLAUSES);
+    if (when.length === 0) return null;
+
+    return {
+        when,
+        chance: Math.round(clampNumber(raw.chance, 0, MAX_RULE_CHANCE, 1) * 100) / 100,
+    };
+}
+
+/**
+ * Validate a narrator from the builder or a file.
+ * @returns {Object|null} Archetype, null without name, persona and agenda
+ */
+export function normalizeNarratorArchetype(raw) {
+    const name = String(raw?.name || '').trim().substring(0, 32);
+    const persona = String(raw?.persona || '').trim().substring(0, 4000);
+    const agenda = String(raw?.agenda || '').trim().substring(0, 600);
+    if (!name || !persona || !agenda) return null;
+
+    const short = String(raw.short || name).trim().toUpperCase().substring(0, 10);
+    const triggers = {};
+    for (const key of TRIGGER_KEYS) triggers[key] = !!raw.triggers?.[key];
+
+    return {
+        name,
+        short,
+        description: String(raw.description || '').trim().substring(0, 300),
+        agenda,
+        persona,
+        triggers,
+        speakChance: Math.round(clampNumber(raw.speakChance, 0, 1, 0.25) * 100) / 100,
+        degradationStyle: String(raw.degradationStyle || '').trim().substring(0, 400)
+            || 'falls apart — sentences break, certainty slips, the persona cracks',
+        speakConditions: (Array.isArray(raw.speakConditions) ? raw.speakConditions : [])
+            .map(normalizeRule)
+            .filter(Boolean)
+            .slice(0, MAX_RULES),
+    };
+}
+
+function narratorKeyFromName(name) {
+    const base = String(name).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'narrator';
+    const archetypes = getNarratorArchetypes();
+    let key = base;
+    for (let i = 2; archetypes[key]; i++) key = `${base}_${i}`;
+    return key;
+}
+
+/**
+ * Create or update a narrator. Editing a built-in stores a custom copy
+ * under the same key.
+ * @param {string|null} key - Existing key, or null for a new narrator
+ * @param {Object} archetype - From the builder
+ * @returns {string|null} The narrator's key, null if invalid
+ */
+export function saveNarratorArchetype(key, archetype) {
+    const clean = normalizeNarratorArchetype(archetype);
+    if (!clean) return null;
+
+    const finalKey = key || narratorKeyFromName(clean.name);
+    extensionSettings.customNarrators = {
+        ...(extensionSettings.customNarrators || {}),
+        [finalKey]: clean,
+    };
+    saveSettings();
+
+    console.log(`${LOG_PREFIX} Narrator saved: ${finalKey}`);
+    return finalKey;
+}
+
+/**
+ * Delete a custom narrator. For an edited built-in this restores the
+ * original; a selected narrator that no longer exists falls back to the
+ * Stage Manager.
+ */
+export function deleteNarratorArchetype(key) {
+    if (!isCustomNarrator(key)) return;
+
+    const custom = { ...extensionSettings.customNarrators };
+    delete custom[key];
+    extensionSettings.customNarrators = custom;
+
+    if (!getNarratorArchetypes()[extensionSettings.narratorArchetype]) {
+        extensionSettings.narratorArchetype = DEFAULT_NARRATOR;
+    }
+    saveSettings();
+
+    console.log(`${LOG_PREFIX} Narrator ${isBuiltInNarrator(key) ? 'restored' : 'deleted'}: ${key}`);
+}
+
+// =============================================================================
+// EXPORT / IMPORT
+// =============================================================================
+
+/**
+ * One narrator as an export object — built-ins too, as a starting point.
+ */
+export function buildNarratorExport(key) {
+    const archetype = getNarratorArchetypes()[key];
+    return {
+        format: NARRATOR_FORMAT,
+        version: NARRATOR_VERSION,
+        exportedAt: new Date().toISOString(),
+        narrators: archetype ? { [key]: archetype } : {},
+    };
+}
+
+/**
+ * Parse and validate a narrator file.
+ * @param {string} text - File contents
+ * @returns {Object} { key: archetype } — only valid narrators
+ * @throws {Error} With a user-facing message if the file isn't usable
+ */
+export function parseNarratorFile(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw new Error('Not a JSON file');
+    }
+
+    if (!data || data.format !== NARRATOR_FORMAT) {
+        throw new Error('Not a Chorus narrator export');
+    }
+    if (typeof data.version !== 'number' || data.version > NARRATOR_VERSION) {
+        throw new Error(`Narrator file version ${data.version} isn't supported (${NARRATOR_VERSION})`);
+    }
+
+    const narrators = {};
+    for (const [key, raw] of Object.entries(data.narrators || {})) {
+        const clean = normalizeNarratorArchetype(raw);
+        const cleanKey = String(key).toLowerCase().replace(/[^a-z0-9_]+/g, '_');
+        if (clean && cleanKey) narrators[cleanKey] = clean;
+    }
+    if (Object.keys(narrators).length === 0) {
+        throw new Error('File has no narrators');
+    }
+    return narrators;
+}
+
+/**
+ * Add parsed narrators. Same key replaces the existing narrator.
+ * @returns {string[]} Keys imported
+ */
+export function importNarratorArchetypes(narrators) {
+    extensionSettings.customNarrators = {
+        ...(extensionSettings.customNarrators || {}),
+        ...narrators,
+    };
+    saveSettings();
+
+    const keys = Object.keys(narrators);
+    console.log(`${LOG_PREFIX} Imported ${keys.length} narrator${keys.length === 1 ? '' : 's'}`);
+    return keys;
+}
@@ -0,0 +1,391 @@
+/**
+ * THE CHORUS — Voice Authoring
+ * Hand-written voices and edits to existing ones.
+ *
+ * The editor works on a draft — the voice's identity fields in the same
+ * shape as the voice record. A draft is validated here, then run through
+ * sanitizeVoice before it reaches the deck, so a hand-written voice is
+ * held to the same rules as a born one: one voice per arcana, triggers
+ * from the active taxonomy, a resolution that fits its depth.
+ *
+ * Any single field can be re-rolled by the LLM, written to fit the rest
+ * of the draft.
+ */
+
+import {
+    VOICE_DEPTH, RESOLUTION_TYPES, METAPHOR_DOMAINS,
+    RELATIONSHIP_CHAT_MODIFIERS, LOG_PREFIX,
+} from '../config.js';
+import { sendChorusRequest } from '../request-service.js';
+import {
+    addVoice,
+    updateVoice,
+    getVoiceById,
+    getLivingVoices,
+    getArcana,
+    getDeckArcana,
+    getFreeArcana,
+    isKnownArcana,
+    sanitizeVoice,
+} from '../state.js';
+import { formatThemeList, isActiveTheme } from './taxonomy.js';
+import { getToneDescription } from './tone.js';
+
+/**
+ * What each field holds — shown in the editor and given to the LLM when
+ * a field is re-rolled. Mirrors the birth prompt's JSON guide.
+ */
+export const VOICE_FIELD_GUIDE = {
+    name: 'Specific, unexpected name — never "The [Emotion]" or "The [Adjective]".',
+    personality: '2-3 sentence personality description. Specific. Rooted in the birth moment.',
+    speakingStyle: 'How they talk. Specific patterns, not just adjectives.',
+    obsession: 'The specific thing this voice fixates on. Not broad emotion — one concrete detail.',
+    opinion: 'This voice\'s specific take on the character. One provocative sentence.',
+    blindSpot: 'What this voice cannot see clearly. Specific.',
+    selfAwareness: 'How this voice feels about being only a fragment. 1-2 sentences.',
+    metaphorDomain: 'The one domain it thinks in — it shapes every image it uses.',
+    verbalTic: 'A specific speech pattern with an example line.',
+    birthMoment: 'The moment this voice was born from, as it remembers it. 1-2 sentences.',
+    influenceTriggers: 'Themes that raise and lower its influence.',
+    resolution: 'What resolves this voice. The condition is hidden from the user.',
+};
+
+const TEXT_LIMITS = {
+    name: 48,
+    personality: 600,
+    speakingStyle: 300,
+    obsession: 300,
+    opinion: 300,
+    blindSpot: 300,
+    selfAwareness: 300,
+    metaphorDomain: 40,
+    verbalTic: 300,
+    birthMoment: 300,
+};
+
+const DEFAULT_BIRTH_MOMENT = 'Written in by hand.';
+
+// =============================================================================
+// DRAFTS
+// =============================================================================
+
+/**
+ * Editable copy of a voice, or a blank draft for a new one.
+ * @param {Object} [voice]
+ * @returns {Object}
+ */
+export function buildVoiceDraft(voice = null) {
+    const depth = voice?.depth || 'rooted';
+    const resolution = voice?.resolution || {};
+
+    return {
+        name: voice?.name || '',
+        arcana: voice?.arcana || getFreeArcana(depth)[0] || 'fool',
+        reversed: !!voice?.reversed,
+        depth,
+        relationship: voice?.relationship || 'curious',
+        influence: voice?.influence ?? VOICE_DEPTH[depth].defaultInfluence,
+        chattiness: voice?.chattiness ?? 3,
+        personality: voice?.personality || '',
+        speakingStyle: voice?.speakingStyle || '',
+        obsession: voice?.obsession || '',
+        opinion: voice?.opinion || '',
+        blindSpot: voice?.blindSpot || '',
+        selfAwareness: voice?.selfAwareness || '',
+        metaphorDomain: voice?.metaphorDomain || '',
+        verbalTic: voice?.verbalTic || '',
+        birthMoment: voice?.birthMoment || '',
+        influenceTriggers: {
+            raises: [...(voice?.influenceTriggers?.raises || [])],
+            lowers: [...(voice?.influenceTriggers?.lowers || [])],
+        },
+        resolution: {
+            type: resolution.type || VOICE_DEPTH[depth].resolutionTypes[0],
+            condition: resolution.condition || '',
+            threshold: resolution.threshold ?? null,
+            transformsInto: resolution.transformsInto ? { ...resolution.transformsInto } : null,
+        },
+    };
+}
+
+function cleanThemes(list) {
+    const themes = (Array.isArray(list) ? list : String(list || '').split(','))
+        .map(t => String(t).trim().toLowerCase())
+        .filter(Boolean);
+    return [...new Set(themes)];
+}
+
+function clampInt(value, min, max, fallback) {
+    const n = Math.round(Number(value));
+    if (!Number.isFinite(n)) return fallback;
+    return Math.max(min, Math.min(max, n));
+}
+
+/**
+ * Validate a draft.
+ * @param {Object} draft - From the editor
+ * @param {string} [voiceId] - Voice being edited (its own arcana isn't "taken")
+ * @returns {{ fields: Object|null, errors: string[] }} Voice fields ready for the deck, or the reasons they aren't
+ */
+export function validateVoiceDraft(draft, voiceId = null) {
+    const errors = [];
+    const text = key => String(draft?.[key] || '').trim().substring(0, TEXT_LIMITS[key]);
+
+    const name = text('name');
+    const personality = text('personality');
+    if (!name) errors.push('A voice needs a name');
+    if (!personality) errors.push('A voice needs a personality');
+
+    // Any card in the deck; a voice keeps its own even if the Minor Arcana were turned off
+    const arcana = draft?.arcana;
+    const ownArcana = voiceId ? getVoiceById(voiceId)?.arcana : null;
+    if (!isKnownArcana(arcana)) {
+        errors.push('Pick an arcana');
+    } else if (!getDeckArcana().includes(arcana) && arcana !== ownArcana) {
+        errors.push(`${getArcana(arcana).name} is a Minor Arcana — turn on the Minor Arcana deck to use it`);
+    } else {
+        const holder = getLivingVoices().find(v => v.arcana === arcana && v.id !== voiceId);
+        if (holder) errors.push(`${getArcana(arcana).name} already belongs to ${holder.name}`);
+    }
+
+    const depth = draft?.depth;
+    if (!VOICE_DEPTH[depth]) errors.push('Pick a depth');
+
+    const raises = cleanThemes(draft?.influenceTriggers?.raises);
+    const lowers = cleanThemes(draft?.influenceTriggers?.lowers);
+    const unknown = [...raises, ...lowers].filter(t => !isActiveTheme(t));
+    if (unknown.length > 0) errors.push(`Not in the theme taxonomy: ${unknown.join(', ')}`);
+
+    const type = draft?.resolution?.type;
+    const typeDef = RESOLUTION_TYPES[type];
+    if (!typeDef) {
+        errors.push('Pick a resolution type');
+    } else if (VOICE_DEPTH[depth] && !typeDef.depthAllowed.includes(depth)) {
+        const fits = Object.keys(RESOLUTION_TYPES).filter(k => RESOLUTION_TYPES[k].depthAllowed.includes(depth));
+        errors.push(`${typeDef.name} doesn't fit a ${depth} voice — use ${fits.join(', ')}`);
+    }
+
+    const hint = String(draft?.resolution?.transformsInto?.hint || '').trim().substring(0, 300);
+    if (type === 'transform' && !hint) errors.push('A transforming voice needs to know what it becomes');
+
+    if (errors.length > 0) return { fields: null, errors };
+
+    const fields = {
+        name,
+        arcana,
+        reversed: !!draft.reversed,
+        depth,
+        relationship: draft.relationship,
+        influence: clampInt(draft.influence, 0, 100, VOICE_DEPTH[depth].defaultInfluence),
+        chattiness: clampInt(draft.chattiness, 1, 5, 3),
+        personality,
+        speakingStyle: text('speakingStyle'),
+        obsession: text('obsession'),
+        opinion: text('opinion'),
+        blindSpot: text('blindSpot'),
+        selfAwareness: text('selfAwareness'),
+        metaphorDomain: text('metaphorDomain') || 'general',
+        verbalTic: text('verbalTic'),
+        birthMoment: text('birthMoment') || DEFAULT_BIRTH_MOMENT,
+        influenceTriggers: { raises, lowers },
+        resolution: {
+            type,
+            condition: type === 'endure' ? '' : String(draft.resolution.condition || '').trim().substring(0, 400),
+            progress: getVoiceById(voiceId)?.resolution?.progress || 0,
+            threshold: typeDef.threshold === null
+                ? null
+                : clampInt(draft.resolution.threshold ?? typeDef.threshold, 1, 100, typeDef.threshold),
+            transformsInto: type === 'transform'
+                ? {
+                    hint,
+                    suggestedArcana: draft.resolution.transformsInto?.suggestedArcana || null,
+                    depth: draft.resolution.transformsInto?.depth || 'rooted',
+                }
+                : null,
+        },
+    };
+
+    // Last word goes to the deck's own rules
+    const sanitized = sanitizeVoice(fields);
+    for (const key of ['relationship', 'depth', 'influence']) {
+        if (sanitized[key] !== fields[key]) errors.push(`${key} "${fields[key]}" isn't valid`);
+    }
+    if (errors.length > 0) return { fields: null, errors };
+
+    return { fields, errors };
+}
+
+// =============================================================================
+// SAVING
+// =============================================================================
+
+/**
+ * Add a hand-written voice to the deck.
+ * @returns {{ voice: Object|null, errors: string[] }}
+ */
+export function createAuthoredVoice(draft) {
+    const { fields, errors } = validateVoiceDraft(draft);
+    if (!fields) return { voice: null, errors };
+
+    const voice = addVoice({
+        ...fields,
+        state: 'active',
+        birthType: 'authored',
+    });
+    if (!voice) return { voice: null, errors: ['The deck is full'] };
+
+    console.log(`${LOG_PREFIX} Voice written in: ${voice.name} (${voice.arcana}, ${voice.depth})`);
+    return { voice, errors: [] };
+}
+
+/**
+ * Apply edits to an existing voice. Bound voices carry them to the persona.
+ * @returns {{ voice: Object|null, errors: string[] }}
+ */
+export function saveVoiceEdits(voiceId, draft) {
+    const voice = getVoiceById(voiceId);
+    if (!voice || voice.state === 'dead') return { voice: null, errors: ['That voice is gone'] };
+
+    const { fields, errors } = validateVoiceDraft(draft, voiceId);
+    if (!fields) return { voice: null, errors };
+
+    updateVoice(voiceId, fields);
+    console.log(`${LOG_PREFIX} Voice edited: ${voice.name}`);
+    return { voice, errors: [] };
+}
+
+// =============================================================================
+// RE-ROLL
+// =============================================================================
+
+function describeDraft(draft, skip) {
+    const arc = isKnownArcana(draft.arcana) ? getArcana(draft.arcana) : null;
+    const lines = [
+        `arcana: ${arc?.name || draft.arcana}${arc?.suit ? ` (Minor Arcana — ${arc.upright})` : ''}${draft.reversed ? ' (REVERSED)' : ''}`,
+        `depth: ${draft.depth}`,
+        `relationship to {{user}}: ${draft.relationship}`,
+    ];
+    for (const key of Object.keys(TEXT_LIMITS)) {
+        if (key !== skip && draft[key]) lines.push(`${key}: ${draft[key]}`);
+    }
+    if (skip !== 'influenceTriggers') {
+        lines.push(`raised by: ${cleanThemes(draft.influenceTriggers?.raises).join(', ') || 'none'}`);
+        lines.push(`lowered by: ${cleanThemes(draft.influenceTriggers?.lowers).join(', ') || 'none'}`);
+    }
+    return lines.join('\n');
+}
+
+function fieldInstructions(field, draft) {
+    if (field === 'metaphorDomain') {
+        return `Pick a domain different from the other voices'. Ideas: ${METAPHOR_DOMAINS.join(', ')}
+"value" is a string.`;
+    }
+    if (field === 'influenceTriggers') {
+        return `Pick ONLY from these themes:
+${formatThemeList()}
+"value" is { "raises": ["theme", ...], "lowers": ["theme", ...] } — 2-4 raises, 1-3 lowers.`;
+    }
+    if (field === 'resolution') {
+        const fits = Object.keys(RESOLUTION_TYPES)
+            .filter(k => RESOLUTION_TYPES[k].depthAllowed.includes(draft.depth))
+            .map(k => `${k} (${RESOLUTION_TYPES[k].description})`);
+        return `Types that fit a ${draft.depth} voice:
+${fits.join('\n')}
+"value" is { "type": "...", "condition": "what resolves it, specific to this voice", "transformsInto": null }
+For transform, transformsInto is { "hint": "what it becomes", "suggestedArcana": "arcana key", "depth": "surface or rooted" }.`;
+    }
+    return '"value" is a string.';
+}
+
+function buildRerollPrompt(draft, field) {
+    const current = field === 'influenceTriggers' || field === 'resolution'
+        ? JSON.stringify(draft[field])
+        : draft[field];
+    const others = getLivingVoices()
+        .filter(v => v.name !== draft.name)
+        .map(v => `- ${v.name} (domain: ${v.metaphorDomain || 'general'})`)
+        .join('\n');
+
+    return [
+        {
+            role: 'system',
+            content: `You are refining one field of an inner voice — a fragment of {{user}}'s psyche. The new value must fit everything else about the voice and its arcana.
+
+CHAT TONE: ${getToneDescription()}
+
+THE VOICE:
+${describeDraft(draft, field)}
+
+OTHER VOICES:
+${others || 'None.'}
+
+FIELD: ${field} — ${VOICE_FIELD_GUIDE[field]}
+${fieldInstructions(field, draft)}
+
+Respond ONLY with valid JSON: { "value": ... }. No other text. No markdown fences.`,
+        },
+        {
+            role: 'user',
+            content: current
+                ? `Write a new ${field}. Not this one: ${current}`
+                : `Write the ${field}.`,
+        },
+    ];
+}
+
+function parseRerollResponse(responseText, field) {
+    let jsonStr = String(responseText || '').trim();
+    const fenceMatch = jsonStr.match(/```(?:json)?\s*([\s\S]*?)```/);
+    if (fenceMatch) jsonStr = fenceMatch[1].trim();
+    const braceMatch = jsonStr.match(/\{[\s\S]*\}/);
+    if (braceMatch) jsonStr = braceMatch[0];
+
+    const value = JSON.parse(jsonStr)?.value;
+
+    if (field === 'influenceTriggers') {
+        return {
+            raises: cleanThemes(value?.raises).filter(t => isActiveTheme(t)),
+            lowers: cleanThemes(value?.lowers).filter(t => isActiveTheme(t)),
+        };
+    }
+    if (field === 'resolution') {
+        if (!RESOLUTION_TYPES[value?.type]) return null;
+        return {
+            type: value.type,
+            condition: String(value.condition || ''),
+            threshold: RESOLUTION_TYPES[value.type].threshold,
+            transformsInto: value.type === 'transform' && value.transformsInto?.hint
+                ? { ...value.transformsInto }
+                : null,
+        };
+    }
+    return typeof value === 'string' && value.trim()
+        ? value.trim().substring(0, TEXT_LIMITS[field])
+        : null;
+}
+
+/**
+ * Ask the LLM for a new value for one field of a draft.
+ * @param {Object} draft - Current editor contents (context for the new value)
+ * @param {string} field - A VOICE_FIELD_GUIDE key
+ * @returns {Promise<*>} The new value in the draft's shape, or null on failure
+ */
+export async function rerollVoiceField(draft, field) {
+    if (!VOICE_FIELD_GUIDE[field]) return null;
+
+    try {
+        const messages = buildRerollPrompt(draft, field);
+        const response = await sendChorusRequest('birth', messages, field === 'resolution' ? 400 : 250);
+        const value = parseRerollResponse(response, field);
+        if (value === null) console.warn(`${LOG_PREFIX} Re-roll of ${field} gave nothing usable`);
+        return value;
+    } catch (e) {
+        console.error(`${LOG_PREFIX} Re-roll of ${field} failed:`, e);
+        return null;
+    }
+}
+
+/** Relationship options for the editor. */
+export function getRelationshipOptions() {
+    return Object.keys(RELATIONSHIP_CHAT_MODIFIERS);
+}
@@ -2,53 +2,99 @@
  * THE CHORUS — Message Classifier
  * Cheap per-message API call that determines:
  *   - Impact level (none / minor / significant / critical)
- *   - Themes present (from fixed taxonomy)
+ *   - Themes present (from the active taxonomy), each with intensity and valence
  *   - One-sentence summary (if significant+)
  *
  * This single call drives everything downstream:
  *   spread type, influence shifts, birth checks, participation bonuses.
+ *
+ * {{user}}'s own messages get a separate classification: what did
+ * {{user}} CHOOSE to do, and did that follow or defy the last reading?
+ *
+ * In group chats the classifier also attributes themes to the characters
+ * who caused them (scene.js), for per-character voice stances.
+ *
+ * A local pre-filter (heuristics.js) runs first: messages it is confident
+ * are quiet never reach the API, and its rough read stands in when the
+ * API call fails.
  */
 
-import { getContext } from '../../../../../extensions.js';
-import { ALL_THEMES, IMPACT_LEVELS, LOG_PREFIX, THEMES } from '../config.js';
-import { extensionSettings } from '../state.js';
+import { IMPACT_LEVELS, LOG_PREFIX, THEME_INTENSITY, THEME_VALENCES } from '../config.js';
+import { sendChorusRequest, isAbortError } from '../request-service.js';
 import {
     getResolutionAssessmentBlock,
     formatAssessmentPrompt,
 } from './voice-lifecycle.js';
+import { isGroupChat, getSceneCharacters, getLastSpeaker, matchSceneCharacter } from './scene.js';
+import { preClassify, heuristicClassification } from './heuristics.js';
+import { getActiveThemes, formatThemeList } from './taxonomy.js';
+import { extensionSettings } from '../state.js';
 
 // =============================================================================
 // CLASSIFIER PROMPT
 // =============================================================================
 
-function buildClassifierPrompt(messageText) {
-    const themeList = [
-        `EMOTIONAL: ${THEMES.emotional.join(', ')}`,
-        `RELATIONAL: ${THEMES.relational.join(', ')}`,
-        `PHYSICAL: ${THEMES.physical.join(', ')}`,
-        `IDENTITY: ${THEMES.identity.join(', ')}`,
-    ].join('\n');
+/**
+ * Build the theme list + impact scale shared by the standalone classifier
+ * and the combined single-call pipeline.
+ */
+export function buildClassifierGuide() {
+    return `AVAILABLE THEMES (pick ONLY from this list):
+${formatThemeList()}
+
+IMPACT LEVELS:
+- none: Nothing emotionally/physically significant happened. Small talk, movement, description.
+- minor: A slight emotional beat. A hint of tension, a small kindness, mild discomfort.
+- significant: A real emotional shift. Confession, confrontation, injury, intimacy, loss.
+- critical: A defining moment. Betrayal revealed, near-death, identity collapse, euphoric breakthrough.
+
+THEME INTENSITY (0-1, per theme):
+- 0.2: a passing mention or faint undertone
+- 0.5: clearly present
+- 0.9: the theme dominates the moment — a guilt-wracked confession, not a stray "sorry"
 
+THEME VALENCE (per theme):
+- positive: the theme is gained, given or felt as good (trust earned, comfort given)
+- negative: the theme hurts, is broken or denied (trust broken, comfort refused)
+- mixed: both at once`;
+}
+
+// JSON shape for themes, shared by every classifier-style prompt
+export const THEMES_JSON_HINT = '"themes": [{ "theme": "theme1", "intensity": 0.5, "valence": "positive|negative|mixed" }]';
+
+/**
+ * Character attribution for group chats — shared with the combined pipeline.
+ * @returns {Object} { prompt, jsonHint } — empty strings outside group chats
+ */
+export function buildAttributionBlock() {
+    const characters = getSceneCharacters();
+    if (!isGroupChat() || characters.length === 0) return { prompt: '', jsonHint: '' };
+
+    const speaker = getLastSpeaker();
+    return {
+        prompt: `
+
+GROUP SCENE — CHARACTERS PRESENT: ${characters.join(', ')}${speaker ? `\nThis message was written by ${speaker}.` : ''}
+Attribute each theme to the character whose words or actions caused it (not always the writer). Only list characters from the list above.`,
+        jsonHint: ',\n  "characters": [{ "name": "Character Name", "themes": ["theme1"] }]',
+    };
+}
+
+function buildClassifierPrompt(messageText) {
     // Check for resolution candidates (appended to same call — cheap)
     const resolutionCandidates = getResolutionAssessmentBlock();
     const resolutionPrompt = formatAssessmentPrompt(resolutionCandidates);
     const resolutionJsonHint = resolutionCandidates
         ? ',\n  "resolution_progress": [{ "voiceId": "id", "progress": 0 }]'
         : '';
+    const attribution = buildAttributionBlock();
 
     return [
         {
             role: 'system',
             content: `You are a scene classifier for a narrative roleplay. Your job is to read the latest message and identify what emotionally, relationally, physically, or existentially significant things happened.
 
-AVAILABLE THEMES (pick ONLY from this list):
-${themeList}
-
-IMPACT LEVELS:
-- none: Nothing emotionally/physically significant happened. Small talk, movement, description.
-- minor: A slight emotional beat. A hint of tension, a small kindness, mild discomfort.
-- significant: A real emotional shift. Confession, confrontation, injury, intimacy, loss.
-- critical: A defining moment. Betrayal revealed, near-death, identity collapse, euphoric breakthrough.
+${buildClassifierGuide()}
 
 Respond ONLY with valid JSON. No other text.`,
         },
@@ -63,9 +109,53 @@ ${messageText}
 Return JSON:
 {
   "impact": "none|minor|significant|critical",
-  "themes": ["theme1", "theme2"],
-  "summary": "One sentence describing what shifted (only if significant or critical, otherwise empty string)"${resolutionJsonHint}
-}${resolutionPrompt}`,
+  ${THEMES_JSON_HINT},
+  "summary": "One sentence describing what shifted (only if significant or critical, otherwise empty string)"${resolutionJsonHint}${attribution.jsonHint}
+}${resolutionPrompt}${attribution.prompt}`,
+        },
+    ];
+}
+
+const ADVICE_VERDICTS = ['followed', 'defied', 'ignored'];
+
+/**
+ * Prompt for {{user}}'s own message: the choice, not the scene.
+ * @param {string} messageText - {{user}}'s message
+ * @param {Object[]} advice - Unjudged advice from the last reading (getLastSpreadAdvice)
+ */
+function buildUserActionPrompt(messageText, advice) {
+    const adviceBlock = advice.length > 0
+        ? `\n\nTHE INNER VOICES RECENTLY ADVISED:\n${advice.map(a => `- ${a.name}${a.positionName ? ` (${a.positionName})` : ''}: "${a.text}"`).join('\n')}\n\nFor each voice above, judge {{user}}'s choice against its advice: "followed" (did what it urged), "defied" (did the opposite) or "ignored" (unrelated).`
+        : '';
+    const adviceJsonHint = advice.length > 0
+        ? ',\n  "advice": [{ "voice": "Voice Name", "verdict": "followed|defied|ignored" }]'
+        : '';
+
+    return [
+        {
+            role: 'system',
+            content: `You are a choice classifier for a narrative roleplay. The latest message was written by {{user}}. Your job is to identify what {{user}} CHOSE to do or say — the decision itself, not the scenery around it.
+
+${buildClassifierGuide()}
+
+Judge the choice: a confession, a refusal, giving in, lashing out, running away, saying yes again.
+
+Respond ONLY with valid JSON. No other text.`,
+        },
+        {
+            role: 'user',
+            content: `Classify {{user}}'s choice in this message:
+
+"""
+${messageText}
+"""
+
+Return JSON:
+{
+  "impact": "none|minor|significant|critical",
+  ${THEMES_JSON_HINT},
+  "summary": "One sentence: what {{user}} chose to do (empty string if nothing was chosen)"${adviceJsonHint}
+}${adviceBlock}`,
         },
     ];
 }
@@ -74,58 +164,163 @@ Return JSON:
 // RESPONSE PARSING
 // =============================================================================
 
+/**
+ * Pull the JSON object out of a model response (handles markdown code blocks).
+ * @throws {SyntaxError} If no valid JSON is found
+ */
+function extractJsonObject(responseText) {
+    let jsonStr = responseText.trim();
+    const jsonMatch = jsonStr.match(/```(?:json)?\s*([\s\S]*?)```/);
+    if (jsonMatch) {
+        jsonStr = jsonMatch[1].trim();
+    }
+
+    // Try to find JSON object in response
+    const braceMatch = jsonStr.match(/\{[\s\S]*\}/);
+    if (braceMatch) {
+        jsonStr = braceMatch[0];
+    }
+
+    return JSON.parse(jsonStr);
+}
+
 /**
  * Parse classifier response, with defensive fallbacks.
  */
 function parseClassifierResponse(responseText) {
-    const fallback = { impact: 'none', themes: [], summary: '', resolutionProgress: [] };
+    const fallback = { impact: 'none', themes: [], themeDetails: {}, summary: '', resolutionProgress: [], attributions: [] };
 
     if (!responseText || typeof responseText !== 'string') {
         return fallback;
     }
 
     try {
-        // Extract JSON from response (handle markdown code blocks)
-        let jsonStr = responseText.trim();
-        const jsonMatch = jsonStr.match(/```(?:json)?\s*([\s\S]*?)```/);
-        if (jsonMatch) {
-            jsonStr = jsonMatch[1].trim();
+        return normalizeClassification(extractJsonObject(responseText));
+    } catch (e) {
+        console.warn(`${LOG_PREFIX} Classifier parse failed:`, e.message);
+        return fallback;
+    }
+}
+
+/**
+ * Validate an already-parsed classification object against the taxonomy.
+ * Shared with the combined pipeline, which gets the same fields inside
+ * a larger JSON response.
+ *
+ * Themes may come back as objects ({ theme, intensity, valence }) or, from
+ * models that ignore the structure, as bare tags. Tags get the default
+ * intensity and no valence, so they weigh exactly as before.
+ *
+ * @param {Object} parsed - Raw object with impact, themes, summary, resolution_progress, characters
+ * @returns {Object} { impact, themes[], themeDetails{}, summary, resolutionProgress[], attributions[] }
+ *                   themes stays a plain tag array; themeDetails maps theme → { intensity, valence }
+ */
+export function normalizeClassification(parsed) {
+    if (!parsed || typeof parsed !== 'object') {
+        return { impact: 'none', themes: [], themeDetails: {}, summary: '', resolutionProgress: [], attributions: [] };
+    }
+
+    // Validate impact
+    const impact = IMPACT_LEVELS.includes(parsed.impact) ? parsed.impact : 'none';
+
+    // Validate themes — only keep ones from the active taxonomy
+    const activeThemes = getActiveThemes();
+    const themes = [];
+    const themeDetails = {};
+    for (const entry of Array.isArray(parsed.themes) ? parsed.themes : []) {
+        const theme = typeof entry === 'string' ? entry : entry?.theme;
+        if (!activeThemes.includes(theme) || themeDetails[theme]) continue;
+
+        const intensity = typeof entry?.intensity === 'number' && Number.isFinite(entry.intensity)
+            ? Math.max(0, Math.min(1, entry.intensity))
+            : THEME_INTENSITY.default;
+        const valence = THEME_VALENCES.includes(entry?.valence) ? entry.valence : null;
+
+        themes.push(theme);
+        themeDetails[theme] = { intensity, valence };
+    }
+
+    // Validate summary
+    const summary = typeof parsed.summary === 'string' ? parsed.summary : '';
+
+    // Parse resolution progress (optional)
+    const resolutionProgress = Array.isArray(parsed.resolution_progress)
+        ? parsed.resolution_progress
+            .filter(r => r && r.voiceId && typeof r.progress === 'number')
+            .map(r => ({
+                voiceId: r.voiceId,
+                progress: Math.max(0, Math.min(10, Math.round(r.progress))),
+            }))
+        : [];
+
+    // Parse character attribution (optional, group chats) — scene characters
+    // and taxonomy themes only
+    const attributions = [];
+    if (Array.isArray(parsed.characters)) {
+        const characters = getSceneCharacters();
+        for (const entry of parsed.characters) {
+            const name = matchSceneCharacter(entry?.name, characters);
+            const charThemes = Array.isArray(entry?.themes) ? entry.themes.filter(t => activeThemes.includes(t)) : [];
+            if (name && charThemes.length > 0 && !attributions.some(a => a.name === name)) {
+                attributions.push({ name, themes: charThemes });
+            }
         }
+    }
 
-        // Try to find JSON object in response
-        const braceMatch = jsonStr.match(/\{[\s\S]*\}/);
-        if (braceMatch) {
-            jsonStr = braceMatch[0];
+    return { impact, themes, themeDetails, summary, resolutionProgress, attributions };
+}
+
+/**
+ * Parse a user-action response. Advice verdicts are matched back to
+ * voices by name; voices the model skipped count as ignored.
+ * @returns {Object} Classification plus adviceVerdicts[{ voiceId, verdict }]
+ */
+function parseUserActionResponse(responseText, advice) {
+    let parsed = null;
+    if (responseText && typeof responseText === 'string') {
+        try {
+            parsed = extractJsonObject(responseText);
+        } catch (e) {
+            console.warn(`${LOG_PREFIX} User action parse failed:`, e.message);
         }
+    }
 
-        const parsed = JSON.parse(jsonStr);
+    const byName = new Map();
+    for (const entry of Array.isArray(parsed?.advice) ? parsed.advice : []) {
+        if (!entry || typeof entry.voice !== 'string') continue;
+        const verdict = String(entry.verdict || '').toLowerCase();
+        if (ADVICE_VERDICTS.includes(verdict)) byName.set(entry.voice.trim().toLowerCase(), verdict);
+    }
 
-        // Validate impact
-        const impact = IMPACT_LEVELS.includes(parsed.impact) ? parsed.impact : 'none';
+    const adviceVerdicts = advice.map(a => ({
+        voiceId: a.voiceId,
+        verdict: byName.get(String(a.name || '').toLowerCase()) || 'ignored',
+    }));
 
-        // Validate themes — only keep ones from our taxonomy
-        const themes = Array.isArray(parsed.themes)
-            ? parsed.themes.filter(t => ALL_THEMES.includes(t))
-            : [];
+    return { ...normalizeClassification(parsed), adviceVerdicts };
+}
 
-        // Validate summary
-        const summary = typeof parsed.summary === 'string' ? parsed.summary : '';
+// =============================================================================
+// PRE-FILTER
+// =============================================================================
 
-        // Parse resolution progress (optional)
-        const resolutionProgress = Array.isArray(parsed.resolution_progress)
-            ? parsed.resolution_progress
-                .filter(r => r && r.voiceId && typeof r.progress === 'number')
-                .map(r => ({
-                    voiceId: r.voiceId,
-                    progress: Math.max(0, Math.min(10, Math.round(r.progress))),
-                }))
-            : [];
+/**
+ * Run the local pre-filter if enabled.
+ * @returns {boolean} True if the message is quiet enough to skip the API call
+ */
+function isQuietLocally(messageText, kind) {
+    if (!extensionSettings.heuristicPrefilter) return false;
+    const threshold = (extensionSettings.heuristicThreshold ?? 80) / 100;
+    return preClassify(messageText, threshold, kind).skip;
+}
 
-        return { impact, themes, summary, resolutionProgress };
-    } catch (e) {
-        console.warn(`${LOG_PREFIX} Classifier parse failed:`, e.message);
-        return fallback;
-    }
+/**
+ * Heuristic classification to stand in for a failed API call.
+ */
+function offlineClassification(messageText) {
+    const result = heuristicClassification(messageText);
+    console.warn(`${LOG_PREFIX} Using local classification: impact=${result.impact}, themes=[${result.themes.join(', ')}]`);
+    return result;
 }
 
 // =============================================================================
@@ -134,65 +329,64 @@ function parseClassifierResponse(responseText) {
 
 /**
  * Classify a message via independent API call.
- * Returns { impact, themes[], summary }.
+ * Returns { impact, themes[], themeDetails{}, summary }.
+ * @param {string} messageText - Message to classify
+ * @param {Object} [options] - { signal: AbortSignal } — aborts are re-thrown
  */
-export async function classifyMessage(messageText) {
+export async function classifyMessage(messageText, { signal = null } = {}) {
     if (!messageText || messageText.trim().length < 10) {
-        return { impact: 'none', themes: [], summary: '' };
+        return { impact: 'none', themes: [], themeDetails: {}, summary: '' };
     }
 
-    const ctx = getContext();
-
-    if (!ctx.ConnectionManagerRequestService) {
-        console.warn(`${LOG_PREFIX} ConnectionManagerRequestService not available, skipping classification`);
-        return { impact: 'none', themes: [], summary: '' };
+    // Quiet messages are where heal/witness/transform voices move, so only
+    // skip when no voice is waiting on a resolution assessment
+    if (!getResolutionAssessmentBlock() && isQuietLocally(messageText, 'reply')) {
+        return { impact: 'none', themes: [], themeDetails: {}, summary: '', resolutionProgress: [], attributions: [] };
     }
 
     try {
-        // Resolve connection profile
-        const profileId = getProfileId(ctx);
-        if (!profileId) {
-            console.warn(`${LOG_PREFIX} No connection profile available`);
-            return { impact: 'none', themes: [], summary: '' };
-        }
-
         const messages = buildClassifierPrompt(messageText);
+        const response = await sendChorusRequest('classifier', messages, 400, { signal }); // JSON only, but themes carry intensity and valence
 
-        const response = await ctx.ConnectionManagerRequestService.sendRequest(
-            profileId,
-            messages,
-            200, // Short response — just JSON
-            {
-                extractData: true,
-                includePreset: false,
-                includeInstruct: false,
-            },
-            {},
-        );
-
-        const result = parseClassifierResponse(response?.content || response);
-        console.log(`${LOG_PREFIX} Classified: impact=${result.impact}, themes=[${result.themes.join(', ')}]`);
+        const result = parseClassifierResponse(response);
+        console.log(`${LOG_PREFIX} Classified: impact=${result.impact}, themes=[${result.themes.map(t => `${t} ${result.themeDetails[t].intensity}`).join(', ')}]`);
         return result;
     } catch (e) {
+        if (isAbortError(e)) throw e;
         console.error(`${LOG_PREFIX} Classifier call failed:`, e);
-        return { impact: 'none', themes: [], summary: '' };
+        return offlineClassification(messageText);
     }
 }
 
-// =============================================================================
-// PROFILE RESOLUTION
-// =============================================================================
+/**
+ * Classify {{user}}'s own message via independent API call.
+ * Returns { impact, themes[], themeDetails{}, summary, adviceVerdicts[] }.
+ * @param {string} messageText - {{user}}'s message
+ * @param {Object[]} [advice] - Unjudged advice from the last reading
+ * @param {Object} [options] - { signal: AbortSignal } — aborts are re-thrown
+ */
+export async function classifyUserAction(messageText, advice = [], { signal = null } = {}) {
+    const empty = { impact: 'none', themes: [], themeDetails: {}, summary: '', resolutionProgress: [], adviceVerdicts: [] };
+    if (!messageText || messageText.trim().length < 10) {
+        return empty;
+    }
 
-function getProfileId(ctx) {
-    const connectionManager = ctx.extensionSettings?.connectionManager;
-    if (!connectionManager) return null;
+    // Pending advice still needs a verdict, so only skip when there is none
+    if (advice.length === 0 && isQuietLocally(messageText, 'user')) {
+        return empty;
+    }
 
-    const profileName = extensionSettings.connectionProfile || 'current';
+    try {
+        const messages = buildUserActionPrompt(messageText, advice);
+        const response = await sendChorusRequest('classifier', messages, 250, { signal });
 
-    if (profileName === 'current' || profileName === 'default') {
-        return connectionManager.selectedProfile;
+        const result = parseUserActionResponse(response, advice);
+        const verdicts = result.adviceVerdicts.filter(v => v.verdict !== 'ignored').map(v => v.verdict);
+        console.log(`${LOG_PREFIX} User action: impact=${result.impact}, themes=[${result.themes.join(', ')}]${verdicts.length ? `, advice ${verdicts.join('/')}` : ''}`);
+        return result;
+    } catch (e) {
+        if (isAbortError(e)) throw e;
+        console.error(`${LOG_PREFIX} User action classifier failed:`, e);
+        return { ...offlineClassification(messageText), adviceVerdicts: [] };
     }
-
-    const profile = connectionManager.profiles?.find(p => p.name === profileName);
-    return profile ? profile.id : connectionManager.selectedProfile;
 }
@@ -0,0 +1,229 @@
+/**
+ * THE CHORUS — Heuristic Pre-Classifier
+ * Local, free pass over a message before the LLM classifier runs.
+ *
+ * Scores the message against a small lexicon per theme (the active
+ * taxonomy — custom themes match on their own name) plus a few intensity signals
+ * (exclamations, shouting, broken-off speech). From that it estimates
+ * how confident it is that nothing happened. Name-only themes are easy
+ * to miss, so the more of the taxonomy they make up, the less a message
+ * without hits is trusted to be quiet:
+ *
+ *   confidence ≥ threshold → message is quiet, the classifier is skipped
+ *   otherwise              → the LLM classifies as usual
+ *
+ * The same scores make a rough offline classification, used when the
+ * classifier call fails. Every decision is kept (session only) with its
+ * reasons for the debug view in the Usage tab.
+ */
+
+import { LOG_PREFIX, THEME_INTENSITY } from '../config.js';
+import { getActiveThemes } from './taxonomy.js';
+
+// =============================================================================
+// LEXICON
+// =============================================================================
+// Word stems per theme. Matched case-insensitively at word starts.
+// Deliberately conservative — a miss only costs an LLM call.
+
+const LEXICON = {
+    // Emotional
+    heartbreak:      ['heartbr', 'broken heart', 'heart broke', 'shattered', 'sobb', 'sobs'],
+    rage:            ['rage', 'furious', 'fury', 'livid', 'seeth', 'scream', 'snarl', 'slam'],
+    euphoria:        ['euphori', 'ecsta', 'elat', 'overjoy', 'bliss', 'giddy', 'laugh until'],
+    grief:           ['grief', 'griev', 'mourn', 'funeral', 'passed away', 'died', 'dead'],
+    love:            ['love', 'adore', 'i love you', 'beloved', 'cherish'],
+    terror:          ['terror', 'terrif', 'panic', 'horrif', 'petrif', 'scared', 'afraid'],
+    shame:           ['shame', 'asham', 'disgrac', 'mortif'],
+    triumph:         ['triumph', 'victor', 'we won', 'you won', 'i won', 'conquer'],
+    jealousy:        ['jealous', 'envy', 'envious', 'possessive'],
+    loneliness:      ['lonel', 'alone', 'isolat', 'nobody', 'no one'],
+    guilt:           ['guilt', 'my fault', 'forgive me', 'i\'m sorry', 'regret', 'remorse'],
+    pride:           ['proud', 'pride'],
+
+    // Relational
+    betrayal:        ['betray', 'backstab', 'traitor', 'sold me out', 'sold you out'],
+    intimacy:        ['kiss', 'embrace', 'caress', 'intimate', 'undress', 'in bed'],
+    rejection:       ['reject', 'turn away', 'turned away', 'don\'t want you', 'leave me alone', 'go away'],
+    connection:      ['understand you', 'understand me', 'connect', 'bond', 'kindred'],
+    deception:       ['lie', 'lied', 'lying', 'liar', 'deceiv', 'decept', 'pretend'],
+    trust:           ['trust', 'believe you', 'believe me', 'rely on'],
+    abandonment:     ['abandon', 'left me', 'leave me', 'walked out', 'never came back', 'gone for good'],
+    devotion:        ['devot', 'loyal', 'swear to', 'i\'ll always', 'never leave'],
+    manipulation:    ['manipulat', 'gasligh', 'guilt trip', 'using me', 'using you'],
+    forgiveness:     ['forgive', 'forgiven', 'apology accepted', 'let it go'],
+
+    // Physical
+    violence:        ['punch', 'stab', 'strike', 'struck', 'hit him', 'hit her', 'hit me', 'attack', 'shoot', 'shot', 'choke', 'beat'],
+    near_death:      ['almost died', 'nearly died', 'near death', 'dying', 'flatlin', 'last breath', 'bleeding out'],
+    injury:          ['wound', 'injur', 'bleed', 'blood', 'broken bone', 'bruise', 'cut open', 'fractur'],
+    intoxication:    ['drunk', 'wasted', 'got high', 'so high', 'intoxicat', 'tipsy', 'hungover', 'overdose'],
+    desire:          ['desire', 'want you', 'crave', 'lust', 'aroused', 'hunger for'],
+    adrenaline:      ['adrenaline', 'heart pound', 'pulse rac', 'racing heart', 'chase', 'sprint'],
+    exhaustion:      ['exhaust', 'collapse', 'can\'t go on', 'drained', 'worn out', 'so tired'],
+    comfort:         ['comfort', 'soothe', 'safe now', 'it\'s okay', 'hold you', 'held me', 'warm blanket'],
+    hunger:          ['starv', 'famish', 'ravenous', 'haven\'t eaten'],
+    pain:            ['pain', 'agony', 'ache', 'hurts', 'excruciat', 'wince'],
+
+    // Identity
+    revelation:      ['reveal', 'the truth is', 'realiz', 'it was you', 'all along', 'secret'],
+    transformation:  ['transform', 'changed me', 'become someone', 'not the same', 'reborn'],
+    loss_of_purpose: ['pointless', 'no reason to', 'what\'s the point', 'meaningless', 'purpose'],
+    self_discovery:  ['who i am', 'who i really', 'discover', 'found myself', 'finally understand'],
+    humiliation:     ['humiliat', 'laughed at', 'mocked', 'degrad', 'belittl'],
+    empowerment:     ['empower', 'stand up for', 'stronger now', 'my choice', 'take control'],
+    submission:      ['submit', 'obey', 'kneel', 'surrender', 'yes sir', 'yes ma\'am'],
+    defiance:        ['defy', 'defian', 'refuse', 'never again', 'make me', 'i won\'t'],
+    doubt:           ['doubt', 'unsure', 'not sure', 'second-guess', 'what if i'],
+    resolve:         ['resolve', 'determin', 'i will', 'no matter what', 'i have to', 'decided'],
+};
+
+// Compiled patterns for the active taxonomy, rebuilt when it changes
+let compiledFor = '';
+let compiledPatterns = {};
+let uncoveredShare = 0;
+
+/**
+ * theme → RegExp matching any of its stems at a word start.
+ * Themes outside the built-in lexicon match on their own name
+ * ("homesickness" → "homesick").
+ */
+function getLexiconPatterns() {
+    const themes = getActiveThemes();
+    const key = themes.join(',');
+    if (key === compiledFor) return compiledPatterns;
+
+    uncoveredShare = themes.length > 0 ? themes.filter(theme => !LEXICON[theme]).length / themes.length : 0;
+    compiledPatterns = Object.fromEntries(themes.map(theme => {
+        const stems = LEXICON[theme] || [theme.replace(/_/g, ' ').replace(/(?:ness|ing|ed|s)$/, '')];
+        return [
+            theme,
+            new RegExp(`\\b(?:${stems.map(s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})`, 'gi'),
+        ];
+    }));
+    compiledFor = key;
+    return compiledPatterns;
+}
+
+// Intensity signals — not themes, but a sign something is happening
+const SIGNALS = [
+    { label: 'exclamations', pattern: /!/g, min: 2 },
+    { label: 'shouting', pattern: /\b[A-Z]{3,}\b/g, min: 2 },
+    { label: 'broken-off speech', pattern: /(?:—|--|\.\.\.)/g, min: 3 },
+];
+
+// Confidence a message is quiet starts here and drops with evidence
+const BASE_CONFIDENCE = 0.95;
+const UNCOVERED_PENALTY = 0.4; // At full share: a wholly custom taxonomy never skips
+const PER_THEME_HIT = 0.3;
+const PER_SIGNAL = 0.1;
+const LENGTH_PENALTY_PER_100 = 0.04; // Long messages hide subtle beats —
+const MAX_LENGTH_PENALTY = 0.4;      // past ~400 chars, no hits alone won't skip at 80%
+
+// Session debug log
+const MAX_DECISIONS = 20;
+let decisions = [];
+let skippedCount = 0;
+
+// =============================================================================
+// SCORING
+// =============================================================================
+
+/**
+ * Score a message against the lexicon and signals.
+ * @param {string} text
+ * @returns {Object} { hits: { theme: [matched words] }, signals: [label], confidence, reasons: [] }
+ */
+export function scoreMessage(text) {
+    const source = String(text || '');
+    const hits = {};
+
+    for (const [theme, pattern] of Object.entries(getLexiconPatterns())) {
+        const found = source.match(pattern);
+        if (found) hits[theme] = [...new Set(found.map(w => w.toLowerCase()))];
+    }
+
+    const signals = SIGNALS
+        .filter(signal => (source.match(signal.pattern) || []).length >= signal.min)
+        .map(signal => signal.label);
+
+    const hitCount = Object.values(hits).reduce((sum, words) => sum + words.length, 0);
+    const lengthPenalty = Math.min(MAX_LENGTH_PENALTY, Math.floor(source.length / 100) * LENGTH_PENALTY_PER_100);
+    const coveragePenalty = uncoveredShare * UNCOVERED_PENALTY;
+    const confidence = Math.max(0, Math.min(1,
+        BASE_CONFIDENCE - coveragePenalty - hitCount * PER_THEME_HIT - signals.length * PER_SIGNAL - lengthPenalty,
+    ));
+
+    const reasons = [];
+    if (hitCount === 0) reasons.push('no theme words');
+    if (coveragePenalty > 0) reasons.push(`${Math.round(uncoveredShare * 100)}% of themes have no lexicon`);
+    for (const [theme, words] of Object.entries(hits)) {
+        reasons.push(`${theme}: ${words.join(', ')}`);
+    }
+    for (const label of signals) reasons.push(label);
+    if (lengthPenalty > 0) reasons.push(`long message (${source.length} chars)`);
+
+    return { hits, signals, confidence: Math.round(confidence * 100) / 100, reasons };
+}
+
+/**
+ * Rough classification from lexicon scores alone.
+ * Never above minor — word counts can't tell a big moment from a
+ * busy one, so significant and critical are the LLM's call.
+ * @returns {Object} Same shape as the LLM classifier's result
+ */
+export function heuristicClassification(text) {
+    const { hits } = scoreMessage(text);
+    const themes = Object.keys(hits);
+    const themeDetails = {};
+    for (const theme of themes) {
+        themeDetails[theme] = {
+            intensity: Math.min(1, THEME_INTENSITY.default - 0.2 + hits[theme].length * 0.2),
+            valence: null,
+        };
+    }
+
+    const impact = themes.length === 0 ? 'none' : 'minor';
+
+    return { impact, themes, themeDetails, summary: '', resolutionProgress: [], attributions: [] };
+}
+
+// =============================================================================
+// PRE-CLASSIFIER
+// =============================================================================
+
+/**
+ * Decide whether a message is quiet enough to skip the LLM classifier.
+ * Records the decision for the debug view.
+ * @param {string} text - Message text
+ * @param {number} threshold - Confidence (0-1) needed to skip
+ * @param {string} [kind] - 'reply' | 'user' (for the debug view)
+ * @returns {Object} { skip, confidence, reasons[] }
+ */
+export function preClassify(text, threshold, kind = 'reply') {
+    const { confidence, reasons } = scoreMessage(text);
+    const skip = confidence >= threshold;
+
+    if (skip) skippedCount++;
+    decisions.push({
+        kind,
+        skip,
+        confidence,
+        threshold,
+        reasons,
+        excerpt: String(text || '').trim().substring(0, 80),
+        timestamp: Date.now(),
+    });
+    if (decisions.length > MAX_DECISIONS) decisions = decisions.slice(-MAX_DECISIONS);
+
+    console.log(`${LOG_PREFIX} Pre-filter: ${skip ? 'SKIP' : 'classify'} (quiet ${Math.round(confidence * 100)}% vs ${Math.round(threshold * 100)}%) — ${reasons.join('; ')}`);
+    $(document).trigger('chorus:usageUpdated');
+    return { skip, confidence, reasons };
+}
+
+/**
+ * Recent pre-filter decisions, newest first, plus the session skip count.
+ */
+export function getPreFilterLog() {
+    return { skipped: skippedCount, decisions: [...decisions].reverse() };
+}
@@ -0,0 +1,94 @@
+/**
+ * THE CHORUS — Voice History
+ * What changed in each voice, when, and why.
+ *
+ * state.js records every change to influence, relationship, bonds, depth
+ * and resolution progress (chatState.voiceHistory, see VOICE_HISTORY in
+ * config.js), stamped with the chat message it happened at. This turns
+ * those records into per-message influence series for the Log tab's
+ * charts, and into readable lines for each voice's change list.
+ */
+
+import { getContext } from '../../../../../extensions.js';
+import { VOICE_HISTORY } from '../config.js';
+import { getVoices, getVoiceById, getVoiceHistory } from '../state.js';
+
+/**
+ * Message indices to sample, at most maxColumns of them, always ending
+ * on the last message.
+ */
+function sampleColumns(start, end, maxColumns) {
+    const step = Math.max(1, Math.ceil((end - start + 1) / maxColumns));
+    const columns = [];
+    for (let m = start; m < end; m += step) columns.push(m);
+    columns.push(end);
+    return columns;
+}
+
+/**
+ * One voice's influence at each sampled message.
+ * Before its first recorded change a voice sits at that change's old
+ * value (0 before birth). A voice with no records at all predates them
+ * and is drawn flat at its current influence.
+ */
+function influenceSeries(voice, entries, columns) {
+    if (entries.length === 0) {
+        return columns.map(() => (voice.state === 'dead' ? 0 : voice.influence));
+    }
+
+    let i = 0;
+    let value = entries[0].from ?? 0;
+    return columns.map(m => {
+        while (i < entries.length && entries[i].mesId <= m) {
+            value = entries[i].to;
+            i++;
+        }
+        return value;
+    });
+}
+
+/**
+ * Every voice's influence over the chat, sampled by message.
+ * Voices that never held any influence in the range are left out.
+ * @param {number} [maxColumns] - Most samples to take
+ * @returns {{ columns: number[], series: { voice: Object, values: number[] }[] }}
+ */
+export function getInfluenceTimeline(maxColumns = 80) {
+    const history = getVoiceHistory().filter(e => e.field === 'influence');
+    const lastMessage = (getContext().chat?.length || 0) - 1;
+    const end = Math.max(0, lastMessage, ...history.map(e => e.mesId));
+    const start = history.length > 0 ? Math.min(end, ...history.map(e => e.mesId)) : 0;
+    const columns = sampleColumns(start, end, maxColumns);
+
+    const series = getVoices()
+        .map(voice => ({
+            voice,
+            values: influenceSeries(voice, history.filter(e => e.voiceId === voice.id), columns),
+        }))
+        .filter(s => s.values.some(v => v > 0));
+
+    return { columns, series };
+}
+
+/**
+ * A recorded change as one line: "influence 42 → 46".
+ * @param {Object} entry - From getVoiceHistory
+ * @returns {string}
+ */
+export function describeVoiceChange(entry) {
+    const label = VOICE_HISTORY.fields[entry.field] || entry.field;
+    const from = entry.from ?? '—';
+
+    if (entry.field === 'bond') {
+        const other = getVoiceById(entry.otherId);
+        return `${label} with ${other?.name || 'a lost voice'} ${from} → ${entry.to}`;
+    }
+    return `${label} ${from} → ${entry.to}`;
+}
+
+/**
+ * Readable label for a change's cause.
+ */
+export function getCauseLabel(cause) {
+    return VOICE_HISTORY.causes[cause] || cause || 'unknown';
+}
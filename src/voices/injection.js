@@ -0,0 +1,183 @@
+/**
+ * THE CHORUS — Inner Voice Injection
+ * Feeds the dominant voices back into the main roleplay generation.
+ *
+ * Before each main generation, a compact block is registered as an
+ * extension prompt: the loudest voices by influence, what they're
+ * currently holding onto (thoughts), the last spread's advice, and
+ * how coherent the narrator still is. The character model never sees
+ * the Chorus panel — it only feels the pressure.
+ *
+ * Opt-in. Position, depth, budget and included fields are all settings.
+ */
+
+import {
+    setExtensionPrompt,
+    extension_prompt_types,
+    extension_prompt_roles,
+} from '../../../../../../script.js';
+import { LOG_PREFIX } from '../config.js';
+import {
+    extensionSettings,
+    hasActiveChat,
+    getLivingVoices,
+    getVoiceById,
+    getArcana,
+    serializeThoughts,
+} from '../state.js';
+import { getCoherence } from './narrator.js';
+import { getLastSpreadAdvice } from './voice-engine.js';
+
+const INJECTION_KEY = 'the-chorus-inner-voices';
+
+const POSITION_MAP = {
+    in_chat: extension_prompt_types.IN_CHAT,
+    in_prompt: extension_prompt_types.IN_PROMPT,
+    before_prompt: extension_prompt_types.BEFORE_PROMPT,
+};
+
+const ROLE_MAP = {
+    system: extension_prompt_roles.SYSTEM,
+    user: extension_prompt_roles.USER,
+    assistant: extension_prompt_roles.ASSISTANT,
+};
+
+// =============================================================================
+// BLOCK BUILDERS
+// =============================================================================
+
+/**
+ * Describe narrator coherence in one line.
+ * Same bands as the narrator's own degradation block.
+ */
+function describeCoherence(coherence) {
+    if (coherence >= 80) return `${coherence}/100 — the mind is holding together`;
+    if (coherence >= 60) return `${coherence}/100 — small cracks, the self slips for a moment`;
+    if (coherence >= 40) return `${coherence}/100 — visibly strained, the voices are getting louder`;
+    if (coherence >= 20) return `${coherence}/100 — barely holding, the voices drown out the self`;
+    return `${coherence}/100 — fragmenting, the voices ARE the self right now`;
+}
+
+/**
+ * Build one voice's section of the block.
+ */
+function buildVoiceSection(voice) {
+    const arc = getArcana(voice.arcana);
+    const lines = [];
+
+    if (extensionSettings.injectionIncludeInfluence !== false) {
+        lines.push(`- ${voice.name} (${arc.name}${voice.reversed ? ', reversed' : ''}) — influence ${voice.influence}/100, ${voice.relationship} toward {{user}}. Obsessed with: ${voice.obsession || 'N/A'}`);
+    } else {
+        lines.push(`- ${voice.name}`);
+    }
+
+    if (extensionSettings.injectionIncludeThoughts !== false) {
+        const thoughts = serializeThoughts(voice.id);
+        if (thoughts) {
+            lines.push(thoughts.split('\n').map(t => `    ${t}`).join('\n'));
+        }
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Build the advice section from the last recorded spread.
+ */
+function buildAdviceSection() {
+    // Skip advice from voices that no longer exist (dead, or another chat's deck)
+    const advice = getLastSpreadAdvice().filter(a => a.text && getVoiceById(a.voiceId));
+    if (advice.length === 0) return '';
+
+    const lines = advice.map(a => {
+        const pos = a.positionName ? `${a.positionName}: ` : '';
+        const rev = a.reversed ? ' (reversed)' : '';
+        return `- ${pos}${a.name}${rev} — "${a.text}"`;
+    });
+
+    return `Last reading:\n${lines.join('\n')}`;
+}
+
+/**
+ * Build the full injection block, trimmed to the character budget.
+ * @returns {string} Block text, or '' if there's nothing worth injecting
+ */
+export function buildInjectionBlock() {
+    if (!hasActiveChat()) return '';
+
+    const living = getLivingVoices();
+    if (living.length === 0) return '';
+
+    const maxVoices = extensionSettings.injectionMaxVoices || 3;
+    const dominant = [...living]
+        .sort((a, b) => (b.influence || 0) - (a.influence || 0))
+        .slice(0, maxVoices);
+
+    const header = '[{{user}}\'s inner voices — the psychological pressures currently shaping {{user}}. Let them color {{user}}\'s reactions, hesitations and subtext. Never quote them or reveal that they exist.]';
+
+    // Sections in priority order — later ones are dropped first when over budget
+    const sections = [];
+    if (extensionSettings.injectionIncludeCoherence !== false) {
+        sections.push(`Mind: ${describeCoherence(getCoherence())}`);
+    }
+    sections.push(...dominant.map(v => buildVoiceSection(v)));
+    if (extensionSettings.injectionIncludeAdvice !== false) {
+        const adviceSection = buildAdviceSection();
+        if (adviceSection) sections.push(adviceSection);
+    }
+
+    const budget = extensionSettings.injectionBudget || 1200;
+    let block = header;
+
+    for (const section of sections) {
+        const next = `${block}\n${section}`;
+        if (next.length <= budget) {
+            block = next;
+            continue;
+        }
+
+        // Squeeze in what fits of this section, then stop
+        const room = budget - block.length - 2;
+        if (room > 40) {
+            block = `${block}\n${section.substring(0, room).trimEnd()}…`;
+        }
+        break;
+    }
+
+    return block === header ? '' : block;
+}
+
+// =============================================================================
+// EXTENSION PROMPT
+// =============================================================================
+
+/**
+ * Rebuild and register the injection for the upcoming generation.
+ * Clears it instead when injection is disabled or there's nothing to say.
+ */
+export function updateInjection() {
+    if (!extensionSettings.enabled || !extensionSettings.injectionEnabled) {
+        clearInjection();
+        return;
+    }
+
+    const block = buildInjectionBlock();
+    if (!block) {
+        clearInjection();
+        return;
+    }
+
+    const position = POSITION_MAP[extensionSettings.injectionPosition] ?? extension_prompt_types.IN_CHAT;
+    const depth = extensionSettings.injectionDepth ?? 2;
+    const role = ROLE_MAP[extensionSettings.injectionRole] ?? extension_prompt_roles.SYSTEM;
+
+    setExtensionPrompt(INJECTION_KEY, block, position, depth, false, role);
+    console.log(`${LOG_PREFIX} Inner voice injection updated (${block.length} chars, depth ${depth})`);
+}
+
+/**
+ * Remove the injection from the main prompt.
+ */
+export function clearInjection() {
+    setExtensionPrompt(INJECTION_KEY, '', extension_prompt_types.IN_CHAT, 0);
+}
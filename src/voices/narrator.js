@@ -31,18 +31,17 @@
  *   state of the deck. The narrator is the 23rd card — the one that
  *   thinks it's above the deck.
  *
- * Generation: independent API calls via ConnectionManagerRequestService.
+ * Generation: independent API calls via the shared request service.
  */
 
-import { getContext } from '../../../../../extensions.js';
-import {
-    NARRATOR_ARCHETYPES, TONE_ANCHORS, LOG_PREFIX,
-} from '../config.js';
+import { LOG_PREFIX } from '../config.js';
+import { sendChorusRequest } from '../request-service.js';
 import {
     extensionSettings,
     getLivingVoices,
     getVoiceById,
     getArcana,
+    getDeckSize,
     getNarrator,
     updateNarrator,
     setNarratorOpinion,
@@ -52,58 +51,15 @@ import {
     getNarratorDirectoryHistory,
     saveChatState,
 } from '../state.js';
-
-// =============================================================================
-// CONNECTION (shared pattern)
-// =============================================================================
-
-function getProfileId() {
-    const ctx = getContext();
-    const connectionManager = ctx.extensionSettings?.connectionManager;
-    if (!connectionManager) return null;
-
-    const profileName = extensionSettings.connectionProfile || 'current';
-    if (profileName === 'current' || profileName === 'default') {
-        return connectionManager.selectedProfile;
-    }
-
-    const profile = connectionManager.profiles?.find(p => p.name === profileName);
-    return profile ? profile.id : connectionManager.selectedProfile;
-}
-
-async function sendRequest(messages, maxTokens = 200) {
-    const ctx = getContext();
-    if (!ctx.ConnectionManagerRequestService) {
-        throw new Error('ConnectionManagerRequestService not available');
-    }
-
-    const profileId = getProfileId();
-    if (!profileId) throw new Error('No connection profile available');
-
-    const response = await ctx.ConnectionManagerRequestService.sendRequest(
-        profileId,
-        messages,
-        maxTokens,
-        { extractData: true, includePreset: false, includeInstruct: false },
-        {},
-    );
-
-    return response?.content || response || '';
-}
+import { getToneDescription } from './tone.js';
+import { getNarratorArchetype, getSpeakMultiplier, getSpeakBoostCap } from './archetypes.js';
 
 // =============================================================================
 // CONTEXT BUILDING
 // =============================================================================
 
 function getArchetype() {
-    const key = extensionSettings.narratorArchetype || 'stage_manager';
-    return NARRATOR_ARCHETYPES[key] || NARRATOR_ARCHETYPES.stage_manager;
-}
-
-function getToneDescription() {
-    const key = extensionSettings.toneAnchor || 'raw';
-    const tone = TONE_ANCHORS[key];
-    return tone ? `${tone.name}: ${tone.description}` : 'Raw: Conversational, profane, blunt.';
+    return getNarratorArchetype();
 }
 
 function buildVoiceSummary() {
@@ -173,7 +129,7 @@ This agenda colors everything you say. You are not neutral. You have a position.
  */
 export function recalculateCoherence() {
     const living = getLivingVoices();
-    const maxVoices = Math.min(22, extensionSettings.maxVoices || 7);
+    const maxVoices = Math.min(getDeckSize(), extensionSettings.maxVoices || 7);
 
     // Deck fullness pressure (0-40)
     const deckRatio = living.length / maxVoices;
@@ -392,7 +348,7 @@ export async function generateVoiceOpinion(voice) {
 
     try {
         const messages = buildOpinionPrompt(archetype, voice);
-        const response = await sendRequest(messages, 100);
+        const response = await sendChorusRequest('narrator', messages, 100);
         const opinion = cleanResponse(response);
 
         if (opinion) {
@@ -440,7 +396,7 @@ What do you think now?`,
             },
         ];
 
-        const response = await sendRequest(messages, 100);
+        const response = await sendChorusRequest('narrator', messages, 100);
         const opinion = cleanResponse(response);
 
         if (opinion) {
@@ -466,7 +422,7 @@ export async function narrateBirth(newVoice) {
 
     const arc = getArcana(newVoice.arcana);
     const living = getLivingVoices();
-    const maxVoices = Math.min(22, extensionSettings.maxVoices || 7);
+    const maxVoices = Math.min(getDeckSize(), extensionSettings.maxVoices || 7);
     const narrator = getNarrator();
 
     const context = `A new voice has been born: ${newVoice.name} (${arc.name}${newVoice.reversed ? ', REVERSED' : ''}, ${newVoice.depth} depth).
@@ -480,7 +436,7 @@ ${living.length >= maxVoices - 1 ? 'The deck is nearly full. This should concern
         const [narration] = await Promise.all([
             (async () => {
                 const messages = buildEventPrompt(archetype, 'VOICE BIRTH', context);
-                const response = await sendRequest(messages, 150);
+                const response = await sendChorusRequest('narrator', messages, 150);
                 return cleanResponse(response);
             })(),
             generateVoiceOpinion(newVoice),
@@ -509,7 +465,7 @@ Your coherence is at ${narrator.coherence}/100. A voice leaving might give you s
 
     try {
         const messages = buildEventPrompt(archetype, 'VOICE DEATH', context);
-        const response = await sendRequest(messages, 150);
+        const response = await sendChorusRequest('narrator', messages, 150);
         markSpoke();
         return cleanResponse(response);
     } catch (e) {
@@ -535,7 +491,7 @@ Your coherence: ${narrator.coherence}/100.`;
 
     try {
         const messages = buildEventPrompt(archetype, 'ESCALATION SHIFT', context);
-        const response = await sendRequest(messages, 100);
+        const response = await sendChorusRequest('narrator', messages, 100);
         markSpoke();
         return cleanResponse(response);
     } catch (e) {
@@ -559,7 +515,7 @@ ${prey.name} is gone. React from your agenda — is this good or bad for what yo
 
     try {
         const messages = buildEventPrompt(archetype, 'VOICE CONSUMED', context);
-        const response = await sendRequest(messages, 150);
+        const response = await sendChorusRequest('narrator', messages, 150);
         markSpoke();
         updateVoiceOpinion(predator.id, `Consumed ${prey.name}`);
         return cleanResponse(response);
@@ -579,7 +535,7 @@ React from your agenda — is consolidation progress or a new threat?`;
 
     try {
         const messages = buildEventPrompt(archetype, 'VOICE MERGE', context);
-        const response = await sendRequest(messages, 150);
+        const response = await sendChorusRequest('narrator', messages, 150);
         markSpoke();
         generateVoiceOpinion(newVoice);
         return cleanResponse(response);
@@ -593,7 +549,14 @@ React from your agenda — is consolidation progress or a new threat?`;
 // PUBLIC API — Ambient Narration
 // =============================================================================
 
-export async function tryAmbientNarration(recentScene, voiceCommentary = []) {
+/**
+ * Roll the archetype's speak chance, modified by coherence.
+ * Rolled against the best odds its speak conditions could give; the
+ * conditions settle the rest once the voices have spoken.
+ * Bumps the silent streak when the narrator passes.
+ * @returns {boolean} True if the narrator may speak this message
+ */
+export function rollAmbientChance() {
     const archetype = getArchetype();
     const narrator = getNarrator();
 
@@ -605,56 +568,44 @@ export async function tryAmbientNarration(recentScene, voiceCommentary = []) {
     else if (coherence < 50) speakMod = 0.7;
     else if (coherence < 70) speakMod = 0.85;
 
-    const effectiveChance = archetype.speakChance * speakMod;
+    const effectiveChance = archetype.speakChance * speakMod * getSpeakBoostCap(archetype);
     if (Math.random() > effectiveChance) {
         updateNarrator({ silentStreak: (narrator.silentStreak || 0) + 1 });
-        return null;
-    }
-
-    // Archetype-specific extra checks
-    if (archetype === NARRATOR_ARCHETYPES.stage_manager) {
-        const living = getLivingVoices();
-        const longSilent = living.filter(v => (v.silentStreak || 0) > 8);
-        const agitated = living.filter(v => v.state === 'agitated' || v.influence > 70);
-        if (longSilent.length === 0 && agitated.length === 0 && voiceCommentary.length > 0) {
-            if (Math.random() > 0.15) return null;
-        }
-    }
-
-    if (archetype === NARRATOR_ARCHETYPES.conscience) {
-        if (voiceCommentary.length > 2) {
-            if (Math.random() > 0.1) return null;
-        }
-    }
-
-    if (archetype === NARRATOR_ARCHETYPES.director) {
-        // Director speaks MORE when nothing is happening (bored/disappointed)
-        if (voiceCommentary.length >= 2 && (narrator.silentStreak || 0) < 3) {
-            if (Math.random() > 0.4) return null;
-        }
+        return false;
     }
+    return true;
+}
 
-    if (archetype === NARRATOR_ARCHETYPES.warden) {
-        // Warden speaks more when influence is high (alarmed)
-        const living = getLivingVoices();
-        const highInfluence = living.filter(v => (v.influence || 0) > 60).length;
-        if (highInfluence === 0 && Math.random() > 0.5) return null;
-    }
+/**
+ * Apply the archetype's speak conditions, once the voices have spoken.
+ * @param {Object[]} voiceCommentary - This message's sidebar commentary
+ * @returns {boolean} True if the archetype still wants to speak
+ */
+function passesArchetypeChecks(voiceCommentary) {
+    const archetype = getArchetype();
+    const odds = getSpeakMultiplier(archetype, voiceCommentary) / getSpeakBoostCap(archetype);
+    return odds >= 1 || Math.random() < odds;
+}
 
-    if (archetype === NARRATOR_ARCHETYPES.conspirator) {
-        // Conspirator speaks more when voices have relationships (sees patterns)
-        const living = getLivingVoices();
-        const withRelationships = living.filter(v =>
-            v.relationships && Object.keys(v.relationships).length > 0
-        ).length;
-        if (withRelationships < 2 && Math.random() > 0.5) return null;
-    }
+/**
+ * Maybe speak ambiently about the scene.
+ * @param {string} recentScene - The incoming message
+ * @param {Object[]} [voiceCommentary] - This message's sidebar commentary
+ * @param {Object} [options] - { roll: boolean } — a rollAmbientChance result
+ *   already taken for this message (a failed combined pass), so the chance
+ *   and silent streak only count once
+ * @returns {Promise<string|null>} Narrator text, or null if it stays quiet
+ */
+export async function tryAmbientNarration(recentScene, voiceCommentary = [], { roll = null } = {}) {
+    if (!(roll ?? rollAmbientChance())) return null;
+    if (!passesArchetypeChecks(voiceCommentary)) return null;
 
     recalculateCoherence();
 
     try {
+        const archetype = getArchetype();
         const messages = buildAmbientPrompt(archetype, recentScene, voiceCommentary);
-        const response = await sendRequest(messages, 120);
+        const response = await sendChorusRequest('narrator', messages, 120);
         const result = cleanResponse(response);
         if (result) markSpoke();
         return result;
@@ -664,6 +615,50 @@ export async function tryAmbientNarration(recentScene, voiceCommentary = []) {
     }
 }
 
+// =============================================================================
+// PUBLIC API — Combined Pipeline
+// =============================================================================
+
+/**
+ * Narrator section for the combined single-call prompt.
+ * Same persona, agenda, tone and coherence as the ambient prompt.
+ */
+export function buildCombinedNarratorBlock() {
+    const archetype = getArchetype();
+
+    return `${archetype.persona}
+${buildAgendaBlock()}
+
+CHAT TONE: ${getToneDescription()}
+
+CURRENT VOICES:
+${buildVoiceSummary()}
+
+You may speak or stay silent. If you have nothing worth saying, use exactly: [SILENT]
+When you speak, be brief — 1-2 sentences. You are not the main event. But you have OPINIONS.
+React to what the voices said. Comment on their behavior. Express your agenda.
+Do NOT narrate the story scene. You narrate the INNER WORLD.
+${buildCoherenceBlock()}`;
+}
+
+/**
+ * Accept an ambient line that came back from the combined pipeline.
+ * Applies the same archetype checks and bookkeeping as tryAmbientNarration
+ * (speak chance is rolled before the request, by the caller).
+ * @param {string} text - Raw narrator text from the combined response
+ * @param {Object[]} voiceCommentary - This message's sidebar commentary
+ * @returns {string|null} Cleaned narration, or null if the narrator stays silent
+ */
+export function acceptAmbientNarration(text, voiceCommentary = []) {
+    if (!passesArchetypeChecks(voiceCommentary)) return null;
+
+    recalculateCoherence();
+
+    const result = cleanResponse(text);
+    if (result) markSpoke();
+    return result;
+}
+
 // =============================================================================
 // PUBLIC API — Narrator Directory (1-on-1 DM)
 // =============================================================================
@@ -687,7 +682,7 @@ export async function directoryMessage(userMessage) {
 
     try {
         const messages = buildDirectoryPrompt(archetype, userMessage.trim());
-        const response = await sendRequest(messages, 250);
+        const response = await sendChorusRequest('narrator', messages, 250);
         const cleaned = cleanResponse(response);
 
         if (cleaned) {
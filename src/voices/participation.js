@@ -14,10 +14,35 @@
  *   - Voice-to-voice dynamics (allies boost, enemies suppress)
  *
  * Cap at configurable max speakers. At least 1 always speaks.
+ *
+ * Theme matches are weighted by the classifier's per-theme intensity
+ * (themeDetails). Without details every theme weighs 1.
  */
 
-import { CHATTINESS_BASE, RELATIONSHIP_CHAT_MODIFIERS, LOG_PREFIX } from '../config.js';
-import { getLivingVoices } from '../state.js';
+import { CHATTINESS_BASE, RELATIONSHIP_CHAT_MODIFIERS, LOG_PREFIX, THEME_INTENSITY } from '../config.js';
+import { getLivingVoices, getVoiceRelationship } from '../state.js';
+
+// =============================================================================
+// THEME WEIGHTS
+// =============================================================================
+
+/**
+ * Weight of one theme in this message: 0.5 (passing mention) to 1.5 (defining).
+ * @param {Object} themeDetails - theme → { intensity, valence } from the classifier
+ * @param {string} theme
+ */
+export function themeWeight(themeDetails, theme) {
+    const intensity = themeDetails?.[theme]?.intensity ?? THEME_INTENSITY.default;
+    return THEME_INTENSITY.minWeight + intensity;
+}
+
+/**
+ * Whether a healing (lower-trigger) theme actually heals this time.
+ * "trust" counts when it's earned, not when it's broken.
+ */
+export function isHealingPresence(themeDetails, theme) {
+    return themeDetails?.[theme]?.valence !== 'negative';
+}
 
 // =============================================================================
 // PARTICIPATION ROLL
@@ -28,15 +53,16 @@ import { getLivingVoices } from '../state.js';
  * @param {string[]} themes - Themes from classifier for this message
  * @param {number} maxSpeakers - Maximum voices that can speak (default 3)
  * @param {string} impact - Classifier impact level (none/minor/significant/critical)
+ * @param {Object} [themeDetails] - theme → { intensity, valence } from the classifier
  * @returns {Object[]} Array of voice objects that will speak, sorted by score
  */
-export function rollForParticipation(themes = [], maxSpeakers = 3, impact = 'minor') {
+export function rollForParticipation(themes = [], maxSpeakers = 3, impact = 'minor', themeDetails = {}) {
     const living = getLivingVoices();
     if (living.length === 0) return [];
 
     const scored = living.map(voice => ({
         voice,
-        score: calculateParticipationScore(voice, themes, impact, living),
+        score: calculateParticipationScore(voice, themes, impact, living, themeDetails),
     }));
 
     // Sort by score descending
@@ -67,7 +93,7 @@ export function rollForParticipation(themes = [], maxSpeakers = 3, impact = 'min
  * Calculate participation score for a single voice.
  * Returns a float 0.0-1.0+ representing likelihood of speaking.
  */
-function calculateParticipationScore(voice, themes, impact, allVoices) {
+function calculateParticipationScore(voice, themes, impact, allVoices, themeDetails = {}) {
     let score = 0;
 
     // ── Depth-based impact floor ──
@@ -85,10 +111,10 @@ function calculateParticipationScore(voice, themes, impact, allVoices) {
     score += (voice.influence || 0) / 200;
 
     // Relevance bonus: theme matches
-    score += calculateRelevanceBonus(voice, themes);
+    score += calculateRelevanceBonus(voice, themes, themeDetails);
 
     // ── Wound sensitivity: resolution topic avoidance/attraction ──
-    score += calculateWoundResponse(voice, themes);
+    score += calculateWoundResponse(voice, themes, themeDetails);
 
     // Silence pressure: builds over time
     const silentStreak = voice.silentStreak || 0;
@@ -113,9 +139,9 @@ function calculateParticipationScore(voice, themes, impact, allVoices) {
 
 /**
  * Calculate relevance bonus from theme matching.
- * +0.30 per matching raise trigger
+ * +0.30 per matching raise trigger, scaled by theme intensity
  */
-function calculateRelevanceBonus(voice, themes) {
+function calculateRelevanceBonus(voice, themes, themeDetails = {}) {
     if (!themes || themes.length === 0) return 0;
     if (!voice.influenceTriggers) return 0;
 
@@ -124,7 +150,7 @@ function calculateRelevanceBonus(voice, themes) {
 
     for (const theme of themes) {
         if (raises.includes(theme)) {
-            bonus += 0.30;
+            bonus += 0.30 * themeWeight(themeDetails, theme);
         }
     }
 
@@ -141,8 +167,11 @@ function calculateRelevanceBonus(voice, themes) {
  * - High resolution progress: DRAWN — something is shifting, they sense the change
  * - Endure types: always drawn, they can never let go of their territory
  * - Fading voices near resolution: go quiet, let it pass
+ *
+ * Healing themes only count when they aren't negative (trust broken isn't
+ * trust), and the response scales with how strongly they're present.
  */
-function calculateWoundResponse(voice, themes) {
+function calculateWoundResponse(voice, themes, themeDetails = {}) {
     if (!themes || themes.length === 0) return 0;
     if (!voice.resolution) return 0;
 
@@ -152,15 +181,18 @@ function calculateWoundResponse(voice, themes) {
     const threshold = voice.resolution.threshold;
 
     // Check if any scene themes match the voice's LOWER triggers (healing themes)
-    const healingThemesPresent = themes.some(t => lowers.includes(t));
-    if (!healingThemesPresent) return 0;
+    const healing = themes.filter(t => lowers.includes(t) && isHealingPresence(themeDetails, t));
+    if (healing.length === 0) return 0;
+
+    // Strongest healing theme sets how hard the wound reacts
+    const weight = Math.max(...healing.map(t => themeWeight(themeDetails, t)));
 
     // Endure voices: wound is permanent, they're always reactive to it
-    if (resType === 'endure') return 0.10;
+    if (resType === 'endure') return 0.10 * weight;
 
     // Fading voices near resolution: grow quiet — let the thought pass
     if (resType === 'fade' && threshold && progress / threshold > 0.6) {
-        return -0.25;
+        return -0.25 * weight;
     }
 
     // Calculate progress ratio (0 to 1)
@@ -168,47 +200,38 @@ function calculateWoundResponse(voice, themes) {
 
     if (ratio < 0.3) {
         // Low progress: AVOIDANT — not ready to face this
-        return -0.20;
+        return -0.20 * weight;
     } else if (ratio < 0.6) {
         // Mid progress: AGITATED — it's stirring, can't ignore it
-        return 0.15;
+        return 0.15 * weight;
     } else {
         // High progress: DRAWN — something is changing
-        return 0.25;
+        return 0.25 * weight;
     }
 }
 
 /**
- * Social pressure from voice-to-voice opinions.
+ * Social pressure from voice-to-voice bonds.
  * Allies boost participation, enemies suppress it.
  *
- * If Voice A has opinion "allied" or "respects" about this voice,
- * and Voice A spoke recently, this voice gets a small boost (encouraged).
- * If Voice A has opinion "hostile" or "distrusts" about this voice,
- * and Voice A spoke recently, this voice gets a penalty (suppressed).
+ * If Voice A spoke recently, its bond with this voice pushes in
+ * proportion to its sentiment: a protector (+70) gives about +0.1,
+ * a rival (-40) about -0.06, a predator (-80) -0.12.
  */
 function calculateSocialPressure(voice, allVoices) {
     let pressure = 0;
 
     for (const other of allVoices) {
         if (other.id === voice.id) continue;
-        if (!other.relationships) continue;
 
-        const opinion = other.relationships[voice.id];
-        if (!opinion) continue;
+        const bond = getVoiceRelationship(other, voice.id);
+        if (!bond) continue;
 
         // Only matters if the other voice is active (spoke recently)
         const otherActive = (other.silentStreak || 0) < 3;
         if (!otherActive) continue;
 
-        const op = opinion.toLowerCase();
-        if (op.includes('allied') || op.includes('respect') || op.includes('agree') || op.includes('protect')) {
-            pressure += 0.08; // Allies encourage you to speak
-        } else if (op.includes('hostile') || op.includes('distrust') || op.includes('hate') || op.includes('suppress')) {
-            pressure -= 0.12; // Enemies try to shut you up
-        } else if (op.includes('mock') || op.includes('dismiss') || op.includes('annoy')) {
-            pressure -= 0.05; // Mild social friction
-        }
+        pressure += bond.sentiment * 0.0015;
     }
 
     // Cap social pressure
@@ -344,12 +367,15 @@ export function selectForSpread(themes = [], positions = {}) {
 /**
  * Update all voice influences based on classified themes.
  * Voices gain influence when themes match their raise triggers.
- * Voices lose influence when themes match their lower triggers.
+ * Voices lose influence when themes match their lower triggers
+ * (unless the theme is negative — broken trust doesn't soothe anyone).
+ * Each match is scaled by the theme's intensity weight.
  * @param {string[]} themes - Themes from classifier
  * @param {number} gainRate - Points per matching theme
+ * @param {Object} [themeDetails] - theme → { intensity, valence } from the classifier
  * @returns {Object[]} Array of { voiceId, delta, reason } changes
  */
-export function calculateInfluenceDeltas(themes = [], gainRate = 3) {
+export function calculateInfluenceDeltas(themes = [], gainRate = 3, themeDetails = {}) {
     const living = getLivingVoices();
     const deltas = [];
 
@@ -358,13 +384,15 @@ export function calculateInfluenceDeltas(themes = [], gainRate = 3) {
         let delta = 0;
 
         for (const theme of themes) {
+            const weight = themeWeight(themeDetails, theme);
             if (triggers.raises.includes(theme)) {
-                delta += gainRate;
+                delta += gainRate * weight;
             }
-            if (triggers.lowers.includes(theme)) {
-                delta -= Math.ceil(gainRate / 2);
+            if (triggers.lowers.includes(theme) && isHealingPresence(themeDetails, theme)) {
+                delta -= Math.ceil(gainRate / 2) * weight;
             }
         }
+        delta = Math.round(delta);
 
         if (delta !== 0) {
             deltas.push({
@@ -0,0 +1,63 @@
+/**
+ * THE CHORUS — Voice Relationships
+ * How the voices regard each other.
+ *
+ * Each voice keeps a bond with the others (voice.relationships[otherId],
+ * see VOICE_BONDS in config.js): a stance, a sentiment score, the
+ * opinion in its own words and the shifts that got it there. Council
+ * dynamics move bonds (state.js shiftVoiceRelationship); this reads them
+ * for prompts, merge and consume checks, and the web the Web tab draws.
+ */
+
+import { VOICE_BONDS } from '../config.js';
+import { getLivingVoices, getVoiceRelationship } from '../state.js';
+
+/** Stances, in the order free text is read for them. */
+export const BOND_STANCES = Object.keys(VOICE_BONDS.stances);
+
+/**
+ * A bond as one line for a prompt: "rival (-40) — resents her softness".
+ * @param {Object} bond
+ * @returns {string}
+ */
+export function formatRelationship(bond) {
+    if (!bond) return '';
+    const score = bond.sentiment > 0 ? `+${bond.sentiment}` : `${bond.sentiment}`;
+    return `${bond.stance} (${score})${bond.opinion ? ` — ${bond.opinion}` : ''}`;
+}
+
+/**
+ * Whether one voice is hungry enough for another to consume it.
+ */
+export function isPredatorOf(predator, prey) {
+    const bond = getVoiceRelationship(predator, prey.id);
+    return bond?.stance === 'predator' && bond.sentiment <= VOICE_BONDS.consumeSentiment;
+}
+
+/**
+ * Whether one voice is warm enough toward another to merge with it.
+ */
+export function isAlliedWith(voice, other) {
+    const bond = getVoiceRelationship(voice, other.id);
+    return (bond?.stance === 'ally' || bond?.stance === 'protector') && bond.sentiment >= VOICE_BONDS.mergeSentiment;
+}
+
+/**
+ * Living voices and the bonds between them.
+ * Bonds with dead voices, or with oneself, are left out.
+ * @returns {{ voices: Object[], edges: Object[] }} edges: [{ fromId, toId, stance, sentiment, opinion, history }]
+ */
+export function getRelationshipWeb() {
+    const voices = getLivingVoices();
+    const ids = new Set(voices.map(v => v.id));
+    const edges = [];
+
+    for (const voice of voices) {
+        for (const [toId, bond] of Object.entries(voice.relationships || {})) {
+            if (toId === voice.id || !ids.has(toId)) continue;
+            edges.push({ fromId: voice.id, toId, ...bond });
+        }
+    }
+
+    return { voices, edges };
+}
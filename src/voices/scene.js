@@ -0,0 +1,117 @@
+/**
+ * THE CHORUS — Scene
+ * Who is in the scene, and who did what.
+ *
+ * In a group chat every member is their own character. Scene excerpts
+ * carry each speaker's name instead of a flat {{char}}, the classifier
+ * attributes themes to the characters who caused them, and voices keep
+ * a stance per character (state.js characterStances).
+ *
+ * Outside group chats the scene has one character — the card.
+ */
+
+import { getContext } from '../../../../../extensions.js';
+import { getStanceLabel } from '../state.js';
+
+// =============================================================================
+// CAST
+// =============================================================================
+
+export function isGroupChat() {
+    return !!getContext().groupId;
+}
+
+/**
+ * Names of the characters in the scene.
+ * Group chat: every enabled member. Otherwise: the current character.
+ * @returns {string[]}
+ */
+export function getSceneCharacters() {
+    const ctx = getContext();
+
+    if (ctx.groupId) {
+        const group = (ctx.groups || []).find(g => g.id === ctx.groupId);
+        const disabled = group?.disabled_members || [];
+        return (group?.members || [])
+            .filter(avatar => !disabled.includes(avatar))
+            .map(avatar => (ctx.characters || []).find(c => c.avatar === avatar)?.name)
+            .filter(Boolean);
+    }
+
+    return ctx.name2 ? [ctx.name2] : [];
+}
+
+/**
+ * Match a name from a model response to a scene character.
+ * Case-insensitive; returns the canonical name or null.
+ */
+export function matchSceneCharacter(name, characters = getSceneCharacters()) {
+    const wanted = String(name || '').trim().toLowerCase();
+    if (!wanted) return null;
+    return characters.find(c => c.toLowerCase() === wanted) || null;
+}
+
+// =============================================================================
+// MESSAGES
+// =============================================================================
+
+/**
+ * Speaker label for a chat message: {{user}}, or the character's name.
+ */
+export function getMessageSpeaker(msg) {
+    if (msg?.is_user) return '{{user}}';
+    return msg?.name || '{{char}}';
+}
+
+/**
+ * Name of whoever wrote the latest character message.
+ */
+export function getLastSpeaker() {
+    const chat = getContext().chat || [];
+    for (let i = chat.length - 1; i >= 0; i--) {
+        if (!chat[i].is_user && !chat[i].is_system) return chat[i].name || null;
+    }
+    return null;
+}
+
+/**
+ * Who caused this message's themes.
+ * Uses the classifier's attribution; falls back to the message's speaker.
+ * @param {Object} classification - { themes[], attributions[] }
+ * @returns {Object[]} [{ name, themes[] }]
+ */
+export function resolveAttributions(classification) {
+    if (classification?.attributions?.length > 0) return classification.attributions;
+
+    const themes = classification?.themes || [];
+    const speaker = getLastSpeaker();
+    return themes.length > 0 && speaker ? [{ name: speaker, themes: [...themes] }] : [];
+}
+
+// =============================================================================
+// FORMATTING
+// =============================================================================
+
+/**
+ * Each character's part in a voice's birth.
+ * @returns {string} "Mara (betrayal, abandonment) · Jonah (comfort)" or ''
+ */
+export function formatBirthCast(voice) {
+    const cast = Array.isArray(voice?.birthCast) ? voice.birthCast : [];
+    return cast
+        .filter(c => c?.name)
+        .map(c => (c.themes?.length ? `${c.name} (${c.themes.join(', ')})` : c.name))
+        .join(' · ');
+}
+
+/**
+ * A voice's stances toward scene characters, one per line.
+ * @returns {string} "Mara: distrustful\nJonah: warming" or ''
+ */
+export function formatCharacterStances(voice) {
+    return Object.entries(voice?.characterStances || {})
+        .filter(([, score]) => typeof score === 'number' && score !== 0)
+        .sort((a, b) => Math.abs(b[1]) - Math.abs(a[1]))
+        .map(([name, score]) => `${name}: ${getStanceLabel(score)}`)
+        .join('\n');
+}
@@ -0,0 +1,182 @@
+/**
+ * THE CHORUS — Theme Taxonomy
+ * Which themes the classifier tags and voices can be triggered by.
+ *
+ * The built-in 42 themes (config.js THEMES) are the default. A custom
+ * taxonomy — named groups of themes — can replace them globally
+ * (extension settings) or for one chat (chat state). The chat's own
+ * taxonomy wins over the global one.
+ *
+ * Everything that picks or matches themes reads the ACTIVE taxonomy:
+ * classifier prompt and validation, birth trigger selection, the local
+ * pre-filter. Voices whose triggers fall outside it are flagged, not
+ * rewritten — a persona-bound voice shares its triggers with chats
+ * that may use a different taxonomy.
+ */
+
+import { LOG_PREFIX, THEMES } from '../config.js';
+import {
+    extensionSettings,
+    saveSettings,
+    getVoices,
+    updateVoice,
+    getChatThemeTaxonomy,
+    setChatThemeTaxonomy,
+} from '../state.js';
+
+// =============================================================================
+// ACTIVE TAXONOMY
+// =============================================================================
+
+/**
+ * Where the active taxonomy comes from.
+ * @returns {string} 'chat' | 'global' | 'default'
+ */
+export function getTaxonomySource() {
+    if (getChatThemeTaxonomy()) return 'chat';
+    if (extensionSettings.themeTaxonomy) return 'global';
+    return 'default';
+}
+
+/**
+ * The active taxonomy: { group: [themes] }.
+ */
+export function getThemeTaxonomy() {
+    return getChatThemeTaxonomy() || extensionSettings.themeTaxonomy || THEMES;
+}
+
+/**
+ * Every theme in the active taxonomy, flattened.
+ * @returns {string[]}
+ */
+export function getActiveThemes() {
+    return Object.values(getThemeTaxonomy()).flat();
+}
+
+export function isActiveTheme(theme) {
+    return getActiveThemes().includes(theme);
+}
+
+/**
+ * Taxonomy as prompt lines — "EMOTIONAL: heartbreak, rage, ..."
+ * @returns {string}
+ */
+export function formatThemeList() {
+    return Object.entries(getThemeTaxonomy())
+        .filter(([, themes]) => themes.length > 0)
+        .map(([group, themes]) => `${group.replace(/_/g, ' ').toUpperCase()}: ${themes.join(', ')}`)
+        .join('\n');
+}
+
+// =============================================================================
+// EDITING
+// =============================================================================
+
+/**
+ * Theme or group name as a tag: lowercase, words joined by underscores.
+ * "Loss of Purpose" → "loss_of_purpose"
+ */
+export function normalizeThemeName(name) {
+    return String(name || '')
+        .toLowerCase()
+        .trim()
+        .replace(/[^a-z0-9]+/g, '_')
+        .replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Clean up an edited taxonomy: normalized names, no duplicate themes
+ * (first group wins), empty groups kept so they can be filled.
+ * @returns {Object|null} null if it has no themes at all
+ */
+export function sanitizeTaxonomy(taxonomy) {
+    if (!taxonomy || typeof taxonomy !== 'object') return null;
+
+    const seen = new Set();
+    const clean = {};
+    for (const [group, themes] of Object.entries(taxonomy)) {
+        const groupKey = normalizeThemeName(group);
+        if (!groupKey) continue;
+        clean[groupKey] = (Array.isArray(themes) ? themes : [])
+            .map(normalizeThemeName)
+            .filter(theme => theme && !seen.has(theme) && seen.add(theme));
+    }
+
+    return seen.size > 0 ? clean : null;
+}
+
+/**
+ * Store a taxonomy. null clears it — the chat falls back to the global
+ * taxonomy, the global one to the built-in themes.
+ * @param {string} scope - 'global' | 'chat'
+ * @param {Object|null} taxonomy
+ */
+export function saveThemeTaxonomy(scope, taxonomy) {
+    const clean = sanitizeTaxonomy(taxonomy);
+
+    if (scope === 'chat') {
+        setChatThemeTaxonomy(clean);
+    } else {
+        extensionSettings.themeTaxonomy = clean;
+        saveSettings();
+    }
+
+    const count = clean ? Object.values(clean).flat().length : 0;
+    console.log(`${LOG_PREFIX} Theme taxonomy (${scope}): ${clean ? `${count} themes` : 'cleared'}`);
+}
+
+// =============================================================================
+// TRIGGER VALIDATION
+// =============================================================================
+
+/**
+ * Voices with influence triggers outside the active taxonomy.
+ * @returns {Object[]} [{ voice, orphans: [theme] }]
+ */
+export function findOrphanTriggers() {
+    const active = new Set(getActiveThemes());
+
+    return getVoices()
+        .filter(v => v.state !== 'dead')
+        .map(voice => {
+            const { raises = [], lowers = [] } = voice.influenceTriggers || {};
+            const orphans = [...new Set([...raises, ...lowers])].filter(t => !active.has(t));
+            return { voice, orphans };
+        })
+        .filter(entry => entry.orphans.length > 0);
+}
+
+/**
+ * Drop triggers outside the active taxonomy from every living voice.
+ * @returns {number} Triggers removed
+ */
+export function pruneOrphanTriggers() {
+    let removed = 0;
+
+    for (const { voice, orphans } of findOrphanTriggers()) {
+        const triggers = voice.influenceTriggers || {};
+        updateVoice(voice.id, {
+            influenceTriggers: {
+                ...triggers,
+                raises: (triggers.raises || []).filter(t => !orphans.includes(t)),
+                lowers: (triggers.lowers || []).filter(t => !orphans.includes(t)),
+            },
+        });
+        removed += orphans.length;
+    }
+
+    console.log(`${LOG_PREFIX} Pruned ${removed} trigger${removed === 1 ? '' : 's'} outside the theme taxonomy`);
+    return removed;
+}
+
+/**
+ * Log voices whose triggers the active taxonomy doesn't know
+ * (call after a chat loads or the taxonomy changes).
+ */
+export function validateVoiceTriggers() {
+    const orphaned = findOrphanTriggers();
+    for (const { voice, orphans } of orphaned) {
+        console.warn(`${LOG_PREFIX} ${voice.name}: triggers not in theme taxonomy — ${orphans.join(', ')}`);
+    }
+    return orphaned;
+}
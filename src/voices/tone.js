@@ -0,0 +1,235 @@
+/**
+ * THE CHORUS — Tone Anchors
+ * The register every prompt is written in.
+ *
+ * Built-in anchors live in config.js TONE_ANCHORS. Custom anchors —
+ * name, description, example lines, banned words or styles — are kept
+ * in extension settings; one with a built-in's key replaces it.
+ *
+ * The chat tone (settings toneAnchor) applies everywhere. A voice can
+ * override it (voice.toneOverride): prompts written for that voice
+ * alone use its own tone, shared prompts add a line to its block.
+ *
+ * Anchors export to / import from a versioned JSON file.
+ */
+
+import { LOG_PREFIX, TONE_ANCHORS } from '../config.js';
+import { extensionSettings, saveSettings } from '../state.js';
+
+export const TONE_FORMAT = 'the-chorus-tones';
+export const TONE_VERSION = 1;
+
+const DEFAULT_TONE = 'raw';
+const FALLBACK_DESCRIPTION = 'Raw: Conversational, profane, blunt.';
+const MAX_LIST_ITEMS = 8;
+
+// =============================================================================
+// LOOKUP
+// =============================================================================
+
+/**
+ * Every anchor: built-ins, then custom ones (which may replace a built-in).
+ * @returns {Object} { key: { name, description, examples[], banned[] } }
+ */
+export function getToneAnchors() {
+    return { ...TONE_ANCHORS, ...(extensionSettings.customToneAnchors || {}) };
+}
+
+export function isBuiltInTone(key) {
+    return !!TONE_ANCHORS[key];
+}
+
+/** True if the anchor is user-made or a user edit of a built-in. */
+export function isCustomTone(key) {
+    return !!extensionSettings.customToneAnchors?.[key];
+}
+
+/**
+ * The tone key a voice speaks in: its override if that anchor still
+ * exists, otherwise the chat tone.
+ */
+export function getVoiceToneKey(voice) {
+    const override = voice?.toneOverride;
+    if (override && getToneAnchors()[override]) return override;
+    return extensionSettings.toneAnchor || DEFAULT_TONE;
+}
+
+// =============================================================================
+// PROMPT TEXT
+// =============================================================================
+
+function formatTone(tone) {
+    const lines = [`${tone.name}: ${tone.description}`];
+    if (tone.examples?.length) {
+        lines.push(`Sounds like: ${tone.examples.map(line => `"${line}"`).join(' / ')}`);
+    }
+    if (tone.banned?.length) {
+        lines.push(`Never: ${tone.banned.join(', ')}`);
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Tone description for a prompt.
+ * @param {Object} [voice] - Prompt written for this voice alone: use its tone
+ * @returns {string}
+ */
+export function getToneDescription(voice = null) {
+    const key = voice ? getVoiceToneKey(voice) : (extensionSettings.toneAnchor || DEFAULT_TONE);
+    const tone = getToneAnchors()[key];
+    return tone ? formatTone(tone) : FALLBACK_DESCRIPTION;
+}
+
+/**
+ * Tone line for a voice's block in a shared prompt (sidebar, council).
+ * Empty unless the voice overrides the chat tone.
+ * @returns {string}
+ */
+export function getVoiceToneLine(voice) {
+    const key = getVoiceToneKey(voice);
+    if (key === (extensionSettings.toneAnchor || DEFAULT_TONE)) return '';
+    return `YOUR TONE (instead of the chat tone): ${getToneDescription(voice)}`;
+}
+
+// =============================================================================
+// EDITING
+// =============================================================================
+
+function cleanList(list) {
+    return (Array.isArray(list) ? list : String(list || '').split('\n'))
+        .map(item => String(item).trim())
+        .filter(Boolean)
+        .slice(0, MAX_LIST_ITEMS);
+}
+
+/**
+ * Validate an anchor from the editor or a file.
+ * @returns {Object|null} { name, description, examples[], banned[] }, null without name and description
+ */
+export function normalizeToneAnchor(raw) {
+    const name = String(raw?.name || '').trim().substring(0, 32);
+    const description = String(raw?.description || '').trim().substring(0, 400);
+    if (!name || !description) return null;
+
+    return {
+        name,
+        description,
+        examples: cleanList(raw.examples),
+        banned: cleanList(raw.banned),
+    };
+}
+
+function toneKeyFromName(name) {
+    const base = String(name).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'tone';
+    const anchors = getToneAnchors();
+    let key = base;
+    for (let i = 2; anchors[key]; i++) key = `${base}_${i}`;
+    return key;
+}
+
+/**
+ * Create or update an anchor. Editing a built-in stores a custom copy
+ * under the same key.
+ * @param {string|null} key - Existing key, or null for a new anchor
+ * @param {Object} anchor - From the editor
+ * @returns {string|null} The anchor's key, null if invalid
+ */
+export function saveToneAnchor(key, anchor) {
+    const clean = normalizeToneAnchor(anchor);
+    if (!clean) return null;
+
+    const finalKey = key || toneKeyFromName(clean.name);
+    extensionSettings.customToneAnchors = {
+        ...(extensionSettings.customToneAnchors || {}),
+        [finalKey]: clean,
+    };
+    saveSettings();
+
+    console.log(`${LOG_PREFIX} Tone anchor saved: ${finalKey}`);
+    return finalKey;
+}
+
+/**
+ * Delete a custom anchor. For an edited built-in this restores the original.
+ * A chat tone that no longer exists falls back to the default; voice
+ * overrides fall back to the chat tone on their own.
+ */
+export function deleteToneAnchor(key) {
+    if (!isCustomTone(key)) return;
+
+    const custom = { ...extensionSettings.customToneAnchors };
+    delete custom[key];
+    extensionSettings.customToneAnchors = custom;
+
+    if (!getToneAnchors()[extensionSettings.toneAnchor]) {
+        extensionSettings.toneAnchor = DEFAULT_TONE;
+    }
+    saveSettings();
+
+    console.log(`${LOG_PREFIX} Tone anchor ${isBuiltInTone(key) ? 'restored' : 'deleted'}: ${key}`);
+}
+
+// =============================================================================
+// EXPORT / IMPORT
+// =============================================================================
+
+/**
+ * Custom anchors as an export object.
+ */
+export function buildToneExport() {
+    return {
+        format: TONE_FORMAT,
+        version: TONE_VERSION,
+        exportedAt: new Date().toISOString(),
+        anchors: { ...(extensionSettings.customToneAnchors || {}) },
+    };
+}
+
+/**
+ * Parse and validate a tone anchor file.
+ * @param {string} text - File contents
+ * @returns {Object} { key: anchor } — only valid anchors
+ * @throws {Error} With a user-facing message if the file isn't usable
+ */
+export function parseToneFile(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw new Error('Not a JSON file');
+    }
+
+    if (!data || data.format !== TONE_FORMAT) {
+        throw new Error('Not a Chorus tone export');
+    }
+    if (typeof data.version !== 'number' || data.version > TONE_VERSION) {
+        throw new Error(`Tone file version ${data.version} isn't supported (${TONE_VERSION})`);
+    }
+
+    const anchors = {};
+    for (const [key, raw] of Object.entries(data.anchors || {})) {
+        const clean = normalizeToneAnchor(raw);
+        const cleanKey = String(key).toLowerCase().replace(/[^a-z0-9_]+/g, '_');
+        if (clean && cleanKey) anchors[cleanKey] = clean;
+    }
+    if (Object.keys(anchors).length === 0) {
+        throw new Error('File has no tone anchors');
+    }
+    return anchors;
+}
+
+/**
+ * Add parsed anchors. Same key replaces the existing anchor.
+ * @returns {number} Anchors imported
+ */
+export function importToneAnchors(anchors) {
+    extensionSettings.customToneAnchors = {
+        ...(extensionSettings.customToneAnchors || {}),
+        ...anchors,
+    };
+    saveSettings();
+
+    const count = Object.keys(anchors).length;
+    console.log(`${LOG_PREFIX} Imported ${count} tone anchor${count === 1 ? '' : 's'}`);
+    return count;
+}
@@ -10,63 +10,32 @@
  *   - Name, arcana, personality, speaking style
  *   - Obsession, opinion, blind spot, self-awareness
  *   - Metaphor domain, verbal tic, chattiness
- *   - Influence triggers (from fixed taxonomy)
+ *   - Influence triggers (from the active theme taxonomy)
  *   - Depth (surface/rooted/core from impact)
  *   - Resolution block (hidden from user — type, condition, transform target)
  */
 
 import { getContext } from '../../../../../extensions.js';
 import {
-    ALL_THEMES, THEMES, TONE_ANCHORS, ARCANA,
+    MINOR_ARCANA, MINOR_SUITS,
     VOICE_DEPTH, IMPACT_TO_DEPTH, RESOLUTION_TYPES, METAPHOR_DOMAINS,
     LOG_PREFIX,
 } from '../config.js';
+import { sendChorusRequest } from '../request-service.js';
 import {
     extensionSettings,
     addVoice,
     getLivingVoices,
     getArcana,
     getTakenArcana,
+    getArcanaPool,
+    getFreeArcana,
+    getDeckArcana,
+    isKnownArcana,
     saveChatState,
 } from '../state.js';
-
-// =============================================================================
-// PROFILE RESOLUTION (shared pattern)
-// =============================================================================
-
-function getProfileId() {
-    const ctx = getContext();
-    const connectionManager = ctx.extensionSettings?.connectionManager;
-    if (!connectionManager) return null;
-
-    const profileName = extensionSettings.connectionProfile || 'current';
-    if (profileName === 'current' || profileName === 'default') {
-        return connectionManager.selectedProfile;
-    }
-
-    const profile = connectionManager.profiles?.find(p => p.name === profileName);
-    return profile ? profile.id : connectionManager.selectedProfile;
-}
-
-async function sendRequest(messages, maxTokens = 800) {
-    const ctx = getContext();
-    if (!ctx.ConnectionManagerRequestService) {
-        throw new Error('ConnectionManagerRequestService not available');
-    }
-
-    const profileId = getProfileId();
-    if (!profileId) throw new Error('No connection profile available');
-
-    const response = await ctx.ConnectionManagerRequestService.sendRequest(
-        profileId,
-        messages,
-        maxTokens,
-        { extractData: true, includePreset: false, includeInstruct: false },
-        {},
-    );
-
-    return response?.content || response || '';
-}
+import { formatThemeList, isActiveTheme } from './taxonomy.js';
+import { getToneDescription } from './tone.js';
 
 // =============================================================================
 // CONTEXT HELPERS
@@ -129,12 +98,6 @@ function getPersonaText() {
     return '';
 }
 
-function getToneDescription() {
-    const key = extensionSettings.toneAnchor || 'raw';
-    const tone = TONE_ANCHORS[key];
-    return tone ? `${tone.name}: ${tone.description}` : 'Raw: Conversational, profane, blunt.';
-}
-
 function getExistingVoiceSummary() {
     const living = getLivingVoices();
     if (living.length === 0) return 'None yet — this will be the first voice.';
@@ -146,6 +109,19 @@ function getExistingVoiceSummary() {
     }).join('\n');
 }
 
+/**
+ * How to read a Minor Arcana card, for prompts whose choices include them.
+ * @param {string[]} keys - Cards on offer
+ * @returns {string} Empty when every card on offer is a Major
+ */
+function getMinorArcanaGuidance(keys) {
+    if (!keys.some(k => MINOR_ARCANA[k])) return '';
+    const suits = Object.values(MINOR_SUITS).map(s => `  ${s.name}: ${s.domain}`).join('\n');
+    return `
+MINOR ARCANA keys are rank_of_suit. The SUIT is the voice's territory; the RANK is where it stands in it (ace = a first spark, ten = the bitter end, page/knight/queen/king = a habit with a face):
+${suits}`;
+}
+
 // =============================================================================
 // BIRTH PROMPT
 // =============================================================================
@@ -157,26 +133,22 @@ function buildBirthPrompt(trigger, depth, options = {}) {
     const existingVoices = getExistingVoiceSummary();
     const depthDef = VOICE_DEPTH[depth];
 
-    const themeList = [
-        `EMOTIONAL: ${THEMES.emotional.join(', ')}`,
-        `RELATIONAL: ${THEMES.relational.join(', ')}`,
-        `PHYSICAL: ${THEMES.physical.join(', ')}`,
-        `IDENTITY: ${THEMES.identity.join(', ')}`,
-    ].join('\n');
+    const themeList = formatThemeList();
 
     const resolutionGuidance = getResolutionGuidance(depth);
 
-    // Arcana uniqueness — one voice per arcana
+    // Arcana uniqueness — one voice per arcana, dealt from this voice's pool
     const taken = getTakenArcana();
-    const available = Object.keys(ARCANA).filter(k => !taken.includes(k));
+    const available = getFreeArcana(depth, birthType);
     const takenNote = taken.length > 0
         ? `\nALREADY TAKEN (DO NOT USE): ${taken.join(', ')}`
         : '';
+    const minorGuidance = getMinorArcanaGuidance(available);
 
     // Arcana selection with reversed support
     let arcanaBlock;
     if (arcanaHint && !taken.includes(arcanaHint)) {
-        const arcDef = ARCANA[arcanaHint];
+        const arcDef = isKnownArcana(arcanaHint) ? getArcana(arcanaHint) : null;
         if (reversed && arcDef) {
             arcanaBlock = `ASSIGNED ARCANA: ${arcanaHint} (REVERSED)
 UPRIGHT MEANING: ${arcDef.upright}
@@ -186,19 +158,18 @@ This voice is born from the SHADOW side of this arcana. The reversed meaning sho
             arcanaBlock = `SUGGESTED ARCANA: ${arcanaHint} (you may override if another fits better)${takenNote}`;
         }
     } else if (reversed) {
-        const reversedExamples = Object.entries(ARCANA)
-            .filter(([k, v]) => v.reversed && !taken.includes(k))
+        const reversedExamples = available
             .slice(0, 5)
-            .map(([key, v]) => `  ${key}: ${v.reversed}`)
+            .map(key => `  ${key}: ${getArcana(key).reversed}`)
             .join('\n');
-        arcanaBlock = `CHOOSE ARCANA from AVAILABLE: ${available.join(', ')}${takenNote}
+        arcanaBlock = `CHOOSE ARCANA from AVAILABLE: ${available.join(', ')}${takenNote}${minorGuidance}
 THIS VOICE IS REVERSED. Choose an arcana, then build the voice from its SHADOW meaning:
 ${reversedExamples}
 (... and similar inversions for all arcana)
 The reversed voice embodies what happens when the card's lesson is refused, inverted, or corrupted.
 The voice's personality MUST match the chosen arcana's thematic territory.`;
     } else {
-        arcanaBlock = `CHOOSE ARCANA from AVAILABLE: ${available.join(', ')}${takenNote}
+        arcanaBlock = `CHOOSE ARCANA from AVAILABLE: ${available.join(', ')}${takenNote}${minorGuidance}
 You may also choose to make this voice REVERSED if the birth moment reflects the shadow/inverted aspect of an arcana. If reversed, set "reversed": true and build the personality from the shadow meaning.
 CRITICAL: The voice's personality, obsession, and blind spot MUST match the chosen arcana's thematic territory. A Tower voice is about catastrophe and collapse. A Lovers voice is about connection and choice. Don't force a mismatch.`;
     }
@@ -343,13 +314,9 @@ function buildTransformBirthPrompt(oldVoice, transformData) {
     const personaText = getPersonaText();
     const existingVoices = getExistingVoiceSummary();
     const depthDef = VOICE_DEPTH[transformData.depth || 'rooted'];
+    const available = getFreeArcana(transformData.depth || 'rooted', 'transform');
 
-    const themeList = [
-        `EMOTIONAL: ${THEMES.emotional.join(', ')}`,
-        `RELATIONAL: ${THEMES.relational.join(', ')}`,
-        `PHYSICAL: ${THEMES.physical.join(', ')}`,
-        `IDENTITY: ${THEMES.identity.join(', ')}`,
-    ].join('\n');
+    const themeList = formatThemeList();
 
     return [
         {
@@ -366,6 +333,7 @@ Birth Moment: ${oldVoice.birthMoment}
 
 TRANSFORMATION HINT: "${transformData.hint}"
 SUGGESTED ARCANA: ${transformData.suggestedArcana || 'your choice'}
+AVAILABLE ARCANA: ${available.join(', ')}${getMinorArcanaGuidance(available)}
 NEW DEPTH: ${depthDef.name}
 
 {{user}}'s PERSONA:
@@ -402,7 +370,7 @@ It should reference or acknowledge what it used to be in its personality or opin
 // RESPONSE PARSING
 // =============================================================================
 
-function parseBirthResponse(responseText, depth) {
+function parseBirthResponse(responseText, depth, birthType = 'event') {
     if (!responseText) return null;
 
     try {
@@ -425,30 +393,32 @@ function parseBirthResponse(responseText, depth) {
         }
 
         // Validate arcana
-        if (!ARCANA[parsed.arcana]) {
+        if (!isKnownArcana(parsed.arcana)) {
             console.warn(`${LOG_PREFIX} Invalid arcana "${parsed.arcana}", defaulting to fool`);
             parsed.arcana = 'fool';
         }
 
-        // Enforce arcana uniqueness — one voice per arcana
-        const taken = getTakenArcana();
-        if (taken.includes(parsed.arcana)) {
-            // AI picked a taken arcana — find the best available alternative
-            const available = Object.keys(ARCANA).filter(k => !taken.includes(k));
+        // Enforce arcana uniqueness and pool — one voice per arcana,
+        // minor cards for surface/accumulation voices when the deck has them
+        const available = getFreeArcana(depth, birthType);
+        if (!available.includes(parsed.arcana)) {
+            // AI picked a taken or off-pool arcana — find the best available alternative
             if (available.length === 0) {
-                console.warn(`${LOG_PREFIX} All 22 arcana taken, cannot birth`);
+                console.warn(`${LOG_PREFIX} Every arcana taken, cannot birth`);
                 return null;
             }
-            console.warn(`${LOG_PREFIX} Arcana "${parsed.arcana}" already taken, reassigning to ${available[0]}`);
-            parsed.arcana = available[0];
+            const suit = getArcana(parsed.arcana).suit;
+            const replacement = (suit && available.find(k => getArcana(k).suit === suit)) || available[0];
+            console.warn(`${LOG_PREFIX} Arcana "${parsed.arcana}" taken or outside this voice's pool, reassigning to ${replacement}`);
+            parsed.arcana = replacement;
         }
 
-        // Validate influence triggers against taxonomy
+        // Validate influence triggers against the active taxonomy
         if (parsed.influenceTriggers) {
             parsed.influenceTriggers.raises = (parsed.influenceTriggers.raises || [])
-                .filter(t => ALL_THEMES.includes(t));
+                .filter(t => isActiveTheme(t));
             parsed.influenceTriggers.lowers = (parsed.influenceTriggers.lowers || [])
-                .filter(t => ALL_THEMES.includes(t));
+                .filter(t => isActiveTheme(t));
         }
 
         // Validate resolution
@@ -512,9 +482,10 @@ function parseBirthResponse(responseText, depth) {
  * @param {string} trigger - The triggering text (message excerpt or summary)
  * @param {string} impact - Classifier impact level ('minor'|'significant'|'critical')
  * @param {string[]} themes - Detected themes
+ * @param {Object[]} [cast] - [{ name, themes[] }] — who in the scene caused it
  * @returns {Object|null} The newly born voice, or null if birth failed
  */
-export async function birthVoiceFromEvent(trigger, impact, themes = []) {
+export async function birthVoiceFromEvent(trigger, impact, themes = [], cast = []) {
     const depth = IMPACT_TO_DEPTH[impact] || 'rooted';
     const depthDef = VOICE_DEPTH[depth];
 
@@ -528,8 +499,14 @@ export async function birthVoiceFromEvent(trigger, impact, themes = []) {
     console.log(`${LOG_PREFIX} Attempting voice birth (${depth}) from: ${trigger.substring(0, 60)}...`);
 
     try {
-        const messages = buildBirthPrompt(trigger, depth, { birthType: 'event' });
-        const responseText = await sendRequest(messages, 800);
+        // Name who did what, so the voice is born knowing who hurt (or held) {{user}}
+        const castLines = cast.map(c => `- ${c.name}: ${c.themes.join(', ')}`).join('\n');
+        const promptTrigger = castLines
+            ? `${trigger}\n\nWHO WAS THERE (and what each of them brought):\n${castLines}`
+            : trigger;
+
+        const messages = buildBirthPrompt(promptTrigger, depth, { birthType: 'event' });
+        const responseText = await sendChorusRequest('birth', messages, 800);
         const voiceData = parseBirthResponse(responseText, depth);
 
         if (!voiceData) {
@@ -545,6 +522,7 @@ export async function birthVoiceFromEvent(trigger, impact, themes = []) {
             ...voiceData,
             birthMoment: trigger.substring(0, 300),
             birthMessageId: chat.length - 1,
+            birthCast: cast.map(c => ({ name: c.name, themes: [...c.themes] })),
             influence: depthDef.defaultInfluence,
             state: 'active',
             depth,
@@ -591,8 +569,8 @@ export async function birthVoiceFromAccumulation(theme, count) {
             birthType: 'accumulation',
             reversed,
         });
-        const responseText = await sendRequest(messages, 800);
-        const voiceData = parseBirthResponse(responseText, depth);
+        const responseText = await sendChorusRequest('birth', messages, 800);
+        const voiceData = parseBirthResponse(responseText, depth, 'accumulation');
 
         if (!voiceData) return null;
 
@@ -621,6 +599,32 @@ export async function birthVoiceFromAccumulation(theme, count) {
     }
 }
 
+/**
+ * Union of two birth casts — each character once, themes combined.
+ */
+function mergeBirthCasts(castA = [], castB = []) {
+    const byName = new Map();
+    for (const entry of [...castA, ...castB]) {
+        if (!entry?.name) continue;
+        const themes = byName.get(entry.name) || [];
+        byName.set(entry.name, [...new Set([...themes, ...(entry.themes || [])])]);
+    }
+    return [...byName].map(([name, themes]) => ({ name, themes }));
+}
+
+/**
+ * Average two voices' stances toward scene characters.
+ * A character only one source knew keeps half that stance.
+ */
+function mergeStances(stancesA = {}, stancesB = {}) {
+    const merged = {};
+    for (const name of new Set([...Object.keys(stancesA), ...Object.keys(stancesB)])) {
+        const score = Math.round(((stancesA[name] || 0) + (stancesB[name] || 0)) / 2);
+        if (score !== 0) merged[name] = score;
+    }
+    return merged;
+}
+
 /**
  * Birth a voice from two merging voices.
  * Two overlapping voices consolidate into something more integrated.
@@ -654,7 +658,7 @@ These two voices have been circling the same territory. They overlap. They echo.
 
     try {
         const messages = buildBirthPrompt(trigger, depth, { birthType: 'merge' });
-        const responseText = await sendRequest(messages, 800);
+        const responseText = await sendChorusRequest('birth', messages, 800);
         const voiceData = parseBirthResponse(responseText, depth);
 
         if (!voiceData) return null;
@@ -684,6 +688,8 @@ These two voices have been circling the same territory. They overlap. They echo.
             influenceTriggers: { raises: mergedRaises, lowers: mergedLowers },
             birthMoment: `Born from the merger of ${voiceA.name} and ${voiceB.name}. Two fragments that overlapped until they became one.`,
             birthMessageId: chat.length - 1,
+            birthCast: mergeBirthCasts(voiceA.birthCast, voiceB.birthCast),
+            characterStances: mergeStances(voiceA.characterStances, voiceB.characterStances),
             influence: combinedInfluence,
             state: 'active',
             depth,
@@ -706,9 +712,10 @@ These two voices have been circling the same territory. They overlap. They echo.
  * Called once when a new chat starts. Single AI call returns 2-4 voice seeds
  * at varying depths based on character history, traits, and situation.
  *
+ * @param {Object} [options] - { force: extract even when voices already exist (fills free slots only) }
  * @returns {Object[]} Array of born voices (may be empty on failure)
  */
-export async function birthVoicesFromPersona() {
+export async function birthVoicesFromPersona({ force = false } = {}) {
     const personaText = getPersonaText();
     const scenarioText = getScenarioText();
 
@@ -718,16 +725,21 @@ export async function birthVoicesFromPersona() {
     }
 
     const living = getLivingVoices();
-    if (living.length > 0) return []; // Already seeded
+    if (living.length > 0 && !force) return []; // Already seeded
 
     const maxSlots = extensionSettings.maxVoices || 7;
-    const seedCount = Math.min(4, Math.max(2, Math.floor(maxSlots / 2)));
+    const freeSlots = maxSlots - living.length;
+    if (freeSlots <= 0) {
+        console.log(`${LOG_PREFIX} Deck full — nothing to extract`);
+        return [];
+    }
+    const seedCount = Math.min(freeSlots, 4, Math.max(2, Math.floor(maxSlots / 2)));
 
     console.log(`${LOG_PREFIX} Extracting ${seedCount} initial voices from persona + scenario`);
 
     try {
         const messages = buildPersonaExtractionPrompt(personaText, scenarioText, seedCount);
-        const responseText = await sendRequest(messages, 4500);
+        const responseText = await sendChorusRequest('birth', messages, 4500);
         const voices = parsePersonaExtractionResponse(responseText, seedCount);
 
         if (!voices || voices.length === 0) {
@@ -803,12 +815,14 @@ function getScenarioText() {
 function buildPersonaExtractionPrompt(personaText, scenarioText, count) {
     const toneDesc = getToneDescription();
 
-    const themeList = [
-        `EMOTIONAL: ${THEMES.emotional.join(', ')}`,
-        `RELATIONAL: ${THEMES.relational.join(', ')}`,
-        `PHYSICAL: ${THEMES.physical.join(', ')}`,
-        `IDENTITY: ${THEMES.identity.join(', ')}`,
-    ].join('\n');
+    const majors = getArcanaPool('rooted');
+    const minors = getArcanaPool('surface').filter(k => !majors.includes(k));
+    const arcanaList = minors.length > 0
+        ? `AVAILABLE ARCANA (core and rooted voices): ${majors.join(', ')}
+AVAILABLE ARCANA (surface voices): ${minors.join(', ')}${getMinorArcanaGuidance(minors)}`
+        : `AVAILABLE ARCANA: ${majors.join(', ')}`;
+
+    const themeList = formatThemeList();
 
     return [
         {
@@ -821,7 +835,7 @@ You are extracting ${count} internal voice fragments from {{user}}'s psyche.
 
 CHAT TONE: ${toneDesc}
 
-AVAILABLE ARCANA: ${Object.keys(ARCANA).join(', ')}
+${arcanaList}
 
 AVAILABLE THEMES (influence triggers ONLY from this list):
 ${themeList}
@@ -942,10 +956,15 @@ function parsePersonaExtractionResponse(responseText, expectedCount) {
         for (const raw of parsed) {
             if (!raw.name || !raw.personality) continue;
 
-            // Deduplicate arcana
+            const depth = ['surface', 'rooted', 'core'].includes(raw.depth) ? raw.depth : 'rooted';
+
+            // Deduplicate arcana, keeping each voice in its depth's pool
+            const pool = getArcanaPool(depth);
             let arcana = raw.arcana;
-            if (!ARCANA[arcana] || usedArcana.has(arcana)) {
-                arcana = Object.keys(ARCANA).find(k => !usedArcana.has(k)) || 'fool';
+            if (!pool.includes(arcana) || usedArcana.has(arcana)) {
+                arcana = pool.find(k => !usedArcana.has(k))
+                    || getDeckArcana().find(k => !usedArcana.has(k))
+                    || 'fool';
             }
             usedArcana.add(arcana);
 
@@ -956,12 +975,10 @@ function parsePersonaExtractionResponse(responseText, expectedCount) {
             }
             usedDomains.add(domain);
 
-            const depth = ['surface', 'rooted', 'core'].includes(raw.depth) ? raw.depth : 'rooted';
-
             // Validate influence triggers
             const triggers = raw.influenceTriggers || { raises: [], lowers: [] };
-            triggers.raises = (triggers.raises || []).filter(t => ALL_THEMES.includes(t));
-            triggers.lowers = (triggers.lowers || []).filter(t => ALL_THEMES.includes(t));
+            triggers.raises = (triggers.raises || []).filter(t => isActiveTheme(t));
+            triggers.lowers = (triggers.lowers || []).filter(t => isActiveTheme(t));
 
             // Validate resolution
             const resolution = raw.resolution || {};
@@ -1119,8 +1136,8 @@ export async function birthVoiceFromTransform(transformData) {
 
     try {
         const messages = buildTransformBirthPrompt(transformData.oldVoice, transformData);
-        const responseText = await sendRequest(messages, 800);
-        const voiceData = parseBirthResponse(responseText, depth);
+        const responseText = await sendChorusRequest('birth', messages, 800);
+        const voiceData = parseBirthResponse(responseText, depth, 'transform');
 
         if (!voiceData) {
             console.warn(`${LOG_PREFIX} Transform birth returned invalid data`);
@@ -1134,6 +1151,7 @@ export async function birthVoiceFromTransform(transformData) {
             ...voiceData,
             birthMoment: `Transformed from ${transformData.oldVoice.name}: ${transformData.hint}`,
             birthMessageId: chat.length - 1,
+            birthCast: transformData.birthCast || [],
             influence: depthDef.defaultInfluence,
             state: 'active',
             depth,
@@ -7,13 +7,23 @@
  *   4. Card pull / spread (conditional on impact + settings)
  *
  * Also handles spread generation (individual calls per position).
+ *
+ * Pipeline mode (settings):
+ *   separate — classifier, sidebar and narrator ambient are their own calls
+ *   combined — one structured JSON call returns all three (plus thought ops);
+ *              lifecycle, birth and drift consume it exactly the same way
+ *
+ * Optionally {{user}}'s own messages run a lighter pass: classify the
+ * choice, judge the last reading's advice by it, let voices react to it.
  */
 
 import { getContext } from '../../../../../extensions.js';
 import {
-    ALL_THEMES, THEMES, TONE_ANCHORS, SPREAD_POSITIONS,
+    ALL_THEMES, THEMES, SPREAD_POSITIONS,
     LOG_PREFIX, IMPACT_TO_DEPTH, ACCUMULATION, CONSUME_THRESHOLDS,
 } from '../config.js';
+import { sendChorusRequest, isAbortError } from '../request-service.js';
+import { isFeatureThrottled } from '../accounting.js';
 import {
     extensionSettings,
     getVoices,
@@ -21,6 +31,8 @@ import {
     getVoiceById,
     getArcana,
     getTakenArcana,
+    getDeckSize,
+    getVoiceRelationship,
     getWeakestVoice,
     adjustInfluence,
     updateVoice,
@@ -32,17 +44,48 @@ import {
     clearThemeAccumulation,
     applyThoughtOperations,
     serializeThoughts,
+    setLastReading,
+    adjustCharacterStance,
 } from '../state.js';
-import { classifyMessage } from './classifier.js';
+import {
+    classifyMessage,
+    classifyUserAction,
+    buildClassifierGuide,
+    buildAttributionBlock,
+    THEMES_JSON_HINT,
+    normalizeClassification,
+} from './classifier.js';
+import {
+    getMessageSpeaker,
+    resolveAttributions,
+    formatBirthCast,
+    formatCharacterStances,
+} from './scene.js';
+import { isActiveTheme } from './taxonomy.js';
+import { getToneDescription, getVoiceToneLine } from './tone.js';
+import { formatRelationship, isPredatorOf, isAlliedWith } from './relationships.js';
 import {
     rollForParticipation,
     selectMostOpinionated,
     selectForSpread,
     calculateInfluenceDeltas,
+    themeWeight,
 } from './participation.js';
 import { birthVoiceFromEvent, birthVoicesFromPersona, birthVoiceFromAccumulation, birthVoiceFromMerge } from './voice-birth.js';
-import { processLifecycle, completeTransformation } from './voice-lifecycle.js';
-import { tryAmbientNarration, narrateBirth, narrateDeath } from './narrator.js';
+import {
+    processLifecycle,
+    completeTransformation,
+    getResolutionAssessmentBlock,
+    formatAssessmentPrompt,
+} from './voice-lifecycle.js';
+import {
+    tryAmbientNarration,
+    narrateBirth,
+    narrateDeath,
+    rollAmbientChance,
+    buildCombinedNarratorBlock,
+    acceptAmbientNarration,
+} from './narrator.js';
 
 // Voice commentary frequency counter (resets each time commentary fires)
 let voiceMessageCounter = 0;
@@ -65,60 +108,6 @@ export function abortGeneration() {
     isProcessing = false;
 }
 
-// =============================================================================
-// PROFILE RESOLUTION (shared with classifier)
-// =============================================================================
-
-function getProfileId() {
-    const ctx = getContext();
-    const connectionManager = ctx.extensionSettings?.connectionManager;
-    if (!connectionManager) return null;
-
-    const profileName = extensionSettings.connectionProfile || 'current';
-    if (profileName === 'current' || profileName === 'default') {
-        return connectionManager.selectedProfile;
-    }
-
-    const profile = connectionManager.profiles?.find(p => p.name === profileName);
-    return profile ? profile.id : connectionManager.selectedProfile;
-}
-
-async function sendRequest(messages, maxTokens = 500) {
-    const ctx = getContext();
-    if (!ctx.ConnectionManagerRequestService) {
-        throw new Error('ConnectionManagerRequestService not available');
-    }
-
-    const profileId = getProfileId();
-    if (!profileId) {
-        throw new Error('No connection profile available');
-    }
-
-    // Check abort before sending
-    if (currentSignal?.aborted) {
-        throw new DOMException('Aborted', 'AbortError');
-    }
-
-    const response = await ctx.ConnectionManagerRequestService.sendRequest(
-        profileId,
-        messages,
-        maxTokens,
-        {
-            extractData: true,
-            includePreset: false,
-            includeInstruct: false,
-        },
-        {},
-    );
-
-    // Check abort after receiving (cancelled during flight)
-    if (currentSignal?.aborted) {
-        throw new DOMException('Aborted', 'AbortError');
-    }
-
-    return response?.content || response || '';
-}
-
 // =============================================================================
 // CONTEXT HELPERS
 // =============================================================================
@@ -132,9 +121,8 @@ function getRecentMessages(count = 5) {
     const recent = chat.slice(-count);
 
     return recent.map(msg => {
-        const speaker = msg.is_user ? '{{user}}' : (msg.name || '{{char}}');
         const text = (msg.mes || '').substring(0, 500); // Truncate long messages
-        return `${speaker}: ${text}`;
+        return `${getMessageSpeaker(msg)}: ${text}`;
     }).join('\n\n');
 }
 
@@ -158,15 +146,6 @@ function getPersonaExcerpt() {
     return '(No persona available)';
 }
 
-/**
- * Get tone anchor description.
- */
-function getToneDescription() {
-    const key = extensionSettings.toneAnchor || 'raw';
-    const tone = TONE_ANCHORS[key];
-    return tone ? `${tone.name}: ${tone.description}` : 'Raw: Conversational, profane, blunt.';
-}
-
 /**
  * Extract World Info / lorebook entries for voice context.
  * Adapted from Pathweaver pattern — filters by order >= 250.
@@ -232,56 +211,58 @@ function getWorldInfoExcerpt() {
 // =============================================================================
 
 /**
- * Build the batched sidebar prompt for multiple voices.
+ * Build one voice's profile block for a batched prompt.
+ * @param {Object} voice - The voice to describe
+ * @param {Object[]} speakers - Everyone in this batch (for voice-to-voice opinions)
  */
-function buildSidebarPrompt(speakers, recentMessages, personaExcerpt) {
-    const toneDesc = getToneDescription();
-
-    const voiceBlocks = speakers.map(voice => {
-        const arcana = getArcana(voice.arcana);
-        const birthLine = voice.birthMoment
-            ? `Born From: ${voice.birthMoment} — this wound colors everything you see`
-            : '';
-
-        // Voice-to-voice opinions (only for other speakers in this batch)
-        const v2vLines = [];
-        for (const other of speakers) {
-            if (other.id === voice.id) continue;
-            // What this voice thinks of the other
-            const myOpinion = voice.relationships?.[other.id];
-            // What the other thinks of this voice
-            const theirOpinion = other.relationships?.[voice.id];
-            if (myOpinion) v2vLines.push(`You think of ${other.name}: ${myOpinion}`);
-            if (theirOpinion) v2vLines.push(`${other.name} thinks of you: ${theirOpinion}`);
-        }
-        const v2vBlock = v2vLines.length > 0
-            ? `Voice Dynamics:\n${v2vLines.join('\n')}` : '';
-
-        // Wound sensitivity hint (how close to resolution)
-        let woundHint = '';
-        if (voice.resolution && voice.resolution.type !== 'endure') {
-            const ratio = voice.resolution.threshold
-                ? voice.resolution.progress / voice.resolution.threshold : 0;
-            if (ratio > 0.6) {
-                woundHint = 'Something is shifting inside you. You can feel it. Your usual certainty is wavering.';
-            } else if (ratio > 0.3) {
-                woundHint = 'Your wound is stirring. You can feel it when certain topics come up. It makes you uneasy.';
-            }
+function buildVoiceBlock(voice, speakers) {
+    const arcana = getArcana(voice.arcana);
+    const birthCast = formatBirthCast(voice);
+    const birthLine = voice.birthMoment
+        ? `Born From: ${voice.birthMoment}${birthCast ? ` (who was there: ${birthCast})` : ''} — this wound colors everything you see`
+        : '';
+    const stances = formatCharacterStances(voice);
+    const stanceBlock = stances ? `Your Stance Toward People in the Scene:\n${stances}` : '';
+
+    // Voice-to-voice opinions (only for other speakers in this batch)
+    const v2vLines = [];
+    for (const other of speakers) {
+        if (other.id === voice.id) continue;
+        // What this voice thinks of the other
+        const myBond = getVoiceRelationship(voice, other.id);
+        // What the other thinks of this voice
+        const theirBond = getVoiceRelationship(other, voice.id);
+        if (myBond) v2vLines.push(`You think of ${other.name}: ${formatRelationship(myBond)}`);
+        if (theirBond) v2vLines.push(`${other.name} thinks of you: ${formatRelationship(theirBond)}`);
+    }
+    const v2vBlock = v2vLines.length > 0
+        ? `Voice Dynamics:\n${v2vLines.join('\n')}` : '';
+
+    // Wound sensitivity hint (how close to resolution)
+    let woundHint = '';
+    if (voice.resolution && voice.resolution.type !== 'endure') {
+        const ratio = voice.resolution.threshold
+            ? voice.resolution.progress / voice.resolution.threshold : 0;
+        if (ratio > 0.6) {
+            woundHint = 'Something is shifting inside you. You can feel it. Your usual certainty is wavering.';
+        } else if (ratio > 0.3) {
+            woundHint = 'Your wound is stirring. You can feel it when certain topics come up. It makes you uneasy.';
         }
+    }
 
-        // Reversed status
-        const reversedHint = voice.reversed
-            ? `REVERSED ASPECT: This voice embodies the shadow/inverted meaning of its arcana. Your perspective is darker, more complicated, more honest about the ugly parts.`
-            : '';
+    // Reversed status
+    const reversedHint = voice.reversed
+        ? `REVERSED ASPECT: This voice embodies the shadow/inverted meaning of its arcana. Your perspective is darker, more complicated, more honest about the ugly parts.`
+        : '';
 
-        // Birth type flavor
-        const birthTypeHint = voice.birthType === 'accumulation'
-            ? 'Born from a pattern, not a moment. You\'re made of paper cuts.'
-            : voice.birthType === 'merge'
-                ? `Born from the merger of two other voices. You carry both their perspectives.`
-                : '';
+    // Birth type flavor
+    const birthTypeHint = voice.birthType === 'accumulation'
+        ? 'Born from a pattern, not a moment. You\'re made of paper cuts.'
+        : voice.birthType === 'merge'
+            ? `Born from the merger of two other voices. You carry both their perspectives.`
+            : '';
 
-        return `---
+    return `---
 VOICE: ${voice.name} (${arcana.name}${voice.reversed ? ' REVERSED' : ''})
 Personality: ${voice.personality}
 Speaking Style: ${voice.speakingStyle}
@@ -291,11 +272,13 @@ Blind Spot: ${voice.blindSpot || 'None defined'}
 Fragment Identity: ${voice.selfAwareness || 'Uncertain about its nature'}
 Thinks In Terms Of: ${voice.metaphorDomain || 'general'} — use this lens when reacting
 Verbal Tic: ${voice.verbalTic || 'None'}
+${getVoiceToneLine(voice)}
 ${reversedHint}
 ${birthTypeHint}
 ${birthLine}
 Relationship with {{user}}: ${voice.relationship} | Influence: ${voice.influence}/100
 ${v2vBlock}
+${stanceBlock}
 ${woundHint}
 Silent for: ${voice.silentStreak || 0} messages
 ${voice.lastCommentary ? `You just said: "${voice.lastCommentary}" — do NOT repeat yourself or rephrase this. Build on it, contradict it, or say something new.` : ''}${(() => {
@@ -304,7 +287,15 @@ ${voice.lastCommentary ? `You just said: "${voice.lastCommentary}" — do NOT re
         ? `\nCURRENT PREOCCUPATIONS (your evolving inner state):\n${thoughtBlock}\nThese color your reactions. Build on them, update them, let them drift.`
         : '';
 })()}`;
-    }).join('\n');
+}
+
+/**
+ * Build the batched sidebar prompt for multiple voices.
+ * @param {string|null} [userAction] - Set when reacting to {{user}}'s own choice
+ */
+function buildSidebarPrompt(speakers, recentMessages, personaExcerpt, userAction = null) {
+    const toneDesc = getToneDescription();
+    const voiceBlocks = speakers.map(voice => buildVoiceBlock(voice, speakers)).join('\n');
 
     return [
         {
@@ -318,7 +309,11 @@ CRITICAL PERSPECTIVE RULE:
 - They do NOT describe what {{char}} is thinking or feeling.
 - If {{char}} said something hurtful: the voices react to the HURT {{user}} feels, not describe {{char}}'s cruelty.
 - Think: what would {{user}} be thinking right now but NOT saying out loud?
-
+${userAction ? `
+THIS TIME {{user}} ACTED. The voices react to {{user}}'s OWN choice — what {{user}} just said or did:
+${userAction}
+They may approve, despair, gloat or call out the pattern ("you said yes AGAIN").
+` : ''}
 CHAT TONE: ${toneDesc}
 
 {{user}}'s PERSONA:
@@ -336,7 +331,7 @@ ${recentMessages}`,
         },
         {
             role: 'user',
-            content: `For each voice listed above, generate their reaction to what just happened.
+            content: `For each voice listed above, generate their reaction to ${userAction ? 'what {{user}} just chose to do' : 'what just happened'}.
 Stay in each voice's character — use their speaking style, verbal tic, and metaphor domain.
 Be brief — one to three sentences per voice unless something big happened.
 Voices may argue with each other or respond to each other.
@@ -466,72 +461,88 @@ function parseThoughtOp(str) {
 /**
  * Generate sidebar commentary for this message.
  * Returns array of { voiceId, name, arcana, text } for rendering.
+ * @param {Object} [options] - { userAction: summary of {{user}}'s choice, for user messages;
+ *                              themeDetails: per-theme intensity/valence from the classifier }
  */
-export async function generateSidebarCommentary(themes = [], impact = 'minor') {
+export async function generateSidebarCommentary(themes = [], impact = 'minor', { userAction = null, themeDetails = {} } = {}) {
     const maxSpeakers = extensionSettings.maxSpeakers || 3;
-    const speakers = rollForParticipation(themes, maxSpeakers, impact);
+    const speakers = rollForParticipation(themes, maxSpeakers, impact, themeDetails);
     if (speakers.length === 0) return [];
 
     const recentMessages = getRecentMessages(5);
     const personaExcerpt = getPersonaExcerpt();
-    const messages = buildSidebarPrompt(speakers, recentMessages, personaExcerpt);
+    const messages = buildSidebarPrompt(speakers, recentMessages, personaExcerpt, userAction);
 
     try {
-        const responseText = await sendRequest(messages, 600);
+        const responseText = await sendChorusRequest('sidebar', messages, 600, { signal: currentSignal });
         const parsed = parseSidebarResponse(responseText, speakers);
+        return applySidebarResults(speakers, parsed);
+    } catch (e) {
+        if (isAbortError(e)) throw e;
+        console.error(`${LOG_PREFIX} Sidebar generation failed:`, e);
+        return [];
+    }
+}
 
-        const commentary = [];
-        for (const voice of speakers) {
-            const result = parsed[voice.id] || { text: null, silent: true };
+/**
+ * Apply parsed sidebar results: speaker tracking, thought operations,
+ * silent streaks. Shared by the separate and combined pipelines.
+ * @param {Object[]} speakers - Voices that were asked to speak
+ * @param {Object} parsed - { voiceId: { text, silent, thoughtOp } }
+ * @returns {Object[]} Commentary entries for rendering
+ */
+function applySidebarResults(speakers, parsed) {
+    const commentary = [];
+    for (const voice of speakers) {
+        // Voice may have died between the request and now (lifecycle, consume)
+        if (getVoiceById(voice.id)?.state === 'dead') continue;
 
-            if (!result.silent && result.text) {
-                // Update voice tracking
-                updateVoice(voice.id, {
-                    lastSpoke: Date.now(),
-                    lastCommentary: result.text,
-                    silentStreak: 0,
-                });
+        const result = parsed[voice.id] || { text: null, silent: true };
 
-                // Apply thought operation if present
-                if (result.thoughtOp) {
-                    const log = applyThoughtOperations(voice.id, [result.thoughtOp]);
-                    if (log.length > 0) {
-                        console.log(`${LOG_PREFIX} ${voice.name} thought: ${log.join(', ')}`);
-                    }
-                }
+        if (!result.silent && result.text) {
+            // Update voice tracking
+            updateVoice(voice.id, {
+                lastSpoke: Date.now(),
+                lastCommentary: result.text,
+                silentStreak: 0,
+            });
 
-                commentary.push({
-                    voiceId: voice.id,
-                    name: voice.name,
-                    arcana: voice.arcana,
-                    relationship: voice.relationship,
-                    text: result.text,
-                });
-            } else {
-                // Voice chose silence — increment streak
-                updateVoice(voice.id, {
-                    silentStreak: (voice.silentStreak || 0) + 1,
-                });
+            // Apply thought operation if present
+            if (result.thoughtOp) {
+                const log = applyThoughtOperations(voice.id, [result.thoughtOp]);
+                if (log.length > 0) {
+                    console.log(`${LOG_PREFIX} ${voice.name} thought: ${log.join(', ')}`);
+                }
             }
-        }
 
-        // Also increment silent streak for voices that didn't even roll
-        const speakerIds = new Set(speakers.map(v => v.id));
-        for (const voice of getLivingVoices()) {
-            if (!speakerIds.has(voice.id)) {
-                updateVoice(voice.id, {
-                    silentStreak: (voice.silentStreak || 0) + 1,
-                });
-            }
+            commentary.push({
+                voiceId: voice.id,
+                name: voice.name,
+                arcana: voice.arcana,
+                relationship: voice.relationship,
+                text: result.text,
+            });
+        } else {
+            // Voice chose silence — increment streak
+            updateVoice(voice.id, {
+                silentStreak: (voice.silentStreak || 0) + 1,
+            });
         }
+    }
 
-        saveChatState();
-        console.log(`${LOG_PREFIX} Sidebar: ${commentary.length} voices spoke`);
-        return commentary;
-    } catch (e) {
-        console.error(`${LOG_PREFIX} Sidebar generation failed:`, e);
-        return [];
+    // Also increment silent streak for voices that didn't even roll
+    const speakerIds = new Set(speakers.map(v => v.id));
+    for (const voice of getLivingVoices()) {
+        if (!speakerIds.has(voice.id)) {
+            updateVoice(voice.id, {
+                silentStreak: (voice.silentStreak || 0) + 1,
+            });
+        }
     }
+
+    saveChatState();
+    console.log(`${LOG_PREFIX} Sidebar: ${commentary.length} voices spoke`);
+    return commentary;
 }
 
 // =============================================================================
@@ -543,7 +554,7 @@ export async function generateSidebarCommentary(themes = [], impact = 'minor') {
  */
 function buildSpreadPrompt(voice, positionKey, positionDef, eventSummary, reversed) {
     const arcana = getArcana(voice.arcana);
-    const toneDesc = getToneDescription();
+    const toneDesc = getToneDescription(voice);
     const recentMessages = getRecentMessages(3);
     const personaExcerpt = getPersonaExcerpt();
 
@@ -557,6 +568,14 @@ function buildSpreadPrompt(voice, positionKey, positionDef, eventSummary, revers
     if (voice.birthMoment) {
         memoryLines.push(`BIRTH MEMORY (the moment that created you): ${voice.birthMoment}`);
     }
+    const birthCast = formatBirthCast(voice);
+    if (birthCast) {
+        memoryLines.push(`WHO WAS THERE WHEN YOU WERE BORN: ${birthCast}`);
+    }
+    const stances = formatCharacterStances(voice);
+    if (stances) {
+        memoryLines.push(`YOUR STANCE TOWARD PEOPLE IN THE SCENE:\n${stances}`);
+    }
     if (voice.lastCommentary) {
         memoryLines.push(`YOUR LAST WORDS: "${voice.lastCommentary}" — build on this or contradict it, don't repeat it.`);
     }
@@ -584,11 +603,11 @@ function buildSpreadPrompt(voice, positionKey, positionDef, eventSummary, revers
             role: 'system',
             content: `You are ${voice.name}, a fragment of {{user}}'s psyche. You exist inside {{user}}'s head. You are one piece of a fractured inner world.
 
-CHAT TONE: ${toneDesc}
+TONE: ${toneDesc}
 
 YOUR IDENTITY:
 Name: ${voice.name}
-Arcana: ${arcana.name} (${arcana.numeral})
+Arcana: ${arcana.name} (${arcana.numeral}${arcana.suit ? ` — Minor Arcana: ${reversed ? arcana.reversed : arcana.upright}` : ''})
 Personality: ${voice.personality}
 Speaking Style: ${voice.speakingStyle}
 Obsession: ${voice.obsession || 'None defined'}
@@ -703,7 +722,7 @@ export async function generateSingleCard(themes = [], eventSummary = '') {
     const messages = buildSpreadPrompt(voice, 'present', position, eventSummary, reversed);
 
     try {
-        const text = await sendRequest(messages, 300);
+        const text = await sendChorusRequest('spread', messages, 300, { signal: currentSignal });
         const cleaned = cleanGeneratedText(text);
 
         if (!cleaned) {
@@ -723,14 +742,39 @@ export async function generateSingleCard(themes = [], eventSummary = '') {
             text: cleaned,
         };
     } catch (e) {
+        if (isAbortError(e)) throw e;
         console.error(`${LOG_PREFIX} Single card generation failed:`, e);
         return null;
     }
 }
 
+// Spread listener — lets the reading tab render cards as they arrive
+// { onStart(spreadType, positionKeys[]), onCard(card), onEnd(spreadType, spoken) }
+let spreadListener = null;
+export function setSpreadListener(listener) { spreadListener = listener; }
+
+/**
+ * Run async tasks with at most `limit` in flight at once.
+ * Rejects on the first rejection (used for abort).
+ */
+async function runWithConcurrency(tasks, limit) {
+    let next = 0;
+    const worker = async () => {
+        while (next < tasks.length) {
+            const task = tasks[next++];
+            await task();
+        }
+    };
+    const workers = Array.from({ length: Math.min(limit, tasks.length) }, worker);
+    await Promise.all(workers);
+}
+
 /**
  * Generate a full spread reading (three or cross).
- * Returns array of card objects.
+ * Positions are generated concurrently (capped by spreadConcurrency) and
+ * reported to the spread listener as each one lands. A position that fails
+ * or comes back empty stays in the spread as a silent card (silent: true).
+ * Returns array of card objects in position order, or [] if every card is silent.
  */
 export async function generateSpread(spreadType, themes = [], eventSummary = '') {
     const positions = SPREAD_POSITIONS[spreadType];
@@ -739,42 +783,246 @@ export async function generateSpread(spreadType, themes = [], eventSummary = '')
         return [];
     }
 
-    const assignments = selectForSpread(themes, positions);
-    const cards = [];
+    const assignments = Object.entries(selectForSpread(themes, positions));
+    if (assignments.length === 0) return [];
+
+    const cards = new Array(assignments.length);
+    const limit = Math.max(1, extensionSettings.spreadConcurrency || 3);
 
-    // Generate each position (individual calls for quality)
-    for (const [posKey, voice] of Object.entries(assignments)) {
+    spreadListener?.onStart?.(spreadType, assignments.map(([posKey]) => posKey));
+
+    // Individual calls per position for quality — run side by side
+    const tasks = assignments.map(([posKey, voice], i) => async () => {
         const positionDef = positions[posKey];
         const reversed = Math.random() * 100 < (extensionSettings.reversalChance || 15);
         const messages = buildSpreadPrompt(voice, posKey, positionDef, eventSummary, reversed);
 
+        const card = {
+            voiceId: voice.id,
+            name: voice.name,
+            arcana: voice.arcana,
+            relationship: voice.relationship,
+            influence: voice.influence,
+            position: posKey,
+            positionName: positionDef.name,
+            reversed,
+            text: null,
+            silent: true,
+        };
+
         try {
-            const text = await sendRequest(messages, 300);
+            const text = await sendChorusRequest('spread', messages, 300, { signal: currentSignal });
             const cleaned = cleanGeneratedText(text);
 
-            if (!cleaned) {
+            if (cleaned) {
+                card.text = cleaned;
+                card.silent = false;
+            } else {
                 console.warn(`${LOG_PREFIX} Spread position ${posKey} response empty after cleaning`);
-                continue;
             }
-
-            cards.push({
-                voiceId: voice.id,
-                name: voice.name,
-                arcana: voice.arcana,
-                relationship: voice.relationship,
-                influence: voice.influence,
-                position: posKey,
-                positionName: positionDef.name,
-                reversed,
-                text: cleaned,
-            });
         } catch (e) {
+            if (isAbortError(e)) throw e;
             console.error(`${LOG_PREFIX} Spread position ${posKey} failed:`, e);
         }
+
+        cards[i] = card;
+        spreadListener?.onCard?.(card);
+    });
+
+    let spoken = 0;
+    try {
+        await runWithConcurrency(tasks, limit);
+        spoken = cards.filter(c => !c.silent).length;
+    } finally {
+        // Fires on abort too (spoken 0) — nothing else ends the stream then
+        spreadListener?.onEnd?.(spreadType, spoken);
     }
 
-    console.log(`${LOG_PREFIX} Spread (${spreadType}): ${cards.length} cards generated`);
-    return cards;
+    console.log(`${LOG_PREFIX} Spread (${spreadType}): ${spoken}/${cards.length} cards generated`);
+    return spoken > 0 ? cards : [];
+}
+
+// =============================================================================
+// COMBINED PIPELINE (single call)
+// =============================================================================
+
+/**
+ * Build the combined prompt: classification, sidebar commentary (with
+ * thought ops) and narrator ambient, answered as one JSON object.
+ * @param {string} messageText - The incoming message
+ * @param {Object[]} speakers - Candidate voices for commentary ([] = skip sidebar)
+ * @param {boolean} includeNarrator - Whether the narrator gets a turn
+ * @param {number} maxSpeakers - Cap on voices that actually speak
+ */
+function buildCombinedPrompt(messageText, speakers, includeNarrator, maxSpeakers) {
+    const resolutionCandidates = getResolutionAssessmentBlock();
+    const resolutionPrompt = formatAssessmentPrompt(resolutionCandidates);
+    const resolutionJsonHint = resolutionCandidates
+        ? ',\n  "resolution_progress": [{ "voiceId": "id", "progress": 0 }]'
+        : '';
+    const attribution = buildAttributionBlock();
+
+    let voicesTask = '';
+    let voicesJsonHint = '';
+    let voicesRules = '';
+    if (speakers.length > 0) {
+        const worldInfo = getWorldInfoExcerpt();
+        voicesTask = `
+
+TASK 2 — VOICES
+Generate the internal voices of {{user}}'s psyche. These voices live INSIDE {{user}}'s head. They are {{user}}'s own thoughts, fears, impulses, and reactions — NOT the thoughts of any other character.
+- They react to what just happened FROM {{user}}'s INTERNAL point of view: how {{user}} FEELS about what {{char}} said or did.
+- They are NOT {{char}}'s thoughts and do NOT describe what {{char}} is thinking or feeling.
+- Think: what would {{user}} be thinking right now but NOT saying out loud?
+
+CHAT TONE: ${getToneDescription()}
+
+{{user}}'s PERSONA:
+${getPersonaExcerpt()}
+${worldInfo ? `\nWORLD LORE (known facts about this setting):\n${worldInfo}\n` : ''}
+VOICES PRESENT:
+
+${speakers.map(voice => buildVoiceBlock(voice, speakers)).join('\n')}`;
+
+        voicesJsonHint = ',\n  "voices": [{ "name": "VOICE_NAME", "text": "reaction or [SILENT]", "thought": "" }]';
+        voicesRules = `
+
+VOICES RULES:
+- One entry per voice listed in TASK 2, in order.
+- At most ${maxSpeakers} voice${maxSpeakers > 1 ? 's' : ''} speak. Voices this message doesn't touch should be [SILENT].
+- Stay in each voice's character — speaking style, verbal tic, metaphor domain. One to three sentences.
+- "thought" is optional: "key = thought sentence" if something shifted in how the voice thinks (key is 1-3 words, snake_case), "DELETE key" to forget a thought, or "" if nothing changed.`;
+    }
+
+    let narratorTask = '';
+    let narratorJsonHint = '';
+    if (includeNarrator) {
+        narratorTask = `
+
+TASK 3 — NARRATOR
+${buildCombinedNarratorBlock()}`;
+        narratorJsonHint = ',\n  "narrator": "1-2 sentences, or [SILENT]"';
+    }
+
+    return [
+        {
+            role: 'system',
+            content: `You are running several parts of an inner-psyche engine for a narrative roleplay in ONE pass. Do every task below and answer with a single JSON object.
+
+TASK 1 — CLASSIFY
+Read the latest message and identify what emotionally, relationally, physically, or existentially significant things happened.
+
+${buildClassifierGuide()}${voicesTask}${narratorTask}
+
+RECENT SCENE:
+${getRecentMessages(5)}
+
+Respond ONLY with valid JSON. No other text.`,
+        },
+        {
+            role: 'user',
+            content: `Latest message:
+
+"""
+${messageText}
+"""
+
+Return JSON:
+{
+  "impact": "none|minor|significant|critical",
+  ${THEMES_JSON_HINT},
+  "summary": "One sentence describing what shifted (only if significant or critical, otherwise empty string)"${resolutionJsonHint}${attribution.jsonHint}${voicesJsonHint}${narratorJsonHint}
+}${resolutionPrompt}${attribution.prompt}${voicesRules}`,
+        },
+    ];
+}
+
+/**
+ * Parse the combined JSON response into the same shapes the separate
+ * calls produce. Returns null if the JSON can't be recovered.
+ */
+function parseCombinedResponse(responseText, speakers, maxSpeakers) {
+    if (!responseText || typeof responseText !== 'string') return null;
+
+    let parsed;
+    try {
+        let jsonStr = responseText.trim();
+        const jsonMatch = jsonStr.match(/```(?:json)?\s*([\s\S]*?)```/);
+        if (jsonMatch) {
+            jsonStr = jsonMatch[1].trim();
+        }
+        const braceMatch = jsonStr.match(/\{[\s\S]*\}/);
+        if (braceMatch) {
+            jsonStr = braceMatch[0];
+        }
+        parsed = JSON.parse(jsonStr);
+    } catch (e) {
+        console.warn(`${LOG_PREFIX} Combined parse failed:`, e.message);
+        return null;
+    }
+
+    const classification = normalizeClassification(parsed);
+
+    // Sidebar — reuse the line finalizer so thought ops parse identically
+    const sidebar = {};
+    for (const voice of speakers) {
+        sidebar[voice.id] = { text: null, silent: true };
+    }
+    if (Array.isArray(parsed.voices)) {
+        for (const entry of parsed.voices) {
+            if (!entry || typeof entry.name !== 'string') continue;
+            const text = typeof entry.text === 'string' ? entry.text.trim() : '';
+            const thought = typeof entry.thought === 'string' ? entry.thought.trim() : '';
+            finalizeLine(sidebar, speakers, entry.name, thought ? `${text} ~~ ${thought}` : text);
+        }
+    }
+
+    // Enforce the speaker cap (models overshoot)
+    let speaking = 0;
+    for (const voice of speakers) {
+        const line = sidebar[voice.id];
+        if (line.silent) continue;
+        if (++speaking > maxSpeakers) {
+            sidebar[voice.id] = { text: null, silent: true };
+        }
+    }
+
+    const narrator = typeof parsed.narrator === 'string' ? parsed.narrator : null;
+
+    return { classification, sidebar, narrator };
+}
+
+/**
+ * Run the combined single-call pass for one message.
+ * Speakers are rolled before classification (themes unknown yet), so the
+ * pool is one wider than the cap and the model picks who stays silent.
+ * @param {string} messageText - The incoming message
+ * @param {boolean} commentaryDue - Whether sidebar commentary fires this message
+ * @param {boolean} includeNarrator - This message's ambient roll (rolled by the caller,
+ *                                    so a fallback to separate calls can reuse it)
+ * @returns {Object|null} { classification, sidebar, narrator, speakers, includeNarrator }
+ *                        or null on failure (caller falls back to separate calls)
+ */
+async function runCombinedPass(messageText, commentaryDue, includeNarrator) {
+    const maxSpeakers = extensionSettings.maxSpeakers || 3;
+    const speakers = commentaryDue
+        ? rollForParticipation([], maxSpeakers + 1, 'significant')
+        : [];
+
+    const messages = buildCombinedPrompt(messageText, speakers, includeNarrator, maxSpeakers);
+
+    try {
+        const responseText = await sendChorusRequest('combined', messages, 900, { signal: currentSignal });
+        const parsed = parseCombinedResponse(responseText, speakers, maxSpeakers);
+        if (!parsed) return null;
+
+        console.log(`${LOG_PREFIX} Combined: impact=${parsed.classification.impact}, themes=[${parsed.classification.themes.join(', ')}]`);
+        return { ...parsed, speakers, includeNarrator };
+    } catch (e) {
+        if (isAbortError(e)) throw e;
+        console.error(`${LOG_PREFIX} Combined pipeline call failed:`, e);
+        return null;
+    }
 }
 
 // =============================================================================
@@ -785,8 +1033,8 @@ export async function generateSpread(spreadType, themes = [], eventSummary = '')
 let lastBirthTime = 0;
 const BIRTH_COOLDOWN_MS = 30000; // 30 seconds between births
 
-// Track last spread advice for drift (module-level, not persisted)
-let lastSpreadAdvice = []; // [{ voiceId, raises[], lowers[] }]
+// Track last spread advice for drift + injection (module-level, not persisted)
+let lastSpreadAdvice = []; // [{ voiceId, name, positionName, reversed, text, raises[], lowers[] }]
 
 // Relationship drift map — same as directory.js
 const DRIFT_MAP = {
@@ -805,8 +1053,11 @@ const DRIFT_MAP = {
 /**
  * Nudge a voice's relationship one step warmer or colder.
  * Returns true if the relationship actually changed.
+ * @param {Object} voice
+ * @param {string} direction - 'warmer' | 'colder'
+ * @param {string} cause - A VOICE_HISTORY cause
  */
-function nudgeRelationship(voice, direction) {
+function nudgeRelationship(voice, direction, cause) {
     const current = voice.relationship || 'curious';
     const options = DRIFT_MAP[current];
     if (!options) return false;
@@ -814,7 +1065,7 @@ function nudgeRelationship(voice, direction) {
     const newRel = options[direction];
     if (!newRel || newRel === current) return false;
 
-    updateVoice(voice.id, { relationship: newRel });
+    updateVoice(voice.id, { relationship: newRel }, cause);
     console.log(`${LOG_PREFIX} Passive drift: ${voice.name} ${current} → ${newRel} (${direction})`);
     return true;
 }
@@ -854,7 +1105,7 @@ function applyPassiveRelationshipDrift(themes) {
             if (rel === 'obsessed' || rel === 'manic') {
                 // Already maxed in their direction, no drift
             } else {
-                drifted = nudgeRelationship(voice, 'warmer');
+                drifted = nudgeRelationship(voice, 'warmer', 'drift');
             }
         } else if (lowersMatch) {
             // Scene matches their healing themes → complicated
@@ -864,7 +1115,7 @@ function applyPassiveRelationshipDrift(themes) {
                 // No drift (already cold)
             } else if (rel === 'devoted' || rel === 'protective' || rel === 'warm') {
                 // Warm voice sees healing → pleased → drift warmer
-                drifted = nudgeRelationship(voice, 'warmer');
+                drifted = nudgeRelationship(voice, 'warmer', 'drift');
             }
             // Curious/indifferent: no drift from lowers
         }
@@ -872,7 +1123,7 @@ function applyPassiveRelationshipDrift(themes) {
         // Check for abandonment drift: voice hasn't been relevant in a while
         if (!raisesMatch && !lowersMatch && (voice.silentStreak || 0) > 10) {
             // Voice has been irrelevant for 10+ messages → drift toward indifferent
-            drifted = nudgeRelationship(voice, 'colder');
+            drifted = nudgeRelationship(voice, 'colder', 'drift');
         }
     }
 }
@@ -906,10 +1157,10 @@ function applyAdviceDrift(themes) {
             // Scene aligned with voice's worldview → "they listened!"
             // But this can be ironic: the voice might have BAD advice
             // and be pleased the user is making the same mistake
-            nudgeRelationship(voice, 'warmer');
+            nudgeRelationship(voice, 'warmer', 'advice');
         } else if (lowersMatch && !raisesMatch) {
             // Scene went against voice's worldview → "they IGNORED me"
-            nudgeRelationship(voice, 'colder');
+            nudgeRelationship(voice, 'colder', 'advice');
         }
     }
 
@@ -917,6 +1168,58 @@ function applyAdviceDrift(themes) {
     lastSpreadAdvice = [];
 }
 
+/**
+ * Shift each voice's stance toward the characters who caused this
+ * message's themes. A character who presses a voice's raise triggers
+ * is poking its wound → colder. One who hits its lower triggers
+ * soothes what it guards → warmer. One step per character per message.
+ *
+ * Like advice drift this is approximate — voices read the stances in
+ * their prompts and make of them what they will.
+ * @param {Object[]} attributions - [{ name, themes[] }]
+ */
+function applyCharacterStances(attributions) {
+    if (!attributions || attributions.length === 0) return;
+
+    for (const voice of getLivingVoices()) {
+        const raises = voice.influenceTriggers?.raises || [];
+        const lowers = voice.influenceTriggers?.lowers || [];
+
+        for (const { name, themes } of attributions) {
+            const raisesMatch = themes.some(t => raises.includes(t));
+            const lowersMatch = themes.some(t => lowers.includes(t));
+            if (raisesMatch === lowersMatch) continue;
+
+            const score = adjustCharacterStance(voice.id, name, raisesMatch ? -1 : 1);
+            if (score !== null) {
+                console.log(`${LOG_PREFIX} Stance: ${voice.name} → ${name} ${score}`);
+            }
+        }
+    }
+}
+
+/**
+ * Judge the last reading's advice by {{user}}'s own action.
+ * Followed → warmer, defied → colder, ignored → no change.
+ * Like applyAdviceDrift, affection only — resolution is untouched.
+ * @param {Object[]} verdicts - [{ voiceId, verdict }] from classifyUserAction
+ */
+function applyAdviceVerdicts(verdicts) {
+    for (const { voiceId, verdict } of verdicts || []) {
+        const voice = getVoiceById(voiceId);
+        if (!voice || voice.state === 'dead') continue;
+
+        if (verdict === 'followed') {
+            nudgeRelationship(voice, 'warmer', 'advice');
+        } else if (verdict === 'defied') {
+            nudgeRelationship(voice, 'colder', 'advice');
+        }
+    }
+
+    // Judged — the next character reply doesn't guess at it again
+    lastSpreadAdvice = [];
+}
+
 /**
  * Store advice from a spread for drift tracking on next message.
  */
@@ -926,13 +1229,25 @@ function recordSpreadAdvice(cardReading) {
         return;
     }
 
-    lastSpreadAdvice = cardReading.cards.map(card => ({
+    lastSpreadAdvice = cardReading.cards.filter(card => !card.silent).map(card => ({
         voiceId: card.voiceId,
+        name: card.name,
+        positionName: card.positionName,
+        reversed: !!card.reversed,
+        text: card.text || '',
         raises: getVoiceById(card.voiceId)?.influenceTriggers?.raises || [],
         lowers: getVoiceById(card.voiceId)?.influenceTriggers?.lowers || [],
     }));
 }
 
+/**
+ * Get the advice recorded from the last spread (not yet judged by drift).
+ * Used by the inner voice injection. Returns copies.
+ */
+export function getLastSpreadAdvice() {
+    return lastSpreadAdvice.map(a => ({ ...a }));
+}
+
 /**
  * Main per-message processing pipeline.
  * Called from index.js onMessageReceived.
@@ -950,7 +1265,7 @@ export async function processMessage(messageText) {
     isProcessing = true;
 
     const result = {
-        classification: { impact: 'none', themes: [], summary: '', resolutionProgress: [] },
+        classification: { impact: 'none', themes: [], themeDetails: {}, summary: '', resolutionProgress: [], attributions: [] },
         commentary: [],
         cardReading: null,
         lifecycleEvents: [],
@@ -961,13 +1276,29 @@ export async function processMessage(messageText) {
 
     try {
         // ─── Step 1: Classify (includes resolution assessment) ───
-        result.classification = await classifyMessage(messageText);
+        // Combined mode also brings back sidebar + narrator in the same call;
+        // they're held until steps 6-7 so everything lands in the usual order.
+        const voiceFreq = extensionSettings.voiceFrequency || 1;
+        const sidebarThrottled = isFeatureThrottled('sidebar');
+        let combined = null;
+        let ambientRoll = null; // Rolled once per message, even if combined falls back
+        if (extensionSettings.pipelineMode === 'combined') {
+            ambientRoll = !isFeatureThrottled('ambient') && rollAmbientChance();
+            combined = await runCombinedPass(messageText, !sidebarThrottled && voiceMessageCounter + 1 >= voiceFreq, ambientRoll);
+            if (!combined) {
+                console.warn(`${LOG_PREFIX} Combined pass failed — falling back to separate calls`);
+            }
+        }
+        result.classification = combined
+            ? combined.classification
+            : await classifyMessage(messageText, { signal: currentSignal });
         const { impact, themes, summary, resolutionProgress } = result.classification;
+        const themeDetails = result.classification.themeDetails || {};
 
-        // ─── Step 2: Update influence from themes ───
-        const deltas = calculateInfluenceDeltas(themes, extensionSettings.influenceGainRate || 3);
+        // ─── Step 2: Update influence from themes (weighted by intensity) ───
+        const deltas = calculateInfluenceDeltas(themes, extensionSettings.influenceGainRate || 3, themeDetails);
         for (const { voiceId, delta } of deltas) {
-            adjustInfluence(voiceId, delta);
+            adjustInfluence(voiceId, delta, 'theme');
         }
 
         // ─── Step 2b: Passive relationship drift from chat context ───
@@ -976,6 +1307,11 @@ export async function processMessage(messageText) {
         // ─── Step 2c: Spread advice drift (did user follow/ignore last reading?) ───
         applyAdviceDrift(themes);
 
+        // ─── Step 2d: Per-character stances (who in the scene caused what) ───
+        const attributions = resolveAttributions(result.classification);
+        result.classification.attributions = attributions;
+        applyCharacterStances(attributions);
+
         // ─── Step 3: Update escalation from impact ───
         updateEscalation(impact);
 
@@ -1005,12 +1341,12 @@ export async function processMessage(messageText) {
 
         // ─── Step 5: Birth check (event-driven) ───
         if (!result.newVoice) {
-            result.newVoice = await checkBirth(impact, themes, summary, messageText);
+            result.newVoice = await checkBirth(impact, themes, summary, messageText, attributions);
         }
 
         // ─── Step 5b: Accumulation tracking + birth ───
         if (!result.newVoice && themes.length > 0) {
-            result.newVoice = await checkAccumulationBirth(impact, themes);
+            result.newVoice = await checkAccumulationBirth(impact, themes, themeDetails);
         }
 
         // ─── Step 5c: Consume check (predator devours prey) ───
@@ -1035,17 +1371,26 @@ export async function processMessage(messageText) {
             result.narrator = await narrateBirth(result.newVoice);
         }
 
-        // ─── Step 6: Sidebar commentary (gated by voice frequency setting) ───
+        // ─── Step 6: Sidebar commentary (gated by voice frequency setting + budget) ───
         voiceMessageCounter++;
-        const voiceFreq = extensionSettings.voiceFrequency || 1;
         if (voiceMessageCounter >= voiceFreq) {
-            result.commentary = await generateSidebarCommentary(themes, impact);
+            if (sidebarThrottled) {
+                console.log(`${LOG_PREFIX} Budget: sidebar commentary skipped`);
+            } else if (!combined) {
+                result.commentary = await generateSidebarCommentary(themes, impact, { themeDetails });
+            } else if (combined.speakers.length > 0) {
+                result.commentary = applySidebarResults(combined.speakers, combined.sidebar);
+            }
             voiceMessageCounter = 0;
         }
 
-        // ─── Step 7: Ambient narrator (if nothing triggered above) ───
-        if (!result.narrator) {
-            result.narrator = await tryAmbientNarration(messageText, result.commentary);
+        // ─── Step 7: Ambient narrator (if nothing triggered above, budget permitting) ───
+        if (!result.narrator && !isFeatureThrottled('ambient')) {
+            if (!combined) {
+                result.narrator = await tryAmbientNarration(messageText, result.commentary, { roll: ambientRoll });
+            } else if (combined.includeNarrator) {
+                result.narrator = acceptAmbientNarration(combined.narrator, result.commentary);
+            }
         }
 
         // ─── Step 8: Card pull / spread (conditional) ───
@@ -1054,10 +1399,11 @@ export async function processMessage(messageText) {
         // ─── Step 8b: Record spread advice for drift tracking on next message ───
         if (result.cardReading) {
             recordSpreadAdvice(result.cardReading);
+            setLastReading(result.cardReading);
         }
 
     } catch (e) {
-        if (e.name === 'AbortError' || currentSignal?.aborted) {
+        if (isAbortError(e) || currentSignal?.aborted) {
             console.log(`${LOG_PREFIX} Generation aborted`);
             result.aborted = true;
             return result;
@@ -1072,23 +1418,93 @@ export async function processMessage(messageText) {
     return result;
 }
 
+/**
+ * Lighter pipeline for {{user}}'s own messages.
+ * Called from index.js onMessageSent when processUserMessages is on.
+ *
+ * Classifies the choice, shifts influence, judges the last reading's
+ * advice and lets voices react. No escalation, lifecycle, births or
+ * card draws — those stay with the character's reply.
+ *
+ * @param {string} messageText - {{user}}'s message
+ * @returns {Object} { classification, commentary[], aborted }
+ */
+export async function processUserMessage(messageText) {
+    abortGeneration();
+
+    currentAbortController = new AbortController();
+    currentSignal = currentAbortController.signal;
+    isProcessing = true;
+
+    const result = {
+        classification: { impact: 'none', themes: [], themeDetails: {}, summary: '', resolutionProgress: [], adviceVerdicts: [] },
+        commentary: [],
+        aborted: false,
+    };
+
+    try {
+        // ─── Step 1: Classify the choice (and judge the last reading) ───
+        const advice = getLastSpreadAdvice();
+        result.classification = await classifyUserAction(messageText, advice, { signal: currentSignal });
+        const { impact, themes, summary, adviceVerdicts } = result.classification;
+        const themeDetails = result.classification.themeDetails || {};
+
+        // ─── Step 2: Update influence from themes (weighted by intensity) ───
+        const deltas = calculateInfluenceDeltas(themes, extensionSettings.influenceGainRate || 3, themeDetails);
+        for (const { voiceId, delta } of deltas) {
+            adjustInfluence(voiceId, delta, 'theme');
+        }
+
+        // ─── Step 3: Advice drift, judged from {{user}}'s action ───
+        if (advice.length > 0) {
+            applyAdviceVerdicts(adviceVerdicts);
+        }
+
+        // ─── Step 4: Voices react to the choice (budget permitting) ───
+        if (impact !== 'none') {
+            if (isFeatureThrottled('sidebar')) {
+                console.log(`${LOG_PREFIX} Budget: sidebar commentary skipped`);
+            } else {
+                result.commentary = await generateSidebarCommentary(themes, impact, {
+                    userAction: summary || messageText.substring(0, 300),
+                    themeDetails,
+                });
+            }
+        }
+
+    } catch (e) {
+        if (isAbortError(e) || currentSignal?.aborted) {
+            console.log(`${LOG_PREFIX} Generation aborted`);
+            result.aborted = true;
+            return result;
+        }
+        throw e;
+    } finally {
+        isProcessing = false;
+        currentAbortController = null;
+        currentSignal = null;
+    }
+
+    return result;
+}
+
 /**
  * Check if a new voice should be born from this message.
  */
-async function checkBirth(impact, themes, summary, messageText) {
+async function checkBirth(impact, themes, summary, messageText, attributions = []) {
     // Only birth on significant+ impact
     if (impact !== 'significant' && impact !== 'critical') return null;
 
     // Cooldown check
     if (Date.now() - lastBirthTime < BIRTH_COOLDOWN_MS) return null;
 
-    // All 22 arcana taken — absolute cap
-    const taken = getTakenArcana();
-    if (taken.length >= 22) return null;
+    // Every card taken — absolute cap (22, or 78 with the Minor Arcana)
+    const deckSize = getDeckSize();
+    if (getTakenArcana().length >= deckSize) return null;
 
     // Deck space check — try to make room if full
     const living = getLivingVoices();
-    const maxVoices = Math.min(22, extensionSettings.maxVoices || 7);
+    const maxVoices = Math.min(deckSize, extensionSettings.maxVoices || 7);
     if (living.length >= maxVoices) {
         const madeRoom = await makeRoomInDeck();
         if (!madeRoom) return null;
@@ -1105,7 +1521,7 @@ async function checkBirth(impact, themes, summary, messageText) {
     const trigger = summary || messageText.substring(0, 300);
 
     try {
-        const voice = await birthVoiceFromEvent(trigger, impact, themes);
+        const voice = await birthVoiceFromEvent(trigger, impact, themes, attributions);
         if (voice) {
             lastBirthTime = Date.now();
         }
@@ -1184,7 +1600,7 @@ async function makeRoomInDeck() {
                     },
                 });
             }
-            adjustInfluence(strongest.id, 10);
+            adjustInfluence(strongest.id, 10, 'consume');
             resolveVoice(weakest.id, `consumed by ${strongest.name}`);
             return true;
         }
@@ -1198,7 +1614,7 @@ async function makeRoomInDeck() {
  * Track theme accumulation and check for "death by a thousand cuts" births.
  * Only fires on minor impact — significant/critical have their own birth path.
  */
-async function checkAccumulationBirth(impact, themes) {
+async function checkAccumulationBirth(impact, themes, themeDetails = {}) {
     // Only accumulate on none/minor — significant+ gets handled by checkBirth
     if (impact === 'significant' || impact === 'critical') return null;
 
@@ -1206,13 +1622,17 @@ async function checkAccumulationBirth(impact, themes) {
     if (Date.now() - lastBirthTime < BIRTH_COOLDOWN_MS) return null;
 
     // Update accumulator
-    const acc = updateThemeAccumulator(themes, ACCUMULATION.decayPerMessage);
+    const weights = Object.fromEntries(themes.map(t => [t, themeWeight(themeDetails, t)]));
+    const acc = updateThemeAccumulator(themes, ACCUMULATION.decayPerMessage, weights);
 
     // Check for any theme crossing threshold
     const threshold = ACCUMULATION.threshold;
     const minMessages = ACCUMULATION.minUniqueMessages;
 
     for (const [theme, data] of Object.entries(acc)) {
+        // Themes dropped from the taxonomy can't birth a voice
+        if (!isActiveTheme(theme)) continue;
+
         if (data.count >= threshold && data.messages >= minMessages) {
             // Deck space check
             const living = getLivingVoices();
@@ -1247,7 +1667,7 @@ async function checkAccumulationBirth(impact, themes) {
 
 /**
  * Check if a dominant voice consumes a weaker one.
- * Predator: high influence + hostile opinion of prey.
+ * Predator: high influence + a hardened predator bond toward prey.
  * Prey: low influence, unable to resist.
  *
  * Returns a lifecycle event or null.
@@ -1263,20 +1683,14 @@ function checkConsume() {
 
     for (const predator of living) {
         if (predator.influence < predatorMinInfluence) continue;
-        if (!predator.relationships) continue;
 
         for (const prey of living) {
             if (prey.id === predator.id) continue;
             if (prey.influence > preyMaxInfluence) continue;
             if (prey.depth === 'core') continue; // Core voices can't be consumed
 
-            // Check for hostile opinion
-            const opinion = (predator.relationships[prey.id] || '').toLowerCase();
-            const isHostile = opinion.includes('hostile') || opinion.includes('hate') ||
-                              opinion.includes('suppress') || opinion.includes('devour') ||
-                              opinion.includes('destroy');
-
-            if (!isHostile) continue;
+            // Only a predator bond that has hardened (VOICE_BONDS.consumeSentiment)
+            if (!isPredatorOf(predator, prey)) continue;
 
             // CONSUME: predator absorbs prey
             console.log(`${LOG_PREFIX} CONSUME: ${predator.name} (inf:${predator.influence}) devours ${prey.name} (inf:${prey.influence})`);
@@ -1295,7 +1709,7 @@ function checkConsume() {
             }
 
             // Predator gains influence from the kill
-            adjustInfluence(predator.id, 10);
+            adjustInfluence(predator.id, 10, 'consume');
 
             // Prey dies (consumed by predator)
             resolveVoice(prey.id, `consumed by ${predator.name}`);
@@ -1322,7 +1736,7 @@ function checkConsume() {
  * Check if two voices should merge.
  * Conditions:
  *   - Both have overlapping raise triggers (2+ shared)
- *   - Both have allied/positive opinions of each other
+ *   - Both hold warm ally/protector bonds toward each other
  *   - Neither is core depth
  *   - Both have been alive for at least 10 messages (not brand new)
  *
@@ -1352,14 +1766,8 @@ async function checkMerge() {
             const shared = aRaises.filter(t => bRaises.includes(t));
             if (shared.length < 2) continue;
 
-            // Check mutual positive opinion
-            const aOpinionOfB = (a.relationships?.[b.id] || '').toLowerCase();
-            const bOpinionOfA = (b.relationships?.[a.id] || '').toLowerCase();
-            const positiveTerms = ['allied', 'respect', 'agree', 'protect', 'support', 'understand'];
-
-            const aSupportive = positiveTerms.some(t => aOpinionOfB.includes(t));
-            const bSupportive = positiveTerms.some(t => bOpinionOfA.includes(t));
-            if (!aSupportive || !bSupportive) continue;
+            // Check mutual warm bonds (VOICE_BONDS.mergeSentiment)
+            if (!isAlliedWith(a, b) || !isAlliedWith(b, a)) continue;
 
             // Check both are established (not brand new)
             const now = Date.now();
@@ -1410,14 +1818,15 @@ async function checkMerge() {
 /**
  * Extract initial voice set from the user's persona card + scenario.
  * Called once when a new chat starts. Returns array of born voices.
+ * @param {Object} [options] - { force: extract into free slots even if voices exist }
  * @returns {Object[]} Array of born voices
  */
-export async function initializeFromPersona() {
+export async function initializeFromPersona({ force = false } = {}) {
     const living = getLivingVoices();
-    if (living.length > 0) return []; // Already have voices
+    if (living.length > 0 && !force) return []; // Already have voices
 
     try {
-        const voices = await birthVoicesFromPersona();
+        const voices = await birthVoicesFromPersona({ force });
         return voices || [];
     } catch (e) {
         console.error(`${LOG_PREFIX} Persona extraction failed:`, e);
@@ -1484,6 +1893,11 @@ async function handleCardDraw(impact, themes, summary) {
 
     const severity = extensionSettings.spreadSeverity || 'medium';
 
+    // Budget exhausted — single cards only
+    if (isFeatureThrottled('spreads')) {
+        return await generateSingleCard(themes, summary);
+    }
+
     // Check for spread upgrade first
     if (shouldUpgradeToSpread(impact, severity, 'cross')) {
         const cards = await generateSpread('cross', themes, summary);
@@ -1539,7 +1953,9 @@ export async function manualSingleDraw() {
     // Get themes from last message if available, otherwise empty
     const recentText = getRecentMessages(1);
     const classification = await classifyMessage(recentText);
-    return await generateSingleCard(classification.themes, classification.summary);
+    const card = await generateSingleCard(classification.themes, classification.summary);
+    if (card) setLastReading(card);
+    return card;
 }
 
 /**
@@ -1551,5 +1967,7 @@ export async function manualSpreadDraw(spreadType = 'three') {
     const classification = await classifyMessage(recentText);
     const cards = await generateSpread(spreadType, classification.themes, classification.summary);
     if (!cards || cards.length === 0) return null;
-    return { type: spreadType, cards };
+    const reading = { type: spreadType, cards };
+    setLastReading(reading);
+    return reading;
 }
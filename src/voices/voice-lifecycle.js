@@ -25,6 +25,7 @@ import {
     resolveVoice,
     transformVoice,
     saveChatState,
+    recordVoiceChange,
 } from '../state.js';
 import { birthVoiceFromTransform } from './voice-birth.js';
 
@@ -84,6 +85,8 @@ export function processLifecycle(classification, resolutionAssessments = []) {
             const oldProgress = voice.resolution.progress;
             voice.resolution.progress = Math.max(0, Math.min(100,
                 oldProgress + progressDelta));
+            recordVoiceChange(voice.id, 'progress', oldProgress, voice.resolution.progress,
+                voice.resolution.type === 'fade' ? 'fade' : 'assessment');
 
             if (progressDelta > 0 && voice.resolution.progress > oldProgress) {
                 console.log(`${LOG_PREFIX} ${voice.name} resolution: ${oldProgress} → ${voice.resolution.progress}/${voice.resolution.threshold} (${voice.resolution.type})`);
@@ -95,6 +98,7 @@ export function processLifecycle(classification, resolutionAssessments = []) {
         if (depthDef?.naturalDecayRate > 0) {
             const newInf = Math.max(0, voice.influence - depthDef.naturalDecayRate);
             if (newInf !== voice.influence) {
+                recordVoiceChange(voice.id, 'influence', voice.influence, newInf, 'decay');
                 voice.influence = newInf;
             }
         }